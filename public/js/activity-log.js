@@ -0,0 +1,176 @@
+/**
+ * 操作记录（审计日志）面板
+ * 从 GET /api/audit 分页加载，支持按操作类型、操作人、邮箱和时间范围过滤
+ */
+
+import { authFetch } from './auth.js';
+import { escapeHtml, formatDate } from './utils.js';
+
+const PAGE_SIZE = 50;
+
+export const ACTION_LABELS = {
+    'mailbox.create': '添加邮箱',
+    'mailbox.batch_create': '批量导入',
+    'mailbox.update': '修改邮箱',
+    'mailbox.delete': '删除邮箱',
+    'mailbox.batch_delete': '批量删除',
+    'mailbox.validate': '有效性检测',
+    'mailbox.quarantine': '隔离邮箱',
+    'mailbox.restore': '恢复邮箱',
+    'mailbox.reveal': '查看凭证',
+    'purchase': '购买邮箱',
+    'mail.process_inbox': '清空收件箱',
+    'mail.process_junk': '清空垃圾箱',
+    'webhook.create': '创建 Webhook',
+    'webhook.update': '修改 Webhook',
+    'webhook.delete': '删除 Webhook',
+    'api_key.create': '创建 API 密钥',
+    'api_key.revoke': '吊销 API 密钥',
+};
+
+const state = {
+    offset: 0,
+    total: 0,
+    loading: false,
+};
+
+/**
+ * 填充操作类型下拉框
+ */
+export function initActivityFilters() {
+    const select = document.getElementById('activityAction');
+    if (!select || select.options.length > 1) return;
+
+    for (const [value, label] of Object.entries(ACTION_LABELS)) {
+        select.add(new Option(label, value));
+    }
+}
+
+/**
+ * 读取过滤条件
+ * @private
+ */
+function readFilters() {
+    const value = (id) => document.getElementById(id)?.value.trim() || '';
+    const filters = {
+        action: value('activityAction'),
+        actor: value('activityActor'),
+        mailbox: value('activityMailbox'),
+    };
+
+    // 日期输入为本地日期，结束日期包含当天
+    const from = value('activityFrom');
+    const to = value('activityTo');
+    if (from) filters.from = new Date(`${from}T00:00:00`).toISOString();
+    if (to) filters.to = new Date(`${to}T23:59:59.999`).toISOString();
+
+    return Object.fromEntries(Object.entries(filters).filter(([, v]) => v));
+}
+
+/**
+ * 将事件附加信息格式化为简短描述
+ * @private
+ */
+function describeDetails(event) {
+    const d = event.details || {};
+    switch (event.action) {
+        case 'mailbox.create':
+        case 'mailbox.batch_create':
+            return [d.source && `来源: ${d.source}`, d.reactivated && '重新激活'].filter(Boolean).join('，');
+        case 'mailbox.update':
+            return d.fields?.length ? `字段: ${d.fields.join(', ')}` : '';
+        case 'mailbox.batch_delete':
+            if (d.reason === 'quarantine_expired') return '隔离期满';
+            return d.reason === 'validate' ? '检测失效' : '';
+        case 'mailbox.validate':
+            return `检测 ${d.total ?? 0} 个，有效 ${d.checked ?? 0}，失效 ${d.failed ?? 0}，隔离 ${d.quarantined ?? 0}，停用 ${d.removed ?? 0}，异常 ${d.errors ?? 0}`;
+        case 'mailbox.quarantine':
+            return `连续失效 ${d.consecutive_failures ?? 0} 次`;
+        case 'mailbox.restore':
+            return d.reason === 'manual' ? '手动恢复' : '检测恢复正常';
+        case 'purchase':
+            return `仓库 ${d.library}，商品 ${d.commodity_id}，数量 ${d.num}`;
+        case 'webhook.create':
+        case 'webhook.delete':
+            return [d.name, d.url].filter(Boolean).join('，');
+        case 'webhook.update':
+            return d.fields?.length ? `${d.name}，字段: ${d.fields.join(', ')}` : d.name || '';
+        case 'api_key.create':
+            return `${d.name}（${d.key_prefix}），权限: ${(d.scopes || []).join(', ')}`;
+        case 'api_key.revoke':
+            return [`${d.name}（${d.key_prefix}）`, d.owner && `所属用户: ${d.owner}`].filter(Boolean).join('，');
+        default:
+            return '';
+    }
+}
+
+/**
+ * 渲染事件行
+ * @private
+ */
+function renderRows(events, append) {
+    const list = document.getElementById('activityList');
+    if (!list) return;
+
+    const html = events.map(event => `
+        <tr>
+            <td class="activity-time">${escapeHtml(formatDate(event.created_at))}</td>
+            <td>${escapeHtml(event.actor_username || '系统')}</td>
+            <td><span class="activity-action">${escapeHtml(ACTION_LABELS[event.action] || event.action)}</span></td>
+            <td>${escapeHtml(event.mailbox_email || '')}</td>
+            <td class="activity-details">${escapeHtml(describeDetails(event))}</td>
+        </tr>
+    `).join('');
+
+    if (append) {
+        list.insertAdjacentHTML('beforeend', html);
+    } else {
+        list.innerHTML = html || '<tr><td colspan="5" class="activity-empty">暂无操作记录</td></tr>';
+    }
+}
+
+/**
+ * 更新底部计数和「加载更多」按钮
+ * @private
+ */
+function renderFooter() {
+    const summary = document.getElementById('activitySummary');
+    const more = document.getElementById('activityMore');
+    if (summary) summary.textContent = `共 ${state.total} 条`;
+    if (more) more.style.display = state.offset < state.total ? '' : 'none';
+}
+
+/**
+ * 加载操作记录
+ * @param {string} baseUrl API 基础路径
+ * @param {{ append?: boolean }} options append 为 true 时加载下一页
+ */
+export async function loadActivityLog(baseUrl, { append = false } = {}) {
+    if (state.loading) return;
+    state.loading = true;
+
+    if (!append) state.offset = 0;
+
+    try {
+        const params = new URLSearchParams({
+            ...readFilters(),
+            limit: PAGE_SIZE,
+            offset: state.offset,
+        });
+        const response = await authFetch(`${baseUrl}/audit?${params.toString()}`);
+        const result = await response.json();
+
+        if (!response.ok || !result.success) {
+            throw new Error(result.error || `HTTP ${response.status}`);
+        }
+
+        renderRows(result.data, append);
+        state.offset += result.data.length;
+        state.total = result.total;
+        renderFooter();
+    } catch (error) {
+        window.setStatusMessage?.(`加载操作记录失败: ${error.message}`, 'error');
+    } finally {
+        state.loading = false;
+    }
+}
@@ -0,0 +1,221 @@
+/**
+ * API 文档浏览页
+ * 加载 /api/openapi.json 或 /api/v1/openapi.json，按分组列出接口，可填写参数直接发送请求
+ */
+
+import { getAuthToken } from './auth.js';
+import { debounce, escapeHtml } from './utils.js';
+
+// 示例请求体的最大嵌套层数
+const MAX_EXAMPLE_DEPTH = 4;
+
+let spec = null;
+
+/**
+ * 解析 $ref
+ * @param {object} schema
+ */
+function resolve(schema) {
+    if (!schema?.$ref) return schema || {};
+    return resolve(spec.components.schemas[schema.$ref.replace('#/components/schemas/', '')]);
+}
+
+/**
+ * 按 schema 生成示例值，用于预填请求体
+ * 对象只包含必填字段（没有必填字段时包含全部字段）
+ * @param {object} schema
+ * @param {number} depth
+ */
+function exampleFor(schema, depth = 0) {
+    const s = resolve(schema);
+    if (s.example !== undefined) return s.example;
+    if (s.default !== undefined) return s.default;
+    if (s.enum) return s.enum[0];
+    if (depth > MAX_EXAMPLE_DEPTH) return null;
+
+    switch (s.type) {
+        case 'object': {
+            const properties = s.properties || {};
+            const keys = s.required?.length ? s.required : Object.keys(properties);
+            return Object.fromEntries(keys.map(key => [key, exampleFor(properties[key], depth + 1)]));
+        }
+        case 'array':
+            return [exampleFor(s.items, depth + 1)];
+        case 'integer':
+        case 'number':
+            return s.minimum ?? 0;
+        case 'boolean':
+            return false;
+        case 'string':
+            return s.format === 'date-time' ? new Date().toISOString() : '';
+        default:
+            return null;
+    }
+}
+
+/**
+ * 接口是否返回事件流（浏览页不直接请求）
+ */
+function isEventStream(operation) {
+    return Object.values(operation.responses).some(r => r.content?.['text/event-stream']);
+}
+
+function renderParameter(parameter) {
+    const schema = resolve(parameter.schema);
+    const hint = [parameter.in, schema.type, schema.enum?.join(' | '), parameter.description].filter(Boolean).join(' · ');
+    return `
+        <label class="api-param">
+            <span class="api-param-name">${escapeHtml(parameter.name)}${parameter.required ? ' *' : ''}
+                <small>${escapeHtml(hint)}</small></span>
+            <input type="text" class="form-control" data-in="${parameter.in}" data-name="${escapeHtml(parameter.name)}"
+                value="${escapeHtml(String(schema.default ?? ''))}">
+        </label>
+    `;
+}
+
+function renderOperation(method, path, operation) {
+    const body = operation.requestBody?.content?.['application/json']?.schema;
+    const statuses = Object.keys(operation.responses).filter(s => s !== 'default').join(' / ');
+    return `
+        <details class="api-operation" data-method="${method}" data-path="${escapeHtml(path)}">
+            <summary>
+                <span class="api-method api-method-${method}">${method.toUpperCase()}</span>
+                <code>${escapeHtml(path)}</code>
+                <span class="api-summary">${escapeHtml(operation.summary)}</span>
+                ${operation.security?.length === 0 ? '<span class="api-badge">公开</span>' : ''}
+            </summary>
+            <div class="api-operation-body">
+                ${operation.description ? `<p class="api-description">${escapeHtml(operation.description)}</p>` : ''}
+                ${(operation.parameters || []).map(renderParameter).join('')}
+                ${body ? `
+                    <label class="api-param">
+                        <span class="api-param-name">请求体${operation.requestBody.required ? ' *' : ''}</span>
+                        <textarea class="form-control api-body" rows="8">${escapeHtml(JSON.stringify(exampleFor(body), null, 2))}</textarea>
+                    </label>
+                ` : ''}
+                <div class="api-operation-actions">
+                    ${isEventStream(operation)
+                        ? '<span class="api-description">事件流接口，请使用 EventSource 订阅</span>'
+                        : '<button type="button" class="small-btn api-send">发送请求</button>'}
+                    <span class="api-description">成功状态码：${escapeHtml(statuses)}</span>
+                </div>
+                <pre class="api-response" style="display: none;"></pre>
+            </div>
+        </details>
+    `;
+}
+
+function render(filter = '') {
+    const list = document.getElementById('apiOperationList');
+    const keyword = filter.trim().toLowerCase();
+    const groups = new Map(spec.tags.map(tag => [tag.name, []]));
+
+    for (const [path, operations] of Object.entries(spec.paths)) {
+        for (const [method, operation] of Object.entries(operations)) {
+            if (keyword && !`${method} ${path} ${operation.summary}`.toLowerCase().includes(keyword)) continue;
+            const tag = operation.tags?.[0] || '其他';
+            if (!groups.has(tag)) groups.set(tag, []);
+            groups.get(tag).push(renderOperation(method, path, operation));
+        }
+    }
+
+    const html = [...groups].filter(([, items]) => items.length > 0).map(([tag, items]) => `
+        <section class="sidebar-section api-group">
+            <h2>${escapeHtml(tag)}</h2>
+            ${items.join('')}
+        </section>
+    `).join('');
+    list.innerHTML = html || '<div class="search-empty">没有匹配的接口</div>';
+}
+
+/**
+ * 按表单内容发送请求并显示响应
+ * @param {HTMLElement} container 接口所在的 details 元素
+ */
+async function send(container) {
+    const output = container.querySelector('.api-response');
+    const { method, path } = container.dataset;
+    const query = new URLSearchParams();
+    let url = path;
+
+    for (const input of container.querySelectorAll('input[data-in]')) {
+        const value = input.value.trim();
+        if (input.dataset.in === 'path') {
+            url = url.replace(`{${input.dataset.name}}`, encodeURIComponent(value));
+        } else if (value !== '') {
+            query.set(input.dataset.name, value);
+        }
+    }
+
+    const headers = new Headers();
+    const token = document.getElementById('apiTokenInput').value.trim() || getAuthToken();
+    if (token) headers.set('Authorization', `Bearer ${token}`);
+
+    const options = { method: method.toUpperCase(), headers };
+    const bodyInput = container.querySelector('.api-body');
+    if (bodyInput) {
+        try {
+            options.body = JSON.stringify(JSON.parse(bodyInput.value || '{}'));
+        } catch (error) {
+            output.textContent = `请求体不是合法的 JSON：${error.message}`;
+            output.style.display = 'block';
+            return;
+        }
+        headers.set('Content-Type', 'application/json');
+    }
+
+    const search = query.toString();
+    const target = `${spec.servers[0].url}${url}${search ? `?${search}` : ''}`;
+    output.textContent = `${options.method} ${target} ...`;
+    output.style.display = 'block';
+
+    try {
+        const started = Date.now();
+        const response = await fetch(target, options);
+        const text = await response.text();
+        let pretty = text;
+        try {
+            pretty = JSON.stringify(JSON.parse(text), null, 2);
+        } catch {
+            // 非 JSON 响应原样显示
+        }
+        output.textContent = `${options.method} ${target}\n${response.status} ${response.statusText}（${Date.now() - started}ms）\n\n${pretty}`;
+    } catch (error) {
+        output.textContent = `请求失败：${error.message}`;
+    }
+}
+
+async function loadSpec(url) {
+    const info = document.getElementById('apiSpecInfo');
+    document.getElementById('apiSpecLink').href = url;
+    info.textContent = '加载中...';
+
+    try {
+        const response = await fetch(url);
+        if (!response.ok) throw new Error(`HTTP ${response.status}`);
+        spec = await response.json();
+        const count = Object.values(spec.paths).reduce((sum, operations) => sum + Object.keys(operations).length, 0);
+        info.textContent = `${spec.info.title} ${spec.info.version} · 前缀 ${spec.servers[0].url} · ${count} 个接口`;
+        render(document.getElementById('apiFilterInput').value);
+    } catch (error) {
+        info.textContent = `加载文档失败：${error.message}`;
+    }
+}
+
+/**
+ * 初始化文档浏览页
+ */
+export function initApiExplorer() {
+    const select = document.getElementById('apiSpecSelect');
+    const filter = document.getElementById('apiFilterInput');
+    const list = document.getElementById('apiOperationList');
+
+    select.addEventListener('change', () => loadSpec(select.value));
+    filter.addEventListener('input', debounce(() => spec && render(filter.value)));
+    list.addEventListener('click', (event) => {
+        const button = event.target.closest('.api-send');
+        if (button) send(button.closest('.api-operation'));
+    });
+
+    loadSpec(select.value);
+}
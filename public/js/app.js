@@ -11,8 +11,16 @@ import {
     buildMailApiUrl,
     callMailApi,
     extractEmailsFromResponse,
+    fetchCachedMessages,
     getSelectedMailbox
 } from './mail-api-utils.js';
+import { authFetch, ensureAuthenticated, logout } from './auth.js';
+import { initActivityFilters, loadActivityLog } from './activity-log.js';
+import { loadQuarantine, retestQuarantine, restoreQuarantine } from './quarantine.js';
+import { watchJob, cancelJob, loadJobsPanel, cancelJobFromPanel, stopJobsPanel } from './jobs.js';
+import { loadPurchases, showPurchaseDetail } from './purchases.js';
+import { initMessageSearch } from './message-search.js';
+import { initNotifications } from './notifications.js';
 
 // 应用状态
 const AppState = {
@@ -40,26 +48,8 @@ function isMobileDevice() {
     return window.innerWidth <= 768;
 }
 
-// 采购仓库与商品映射
-const LIBRARIES = {
-    '1': {
-        base: 'https://outlook007.cc/api',
-        items: [
-            { id: '1', name: '短效hotmail带令牌' },
-            { id: '2', name: '短效outlook带令牌' },
-            { id: '13', name: '日本短效outlook带令牌' },
-            { id: '14', name: '德国短效outlook带令牌' },
-            { id: '15', name: '意大利短效outlook带令牌' },
-        ],
-    },
-    '2': {
-        base: 'https://outlook007.cc/api1',
-        items: [
-            { id: '3', name: '短效hotmail带令牌' },
-            { id: '4', name: '短效outlook带令牌' },
-        ],
-    },
-};
+// 采购供应商、商品及库存价格（从 /proxy/catalog 加载）
+let SUPPLIERS = [];
 
 // 管理器实例
 let emailListManager = null;
@@ -128,6 +118,9 @@ export async function initApp() {
         // 加载保存的设置
         loadSettings();
 
+        // 登录校验（未登录时等待用户登录）
+        await ensureAuthenticated(API_CONFIG.BASE_URL);
+
         // 加载邮箱数据（带错误恢复）
         await ErrorRecovery.withFallback(
             () => loadMailboxesFromStorage(),
@@ -142,7 +135,16 @@ export async function initApp() {
         initUIComponents();
 
         // 初始化采购相关
-        initPurchaseLibrary();
+        await initPurchaseLibrary();
+
+        // 初始化全局邮件搜索
+        initMessageSearch({
+            baseUrl: API_CONFIG.BASE_URL,
+            onSelect: emailListBoundary.wrap(jumpToSearchResult),
+        });
+
+        // 标题栏通知（库存和余额告警等）
+        initNotifications({ baseUrl: API_CONFIG.BASE_URL });
 
         console.log('✅ 应用启动完成');
 
@@ -375,7 +377,7 @@ function updatePlaceholder() {
  */
 async function loadMailboxesFromStorage() {
     try {
-        const response = await fetch(`${SUPABASE_API_BASE}/mailboxes`);
+        const response = await authFetch(`${SUPABASE_API_BASE}/mailboxes`);
         const result = await response.json();
 
         if (result.success) {
@@ -384,6 +386,7 @@ async function loadMailboxesFromStorage() {
 
             if (AppState.mailboxes.length > 0) {
                 setStatusMessage(`已加载 ${AppState.mailboxes.length} 个邮箱`, 'success');
+                loadHealthStatuses();
             }
         } else {
             throw new Error(result.error);
@@ -394,6 +397,21 @@ async function loadMailboxesFromStorage() {
     }
 }
 
+/**
+ * 加载邮箱健康状态徽标（失败时不影响邮箱列表）
+ */
+async function loadHealthStatuses() {
+    try {
+        const response = await authFetch(`${SUPABASE_API_BASE}/mailboxes/health/latest`);
+        const result = await response.json();
+        if (result.success) {
+            mailboxListManager.setHealthStatuses(result.data);
+        }
+    } catch (error) {
+        console.warn('加载健康状态失败:', error);
+    }
+}
+
 /**
  * 解析并添加邮箱
  */
@@ -407,6 +425,8 @@ window.parseMailboxInput = async function () {
     setStatusMessage('正在解析和保存邮箱...', 'loading');
 
     const separator = document.getElementById('separatorInput').value || '----';
+    // 为空时使用服务器默认的邮件服务提供方
+    const provider = document.getElementById('providerInput')?.value || undefined;
     const lines = input.split('\n').filter(line => line.trim() !== '');
     const newMailboxes = [];
     let errorCount = 0;
@@ -446,7 +466,7 @@ window.parseMailboxInput = async function () {
             continue;
         }
 
-        newMailboxes.push({ email, password, client_id, refresh_token, source: 'manual' });
+        newMailboxes.push({ email, password, client_id, refresh_token, source: 'manual', provider });
     }
 
     if (newMailboxes.length === 0) {
@@ -456,7 +476,7 @@ window.parseMailboxInput = async function () {
 
     // 保存到服务器
     try {
-        const response = await fetch(`${SUPABASE_API_BASE}/mailboxes/batch`, {
+        const response = await authFetch(`${SUPABASE_API_BASE}/mailboxes/batch`, {
             method: 'POST',
             headers: { 'Content-Type': 'application/json' },
             body: JSON.stringify({ mailboxes: newMailboxes })
@@ -492,10 +512,34 @@ window.parseMailboxInput = async function () {
     }
 };
 
+/**
+ * 从服务器获取邮箱明文凭证（列表接口只返回脱敏数据）
+ * @param {string[]} ids 邮箱ID列表
+ * @returns {Promise<Array>} 凭证列表
+ */
+async function revealMailboxCredentials(ids) {
+    const url = ids.length === 1
+        ? `${SUPABASE_API_BASE}/mailboxes/${ids[0]}/reveal`
+        : `${SUPABASE_API_BASE}/mailboxes/reveal`;
+
+    const response = await authFetch(url, {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify(ids.length === 1 ? {} : { ids })
+    });
+    const result = await response.json();
+
+    if (!response.ok || result.success === false) {
+        throw new Error(result.error || `HTTP ${response.status}`);
+    }
+
+    return Array.isArray(result.data) ? result.data : [result.data];
+}
+
 /**
  * 导出所有邮箱数据
  */
-window.exportMailboxes = function () {
+window.exportMailboxes = async function () {
     if (AppState.mailboxes.length === 0) {
         setStatusMessage('没有可导出的邮箱数据', 'error');
         return;
@@ -503,8 +547,17 @@ window.exportMailboxes = function () {
 
     const separator = document.getElementById('separatorInput').value || '----';
 
+    let credentials;
+    try {
+        setStatusMessage('正在获取邮箱凭证...', 'loading');
+        credentials = await revealMailboxCredentials(AppState.mailboxes.map(m => m.id));
+    } catch (error) {
+        setStatusMessage(`导出失败: ${error.message}`, 'error');
+        return;
+    }
+
     // 生成导出内容
-    const exportContent = AppState.mailboxes.map(mailbox => {
+    const exportContent = credentials.map(mailbox => {
         return `${mailbox.email}${separator}${mailbox.password}${separator}${mailbox.client_id}${separator}${mailbox.refresh_token}`;
     }).join('\n');
 
@@ -528,21 +581,28 @@ window.exportMailboxes = function () {
     document.body.removeChild(link);
     URL.revokeObjectURL(url);
 
-    setStatusMessage(`成功导出 ${AppState.mailboxes.length} 个邮箱`, 'success');
+    setStatusMessage(`成功导出 ${credentials.length} 个邮箱`, 'success');
 };
 
 /**
  * 导出选中的邮箱
  */
-window.exportSelectedMailbox = function () {
+window.exportSelectedMailbox = async function () {
     if (AppState.selectedMailboxIndex === -1) {
         setStatusMessage('请先选择一个邮箱', 'error');
         return;
     }
 
-    const mailbox = AppState.mailboxes[AppState.selectedMailboxIndex];
     const separator = document.getElementById('separatorInput').value || '----';
 
+    let mailbox;
+    try {
+        [mailbox] = await revealMailboxCredentials([AppState.mailboxes[AppState.selectedMailboxIndex].id]);
+    } catch (error) {
+        setStatusMessage(`复制失败: ${error.message}`, 'error');
+        return;
+    }
+
     // 生成导出内容
     const exportContent = `${mailbox.email}${separator}${mailbox.password}${separator}${mailbox.client_id}${separator}${mailbox.refresh_token}`;
 
@@ -578,7 +638,7 @@ async function deleteMailbox(index) {
 
     try {
         if (mailbox.id) {
-            await fetch(`${SUPABASE_API_BASE}/mailboxes/${mailbox.id}`, {
+            await authFetch(`${SUPABASE_API_BASE}/mailboxes/${mailbox.id}`, {
                 method: 'DELETE'
             });
         }
@@ -620,7 +680,7 @@ window.bulkDeleteMailboxes = async function () {
     }
 
     try {
-        const response = await fetch(`${SUPABASE_API_BASE}/mailboxes/batch-delete`, {
+        const response = await authFetch(`${SUPABASE_API_BASE}/mailboxes/batch-delete`, {
             method: 'POST',
             headers: { 'Content-Type': 'application/json' },
             body: JSON.stringify({ ids })
@@ -643,6 +703,70 @@ window.bulkDeleteMailboxes = async function () {
     }
 };
 
+const FOLDER_LABELS = { inbox: '收件箱', junk: '垃圾箱' };
+
+/**
+ * 批量清空选中邮箱的收件箱或垃圾箱（后台任务）
+ * @param {'inbox'|'junk'} folder 文件夹
+ */
+window.bulkProcessFolder = async function (folder) {
+    const label = FOLDER_LABELS[folder];
+    const selected = mailboxListManager.getBatchSelectedMailboxes();
+    if (!selected || selected.length === 0) {
+        setStatusMessage(`请先勾选要清空${label}的邮箱`, 'error');
+        return;
+    }
+
+    const ids = selected.map(m => m.id).filter(Boolean);
+    if (!confirm(`确定要清空选中的 ${ids.length} 个邮箱的${label}吗？此操作不可恢复！`)) {
+        return;
+    }
+
+    const showProgress = ({ progress = {} }) => {
+        setStatusMessage(`正在清空${label} ${progress.processed || 0}/${progress.total || ids.length}...`, 'loading');
+    };
+
+    try {
+        showProgress({});
+        const response = await authFetch(`${SUPABASE_API_BASE}/mailboxes/bulk/process-folder`, {
+            method: 'POST',
+            headers: { 'Content-Type': 'application/json' },
+            body: JSON.stringify({ ids, folder })
+        });
+        const started = await response.json();
+        if (!response.ok || started.success === false) {
+            throw new Error(started.error || `批量清空${label}失败`);
+        }
+
+        const job = await watchJob(API_CONFIG.BASE_URL, started.job_id, {
+            onStatus: showProgress,
+            onItem: showProgress,
+        });
+
+        if (job.status === 'failed') {
+            throw new Error(job.error || `批量清空${label}失败`);
+        }
+
+        const result = job.result || {};
+        const failedEmails = (result.results || [])
+            .filter(r => !r.success)
+            .map(r => `${r.email || r.mailbox_id}（${r.error}）`);
+        const prefix = job.status === 'cancelled' ? `批量清空${label}已取消` : `批量清空${label}完成`;
+
+        setStatusMessage(
+            `${prefix}：成功 ${result.succeeded || 0} 个，失败 ${result.failed || 0} 个`
+                + (failedEmails.length > 0 ? `。失败：${failedEmails.slice(0, 5).join('，')}${failedEmails.length > 5 ? ' 等' : ''}` : ''),
+            failedEmails.length > 0 || job.status === 'cancelled' ? 'info' : 'success'
+        );
+
+        if (AppState.selectedMailboxIndex !== -1) {
+            clearEmailDisplay();
+        }
+    } catch (error) {
+        setStatusMessage(`批量清空${label}失败: ${error.message}`, 'error');
+    }
+};
+
 /**
  * 加载邮件列表 - 使用防抖优化
  * 重构版本：消除代码重复，使用统一工具函数
@@ -670,11 +794,66 @@ const loadEmailListInternal = debounce(async function () {
         setStatusMessage(`已加载 ${emails.length} 封邮件`, 'success');
     } catch (error) {
         console.error('加载邮件列表失败:', error);
+
+        // 外部 API 失败时回退到服务端缓存
+        try {
+            const cached = await fetchCachedMessages(getSelectedMailbox(AppState), folder);
+            if (cached.length > 0) {
+                AppState.emailListData = cached;
+                emailListManager.updateEmails(cached);
+                setStatusMessage(`加载失败（${error.message}），已显示 ${cached.length} 封缓存邮件`, 'warning');
+                return;
+            }
+        } catch (cacheError) {
+            console.error('读取缓存邮件失败:', cacheError);
+        }
+
         setStatusMessage('加载邮件列表失败: ' + error.message, 'error');
         emailListManager.clear();
     }
 }, 500);
 
+/**
+ * 跳转到搜索结果对应的邮箱和邮件
+ * 直接显示服务端缓存的邮件，不重新请求外部 API
+ */
+async function jumpToSearchResult(result) {
+    const index = AppState.mailboxes.findIndex(m => m.id === result.mailbox_id);
+    if (index === -1) {
+        setStatusMessage('该邮箱不在当前列表中', 'error');
+        return;
+    }
+
+    const mailbox = AppState.mailboxes[index];
+    document.getElementById('mailboxFolderList').value = result.folder === 'junk' ? 'Junk' : 'INBOX';
+    AppState.selectedMailboxIndex = index;
+    mailboxListManager.selectedIndex = index;
+    mailboxListManager.render();
+
+    const emails = await fetchCachedMessages(mailbox, result.folder);
+    let emailIndex = emails.findIndex(m => m.id === result.id);
+    if (emailIndex === -1) {
+        // 较早的邮件不在第一页缓存中，单独读取
+        const response = await authFetch(`${API_CONFIG.BASE_URL}/mailboxes/${mailbox.id}/messages/${result.id}`);
+        const detail = await response.json();
+        if (!response.ok || !detail.success) {
+            throw new Error(detail.error || '读取邮件失败');
+        }
+        emails.unshift(detail.data);
+        emailIndex = 0;
+    }
+
+    AppState.emailListData = emails;
+    emailListManager.updateEmails(emails);
+    emailListManager.selectEmail(emailIndex);
+    emailListManager.scrollToIndex(emailIndex);
+    setStatusMessage(`已跳转到 ${mailbox.email}（缓存邮件）`, 'success');
+
+    if (isMobileDevice()) {
+        window.switchMobileView('main-content');
+    }
+}
+
 /**
  * 显示选中的邮件
  */
@@ -768,7 +947,7 @@ window.clearEmailDisplay = function () {
 };
 
 /**
- * 切换批量删除模式
+ * 切换批量操作模式（批量删除、批量清空文件夹）
  */
 window.toggleBulkDeleteMode = function () {
     AppState.bulkDeleteMode = !AppState.bulkDeleteMode;
@@ -779,13 +958,13 @@ window.toggleBulkDeleteMode = function () {
 
     if (AppState.bulkDeleteMode) {
         actions.style.display = 'flex';
-        toggleBtn.textContent = '关闭批量删除';
-        setStatusMessage('批量删除模式已开启，请勾选邮箱', 'info');
+        toggleBtn.textContent = '关闭批量操作';
+        setStatusMessage('批量操作模式已开启，请勾选邮箱', 'info');
     } else {
         actions.style.display = 'none';
-        toggleBtn.textContent = '开启批量删除';
+        toggleBtn.textContent = '开启批量操作';
         mailboxListManager.clearBatchSelection();
-        setStatusMessage('已退出批量删除模式', 'info');
+        setStatusMessage('已退出批量操作模式', 'info');
     }
 };
 
@@ -825,8 +1004,77 @@ window.switchTab = function (tabId) {
 
     document.querySelector(`.tab[onclick*="${tabId}"]`).classList.add('active');
     document.getElementById(tabId).style.display = 'block';
+
+    if (tabId === 'activityTab') {
+        initActivityFilters();
+        loadActivityLog(API_CONFIG.BASE_URL);
+    } else if (tabId === 'quarantineTab') {
+        loadQuarantine(API_CONFIG.BASE_URL);
+    } else if (tabId === 'purchasesTab') {
+        loadPurchases(API_CONFIG.BASE_URL);
+    }
+
+    if (tabId === 'jobsTab') {
+        loadJobsPanel(API_CONFIG.BASE_URL);
+    } else {
+        stopJobsPanel();
+    }
+};
+
+/**
+ * 操作记录：按当前过滤条件查询 / 加载下一页
+ */
+window.loadActivityLog = function () {
+    return loadActivityLog(API_CONFIG.BASE_URL);
+};
+
+window.loadMoreActivity = function () {
+    return loadActivityLog(API_CONFIG.BASE_URL, { append: true });
 };
 
+/**
+ * 隔离区：刷新列表 / 重新检测 / 手动恢复
+ */
+window.loadQuarantine = function () {
+    return loadQuarantine(API_CONFIG.BASE_URL);
+};
+
+window.retestQuarantined = async function (id) {
+    const summary = await retestQuarantine(API_CONFIG.BASE_URL, [id]);
+    if (summary) loadHealthStatuses();
+};
+
+window.restoreQuarantined = function (id) {
+    return restoreQuarantine(API_CONFIG.BASE_URL, [id]);
+};
+
+/**
+ * 任务面板：刷新 / 取消
+ */
+window.loadJobsPanel = function () {
+    return loadJobsPanel(API_CONFIG.BASE_URL);
+};
+
+/**
+ * 采购记录：订单列表 / 订单详情
+ */
+window.loadPurchases = function () {
+    return loadPurchases(API_CONFIG.BASE_URL);
+};
+
+window.showPurchaseDetail = function (id) {
+    return showPurchaseDetail(API_CONFIG.BASE_URL, id);
+};
+
+window.cancelJobFromPanel = function (id) {
+    return cancelJobFromPanel(API_CONFIG.BASE_URL, id);
+};
+
+/**
+ * 退出登录
+ */
+window.logout = logout;
+
 /**
  * 设置状态消息
  */
@@ -852,21 +1100,59 @@ window.saveApiSettings = function () {
 };
 
 // 采购相关功能
-function initPurchaseLibrary() {
-    const saved = localStorage.getItem('purchaseLibrary') || '1';
-    document.getElementById('purchaseLibrary').value = saved;
-    populateCommodities(saved);
+async function initPurchaseLibrary() {
+    try {
+        await loadCatalog();
+    } catch (error) {
+        console.error('加载商品目录失败:', error);
+    }
+}
+
+/**
+ * 加载商品目录并重建供应商和商品下拉框（保留当前选择）
+ * @param {boolean} refresh 忽略服务端缓存重新查询库存
+ */
+async function loadCatalog(refresh = false) {
+    const response = await authFetch(`${API_CONFIG.BASE_URL}/proxy/catalog${refresh ? '?refresh=1' : ''}`);
+    const data = await response.json();
+    if (!response.ok || data.success === false) {
+        throw new Error(data.error || '加载商品目录失败');
+    }
+    SUPPLIERS = data.data.suppliers || [];
+
+    const select = document.getElementById('purchaseLibrary');
+    const current = select.value || localStorage.getItem('purchaseLibrary');
+    select.innerHTML = '';
+    SUPPLIERS.forEach(supplier => {
+        const opt = document.createElement('option');
+        opt.value = supplier.id;
+        opt.textContent = supplier.configured ? supplier.name : `${supplier.name}（未配置凭证）`;
+        select.appendChild(opt);
+    });
+
+    select.value = SUPPLIERS.some(s => s.id === current) ? current : (SUPPLIERS[0]?.id || '');
+    populateCommodities(select.value);
+}
+
+function formatProductOption(item) {
+    const stock = item.stock === null ? '库存未知' : `库存 ${item.stock}`;
+    const price = item.price === null || item.price === undefined ? '' : ` · ¥${item.price}`;
+    return `${item.name}（ID:${item.id}）· ${stock}${price}`;
 }
 
 function populateCommodities(lib) {
     const select = document.getElementById('commodityId');
+    const current = select.value;
+    const products = SUPPLIERS.find(s => s.id === lib)?.products || [];
     select.innerHTML = '';
-    (LIBRARIES[lib]?.items || []).forEach(item => {
+    products.forEach(item => {
         const opt = document.createElement('option');
         opt.value = item.id;
-        opt.textContent = `${item.name}（ID:${item.id}）`;
+        opt.textContent = formatProductOption(item);
         select.appendChild(opt);
     });
+    if (products.some(p => p.id === current)) select.value = current;
+    updateStockDisplay();
 }
 
 window.onPurchaseLibraryChange = function () {
@@ -877,9 +1163,8 @@ window.onPurchaseLibraryChange = function () {
 
 // ==================== 采购相关功能 ====================
 
-// 查询库存
+// 查询库存：重新查询全部商品的库存和价格
 window.checkStock = async function () {
-    const commodityId = document.getElementById('commodityId').value;
     const stockDisplay = document.getElementById('stockDisplay');
 
     stockDisplay.innerHTML = '正在查询库存...';
@@ -887,36 +1172,9 @@ window.checkStock = async function () {
     setStatusMessage('正在查询库存...', 'loading');
 
     try {
-        const lib = document.getElementById('purchaseLibrary').value || '1';
-        const response = await fetch(`${API_CONFIG.BASE_URL}/proxy/stock?commodity_id=${commodityId}&library=${lib}`, {
-            method: 'GET',
-            headers: { 'Accept': 'application/json' }
-        });
-
-        const data = await response.json();
-        document.getElementById('rawData').textContent = JSON.stringify(data, null, 2);
-
-        if (data && data.code === 200 && data.data) {
-            const stockNum = data.data.stock || 0;
-            const productName = data.data.name || '未知';
-
-            // 防止 XSS：使用 textContent 而不是 innerHTML
-            stockDisplay.textContent = `产品: ${productName}\n库存: ${stockNum} 个`;
-            stockDisplay.style.color = stockNum > 0 ? '#27ae60' : '#e74c3c';
-            setStatusMessage('库存查询成功', 'success');
-        } else if (data && data.num !== undefined) {
-            const stockNum = data.num || 0;
-            const productName = data.name || '未知';
-
-            // 防止 XSS：使用 textContent 而不是 innerHTML
-            stockDisplay.textContent = `产品: ${productName}\n库存: ${stockNum} 个`;
-            stockDisplay.style.color = stockNum > 0 ? '#27ae60' : '#e74c3c';
-            setStatusMessage('库存查询成功', 'success');
-        } else {
-            stockDisplay.textContent = '库存查询失败：数据格式错误';
-            stockDisplay.style.color = '#e74c3c';
-            setStatusMessage('库存查询失败：数据格式错误', 'error');
-        }
+        await loadCatalog(true);
+        document.getElementById('rawData').textContent = JSON.stringify(SUPPLIERS, null, 2);
+        setStatusMessage('库存查询成功', 'success');
     } catch (error) {
         console.error('查询库存失败:', error);
         // 防止 XSS：使用 textContent
@@ -926,11 +1184,29 @@ window.checkStock = async function () {
     }
 };
 
-// 更新库存显示
+// 更新库存显示（使用目录中的库存）
 window.updateStockDisplay = function () {
     const stockDisplay = document.getElementById('stockDisplay');
-    stockDisplay.innerHTML = '点击"查询库存"获取当前库存信息';
-    stockDisplay.style.color = '#3498db';
+    const lib = document.getElementById('purchaseLibrary').value;
+    const commodityId = document.getElementById('commodityId').value;
+    const item = SUPPLIERS.find(s => s.id === lib)?.products.find(p => p.id === commodityId);
+
+    if (!item || (item.stock === null && !item.error)) {
+        stockDisplay.textContent = '点击"查询库存"获取当前库存信息';
+        stockDisplay.style.color = '#3498db';
+        return;
+    }
+
+    if (item.error) {
+        stockDisplay.textContent = `查询失败: ${item.error}`;
+        stockDisplay.style.color = '#e74c3c';
+        return;
+    }
+
+    // 防止 XSS：使用 textContent 而不是 innerHTML
+    const price = item.price === null || item.price === undefined ? '' : `\n单价: ¥${item.price}`;
+    stockDisplay.textContent = `产品: ${item.name}\n库存: ${item.stock} 个${price}`;
+    stockDisplay.style.color = item.stock > 0 ? '#27ae60' : '#e74c3c';
 };
 
 // 查询余额
@@ -942,11 +1218,11 @@ window.checkBalance = async function () {
     setStatusMessage('正在查询余额...', 'loading');
 
     try {
-        const lib = document.getElementById('purchaseLibrary').value || '1';
-        const response = await fetch(`${SUPABASE_API_BASE}/proxy/balance`, {
+        const supplier = document.getElementById('purchaseLibrary').value;
+        const response = await authFetch(`${SUPABASE_API_BASE}/proxy/balance`, {
             method: 'POST',
             headers: { 'Content-Type': 'application/json' },
-            body: JSON.stringify({ library: lib })  // 不再发送 app_id 和 app_key
+            body: JSON.stringify({ supplier })  // 不再发送 app_id 和 app_key
         });
 
         const data = await response.json();
@@ -961,7 +1237,7 @@ window.checkBalance = async function () {
             balanceDisplay.style.color = '#27ae60';
             setStatusMessage('余额查询成功', 'success');
         } else {
-            throw new Error(data.message || '查询失败');
+            throw new Error(data.error || '查询失败');
         }
     } catch (error) {
         // 防止 XSS：使用 textContent
@@ -973,6 +1249,7 @@ window.checkBalance = async function () {
 
 // 购买邮箱
 // ⚠️ 安全改进：API 凭证已移至后端，前端无需发送
+// 以后台任务执行：服务端购买后直接导入邮箱，这里只跟踪任务进度
 window.purchaseEmails = async function () {
     const commodityId = document.getElementById('commodityId').value;
     const num = parseInt(document.getElementById('purchaseNum').value);
@@ -985,90 +1262,58 @@ window.purchaseEmails = async function () {
     setStatusMessage('正在购买邮箱...', 'loading');
 
     try {
-        const lib = document.getElementById('purchaseLibrary').value || '1';
-        const response = await fetch(`${API_CONFIG.BASE_URL}/proxy/purchase`, {
+        const supplier = document.getElementById('purchaseLibrary').value;
+        const submit = (confirmToken) => authFetch(`${API_CONFIG.BASE_URL}/proxy/purchase`, {
             method: 'POST',
             headers: { 'Content-Type': 'application/json' },
             body: JSON.stringify({
                 commodity_id: commodityId,
                 num: num,
-                library: lib
-                // 不再发送 app_id 和 app_key
+                supplier,
+                async: true,
+                confirm_token: confirmToken
             })
         });
 
-        const data = await response.json();
-        document.getElementById('rawData').textContent = JSON.stringify(data, null, 2);
+        let response = await submit();
+        let started = await response.json();
 
-        if (data.code === 200 && data.data && data.data.cards) {
-            const cards = data.data.cards;
-            const newMailboxes = [];
-            let successCount = 0;
-            let errorCount = 0;
-
-            for (const card of cards) {
-                try {
-                    const parts = card.split('----');
-                    if (parts.length >= 4) {
-                        const mailboxObj = {
-                            email: parts[0],
-                            password: parts[1],
-                            client_id: parts[2],
-                            refresh_token: parts[3],
-                            source: 'purchase'
-                        };
-
-                        const exists = AppState.mailboxes.some(m => m.email.toLowerCase() === parts[0].toLowerCase());
-                        if (!exists) {
-                            AppState.mailboxes.push(mailboxObj);
-                            newMailboxes.push(mailboxObj);
-                            successCount++;
-                        }
-                    } else {
-                        errorCount++;
-                    }
-                } catch (error) {
-                    errorCount++;
-                }
+        // 大额订单需要二次确认
+        if (response.status === 409 && started.requires_confirmation) {
+            if (!confirm(`${started.error}，确定购买吗？`)) {
+                setStatusMessage('已取消购买', 'info');
+                return;
             }
+            response = await submit(started.confirmation.confirm_token);
+            started = await response.json();
+        }
 
-            mailboxListManager.updateMailboxes(AppState.mailboxes);
+        if (!response.ok || started.success === false) {
+            throw new Error(started.error || '购买失败');
+        }
 
-            // 保存到服务器
-            if (newMailboxes.length > 0) {
-                try {
-                    const saveResp = await fetch(`${API_CONFIG.BASE_URL}/mailboxes/batch`, {
-                        method: 'POST',
-                        headers: { 'Content-Type': 'application/json' },
-                        body: JSON.stringify({ mailboxes: newMailboxes })
-                    });
-                    const saveResult = await saveResp.json();
-                    if (saveResp.ok && saveResult.data) {
-                        // 用服务端返回的数据（含ID）刷新本地列表
-                        const existingEmails = new Set(AppState.mailboxes.map(m => m.email.toLowerCase()));
-                        const returned = saveResult.data.map(m => ({ ...m, source: m.source || 'purchase' }));
-                        const merged = [
-                            ...AppState.mailboxes.filter(m => existingEmails.has(m.email.toLowerCase())),
-                            ...returned
-                        ];
-                        AppState.mailboxes = merged;
-                        mailboxListManager.updateMailboxes(AppState.mailboxes);
-                    }
-                } catch (e) {
-                    console.error('保存到服务器失败:', e);
-                }
+        const job = await watchJob(API_CONFIG.BASE_URL, started.job_id, {
+            onStatus: (current) => {
+                if (current.status === 'running') setStatusMessage('正在购买并导入邮箱...', 'loading');
             }
+        });
+        document.getElementById('rawData').textContent = JSON.stringify(job, null, 2);
 
-            const totalPrice = data.data.total_price || '未知';
-            const message = `成功购买 ${successCount} 个邮箱` +
-                (errorCount > 0 ? `，${errorCount} 个解析失败` : '') +
-                `。订单号: ${data.data.trade_no || '未知'}，总价: ¥${totalPrice}`;
-
-            setStatusMessage(message, 'success');
-        } else {
-            const errorMsg = data.msg || '购买失败';
-            setStatusMessage(`购买失败: ${errorMsg}`, 'error');
+        if (job.status !== 'completed') {
+            throw new Error(job.error || '任务已取消');
         }
+
+        const result = job.result || {};
+        const message = `成功购买 ${result.purchased || 0} 个邮箱，导入 ${(result.added || 0) + (result.reactivated || 0)} 个` +
+            (result.skipped > 0 ? `，${result.skipped} 个已存在` : '') +
+            (result.invalid > 0 ? `，${result.invalid} 个卡密无效` : '') +
+            `。订单号: ${result.trade_no || '未知'}，总价: ¥${result.total_price || '未知'}` +
+            (result.import_error ? `。导入失败: ${result.import_error}，卡密已保存在采购订单中` : '');
+
+        await loadMailboxesFromStorage();
+        // 购买后服务端已清除该商品的库存缓存
+        loadCatalog().catch(err => console.error('刷新商品目录失败:', err));
+        setStatusMessage(message, result.import_error ? 'warning' : 'success');
     } catch (error) {
         setStatusMessage('购买邮箱失败: ' + error.message, 'error');
     }
@@ -1079,7 +1324,7 @@ window.purchaseEmails = async function () {
  */
 async function validatePurchasedMailboxes(ids = []) {
     try {
-        const response = await fetch(`${SUPABASE_API_BASE}/mailboxes/validate-purchased`, {
+        const response = await authFetch(`${SUPABASE_API_BASE}/mailboxes/validate-purchased`, {
             method: 'POST',
             headers: { 'Content-Type': 'application/json' },
             body: JSON.stringify({ ids })
@@ -1099,27 +1344,123 @@ async function validatePurchasedMailboxes(ids = []) {
 
 /**
  * 手动触发：检测数据库中所有邮箱的有效性（所有来源）
+ * 服务端以后台任务执行，这里显示实时进度，可中途取消
  */
+let validateJobId = null;
+
+function renderValidateProgress(job) {
+    const { total = 0, processed = 0, percent = 0 } = job.progress || {};
+    document.getElementById('validateProgressBar').style.width = `${percent}%`;
+    document.getElementById('validateProgressText').textContent = total > 0
+        ? `检测中 ${processed}/${total}（${percent}%）`
+        : '准备检测...';
+}
+
 window.validateAllMailboxes = async function () {
-    setStatusMessage('正在检测所有邮箱有效性...', 'loading');
+    if (validateJobId) {
+        setStatusMessage('检测任务正在进行中', 'info');
+        return;
+    }
+
+    const panel = document.getElementById('validateProgress');
+
     try {
-        const response = await fetch(`${SUPABASE_API_BASE}/mailboxes/validate-all`, {
+        const response = await authFetch(`${SUPABASE_API_BASE}/mailboxes/validate-all`, {
             method: 'POST',
             headers: { 'Content-Type': 'application/json' }
         });
-        const result = await response.json();
-        if (!response.ok || result.success === false) {
-            throw new Error(result.error || '检测失败');
+        const started = await response.json();
+        if (!response.ok || started.success === false) {
+            throw new Error(started.error || '检测失败');
         }
 
-        AppState.mailboxes = result.data || [];
-        mailboxListManager.updateMailboxes(AppState.mailboxes);
-        mailboxListManager.clearBatchSelection();
+        validateJobId = started.job_id;
+        panel.style.display = '';
+        renderValidateProgress(started.data);
+
+        const job = await watchJob(API_CONFIG.BASE_URL, validateJobId, {
+            onStatus: renderValidateProgress,
+            onItem: (item) => renderValidateProgress({ progress: item.progress }),
+        });
 
-        setStatusMessage(`检测完成：检测 ${result.checked || 0} 个，移除 ${result.removed || 0} 个`, 'success');
+        if (job.status === 'failed') {
+            throw new Error(job.error || '检测失败');
+        }
+
+        const result = job.result || {};
+        const prefix = job.status === 'cancelled' ? '检测已取消' : '检测完成';
+        setStatusMessage(
+            `${prefix}：有效 ${result.checked || 0} 个，失效 ${result.failed || 0} 个，新隔离 ${result.quarantined || 0} 个，停用 ${result.removed || 0} 个`,
+            job.status === 'cancelled' ? 'info' : 'success'
+        );
+
+        mailboxListManager.clearBatchSelection();
+        await loadMailboxesFromStorage();
         clearEmailDisplay();
     } catch (error) {
         setStatusMessage(`检测邮箱失败: ${error.message}`, 'error');
+    } finally {
+        validateJobId = null;
+        panel.style.display = 'none';
+    }
+};
+
+window.cancelValidateAll = async function () {
+    if (!validateJobId) return;
+    try {
+        await cancelJob(API_CONFIG.BASE_URL, validateJobId);
+        document.getElementById('validateProgressText').textContent = '正在取消，等待当前批次结束...';
+    } catch (error) {
+        setStatusMessage(`取消失败: ${error.message}`, 'error');
+    }
+};
+
+let refreshTokensJobId = null;
+
+/**
+ * 刷新全部可见邮箱的令牌（后台任务），保存微软轮换后的刷新令牌
+ */
+window.refreshAllTokens = async function () {
+    if (refreshTokensJobId) {
+        setStatusMessage('令牌刷新任务正在进行中', 'info');
+        return;
+    }
+
+    const showProgress = ({ progress = {} }) => {
+        setStatusMessage(`正在刷新令牌 ${progress.processed || 0}/${progress.total || 0}...`, 'loading');
+    };
+
+    try {
+        showProgress({});
+        const response = await authFetch(`${SUPABASE_API_BASE}/mailboxes/refresh-tokens`, {
+            method: 'POST',
+            headers: { 'Content-Type': 'application/json' }
+        });
+        const started = await response.json();
+        if (!response.ok || started.success === false) {
+            throw new Error(started.error || '刷新令牌失败');
+        }
+
+        refreshTokensJobId = started.job_id;
+        const job = await watchJob(API_CONFIG.BASE_URL, refreshTokensJobId, {
+            onStatus: showProgress,
+            onItem: showProgress,
+        });
+
+        if (job.status === 'failed') {
+            throw new Error(job.error || '刷新令牌失败');
+        }
+
+        const result = job.result || {};
+        const prefix = job.status === 'cancelled' ? '令牌刷新已取消' : '令牌刷新完成';
+        setStatusMessage(
+            `${prefix}：成功 ${result.refreshed || 0} 个（轮换 ${result.rotated || 0} 个），失败 ${result.failed || 0} 个`,
+            result.failed > 0 || job.status === 'cancelled' ? 'info' : 'success'
+        );
+    } catch (error) {
+        setStatusMessage(`刷新令牌失败: ${error.message}`, 'error');
+    } finally {
+        refreshTokensJobId = null;
     }
 };
 
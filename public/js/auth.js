@@ -0,0 +1,187 @@
+/**
+ * 登录认证模块
+ * 管理访问令牌，为所有 /api 请求附加 Authorization 头，令牌失效时弹出登录框
+ */
+
+const TOKEN_KEY = 'easy_outlook_authToken';
+const USER_KEY = 'easy_outlook_authUser';
+
+let apiBase = '/api';
+let pendingLogin = null;
+
+/**
+ * 获取当前令牌
+ */
+export function getAuthToken() {
+    return localStorage.getItem(TOKEN_KEY);
+}
+
+/**
+ * 获取当前登录用户
+ */
+export function getCurrentUser() {
+    try {
+        return JSON.parse(localStorage.getItem(USER_KEY) || 'null');
+    } catch {
+        return null;
+    }
+}
+
+function saveSession(token, user) {
+    localStorage.setItem(TOKEN_KEY, token);
+    localStorage.setItem(USER_KEY, JSON.stringify(user));
+    renderCurrentUser();
+}
+
+function clearSession() {
+    localStorage.removeItem(TOKEN_KEY);
+    localStorage.removeItem(USER_KEY);
+    renderCurrentUser();
+}
+
+function renderCurrentUser() {
+    const user = getCurrentUser();
+    const label = document.getElementById('currentUserLabel');
+    const logoutBtn = document.getElementById('logoutBtn');
+    if (label) label.textContent = user ? `${user.username}（${user.role}）` : '';
+    if (logoutBtn) logoutBtn.style.display = user ? '' : 'none';
+    applyPermissions();
+}
+
+/**
+ * 当前用户是否拥有某项权限（权限列表由服务端下发）
+ * @param {string} permission 如 'purchase:buy'
+ */
+export function hasPermission(permission) {
+    const user = getCurrentUser();
+    return !!user && Array.isArray(user.permissions) && user.permissions.includes(permission);
+}
+
+/**
+ * 隐藏当前用户无权使用的按钮（带 data-permission 属性的元素）
+ * 仅用于界面提示，实际权限由服务端校验
+ */
+function applyPermissions() {
+    document.querySelectorAll('[data-permission]').forEach(el => {
+        el.style.display = hasPermission(el.dataset.permission) ? '' : 'none';
+    });
+    document.body.classList.toggle('no-mailbox-delete', !hasPermission('mailbox:delete'));
+}
+
+/**
+ * 带认证的 fetch
+ * 401 时清除本地令牌并弹出登录框
+ * @param {string} url
+ * @param {RequestInit} options
+ */
+export async function authFetch(url, options = {}) {
+    const headers = new Headers(options.headers || {});
+    const token = getAuthToken();
+    if (token) {
+        headers.set('Authorization', `Bearer ${token}`);
+    }
+
+    const response = await fetch(url, { ...options, headers });
+
+    if (response.status === 401) {
+        clearSession();
+        showLoginDialog();
+        throw new Error('登录已过期，请重新登录');
+    }
+
+    return response;
+}
+
+/**
+ * 显示登录框，登录成功后 resolve
+ * @returns {Promise<object>} 登录用户
+ */
+export function showLoginDialog() {
+    if (pendingLogin) return pendingLogin;
+
+    const overlay = document.getElementById('loginOverlay');
+    const form = document.getElementById('loginForm');
+    const errorEl = document.getElementById('loginError');
+
+    overlay.style.display = 'flex';
+    errorEl.textContent = '';
+    document.getElementById('loginUsername').focus();
+
+    pendingLogin = new Promise((resolve) => {
+        form.onsubmit = async (event) => {
+            event.preventDefault();
+            errorEl.textContent = '';
+
+            const username = document.getElementById('loginUsername').value.trim();
+            const password = document.getElementById('loginPassword').value;
+            const submitBtn = form.querySelector('button[type="submit"]');
+            submitBtn.disabled = true;
+
+            try {
+                const response = await fetch(`${apiBase}/auth/login`, {
+                    method: 'POST',
+                    headers: { 'Content-Type': 'application/json' },
+                    body: JSON.stringify({ username, password }),
+                });
+                const result = await response.json();
+
+                if (!response.ok || !result.success) {
+                    throw new Error(result.error || `登录失败: ${response.status}`);
+                }
+
+                saveSession(result.data.token, result.data.user);
+                document.getElementById('loginPassword').value = '';
+                overlay.style.display = 'none';
+                form.onsubmit = null;
+                pendingLogin = null;
+                resolve(result.data.user);
+            } catch (error) {
+                errorEl.textContent = error.message;
+            } finally {
+                submitBtn.disabled = false;
+            }
+        };
+    });
+
+    return pendingLogin;
+}
+
+/**
+ * 确保已登录：校验本地令牌，无效时等待用户登录
+ * @param {string} base API 基础地址
+ * @returns {Promise<object>} 当前用户
+ */
+export async function ensureAuthenticated(base) {
+    apiBase = base;
+
+    if (getAuthToken()) {
+        try {
+            const response = await fetch(`${apiBase}/auth/me`, {
+                headers: { Authorization: `Bearer ${getAuthToken()}` },
+            });
+            if (response.ok) {
+                const result = await response.json();
+                saveSession(getAuthToken(), result.data);
+                return result.data;
+            }
+        } catch (error) {
+            console.warn('校验登录状态失败:', error);
+        }
+        clearSession();
+    }
+
+    return showLoginDialog();
+}
+
+/**
+ * 退出登录
+ */
+export async function logout() {
+    try {
+        await authFetch(`${apiBase}/auth/logout`, { method: 'POST' });
+    } catch (error) {
+        console.warn('退出登录请求失败:', error);
+    }
+    clearSession();
+    window.location.reload();
+}
@@ -72,29 +72,8 @@ export const PURCHASE_CONFIG = {
     DEFAULT_APP_ID: '',  // 留空，由后端提供
     DEFAULT_APP_KEY: '', // 留空，由后端提供
     
-    // 仓库配置
-    LIBRARIES: {
-        '1': {
-            name: '一号库',
-            base: 'https://outlook007.cc/api',
-            items: [
-                { id: '1', name: '短效hotmail带令牌' },
-                { id: '2', name: '短效outlook带令牌' },
-                { id: '13', name: '日本短效outlook带令牌' },
-                { id: '14', name: '德国短效outlook带令牌' },
-                { id: '15', name: '意大利短效outlook带令牌' },
-            ],
-        },
-        '2': {
-            name: '二号库',
-            base: 'https://outlook007.cc/api1',
-            items: [
-                { id: '3', name: '短效hotmail带令牌' },
-                { id: '4', name: '短效outlook带令牌' },
-            ],
-        },
-    },
-    
+    // 供应商和商品由服务端提供：GET /api/proxy/catalog
+
     // 购买限制
     MIN_PURCHASE: 1,
     MAX_PURCHASE: 2000,
@@ -4,6 +4,58 @@
 
 import { escapeHtml, formatDate } from './utils.js';
 
+const HEALTH_LABELS = {
+    healthy: '正常',
+    invalid: '失效',
+    error: '异常',
+};
+
+/**
+ * 邮箱健康状态徽标
+ * @returns {HTMLSpanElement|null} 从未检测过时返回 null
+ */
+function createHealthBadge(check) {
+    if (!check) return null;
+
+    const badge = document.createElement('span');
+    badge.className = `health-badge health-${check.status}`;
+    badge.textContent = HEALTH_LABELS[check.status] || check.status;
+    badge.title = [
+        `最近检测: ${formatDate(check.checked_at)}`,
+        check.latency_ms != null ? `耗时: ${check.latency_ms}ms` : '',
+        check.error ? `错误: ${check.error}` : '',
+    ].filter(Boolean).join('\n');
+
+    return badge;
+}
+
+/**
+ * 验证码 / 验证链接复制按钮（服务端在邮件上附加 otp 字段）
+ * @returns {HTMLButtonElement|null}
+ */
+function createOtpChip(email) {
+    const { code, link } = email.otp || {};
+    const value = code || link;
+    if (!value) return null;
+
+    const chip = document.createElement('button');
+    chip.type = 'button';
+    chip.className = 'otp-chip';
+    chip.textContent = code || '复制链接';
+    chip.title = code ? '点击复制验证码' : link;
+    chip.onclick = async (e) => {
+        e.stopPropagation();
+        try {
+            await navigator.clipboard.writeText(value);
+            window.setStatusMessage?.(code ? `已复制验证码 ${code}` : '已复制验证链接', 'success');
+        } catch {
+            window.setStatusMessage?.('复制失败', 'error');
+        }
+    };
+
+    return chip;
+}
+
 export class EmailListManager {
     constructor(containerSelector) {
         this.container = document.querySelector(containerSelector);
@@ -44,6 +96,9 @@ export class EmailListManager {
         item.appendChild(from);
         item.appendChild(date);
 
+        const otpChip = createOtpChip(email);
+        if (otpChip) item.appendChild(otpChip);
+
         return item;
     }
 
@@ -66,6 +121,9 @@ export class EmailListManager {
             <div class="email-item-date">${dateStr}</div>
         `;
 
+        const otpChip = createOtpChip(email);
+        if (otpChip) item.appendChild(otpChip);
+
         return item;
     }
 
@@ -223,6 +281,8 @@ export class MailboxListManager {
         this.onDeleteCallback = null;
         this.batchSelection = new Set();
         this.bulkMode = false;
+        // mailbox_id → 最新健康检查结果
+        this.healthStatuses = {};
     }
 
     /**
@@ -235,6 +295,14 @@ export class MailboxListManager {
         this.render();
     }
 
+    /**
+     * 更新健康检查状态（GET /api/mailboxes/health/latest）
+     */
+    setHealthStatuses(statuses) {
+        this.healthStatuses = statuses || {};
+        this.render();
+    }
+
     /**
      * 渲染邮箱列表（使用文档片段优化）
      */
@@ -399,6 +467,9 @@ export class MailboxListManager {
             this.deleteMailbox(index);
         };
 
+        const healthBadge = createHealthBadge(this.healthStatuses[mailbox.id]);
+        if (healthBadge) item.appendChild(healthBadge);
+
         item.appendChild(emailDiv);
         item.appendChild(deleteButton);
 
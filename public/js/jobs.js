@@ -0,0 +1,244 @@
+/**
+ * 后台任务客户端和任务面板
+ * 通过 GET /api/jobs/:id/events（SSE）接收任务进度；EventSource 无法携带认证头，
+ * 因此用 authFetch 读取响应流并自行解析事件。连接中断时回退为轮询 GET /api/jobs/:id
+ */
+
+import { authFetch } from './auth.js';
+import { escapeHtml, formatDate } from './utils.js';
+
+const POLL_INTERVAL = 2000;
+
+// 任务面板有进行中的任务时的自动刷新间隔
+const PANEL_REFRESH_INTERVAL = 3000;
+
+export const JOB_TYPE_LABELS = {
+    'mailbox.validate': '检测邮箱有效性',
+    'purchase': '购买邮箱',
+    'mail.process_folder': '批量清空文件夹',
+    'mailbox.refresh_tokens': '刷新令牌',
+};
+
+const STATUS_LABELS = {
+    queued: '排队中',
+    running: '执行中',
+    completed: '已完成',
+    failed: '失败',
+    cancelled: '已取消',
+};
+
+const FINISHED = new Set(['completed', 'failed', 'cancelled']);
+
+/**
+ * 解析一段 SSE 文本块
+ * @private
+ * @returns {{ event: string, data: object }|null}
+ */
+function parseBlock(block) {
+    let event = 'message';
+    const data = [];
+    for (const line of block.split('\n')) {
+        if (line.startsWith('event:')) event = line.slice(6).trim();
+        else if (line.startsWith('data:')) data.push(line.slice(5).trim());
+    }
+    if (data.length === 0) return null;
+
+    try {
+        return { event, data: JSON.parse(data.join('\n')) };
+    } catch {
+        return null;
+    }
+}
+
+/**
+ * 查询任务
+ * @param {string} baseUrl API 基础路径
+ * @param {string} jobId 任务ID
+ */
+export async function fetchJob(baseUrl, jobId) {
+    const response = await authFetch(`${baseUrl}/jobs/${jobId}`);
+    const result = await response.json();
+    if (!response.ok || !result.success) {
+        throw new Error(result.error || `HTTP ${response.status}`);
+    }
+    return result.data;
+}
+
+/**
+ * 轮询直到任务结束
+ * @private
+ */
+async function pollUntilFinished(baseUrl, jobId, onStatus) {
+    for (;;) {
+        const job = await fetchJob(baseUrl, jobId);
+        onStatus?.(job);
+        if (FINISHED.has(job.status)) return job;
+        await new Promise(resolve => setTimeout(resolve, POLL_INTERVAL));
+    }
+}
+
+/**
+ * 跟踪任务进度直到结束
+ * @param {string} baseUrl API 基础路径
+ * @param {string} jobId 任务ID
+ * @param {object} handlers
+ * @param {function(object): void} handlers.onStatus 任务状态变化（含进度）
+ * @param {function(object): void} handlers.onItem 每一项的处理结果
+ * @returns {Promise<object>} 结束后的任务
+ */
+export async function watchJob(baseUrl, jobId, { onStatus, onItem } = {}) {
+    try {
+        const response = await authFetch(`${baseUrl}/jobs/${jobId}/events`, {
+            headers: { Accept: 'text/event-stream' },
+        });
+        if (!response.ok || !response.body) {
+            throw new Error(`HTTP ${response.status}`);
+        }
+
+        const reader = response.body.getReader();
+        const decoder = new TextDecoder();
+        let buffer = '';
+
+        for (;;) {
+            const { value, done } = await reader.read();
+            if (done) break;
+
+            buffer += decoder.decode(value, { stream: true });
+            const blocks = buffer.split('\n\n');
+            buffer = blocks.pop();
+
+            for (const block of blocks) {
+                const parsed = parseBlock(block);
+                if (!parsed) continue;
+                if (parsed.event === 'item') onItem?.(parsed.data);
+                else if (parsed.event === 'status') onStatus?.(parsed.data);
+                else if (parsed.event === 'done') {
+                    onStatus?.(parsed.data);
+                    reader.cancel().catch(() => {});
+                    return parsed.data;
+                }
+            }
+        }
+    } catch (error) {
+        console.warn('任务进度流中断，改为轮询:', error);
+    }
+
+    return pollUntilFinished(baseUrl, jobId, onStatus);
+}
+
+/**
+ * 取消任务
+ * @param {string} baseUrl API 基础路径
+ * @param {string} jobId 任务ID
+ */
+export async function cancelJob(baseUrl, jobId) {
+    const response = await authFetch(`${baseUrl}/jobs/${jobId}/cancel`, { method: 'POST' });
+    const result = await response.json();
+    if (!response.ok || !result.success) {
+        throw new Error(result.error || `HTTP ${response.status}`);
+    }
+    return result.data;
+}
+
+/**
+ * 将任务结果格式化为简短描述
+ * @private
+ */
+function describeResult(job) {
+    if (job.error && job.status !== 'completed') return job.error;
+
+    const r = job.result || {};
+    switch (job.type) {
+        case 'mailbox.validate':
+            return job.result ? `有效 ${r.checked ?? 0}，失效 ${r.failed ?? 0}，隔离 ${r.quarantined ?? 0}，停用 ${r.removed ?? 0}` : '';
+        case 'purchase':
+            return job.result ? `购买 ${r.purchased ?? 0}，导入 ${(r.added ?? 0) + (r.reactivated ?? 0)}，订单 ${r.trade_no || '-'}` : '';
+        case 'mail.process_folder':
+            return job.result ? `${r.folder === 'junk' ? '垃圾箱' : '收件箱'}：成功 ${r.succeeded ?? 0}，失败 ${r.failed ?? 0}` : '';
+        case 'mailbox.refresh_tokens':
+            return job.result ? `成功 ${r.refreshed ?? 0}，轮换 ${r.rotated ?? 0}，失败 ${r.failed ?? 0}` : '';
+        default:
+            return '';
+    }
+}
+
+/**
+ * 渲染任务列表
+ * @private
+ */
+function renderJobs(jobs, total) {
+    const list = document.getElementById('jobsList');
+    if (!list) return;
+
+    list.innerHTML = jobs.map(job => `
+        <tr>
+            <td class="activity-time">${escapeHtml(formatDate(job.created_at))}</td>
+            <td>${escapeHtml(JOB_TYPE_LABELS[job.type] || job.type)}</td>
+            <td>${escapeHtml(job.created_by_username || '系统')}</td>
+            <td><span class="job-status job-${escapeHtml(job.status)}">${escapeHtml(STATUS_LABELS[job.status] || job.status)}</span></td>
+            <td class="job-progress-cell">
+                <div class="job-progress-track"><div class="job-progress-bar" style="width: ${job.progress.percent}%"></div></div>
+                <span>${job.progress.processed}/${job.progress.total}</span>
+            </td>
+            <td class="activity-details">${escapeHtml(describeResult(job))}</td>
+            <td>
+                ${job.status === 'queued' || job.status === 'running'
+                    ? `<button class="warning small-btn" onclick="cancelJobFromPanel('${escapeHtml(job.id)}')" ${job.cancel_requested ? 'disabled' : ''}>取消</button>`
+                    : ''}
+            </td>
+        </tr>
+    `).join('') || '<tr><td colspan="7" class="activity-empty">暂无任务</td></tr>';
+
+    const summary = document.getElementById('jobsSummary');
+    if (summary) summary.textContent = `共 ${total} 个`;
+}
+
+let panelTimer = null;
+
+/**
+ * 停止任务面板的自动刷新（切换到其它标签页时调用）
+ */
+export function stopJobsPanel() {
+    clearTimeout(panelTimer);
+    panelTimer = null;
+}
+
+/**
+ * 加载任务面板；有排队中或执行中的任务时自动刷新
+ * @param {string} baseUrl API 基础路径
+ */
+export async function loadJobsPanel(baseUrl) {
+    stopJobsPanel();
+
+    try {
+        const response = await authFetch(`${baseUrl}/jobs?limit=50`);
+        const result = await response.json();
+        if (!response.ok || !result.success) {
+            throw new Error(result.error || `HTTP ${response.status}`);
+        }
+
+        renderJobs(result.data, result.total);
+
+        const visible = document.getElementById('jobsTab')?.style.display !== 'none';
+        if (visible && result.data.some(job => !FINISHED.has(job.status))) {
+            panelTimer = setTimeout(() => loadJobsPanel(baseUrl), PANEL_REFRESH_INTERVAL);
+        }
+    } catch (error) {
+        window.setStatusMessage?.(`加载任务失败: ${error.message}`, 'error');
+    }
+}
+
+/**
+ * 在任务面板中取消任务
+ * @param {string} baseUrl API 基础路径
+ * @param {string} jobId 任务ID
+ */
+export async function cancelJobFromPanel(baseUrl, jobId) {
+    try {
+        await cancelJob(baseUrl, jobId);
+        window.setStatusMessage?.('已请求取消任务', 'info');
+    } catch (error) {
+        window.setStatusMessage?.(`取消失败: ${error.message}`, 'error');
+    }
+    await loadJobsPanel(baseUrl);
+}
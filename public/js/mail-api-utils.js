@@ -5,6 +5,8 @@
  * ⚠️ 安全改进：邮件 API 调用通过后端代理，API 密码在后端配置，不再暴露在前端
  */
 
+import { authFetch } from './auth.js';
+
 /**
  * 构建邮件 API URL（通过后端代理）
  * @param {string} endpoint - API 端点（如 'emails', 'process-inbox', 'process-junk'）
@@ -16,15 +18,12 @@ export function buildMailApiUrl(endpoint, mailbox, extraParams = {}) {
     // 使用后端代理 API（不再直接调用外部 API）
     const backendProxyUrl = '/api/proxy/mail';
 
+    // 只传邮箱 ID，刷新令牌等凭证由后端从数据库读取，不经过浏览器
     const params = new URLSearchParams({
-        refresh_token: mailbox.refresh_token,
-        client_id: mailbox.client_id,
-        email: mailbox.email,
+        mailbox_id: mailbox.id,
         ...extraParams
     });
 
-    // 注意：密码已移除，现在由后端从环境变量读取
-
     return `${backendProxyUrl}/${endpoint}?${params.toString()}`;
 }
 
@@ -35,7 +34,7 @@ export function buildMailApiUrl(endpoint, mailbox, extraParams = {}) {
  * @returns {Promise<any>} API 响应数据
  */
 export async function callMailApi(url, options = {}) {
-    const response = await fetch(url, options);
+    const response = await authFetch(url, options);
 
     // 检查 HTTP 状态
     if (!response.ok) {
@@ -52,6 +51,24 @@ export async function callMailApi(url, options = {}) {
     return data;
 }
 
+/**
+ * 读取服务端缓存的邮件（外部 API 不可用或令牌失效时使用）
+ * @param {object} mailbox - 邮箱对象
+ * @param {string} folder - 文件夹名称
+ * @returns {Promise<Array>} 邮件数组（按时间倒序）
+ */
+export async function fetchCachedMessages(mailbox, folder) {
+    const params = new URLSearchParams({ folder, limit: 200 });
+    const response = await authFetch(`/api/mailboxes/${encodeURIComponent(mailbox.id)}/messages?${params.toString()}`);
+    const result = await response.json();
+
+    if (!response.ok || !result.success) {
+        throw new Error(result.error || `API 请求失败: ${response.status}`);
+    }
+
+    return result.data;
+}
+
 /**
  * 从 API 响应中提取邮件数组
  * @param {any} data - API 响应数据
@@ -89,7 +106,7 @@ export function validateMailbox(mailbox) {
         throw new Error('请先选择一个邮箱');
     }
 
-    const required = ['refresh_token', 'client_id', 'email'];
+    const required = ['id', 'email'];
     for (const field of required) {
         if (!mailbox[field]) {
             throw new Error(`邮箱缺少必要字段: ${field}`);
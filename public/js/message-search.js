@@ -0,0 +1,99 @@
+/**
+ * 全局邮件搜索框
+ * 调用 GET /api/messages/search 检索所有邮箱的缓存邮件，点击结果跳转到对应邮箱和邮件
+ */
+
+import { authFetch } from './auth.js';
+import { debounce, escapeHtml, formatDate } from './utils.js';
+
+const MIN_QUERY_LENGTH = 2;
+
+/**
+ * 初始化搜索框
+ * @param {object} options
+ * @param {string} options.baseUrl API 基础路径
+ * @param {(result: object) => void} options.onSelect 点击搜索结果时的回调
+ */
+export function initMessageSearch({ baseUrl, onSelect }) {
+    const input = document.getElementById('globalSearchInput');
+    const panel = document.getElementById('globalSearchResults');
+    if (!input || !panel) return;
+
+    let results = [];
+    let requestSeq = 0;
+
+    const hide = () => {
+        panel.style.display = 'none';
+    };
+
+    const render = (total) => {
+        if (results.length === 0) {
+            panel.innerHTML = '<div class="search-empty">没有找到匹配的邮件</div>';
+        } else {
+            panel.innerHTML = results.map((r, i) => `
+                <div class="search-result" data-index="${i}">
+                    <div class="search-result-head">
+                        <span class="search-result-mailbox">${escapeHtml(r.mailbox_email || '')}</span>
+                        <span class="search-result-date">${escapeHtml(formatDate(r.date))}</span>
+                    </div>
+                    <div class="search-result-subject">${escapeHtml(r.subject || '无主题')}</div>
+                    <div class="search-result-snippet">${escapeHtml(r.snippet || r.from || '')}</div>
+                </div>
+            `).join('') + (total > results.length
+                ? `<div class="search-more">共 ${total} 条，仅显示最新 ${results.length} 条</div>`
+                : '');
+        }
+        panel.style.display = 'block';
+    };
+
+    const search = debounce(async () => {
+        const q = input.value.trim();
+        if (q.length < MIN_QUERY_LENGTH) {
+            hide();
+            return;
+        }
+
+        const seq = ++requestSeq;
+        try {
+            const params = new URLSearchParams({ q, limit: 20 });
+            const response = await authFetch(`${baseUrl}/messages/search?${params.toString()}`);
+            const result = await response.json();
+            if (seq !== requestSeq) return;
+
+            if (!response.ok || !result.success) {
+                throw new Error(result.error || `HTTP ${response.status}`);
+            }
+
+            results = result.data;
+            render(result.total);
+        } catch (error) {
+            if (seq !== requestSeq) return;
+            window.setStatusMessage?.(`搜索失败: ${error.message}`, 'error');
+            hide();
+        }
+    }, 400);
+
+    input.addEventListener('input', search);
+    input.addEventListener('focus', () => {
+        if (results.length > 0 && input.value.trim().length >= MIN_QUERY_LENGTH) {
+            panel.style.display = 'block';
+        }
+    });
+    input.addEventListener('keydown', (e) => {
+        if (e.key === 'Escape') {
+            hide();
+            input.blur();
+        }
+    });
+
+    panel.addEventListener('click', (e) => {
+        const item = e.target.closest('.search-result');
+        if (!item) return;
+        hide();
+        onSelect(results[Number(item.dataset.index)]);
+    });
+
+    document.addEventListener('click', (e) => {
+        if (!panel.contains(e.target) && e.target !== input) hide();
+    });
+}
@@ -0,0 +1,106 @@
+/**
+ * 标题栏通知图标
+ * 定时拉取 GET /api/notifications 显示未读数量，点击展开通知列表；点击通知标记为已读
+ */
+
+import { authFetch } from './auth.js';
+import { escapeHtml, formatDate } from './utils.js';
+
+const POLL_INTERVAL = 60000;
+
+/**
+ * 发送请求并检查结果
+ * @private
+ */
+async function request(url, options = {}) {
+    const response = await authFetch(url, options);
+    const result = await response.json();
+    if (!response.ok || result.success === false) {
+        throw new Error(result.error || `HTTP ${response.status}`);
+    }
+    return result;
+}
+
+/**
+ * 初始化通知图标
+ * @param {object} options
+ * @param {string} options.baseUrl API 基础路径
+ */
+export function initNotifications({ baseUrl }) {
+    const button = document.getElementById('notificationBtn');
+    const badge = document.getElementById('notificationBadge');
+    const panel = document.getElementById('notificationPanel');
+    if (!button || !badge || !panel) return;
+
+    let notifications = [];
+
+    const updateBadge = (unread) => {
+        badge.textContent = unread > 99 ? '99+' : String(unread);
+        badge.style.display = unread > 0 ? 'inline-block' : 'none';
+    };
+
+    const render = () => {
+        panel.innerHTML = `
+            <div class="notification-panel-head">
+                <span>通知</span>
+                <button type="button" class="secondary small-btn" data-action="read-all">全部已读</button>
+            </div>
+        ` + (notifications.map((n, i) => `
+            <div class="notification-item notification-${escapeHtml(n.level)}${n.read ? '' : ' unread'}" data-index="${i}">
+                <div class="search-result-head">
+                    <span class="notification-title">${escapeHtml(n.title)}</span>
+                    <span>${escapeHtml(formatDate(n.created_at))}</span>
+                </div>
+                <div class="search-result-snippet">${escapeHtml(n.message || '')}</div>
+            </div>
+        `).join('') || '<div class="search-empty">暂无通知</div>');
+    };
+
+    const refresh = async () => {
+        try {
+            const result = await request(`${baseUrl}/notifications?limit=20`);
+            notifications = result.data;
+            updateBadge(result.unread);
+            if (panel.style.display !== 'none') render();
+        } catch (error) {
+            // 轮询失败不打扰用户，下次轮询重试
+            console.warn('加载通知失败:', error.message);
+        }
+    };
+
+    button.addEventListener('click', (e) => {
+        e.stopPropagation();
+        const visible = panel.style.display !== 'none';
+        panel.style.display = visible ? 'none' : 'block';
+        if (!visible) {
+            render();
+            refresh();
+        }
+    });
+
+    panel.addEventListener('click', async (e) => {
+        e.stopPropagation();
+        try {
+            if (e.target.closest('[data-action="read-all"]')) {
+                await request(`${baseUrl}/notifications/read-all`, { method: 'POST' });
+                await refresh();
+                return;
+            }
+
+            const item = e.target.closest('.notification-item');
+            const notification = item && notifications[Number(item.dataset.index)];
+            if (!notification || notification.read) return;
+            await request(`${baseUrl}/notifications/${encodeURIComponent(notification.id)}/read`, { method: 'POST' });
+            await refresh();
+        } catch (error) {
+            window.setStatusMessage?.(`标记通知失败: ${error.message}`, 'error');
+        }
+    });
+
+    document.addEventListener('click', () => {
+        panel.style.display = 'none';
+    });
+
+    refresh();
+    setInterval(refresh, POLL_INTERVAL);
+}
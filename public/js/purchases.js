@@ -0,0 +1,123 @@
+/**
+ * 采购记录面板
+ * 列出采购订单（GET /api/purchases），点击详情核对订单购买的邮箱当前是否仍然可用
+ */
+
+import { authFetch } from './auth.js';
+import { escapeHtml, formatDate } from './utils.js';
+
+const ORDER_STATUS_LABELS = {
+    pending: '进行中',
+    completed: '成功',
+    failed: '失败',
+};
+
+const ACCOUNT_STATE_LABELS = {
+    alive: '正常',
+    suspect: '可疑',
+    quarantined: '隔离中',
+    dead: '已停用',
+    deleted: '已删除',
+};
+
+/**
+ * 发送请求并检查结果
+ * @private
+ */
+async function request(url) {
+    const response = await authFetch(url);
+    const result = await response.json();
+    if (!response.ok || result.success === false) {
+        throw new Error(result.error || `HTTP ${response.status}`);
+    }
+    return result;
+}
+
+/**
+ * 渲染订单列表
+ * @private
+ */
+function renderRows(orders, total) {
+    const list = document.getElementById('purchasesList');
+    if (!list) return;
+
+    list.innerHTML = orders.map(o => `
+        <tr>
+            <td class="activity-time">${escapeHtml(formatDate(o.created_at))}</td>
+            <td>${escapeHtml(o.supplier_name || o.supplier_id)}</td>
+            <td>${escapeHtml(o.commodity_id)}</td>
+            <td>${o.quantity_delivered} / ${o.quantity_requested}</td>
+            <td>${o.cost === null ? '-' : `¥${escapeHtml(String(o.cost))}`}</td>
+            <td>
+                <span class="job-status job-${escapeHtml(o.status)}" title="${escapeHtml(o.error || '')}">${escapeHtml(ORDER_STATUS_LABELS[o.status] || o.status)}</span>
+            </td>
+            <td>${escapeHtml(o.trade_no || '-')}</td>
+            <td>${o.mailbox_ids.length > 0 ? `<button class="secondary" onclick="showPurchaseDetail('${escapeHtml(o.id)}')">详情</button>` : ''}</td>
+        </tr>
+    `).join('') || '<tr><td colspan="8" class="activity-empty">暂无采购记录</td></tr>';
+
+    const summary = document.getElementById('purchasesSummary');
+    if (summary) summary.textContent = `共 ${total} 个订单`;
+}
+
+/**
+ * 加载采购订单列表
+ * @param {string} baseUrl API 基础路径
+ */
+export async function loadPurchases(baseUrl) {
+    const detail = document.getElementById('purchaseDetail');
+    if (detail) detail.style.display = 'none';
+
+    try {
+        const result = await request(`${baseUrl}/purchases`);
+        renderRows(result.data, result.total);
+    } catch (error) {
+        window.setStatusMessage?.(`加载采购记录失败: ${error.message}`, 'error');
+    }
+}
+
+/**
+ * 显示订单详情：按邮箱列出当前状态
+ * @param {string} baseUrl API 基础路径
+ * @param {string} id 订单ID
+ */
+export async function showPurchaseDetail(baseUrl, id) {
+    const detail = document.getElementById('purchaseDetail');
+    if (!detail) return;
+
+    try {
+        const { data: order } = await request(`${baseUrl}/purchases/${encodeURIComponent(id)}`);
+        const counts = Object.entries(order.accounts)
+            .filter(([, count]) => count > 0)
+            .map(([state, count]) => `${ACCOUNT_STATE_LABELS[state] || state} ${count}`)
+            .join('，');
+
+        detail.innerHTML = `
+            <div class="activity-footer">
+                <span>订单 ${escapeHtml(order.trade_no || order.id)}：${escapeHtml(counts)}</span>
+                <button class="secondary" onclick="this.closest('#purchaseDetail').style.display = 'none'">关闭</button>
+            </div>
+            <table class="activity-table">
+                <thead>
+                    <tr>
+                        <th>邮箱</th>
+                        <th>状态</th>
+                        <th>最近检测</th>
+                    </tr>
+                </thead>
+                <tbody>
+                    ${order.mailboxes.map(m => `
+                        <tr>
+                            <td>${escapeHtml(m.email || m.id)}</td>
+                            <td><span class="purchase-account purchase-account-${escapeHtml(m.state)}">${escapeHtml(ACCOUNT_STATE_LABELS[m.state] || m.state)}</span></td>
+                            <td class="activity-time">${escapeHtml(m.last_checked_at ? formatDate(m.last_checked_at) : '-')}</td>
+                        </tr>
+                    `).join('')}
+                </tbody>
+            </table>
+        `;
+        detail.style.display = 'block';
+    } catch (error) {
+        window.setStatusMessage?.(`加载订单详情失败: ${error.message}`, 'error');
+    }
+}
@@ -0,0 +1,111 @@
+/**
+ * 隔离区面板
+ * 列出连续检测失效（suspect / quarantined）的邮箱，支持重新检测和手动恢复
+ */
+
+import { authFetch, hasPermission } from './auth.js';
+import { escapeHtml, formatDate } from './utils.js';
+
+const STATUS_LABELS = {
+    suspect: '可疑',
+    quarantined: '隔离中',
+};
+
+/**
+ * 渲染隔离列表
+ * @private
+ */
+function renderRows(mailboxes) {
+    const list = document.getElementById('quarantineList');
+    if (!list) return;
+
+    const canRetest = hasPermission('mailbox:validate');
+    const canRestore = hasPermission('mailbox:write');
+
+    list.innerHTML = mailboxes.map(m => `
+        <tr>
+            <td>${escapeHtml(m.email)}</td>
+            <td><span class="quarantine-status quarantine-${escapeHtml(m.status)}">${escapeHtml(STATUS_LABELS[m.status] || m.status)}</span></td>
+            <td>${m.consecutive_failures}</td>
+            <td class="activity-time">${escapeHtml(m.quarantined_at ? formatDate(m.quarantined_at) : '-')}</td>
+            <td class="activity-time">${escapeHtml(m.expires_at ? formatDate(m.expires_at) : '-')}</td>
+            <td class="quarantine-actions">
+                ${canRetest ? `<button class="secondary" onclick="retestQuarantined('${escapeHtml(m.id)}')">重新检测</button>` : ''}
+                ${canRestore ? `<button onclick="restoreQuarantined('${escapeHtml(m.id)}')">恢复</button>` : ''}
+            </td>
+        </tr>
+    `).join('') || '<tr><td colspan="6" class="activity-empty">隔离区为空</td></tr>';
+
+    const summary = document.getElementById('quarantineSummary');
+    if (summary) summary.textContent = `共 ${mailboxes.length} 个`;
+}
+
+/**
+ * 发送请求并检查结果
+ * @private
+ */
+async function request(url, options) {
+    const response = await authFetch(url, options);
+    const result = await response.json();
+    if (!response.ok || result.success === false) {
+        throw new Error(result.error || `HTTP ${response.status}`);
+    }
+    return result;
+}
+
+const postIds = (ids) => ({
+    method: 'POST',
+    headers: { 'Content-Type': 'application/json' },
+    body: JSON.stringify({ ids }),
+});
+
+/**
+ * 加载隔离列表
+ * @param {string} baseUrl API 基础路径
+ */
+export async function loadQuarantine(baseUrl) {
+    try {
+        const result = await request(`${baseUrl}/mailboxes/quarantine`);
+        renderRows(result.data);
+    } catch (error) {
+        window.setStatusMessage?.(`加载隔离区失败: ${error.message}`, 'error');
+    }
+}
+
+/**
+ * 重新检测隔离中的邮箱，检测正常的自动恢复
+ * @param {string} baseUrl API 基础路径
+ * @param {string[]} ids 邮箱ID
+ * @returns {Promise<object|null>} 检测汇总
+ */
+export async function retestQuarantine(baseUrl, ids) {
+    window.setStatusMessage?.('正在重新检测...', 'loading');
+    try {
+        const result = await request(`${baseUrl}/mailboxes/quarantine/retest`, postIds(ids));
+        renderRows(result.data);
+        const { healthy = 0, invalid = 0, error = 0 } = result.summary || {};
+        window.setStatusMessage?.(`检测完成：正常 ${healthy}，失效 ${invalid}，异常 ${error}`, 'success');
+        return result.summary;
+    } catch (error) {
+        window.setStatusMessage?.(`重新检测失败: ${error.message}`, 'error');
+        return null;
+    }
+}
+
+/**
+ * 手动恢复隔离中的邮箱
+ * @param {string} baseUrl API 基础路径
+ * @param {string[]} ids 邮箱ID
+ * @returns {Promise<number>} 恢复数量
+ */
+export async function restoreQuarantine(baseUrl, ids) {
+    try {
+        const result = await request(`${baseUrl}/mailboxes/quarantine/restore`, postIds(ids));
+        window.setStatusMessage?.(`已恢复 ${result.restored} 个邮箱`, 'success');
+        await loadQuarantine(baseUrl);
+        return result.restored;
+    } catch (error) {
+        window.setStatusMessage?.(`恢复失败: ${error.message}`, 'error');
+        return 0;
+    }
+}
@@ -3,8 +3,8 @@
  * 版本：v2.0
  */
 
-const CACHE_NAME = 'easy-outlook-v2.1';
-const RUNTIME_CACHE = 'easy-outlook-runtime-v2.1';
+const CACHE_NAME = 'easy-outlook-v2.20';
+const RUNTIME_CACHE = 'easy-outlook-runtime-v2.9';
 
 // 需要缓存的静态资源
 const STATIC_ASSETS = [
@@ -14,6 +14,15 @@ const STATIC_ASSETS = [
     '/js/app.js',
     '/js/mobile-enhance.js',
     '/js/mail-api-utils.js',
+    '/js/auth.js',
+    '/js/activity-log.js',
+    '/js/quarantine.js',
+    '/js/jobs.js',
+    '/js/purchases.js',
+    '/js/message-search.js',
+    '/js/notifications.js',
+    '/js/api-explorer.js',
+    '/api-explorer.html',
     '/js/utils.js',
     '/js/email-list-manager.js',
     '/js/error-handler.js',
@@ -81,9 +90,8 @@ self.addEventListener('fetch', (event) => {
         return;
     }
 
-    // API请求 - 网络优先策略
+    // API请求 - 需要认证且包含敏感数据，不经过缓存
     if (url.pathname.startsWith('/api/')) {
-        event.respondWith(networkFirst(request));
         return;
     }
 
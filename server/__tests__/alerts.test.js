@@ -0,0 +1,235 @@
+/**
+ * 库存和余额告警测试
+ */
+
+// Mock blob-store 模块
+jest.mock('../utils/blob-store', () => require('./mocks/mock-blob-store'));
+
+const http = require('http');
+const net = require('net');
+const app = require('../app');
+const config = require('../config');
+const mockBlobStore = require('./mocks/mock-blob-store');
+const proxyService = require('../services/proxy.service');
+const stockWatchService = require('../services/stock-watch.service');
+const { loginAs } = require('./helpers/auth');
+
+/**
+ * 本地 Webhook 接收端，记录收到的 JSON
+ */
+function startWebhookServer() {
+    const received = [];
+    const server = http.createServer((req, res) => {
+        let body = '';
+        req.on('data', chunk => { body += chunk; });
+        req.on('end', () => {
+            received.push(JSON.parse(body));
+            res.writeHead(204);
+            res.end();
+        });
+    });
+    return new Promise(resolve => server.listen(0, '127.0.0.1', () => resolve({ server, received })));
+}
+
+/**
+ * 本地 SMTP 中继，记录收到的邮件（DATA 部分）
+ */
+function startSmtpServer() {
+    const received = [];
+    const server = net.createServer((socket) => {
+        let buffer = '';
+        let inData = false;
+        let data = '';
+        socket.write('220 test ESMTP\r\n');
+        socket.on('data', (chunk) => {
+            buffer += chunk;
+            let lineEnd;
+            while ((lineEnd = buffer.indexOf('\r\n')) !== -1) {
+                const line = buffer.slice(0, lineEnd);
+                buffer = buffer.slice(lineEnd + 2);
+                if (inData) {
+                    if (line === '.') {
+                        inData = false;
+                        received.push(data);
+                        socket.write('250 queued\r\n');
+                    } else {
+                        data += `${line}\n`;
+                    }
+                } else if (line === 'DATA') {
+                    inData = true;
+                    data = '';
+                    socket.write('354 go ahead\r\n');
+                } else if (line === 'QUIT') {
+                    socket.end('221 bye\r\n');
+                } else if (line.startsWith('EHLO')) {
+                    socket.write('250-test\r\n250 OK\r\n');
+                } else {
+                    socket.write('250 OK\r\n');
+                }
+            }
+        });
+    });
+    return new Promise(resolve => server.listen(0, '127.0.0.1', () => resolve({ server, received })));
+}
+
+describe('Stock and balance alerts', () => {
+    let api;
+    let stock;
+    let balance;
+
+    beforeEach(async () => {
+        mockBlobStore.clearAll();
+        stock = 100;
+        balance = 50;
+        jest.replaceProperty(config, 'purchaseCredentials', { appId: 'id', appKey: 'key' });
+        jest.replaceProperty(config, 'stockWatch', {
+            ...config.stockWatch,
+            items: JSON.stringify([{ supplier: '1', commodity_id: '1', min_stock: 10 }]),
+            minBalance: 0,
+        });
+        jest.replaceProperty(config, 'alerts', {
+            webhookUrl: '',
+            smtp: { host: '', port: 25, from: 'alerts@example.com', to: [] },
+            timeoutMs: 2000,
+        });
+        jest.spyOn(proxyService, 'request').mockImplementation(async (url) => {
+            if (url.includes('getStock.php')) {
+                if (stock === null) throw new Error('请求失败: fetch failed');
+                return { code: 200, data: { stock, price: '0.1' } };
+            }
+            return { code: 200, data: { username: 'demo', id: 1, balance } };
+        });
+        ({ api } = await loginAs(app, 'admin'));
+    });
+
+    afterEach(() => {
+        jest.restoreAllMocks();
+    });
+
+    test('保存读数，只在越过阈值时告警', async () => {
+        let summary = await stockWatchService.runChecks();
+        expect(summary).toMatchObject({ total: 1, low: 0, alerts: [] });
+
+        stock = 5;
+        summary = await stockWatchService.runChecks();
+        expect(summary.alerts).toEqual(['stock.low']);
+
+        // 仍然低于阈值，或查询失败时不重复告警
+        stock = 3;
+        expect((await stockWatchService.runChecks()).alerts).toEqual([]);
+        stock = null;
+        summary = await stockWatchService.runChecks();
+        expect(summary).toMatchObject({ low: 1, error: 1, alerts: [] });
+
+        stock = 80;
+        expect((await stockWatchService.runChecks()).alerts).toEqual(['stock.recovered']);
+
+        const response = await api.get('/api/alerts/readings?kind=stock').expect(200);
+        expect(response.body.total).toBe(5);
+        expect(response.body.data.map(r => r.value)).toEqual([80, null, 3, 5, 100]);
+        expect(response.body.data[1]).toMatchObject({ low: true, error: '请求失败: fetch failed' });
+
+        await api.get('/api/alerts/readings?kind=unknown').expect(400);
+    });
+
+    test('余额告警通过 Webhook 和 SMTP 发送', async () => {
+        const webhook = await startWebhookServer();
+        const smtp = await startSmtpServer();
+
+        try {
+            jest.replaceProperty(config, 'stockWatch', { ...config.stockWatch, items: '', minBalance: 100 });
+            jest.replaceProperty(config, 'suppliers', JSON.stringify([{
+                id: '1',
+                type: 'outlook007',
+                name: '一号库',
+                baseUrl: 'https://outlook007.cc/api',
+                products: [{ id: '1', name: 'hotmail' }],
+            }]));
+            jest.replaceProperty(config, 'alerts', {
+                webhookUrl: `http://127.0.0.1:${webhook.server.address().port}/hook`,
+                smtp: { host: '127.0.0.1', port: smtp.server.address().port, from: 'alerts@example.com', to: ['ops@example.com'] },
+                timeoutMs: 2000,
+            });
+
+            const response = await api.post('/api/alerts/check').expect(200);
+            expect(response.body.data.alerts).toEqual(['balance.low']);
+
+            expect(webhook.received).toHaveLength(1);
+            expect(webhook.received[0]).toMatchObject({
+                type: 'balance.low',
+                level: 'warning',
+                data: { supplier_id: '1', kind: 'balance', value: 50, threshold: 100 },
+            });
+
+            expect(smtp.received).toHaveLength(1);
+            expect(smtp.received[0]).toContain('To: ops@example.com');
+            const body = smtp.received[0].split('\n\n')[1].replace(/\n/g, '');
+            expect(Buffer.from(body, 'base64').toString('utf8')).toContain('当前余额 50，阈值 100');
+        } finally {
+            webhook.server.close();
+            smtp.server.close();
+        }
+    });
+
+    test('告警作为站内通知发给可查看采购的用户，可标记已读', async () => {
+        stock = 1;
+        await stockWatchService.runChecks();
+
+        const { api: viewerApi } = await loginAs(app, 'viewer', 'watcher');
+        let list = await viewerApi.get('/api/notifications').expect(200);
+        expect(list.body).toMatchObject({ total: 1, unread: 1 });
+        expect(list.body.data[0]).toMatchObject({ type: 'stock.low', level: 'warning', read: false });
+
+        await viewerApi.post(`/api/notifications/${list.body.data[0].id}/read`).expect(200);
+        list = await viewerApi.get('/api/notifications?unread=true').expect(200);
+        expect(list.body).toMatchObject({ total: 0, unread: 0 });
+
+        // 已读状态按用户记录
+        expect((await api.get('/api/notifications').expect(200)).body.unread).toBe(1);
+        expect((await api.post('/api/notifications/read-all').expect(200)).body.marked).toBe(1);
+        expect((await api.get('/api/notifications').expect(200)).body.unread).toBe(0);
+
+        await api.post('/api/notifications/00000000-0000-0000-0000-000000000000/read').expect(404);
+    });
+
+    test('手动检查与进行中的定时检查共用一次执行，不重复告警', async () => {
+        await stockWatchService.runChecks();
+        stock = 5;
+
+        // 定时检查查询库存时暂停，等手动检查的请求到达后再继续
+        let release;
+        const gate = new Promise(resolve => { release = resolve; });
+        const request = proxyService.request.getMockImplementation();
+        proxyService.request.mockImplementation(async (...args) => {
+            await gate;
+            return request(...args);
+        });
+        const runChecks = jest.spyOn(stockWatchService, 'runChecks');
+
+        const scheduled = stockWatchService.runScheduled();
+        // then() 立即发出请求（supertest 在 then 时才发送）
+        const manual = api.post('/api/alerts/check').expect(200).then(response => response);
+        while (!runChecks.mock.calls.some(([options]) => options?.trigger === 'manual')) {
+            await new Promise(resolve => setImmediate(resolve));
+        }
+        release();
+
+        const summary = await scheduled;
+        expect(summary.alerts).toEqual(['stock.low']);
+        expect((await manual).body.data).toEqual(summary);
+
+        const readings = await api.get('/api/alerts/readings?kind=stock').expect(200);
+        expect(readings.body.total).toBe(2);
+        expect((await api.get('/api/notifications').expect(200)).body.total).toBe(1);
+
+        // 手动检查进行中时跳过定时检查
+        const pending = stockWatchService.runChecks();
+        expect(await stockWatchService.runScheduled()).toBeNull();
+        await pending;
+    });
+
+    test('viewer 不能手动触发检查', async () => {
+        const { api: viewerApi } = await loginAs(app, 'viewer', 'watcher');
+        await viewerApi.post('/api/alerts/check').expect(403);
+    });
+});
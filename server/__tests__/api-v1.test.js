@@ -0,0 +1,188 @@
+/**
+ * /api/v1 和 API 密钥测试
+ */
+
+// Mock blob-store 模块
+jest.mock('../utils/blob-store', () => require('./mocks/mock-blob-store'));
+
+const request = require('supertest');
+const app = require('../app');
+const mockBlobStore = require('./mocks/mock-blob-store');
+const config = require('../config');
+const proxyService = require('../services/proxy.service');
+const apiKeyService = require('../services/api-key.service');
+const { toEnvelope } = require('../middlewares/api-v1');
+const { loginAs } = require('./helpers/auth');
+
+describe('Versioned API with API keys', () => {
+    let api;
+
+    // 使用 API 密钥的请求
+    const withKey = (key) => ({
+        get: (url) => request(app).get(url).set('Authorization', `Bearer ${key}`),
+        post: (url) => request(app).post(url).set('Authorization', `Bearer ${key}`),
+    });
+
+    const createKey = async (body) => (await api.post('/api/api-keys').send(body).expect(201)).body.data;
+
+    beforeEach(async () => {
+        mockBlobStore.clearAll();
+        ({ api } = await loginAs(app, 'operator', 'script-owner'));
+    });
+
+    afterEach(() => {
+        jest.restoreAllMocks();
+    });
+
+    test('密钥明文只返回一次，可在 /api/v1 使用，不能用于 /api', async () => {
+        const created = await createKey({ name: 'import script', scopes: ['mailbox:read', 'mailbox:write'] });
+        expect(created.key).toMatch(/^eok_[0-9a-f]{12}_/);
+        expect(created).toMatchObject({ key_prefix: created.key.slice(0, 16), rate_limit: 60, username: 'script-owner' });
+        expect(created).not.toHaveProperty('key_hash');
+
+        const list = await api.get('/api/api-keys').expect(200);
+        expect(list.body.data).toHaveLength(1);
+        expect(list.body.data[0]).not.toHaveProperty('key');
+
+        const client = withKey(created.key);
+        const added = await client.post('/api/v1/mailboxes')
+            .send({ email: 'v1@example.com', password: 'p', client_id: 'c', refresh_token: 't' })
+            .expect(201);
+        expect(added.headers['x-api-version']).toBe('1');
+        expect(added.body).toMatchObject({ success: true, data: { email: 'v1@example.com' } });
+
+        const mailboxes = await client.get('/api/v1/mailboxes').expect(200);
+        expect(mailboxes.body).toEqual({ success: true, data: [expect.objectContaining({ email: 'v1@example.com' })] });
+
+        const rejected = await client.get('/api/mailboxes').expect(401);
+        expect(rejected.body.error).toBe('API 密钥只能用于 /api/v1 接口');
+
+        // 登录令牌同样可以访问 /api/v1
+        await api.get('/api/v1/mailboxes').expect(200);
+    });
+
+    test('密钥权限为角色权限与 scopes 的交集', async () => {
+        const created = await createKey({ name: 'readonly', scopes: ['mailbox:read'] });
+        const client = withKey(created.key);
+
+        const denied = await client.post('/api/v1/mailboxes')
+            .send({ email: 'denied@example.com', password: 'p', client_id: 'c', refresh_token: 't' })
+            .expect(403);
+        expect(denied.body).toEqual({
+            success: false,
+            error: { code: 'AUTHORIZATION_ERROR', message: '无权限执行此操作', details: { permission: 'mailbox:write' } },
+        });
+
+        // 路由级 requirePermission 同样受 scopes 限制
+        const orders = await client.get('/api/v1/purchases').expect(403);
+        expect(orders.body.error.code).toBe('AUTHORIZATION_ERROR');
+
+        // 不能授予自己没有的权限
+        await api.post('/api/api-keys').send({ name: 'admin', scopes: ['user:manage'] }).expect(400);
+        await api.post('/api/api-keys').send({ name: 'none', scopes: [] }).expect(400);
+        await api.post('/api/api-keys').send({ name: 'fast', scopes: ['mailbox:read'], rate_limit: 100000 }).expect(400);
+    });
+
+    test('吊销或过期的密钥失效', async () => {
+        const created = await createKey({ name: 'temp', scopes: ['mailbox:read'] });
+        const client = withKey(created.key);
+        await client.get('/api/v1/mailboxes').expect(200);
+
+        const revoked = await api.delete(`/api/api-keys/${created.id}`).expect(200);
+        expect(revoked.body.data.revoked_at).toBeTruthy();
+
+        const response = await client.get('/api/v1/mailboxes').expect(401);
+        expect(response.body.error).toMatchObject({ code: 'AUTHENTICATION_ERROR' });
+        await withKey(`${created.key.slice(0, -1)}x`).get('/api/v1/mailboxes').expect(401);
+
+        // 其他用户看不到也不能吊销
+        const { api: otherApi } = await loginAs(app, 'operator', 'someone-else');
+        await otherApi.delete(`/api/api-keys/${created.id}`).expect(404);
+        expect((await otherApi.get('/api/api-keys').expect(200)).body.data).toEqual([]);
+
+        const audit = await api.get('/api/audit?action=api_key.revoke').expect(200);
+        expect(audit.body.total).toBe(1);
+    });
+
+    test('按密钥限流', async () => {
+        const created = await createKey({ name: 'slow', scopes: ['mailbox:read'], rate_limit: 2 });
+        const client = withKey(created.key);
+
+        await client.get('/api/v1/mailboxes').expect(200);
+        await client.get('/api/v1/mailboxes').expect(200);
+        const limited = await client.get('/api/v1/mailboxes').expect(429);
+        expect(limited.body.error).toMatchObject({ code: 'RATE_LIMIT_EXCEEDED' });
+
+        // 登录令牌不受密钥限流影响
+        await api.get('/api/v1/mailboxes').expect(200);
+    });
+
+    test('外部 API 原始响应放在 data 中', async () => {
+        const created = await createKey({ name: 'mail', scopes: ['mailbox:write', 'mail:read'] });
+        const client = withKey(created.key);
+        const mailbox = await client.post('/api/v1/mailboxes')
+            .send({ email: 'raw@example.com', password: 'p', client_id: 'c', refresh_token: 't' })
+            .expect(201);
+
+        jest.spyOn(proxyService, 'request').mockResolvedValue([
+            { id: 'm1', send: 'a@sender.com', subject: 'hi', date: '2024-01-02T10:00:00Z', text: 'hello' },
+        ]);
+        const response = await client.get(`/api/v1/proxy/mail/emails?mailbox_id=${mailbox.body.data.id}`).expect(200);
+        expect(response.body.success).toBe(true);
+        expect(response.body.data[0]).toMatchObject({ id: 'm1', subject: 'hi' });
+
+        const missing = await client.get('/api/v1/unknown').expect(404);
+        expect(missing.body).toMatchObject({ success: false, error: { code: 'NOT_FOUND' } });
+    });
+
+    test('响应格式转换', () => {
+        expect(toEnvelope(200, { success: true, data: [1], total: 1, limit: 50, offset: 0 }))
+            .toEqual({ success: true, data: [1], meta: { total: 1, limit: 50, offset: 0 } });
+        expect(toEnvelope(200, { success: true, code: 200, supplier: '1', data: { stock: 3 } }))
+            .toEqual({ success: true, data: { stock: 3 }, meta: { supplier: '1' } });
+        expect(toEnvelope(200, { success: true, marked: 2 })).toEqual({ success: true, data: { marked: 2 } });
+        expect(toEnvelope(200, { code: 0, data: { balance: 1 } })).toEqual({ success: true, data: { code: 0, data: { balance: 1 } } });
+        expect(toEnvelope(500, { success: false, error: '获取失败', details: 'boom' }))
+            .toEqual({ success: false, error: { code: 'INTERNAL_ERROR', message: '获取失败', details: { details: 'boom' } } });
+    });
+
+    test('OpenAPI 文档由路由定义生成', async () => {
+        const response = await request(app).get('/api/v1/openapi.json').expect(200);
+        const spec = response.body;
+
+        expect(spec.openapi).toBe('3.0.3');
+        expect(spec.servers).toEqual([{ url: '/api/v1' }]);
+        expect(spec.paths['/mailboxes'].post).toMatchObject({
+            summary: '添加单个邮箱',
+            'x-required-scope': 'mailbox:write',
+            responses: { 201: expect.any(Object) },
+        });
+        expect(spec.paths['/mailboxes/{id}/messages/{messageId}'].get.parameters.map(p => p.name)).toEqual(['id', 'messageId']);
+        expect(spec.paths['/purchases/{id}'].get['x-required-scope']).toBe('purchase:view');
+        expect(spec.paths['/jobs/{id}/events'].get.responses[200].content).toHaveProperty('text/event-stream');
+        expect(spec.paths['/proxy/purchase'].post['x-required-scope']).toBe('purchase:buy');
+        expect(Object.keys(spec.paths).some(p => p.startsWith('/webhooks'))).toBe(false);
+    });
+
+    // 同一文件中的请求共用 IP 计数，放在最后
+    test('伪造的 API 密钥不能绕过限流，认证失败按 IP 计数', async () => {
+        const created = await createKey({ name: 'valid', scopes: ['mailbox:read'] });
+        await withKey(created.key).get('/api/v1/mailboxes').expect(200);
+
+        const forged = withKey('eok_000000000000_forged');
+        let status = 401;
+        for (let i = 0; i <= config.rateLimit.max && status === 401; i++) {
+            ({ status } = await forged.get('/api/v1/mailboxes'));
+        }
+        expect(status).toBe(429);
+
+        // 超出后不再查询密钥
+        const authenticate = jest.spyOn(apiKeyService, 'authenticate');
+        const limited = await forged.get('/api/v1/mailboxes').expect(429);
+        expect(limited.body.error).toMatchObject({ code: 'RATE_LIMIT_EXCEEDED' });
+        expect(authenticate).not.toHaveBeenCalled();
+
+        // 登录令牌的请求不受影响
+        await api.get('/api/v1/mailboxes').expect(200);
+    });
+});
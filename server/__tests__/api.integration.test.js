@@ -9,11 +9,16 @@ jest.mock('../utils/blob-store', () => require('./mocks/mock-blob-store'));
 const request = require('supertest');
 const app = require('../app');
 const mockBlobStore = require('./mocks/mock-blob-store');
+const mailboxService = require('../services/mailbox.service');
+const { loginAs } = require('./helpers/auth');
 
 describe('API Endpoints', () => {
-    // 每个测试前清空 Mock 存储
-    beforeEach(() => {
+    let api;
+
+    // 每个测试前清空 Mock 存储并以管理员身份登录
+    beforeEach(async () => {
         mockBlobStore.clearAll();
+        ({ api } = await loginAs(app, 'admin'));
     });
 
     // ==================== 健康检查 ====================
@@ -38,7 +43,7 @@ describe('API Endpoints', () => {
         };
 
         test('应该成功创建有效的邮箱', async () => {
-            const response = await request(app)
+            const response = await api
                 .post('/api/mailboxes')
                 .send(validMailbox)
                 .expect('Content-Type', /json/)
@@ -50,8 +55,22 @@ describe('API Endpoints', () => {
             expect(response.body.data.email).toBe(validMailbox.email);
         });
 
+        test('返回的邮箱凭证应脱敏', async () => {
+            const created = await api
+                .post('/api/mailboxes')
+                .send({ ...validMailbox, refresh_token: 'M.C123_refresh_token_value_XYZ9' })
+                .expect(201);
+
+            expect(created.body.data.password).toBe('******');
+            expect(created.body.data.refresh_token).toBe('M.C1******XYZ9');
+
+            const list = await api.get('/api/mailboxes').expect(200);
+            expect(list.body.data[0].password).toBe('******');
+            expect(list.body.data[0].refresh_token).not.toContain('refresh_token_value');
+        });
+
         test('应该拒绝无效的邮箱格式', async () => {
-            const response = await request(app)
+            const response = await api
                 .post('/api/mailboxes')
                 .send({ ...validMailbox, email: 'invalid-email' })
                 .expect(400);
@@ -61,7 +80,7 @@ describe('API Endpoints', () => {
         });
 
         test('应该拒绝缺少必填字段', async () => {
-            const response = await request(app)
+            const response = await api
                 .post('/api/mailboxes')
                 .send({ email: 'test@example.com' })
                 .expect(400);
@@ -70,7 +89,7 @@ describe('API Endpoints', () => {
         });
 
         test('应该拒绝超长的邮箱地址', async () => {
-            const response = await request(app)
+            const response = await api
                 .post('/api/mailboxes')
                 .send({ ...validMailbox, email: 'a'.repeat(300) + '@example.com' })
                 .expect(400);
@@ -82,7 +101,7 @@ describe('API Endpoints', () => {
     // ==================== 获取邮箱列表 ====================
     describe('GET /api/mailboxes', () => {
         test('应该返回空邮箱列表', async () => {
-            const response = await request(app)
+            const response = await api
                 .get('/api/mailboxes')
                 .expect('Content-Type', /json/)
                 .expect(200);
@@ -95,7 +114,7 @@ describe('API Endpoints', () => {
 
         test('应该返回已添加的邮箱', async () => {
             // 先添加一个邮箱
-            await request(app)
+            await api
                 .post('/api/mailboxes')
                 .send({
                     email: 'list-test@example.com',
@@ -104,7 +123,7 @@ describe('API Endpoints', () => {
                     refresh_token: 'token'
                 });
 
-            const response = await request(app)
+            const response = await api
                 .get('/api/mailboxes')
                 .expect(200);
 
@@ -117,7 +136,7 @@ describe('API Endpoints', () => {
     describe('DELETE /api/mailboxes/:id', () => {
         test('应该成功删除邮箱', async () => {
             // 先添加
-            const addResponse = await request(app)
+            const addResponse = await api
                 .post('/api/mailboxes')
                 .send({
                     email: 'delete-test@example.com',
@@ -129,19 +148,19 @@ describe('API Endpoints', () => {
             const id = addResponse.body.data.id;
 
             // 删除
-            const deleteResponse = await request(app)
+            const deleteResponse = await api
                 .delete(`/api/mailboxes/${id}`)
                 .expect(200);
 
             expect(deleteResponse.body).toHaveProperty('success', true);
 
             // 确认不在列表中
-            const listResponse = await request(app).get('/api/mailboxes');
+            const listResponse = await api.get('/api/mailboxes');
             expect(listResponse.body.data.length).toBe(0);
         });
 
         test('删除不存在的邮箱应返回错误', async () => {
-            const response = await request(app)
+            const response = await api
                 .delete('/api/mailboxes/non-existent-id')
                 .expect(404);
 
@@ -159,7 +178,7 @@ describe('API Endpoints', () => {
                 ]
             };
 
-            const response = await request(app)
+            const response = await api
                 .post('/api/mailboxes/batch')
                 .send(batch)
                 .expect(201);
@@ -170,7 +189,7 @@ describe('API Endpoints', () => {
 
         test('应该跳过重复的邮箱', async () => {
             // 先添加一个
-            await request(app)
+            await api
                 .post('/api/mailboxes')
                 .send({
                     email: 'existing@example.com',
@@ -186,7 +205,7 @@ describe('API Endpoints', () => {
                 ]
             };
 
-            const response = await request(app)
+            const response = await api
                 .post('/api/mailboxes/batch')
                 .send(batch)
                 .expect(201);
@@ -207,14 +226,14 @@ describe('API Endpoints', () => {
                 ]
             };
 
-            const addResponse = await request(app)
+            const addResponse = await api
                 .post('/api/mailboxes/batch')
                 .send(batch);
 
             const ids = addResponse.body.data.map(m => m.id);
 
             // 批量删除
-            const deleteResponse = await request(app)
+            const deleteResponse = await api
                 .post('/api/mailboxes/batch-delete')
                 .send({ ids })
                 .expect(200);
@@ -223,7 +242,7 @@ describe('API Endpoints', () => {
             expect(deleteResponse.body.deleted).toBe(2);
 
             // 确认列表为空
-            const listResponse = await request(app).get('/api/mailboxes');
+            const listResponse = await api.get('/api/mailboxes');
             expect(listResponse.body.data.length).toBe(0);
         });
     });
@@ -232,7 +251,7 @@ describe('API Endpoints', () => {
     describe('GET /api/mailboxes/stats/summary', () => {
         test('应该返回正确的统计信息', async () => {
             // 添加邮箱
-            const addResponse = await request(app)
+            const addResponse = await api
                 .post('/api/mailboxes/batch')
                 .send({
                     mailboxes: [
@@ -243,9 +262,9 @@ describe('API Endpoints', () => {
 
             // 删除一个
             const id = addResponse.body.data[0].id;
-            await request(app).delete(`/api/mailboxes/${id}`);
+            await api.delete(`/api/mailboxes/${id}`);
 
-            const response = await request(app)
+            const response = await api
                 .get('/api/mailboxes/stats/summary')
                 .expect(200);
 
@@ -259,7 +278,7 @@ describe('API Endpoints', () => {
     // ==================== 404 处理 ====================
     describe('404 处理', () => {
         test('不存在的路由应返回 404', async () => {
-            const response = await request(app)
+            const response = await api
                 .get('/api/non-existent-route')
                 .expect(404);
 
@@ -270,7 +289,7 @@ describe('API Endpoints', () => {
     // ==================== 输入验证测试 ====================
     describe('输入验证', () => {
         test('应该拒绝超长的密码', async () => {
-            const response = await request(app)
+            const response = await api
                 .post('/api/mailboxes')
                 .send({
                     email: 'test@example.com',
@@ -287,7 +306,7 @@ describe('API Endpoints', () => {
             const invalidEmails = ['invalid', 'no@domain', '@nodomain.com'];
 
             for (const email of invalidEmails) {
-                const response = await request(app)
+                const response = await api
                     .post('/api/mailboxes')
                     .send({
                         email,
@@ -302,7 +321,7 @@ describe('API Endpoints', () => {
         });
 
         test('批量添加应验证每个邮箱', async () => {
-            const response = await request(app)
+            const response = await api
                 .post('/api/mailboxes/batch')
                 .send({
                     mailboxes: [
@@ -319,7 +338,7 @@ describe('API Endpoints', () => {
     describe('PUT /api/mailboxes/:id', () => {
         test('应该成功更新邮箱', async () => {
             // 先添加
-            const addResponse = await request(app)
+            const addResponse = await api
                 .post('/api/mailboxes')
                 .send({
                     email: 'update-api-test@example.com',
@@ -331,17 +350,30 @@ describe('API Endpoints', () => {
             const id = addResponse.body.data.id;
 
             // 更新
-            const updateResponse = await request(app)
+            const updateResponse = await api
                 .put(`/api/mailboxes/${id}`)
                 .send({ password: 'new-pass' })
                 .expect(200);
 
             expect(updateResponse.body).toHaveProperty('success', true);
-            expect(updateResponse.body.data.password).toBe('new-pass');
+
+            const revealed = await api.post(`/api/mailboxes/${id}/reveal`).expect(200);
+            expect(revealed.body.data.password).toBe('new-pass');
+        });
+
+        test('转移给不存在的用户应返回 400', async () => {
+            const created = await api.post('/api/mailboxes')
+                .send({ email: 'owner-typo@example.com', password: 'p', client_id: 'id', refresh_token: 'token' })
+                .expect(201);
+
+            const response = await api.put(`/api/mailboxes/${created.body.data.id}`)
+                .send({ owner_id: 'no-such-user' })
+                .expect(400);
+            expect(response.body.details).toBe('归属用户不存在');
         });
 
         test('更新不存在的邮箱应返回 404', async () => {
-            const response = await request(app)
+            const response = await api
                 .put('/api/mailboxes/non-existent-id')
                 .send({ password: 'new-pass' })
                 .expect(404);
@@ -351,7 +383,7 @@ describe('API Endpoints', () => {
 
         test('没有更新数据应返回 400', async () => {
             // 先添加
-            const addResponse = await request(app)
+            const addResponse = await api
                 .post('/api/mailboxes')
                 .send({
                     email: 'update-empty@example.com',
@@ -362,7 +394,7 @@ describe('API Endpoints', () => {
 
             const id = addResponse.body.data.id;
 
-            const response = await request(app)
+            const response = await api
                 .put(`/api/mailboxes/${id}`)
                 .send({})
                 .expect(400);
@@ -374,7 +406,7 @@ describe('API Endpoints', () => {
     // ==================== 数据安全测试 ====================
     describe('数据安全', () => {
         test('响应不应泄露敏感配置信息', async () => {
-            const response = await request(app)
+            const response = await api
                 .get('/api/health')
                 .expect(200);
 
@@ -388,7 +420,7 @@ describe('API Endpoints', () => {
     // ==================== 边界条件 API 测试 ====================
     describe('边界条件', () => {
         test('批量删除空数组应返回错误', async () => {
-            const response = await request(app)
+            const response = await api
                 .post('/api/mailboxes/batch-delete')
                 .send({ ids: [] })
                 .expect(400);
@@ -398,7 +430,7 @@ describe('API Endpoints', () => {
 
         test('GET /api/mailboxes/:id 应返回正确格式', async () => {
             // 先添加
-            const addResponse = await request(app)
+            const addResponse = await api
                 .post('/api/mailboxes')
                 .send({
                     email: 'get-by-id@example.com',
@@ -409,7 +441,7 @@ describe('API Endpoints', () => {
 
             const id = addResponse.body.data.id;
 
-            const response = await request(app)
+            const response = await api
                 .get(`/api/mailboxes/${id}`)
                 .expect(200);
 
@@ -418,11 +450,117 @@ describe('API Endpoints', () => {
         });
 
         test('GET /api/mailboxes/:id 不存在应返回 404', async () => {
-            const response = await request(app)
+            const response = await api
                 .get('/api/mailboxes/non-existent-uuid')
                 .expect(404);
 
             expect(response.body).toHaveProperty('error');
         });
     });
+
+    // ==================== 数据隔离 ====================
+    describe('Mailbox ownership', () => {
+        test('普通用户只能看到自己的邮箱，管理员可以看到全部', async () => {
+            const { api: aliceApi } = await loginAs(app, 'operator', 'alice');
+            const { api: bobApi } = await loginAs(app, 'operator', 'bob');
+
+            const created = await aliceApi
+                .post('/api/mailboxes')
+                .send({ email: 'alice-own@example.com', password: 'p', client_id: 'c', refresh_token: 't' })
+                .expect(201);
+
+            const bobList = await bobApi.get('/api/mailboxes').expect(200);
+            expect(bobList.body.data).toHaveLength(0);
+
+            await bobApi.get(`/api/mailboxes/${created.body.data.id}`).expect(404);
+            await bobApi.delete(`/api/mailboxes/${created.body.data.id}`).expect(404);
+
+            const adminList = await api.get('/api/mailboxes').expect(200);
+            expect(adminList.body.data.map(m => m.email)).toContain('alice-own@example.com');
+        });
+    });
+
+    // ==================== 查看凭证 ====================
+    describe('POST /api/mailboxes/:id/reveal', () => {
+        const mailbox = {
+            email: 'reveal@example.com',
+            password: 'reveal-pass',
+            client_id: 'reveal-client',
+            refresh_token: 'reveal-refresh-token-value'
+        };
+
+        test('应返回单个邮箱的明文凭证', async () => {
+            const created = await api.post('/api/mailboxes').send(mailbox).expect(201);
+
+            const response = await api
+                .post(`/api/mailboxes/${created.body.data.id}/reveal`)
+                .expect(200);
+
+            expect(response.body.data).toEqual({ id: created.body.data.id, ...mailbox });
+        });
+
+        test('批量查看应只返回可访问的邮箱，并列出其余ID', async () => {
+            const created = await api.post('/api/mailboxes').send(mailbox).expect(201);
+            const { api: otherApi } = await loginAs(app, 'operator', 'other');
+            const hidden = await otherApi.post('/api/mailboxes')
+                .send({ ...mailbox, email: 'hidden@example.com' })
+                .expect(201);
+            const getAllMailboxes = jest.spyOn(mailboxService, 'getAllMailboxes');
+
+            const response = await otherApi
+                .post('/api/mailboxes/reveal')
+                .send({ ids: [hidden.body.data.id, created.body.data.id, 'non-existent-id'] })
+                .expect(200);
+
+            expect(response.body.data).toHaveLength(1);
+            expect(response.body.data[0]).toMatchObject({ email: 'hidden@example.com', refresh_token: mailbox.refresh_token });
+            expect(response.body.missing).toEqual([created.body.data.id, 'non-existent-id']);
+            // 只读取请求的邮箱，不加载全部邮箱
+            expect(getAllMailboxes).not.toHaveBeenCalled();
+            getAllMailboxes.mockRestore();
+        });
+
+        test('批量查看缺少ID列表或ID不是字符串应返回 400', async () => {
+            await api.post('/api/mailboxes/reveal').send({}).expect(400);
+            await api.post('/api/mailboxes/reveal').send({ ids: 'abc' }).expect(400);
+            await api.post('/api/mailboxes/reveal').send({ ids: [{ id: 'abc' }] }).expect(400);
+        });
+
+        test('不能查看他人邮箱的凭证', async () => {
+            const created = await api.post('/api/mailboxes').send(mailbox).expect(201);
+            const { api: otherApi } = await loginAs(app, 'operator', 'other');
+
+            await otherApi.post(`/api/mailboxes/${created.body.data.id}/reveal`).expect(404);
+        });
+    });
+
+    // ==================== 邮件代理 ====================
+    describe('GET /api/proxy/mail/* with mailbox_id', () => {
+        const proxyService = require('../services/proxy.service');
+
+        afterEach(() => {
+            jest.restoreAllMocks();
+        });
+
+        test('应使用服务端保存的凭证调用邮件 API', async () => {
+            const created = await api.post('/api/mailboxes')
+                .send({ email: 'proxy@example.com', password: 'p', client_id: 'cid', refresh_token: 'rt-value' })
+                .expect(201);
+            const spy = jest.spyOn(proxyService, 'getMailboxEmails').mockResolvedValue([{ subject: 'hi' }]);
+
+            const response = await api
+                .get(`/api/proxy/mail/emails?mailbox_id=${created.body.data.id}&folder=junk`)
+                .expect(200);
+
+            expect(response.body).toMatchObject([{ subject: 'hi' }]);
+            expect(spy).toHaveBeenCalledWith(
+                expect.objectContaining({ email: 'proxy@example.com', client_id: 'cid', refresh_token: 'rt-value' }),
+                'junk'
+            );
+        });
+
+        test('邮箱不存在应返回 404', async () => {
+            await api.get('/api/proxy/mail/emails?mailbox_id=missing').expect(404);
+        });
+    });
 });
@@ -0,0 +1,165 @@
+/**
+ * 审计日志测试
+ * 使用 Mock Blob 存储，避免污染真实数据
+ */
+
+// Mock blob-store 模块
+jest.mock('../utils/blob-store', () => require('./mocks/mock-blob-store'));
+
+const app = require('../app');
+const config = require('../config');
+const mockBlobStore = require('./mocks/mock-blob-store');
+const proxyService = require('../services/proxy.service');
+const auditService = require('../services/audit.service');
+const { loginAs } = require('./helpers/auth');
+
+const mailbox = (email) => ({
+    email,
+    password: 'pass',
+    client_id: 'client',
+    refresh_token: 'token',
+});
+
+describe('Audit log', () => {
+    let api;
+
+    beforeEach(async () => {
+        mockBlobStore.clearAll();
+        ({ api } = await loginAs(app, 'admin'));
+    });
+
+    afterEach(() => {
+        jest.restoreAllMocks();
+    });
+
+    test('邮箱增删改会写入审计日志', async () => {
+        const created = await api.post('/api/mailboxes').send(mailbox('a@example.com')).expect(201);
+        const { id } = created.body.data;
+
+        await api.put(`/api/mailboxes/${id}`).send({ password: 'new-pass' }).expect(200);
+        await api.delete(`/api/mailboxes/${id}`).expect(200);
+
+        const response = await api.get('/api/audit').expect(200);
+
+        expect(response.body.total).toBe(3);
+        expect(response.body.data.map(e => e.action)).toEqual([
+            'mailbox.delete',
+            'mailbox.update',
+            'mailbox.create',
+        ]);
+        expect(response.body.data[0]).toMatchObject({
+            actor_username: 'admin_user',
+            mailbox_id: id,
+            mailbox_email: 'a@example.com',
+        });
+        expect(response.body.data[1].details).toEqual({ fields: ['password'] });
+        expect(JSON.stringify(response.body.data)).not.toContain('new-pass');
+    });
+
+    test('批量导入和批量删除每个邮箱记录一条', async () => {
+        const batch = await api.post('/api/mailboxes/batch')
+            .send({ mailboxes: [mailbox('b1@example.com'), mailbox('b2@example.com')] })
+            .expect(201);
+
+        await api.post('/api/mailboxes/batch-delete')
+            .send({ ids: batch.body.data.map(m => m.id) })
+            .expect(200);
+
+        const created = await api.get('/api/audit?action=mailbox.batch_create').expect(200);
+        const deleted = await api.get('/api/audit?action=mailbox.batch_delete').expect(200);
+
+        expect(created.body.total).toBe(2);
+        expect(deleted.body.total).toBe(2);
+    });
+
+    test('查看凭证会写入审计日志', async () => {
+        const created = await api.post('/api/mailboxes').send(mailbox('r@example.com')).expect(201);
+        await api.post(`/api/mailboxes/${created.body.data.id}/reveal`).expect(200);
+
+        const response = await api.get('/api/audit?action=mailbox.reveal').expect(200);
+
+        expect(response.body.data).toHaveLength(1);
+        expect(response.body.data[0].mailbox_email).toBe('r@example.com');
+    });
+
+    test('有效性检测记录汇总，隔离和停用带原因', async () => {
+        jest.replaceProperty(config, 'quarantine', { failureThreshold: 1, gracePeriodHours: 0 });
+        await api.post('/api/mailboxes').send({ ...mailbox('v@example.com'), source: 'purchase' }).expect(201);
+        const err = new Error('HTTP 500');
+        err.status = 500;
+        jest.spyOn(proxyService, 'getMailboxEmails').mockRejectedValue(err);
+
+        await api.post('/api/mailboxes/validate-purchased').send({}).expect(200);
+
+        const validate = await api.get('/api/audit?action=mailbox.validate').expect(200);
+        expect(validate.body.data[0].details).toMatchObject({ source: 'purchase', quarantined: 1, removed: 1 });
+
+        const quarantined = await api.get('/api/audit?mailbox=v@example.com&action=mailbox.quarantine').expect(200);
+        expect(quarantined.body.data[0].details).toEqual({ consecutive_failures: 1 });
+
+        const deleted = await api.get('/api/audit?mailbox=v@example.com&action=mailbox.batch_delete').expect(200);
+        expect(deleted.body.data[0].details).toEqual({ reason: 'quarantine_expired', consecutive_failures: 1 });
+    });
+
+    test('购买和清空文件夹会写入审计日志', async () => {
+        jest.spyOn(proxyService, 'request').mockResolvedValue({ code: 200, data: [] });
+        jest.replaceProperty(config, 'purchaseCredentials', { appId: 'id', appKey: 'key' });
+
+        await api.post('/api/proxy/purchase').send({ commodity_id: '1', num: 2 }).expect(200);
+        await api.get('/api/proxy/mail/process-junk?refresh_token=t&client_id=c&email=j@example.com').expect(200);
+
+        const purchase = await api.get('/api/audit?action=purchase').expect(200);
+        expect(purchase.body.data[0].details).toMatchObject({ commodity_id: '1', num: 2, library: '1' });
+
+        const junk = await api.get('/api/audit?action=mail.process_junk').expect(200);
+        expect(junk.body.data[0]).toMatchObject({ mailbox_id: null, mailbox_email: 'j@example.com' });
+    });
+
+    test('支持按操作人、邮箱和时间范围过滤', async () => {
+        const { api: operatorApi } = await loginAs(app, 'operator', 'op1');
+        await api.post('/api/mailboxes').send(mailbox('admin@example.com')).expect(201);
+        await operatorApi.post('/api/mailboxes').send(mailbox('op@example.com')).expect(201);
+
+        const byActor = await api.get('/api/audit?actor=op1').expect(200);
+        expect(byActor.body.data.map(e => e.mailbox_email)).toEqual(['op@example.com']);
+
+        const byMailbox = await api.get('/api/audit?mailbox=admin@example.com').expect(200);
+        expect(byMailbox.body.total).toBe(1);
+
+        const future = new Date(Date.now() + 60 * 60 * 1000).toISOString();
+        const empty = await api.get(`/api/audit?from=${encodeURIComponent(future)}`).expect(200);
+        expect(empty.body.total).toBe(0);
+
+        const paged = await api.get('/api/audit?limit=1&offset=1').expect(200);
+        expect(paged.body).toMatchObject({ total: 2, limit: 1, offset: 1 });
+        expect(paged.body.data).toHaveLength(1);
+    });
+
+    test('operator 只能看到自己的操作记录', async () => {
+        const { api: operatorApi } = await loginAs(app, 'operator', 'op2');
+        await api.post('/api/mailboxes').send(mailbox('admin2@example.com')).expect(201);
+        await operatorApi.post('/api/mailboxes').send(mailbox('op2@example.com')).expect(201);
+
+        const response = await operatorApi.get('/api/audit?actor=admin_user').expect(200);
+        expect(response.body.total).toBe(0);
+
+        const own = await operatorApi.get('/api/audit').expect(200);
+        expect(own.body.data.map(e => e.actor_username)).toEqual(['op2']);
+    });
+
+    test('viewer 无权查看审计日志', async () => {
+        const { api: viewerApi } = await loginAs(app, 'viewer');
+        await viewerApi.get('/api/audit').expect(403);
+    });
+
+    test('无效的过滤条件返回 400', async () => {
+        await api.get('/api/audit?action=unknown').expect(400);
+        await api.get('/api/audit?from=not-a-date').expect(400);
+    });
+
+    test('写入失败不影响业务操作', async () => {
+        jest.spyOn(auditService.legacyStore, 'update').mockRejectedValue(new Error('blob down'));
+
+        await api.post('/api/mailboxes').send(mailbox('ok@example.com')).expect(201);
+    });
+});
@@ -0,0 +1,222 @@
+/**
+ * 认证与用户管理测试
+ * 使用 Mock Blob 存储，避免污染真实数据
+ */
+
+// Mock blob-store 模块
+jest.mock('../utils/blob-store', () => require('./mocks/mock-blob-store'));
+
+const request = require('supertest');
+const app = require('../app');
+const mockBlobStore = require('./mocks/mock-blob-store');
+const config = require('../config');
+const userService = require('../services/user.service');
+const { loginAs } = require('./helpers/auth');
+const { hashPassword, verifyPassword } = require('../utils/password');
+const { signToken, verifyToken } = require('../utils/token');
+
+describe('Authentication', () => {
+    beforeEach(() => {
+        mockBlobStore.clearAll();
+    });
+
+    // ==================== 工具函数 ====================
+    describe('password / token utils', () => {
+        test('密码哈希应可校验且不可逆', async () => {
+            const hash = await hashPassword('correct horse');
+            expect(hash).not.toContain('correct horse');
+            expect(await verifyPassword('correct horse', hash)).toBe(true);
+            expect(await verifyPassword('wrong horse', hash)).toBe(false);
+        });
+
+        test('令牌被篡改或过期时应校验失败', () => {
+            const token = signToken({ sub: 'u1' });
+            expect(verifyToken(token)).toHaveProperty('sub', 'u1');
+
+            const [header, , signature] = token.split('.');
+            const forgedBody = Buffer.from(JSON.stringify({ sub: 'admin', exp: 9999999999 })).toString('base64url');
+            expect(verifyToken(`${header}.${forgedBody}.${signature}`)).toBeNull();
+
+            expect(verifyToken(signToken({ sub: 'u1' }, -10))).toBeNull();
+        });
+    });
+
+    // ==================== 认证中间件 ====================
+    describe('auth middleware', () => {
+        test('未携带令牌访问 API 应返回 401', async () => {
+            const response = await request(app)
+                .get('/api/mailboxes')
+                .expect(401);
+
+            expect(response.body).toHaveProperty('success', false);
+        });
+
+        test('无效令牌应返回 401', async () => {
+            await request(app)
+                .get('/api/mailboxes')
+                .set('Authorization', 'Bearer not-a-token')
+                .expect(401);
+        });
+
+        test('健康检查无需登录', async () => {
+            await request(app)
+                .get('/api/health')
+                .expect(200);
+        });
+    });
+
+    // ==================== 登录 / 登出 ====================
+    describe('POST /api/auth/login', () => {
+        beforeEach(async () => {
+            await userService.createUser({ username: 'alice', password: 'alice-password', role: 'operator' });
+        });
+
+        test('正确的用户名密码应返回令牌', async () => {
+            const response = await request(app)
+                .post('/api/auth/login')
+                .send({ username: 'alice', password: 'alice-password' })
+                .expect(200);
+
+            expect(response.body.data).toHaveProperty('token');
+            expect(response.body.data.user).toMatchObject({ username: 'alice', role: 'operator' });
+            expect(response.body.data.user).not.toHaveProperty('password_hash');
+
+            const me = await request(app)
+                .get('/api/auth/me')
+                .set('Authorization', `Bearer ${response.body.data.token}`)
+                .expect(200);
+
+            expect(me.body.data.username).toBe('alice');
+        });
+
+        test('错误的密码应返回 401', async () => {
+            const response = await request(app)
+                .post('/api/auth/login')
+                .send({ username: 'alice', password: 'wrong-password' })
+                .expect(401);
+
+            expect(response.body.error).toBe('用户名或密码错误');
+        });
+
+        test('缺少参数应返回 400', async () => {
+            await request(app)
+                .post('/api/auth/login')
+                .send({ username: 'alice' })
+                .expect(400);
+        });
+
+        test('被禁用的账号不能登录', async () => {
+            const alice = await userService.getUserByUsername('alice');
+            await userService.updateUser(alice.id, { is_active: false });
+
+            await request(app)
+                .post('/api/auth/login')
+                .send({ username: 'alice', password: 'alice-password' })
+                .expect(403);
+        });
+
+        test('登出后令牌应失效', async () => {
+            const login = await request(app)
+                .post('/api/auth/login')
+                .send({ username: 'alice', password: 'alice-password' })
+                .expect(200);
+            const auth = `Bearer ${login.body.data.token}`;
+
+            await request(app).post('/api/auth/logout').set('Authorization', auth).expect(200);
+            await request(app).get('/api/auth/me').set('Authorization', auth).expect(401);
+        });
+    });
+
+    describe('bootstrap admin', () => {
+        const original = { ...config.auth };
+
+        afterEach(() => {
+            config.auth.adminUsername = original.adminUsername;
+            config.auth.adminPassword = original.adminPassword;
+        });
+
+        test('用户表为空时应根据环境变量创建管理员', async () => {
+            config.auth.adminUsername = 'root';
+            config.auth.adminPassword = 'root-password';
+
+            const response = await request(app)
+                .post('/api/auth/login')
+                .send({ username: 'root', password: 'root-password' })
+                .expect(200);
+
+            expect(response.body.data.user.role).toBe('admin');
+        });
+    });
+
+    // ==================== 用户管理 ====================
+    describe('/api/users', () => {
+        test('管理员可以创建和列出用户', async () => {
+            const { api } = await loginAs(app, 'admin');
+
+            await api.post('/api/users')
+                .send({ username: 'bob', password: 'bob-password' })
+                .expect(201);
+
+            const list = await api.get('/api/users').expect(200);
+            expect(list.body.data.map(u => u.username)).toEqual(expect.arrayContaining(['admin_user', 'bob']));
+            expect(list.body.data[0]).not.toHaveProperty('password_hash');
+        });
+
+        test('重复用户名应返回 409', async () => {
+            const { api } = await loginAs(app, 'admin');
+
+            await api.post('/api/users')
+                .send({ username: 'admin_user', password: 'whatever-pass' })
+                .expect(409);
+        });
+
+        test('非管理员访问应返回 403', async () => {
+            const { api } = await loginAs(app, 'operator');
+
+            await api.get('/api/users').expect(403);
+        });
+
+        test('不能降级或停用最后一个启用的管理员', async () => {
+            const { api, user: admin } = await loginAs(app, 'admin');
+            const { api: otherApi, user: other } = await loginAs(app, 'admin', 'other_admin');
+            const activeAdmins = async () => (await userService.listUsers())
+                .filter(u => u.role === 'admin' && u.is_active !== false);
+
+            await api.put(`/api/users/${admin.id}`).send({ role: 'operator' }).expect(400);
+
+            // 还有其他管理员时可以停用
+            await api.put(`/api/users/${other.id}`).send({ is_active: false }).expect(200);
+            await api.put(`/api/users/${other.id}`).send({ is_active: true }).expect(200);
+
+            // 两个管理员同时降级对方，只有一个成功
+            const results = await Promise.allSettled([
+                userService.updateUser(admin.id, { role: 'viewer' }),
+                userService.updateUser(other.id, { is_active: false }),
+            ]);
+            expect(results.map(r => r.status).sort()).toEqual(['fulfilled', 'rejected']);
+            expect(results.find(r => r.status === 'rejected').reason.message).toBe('至少需要保留一个启用的管理员');
+            expect(await activeAdmins()).toHaveLength(1);
+
+            // 通过接口同时降级对方时也至少保留一个管理员
+            await userService.updateUser(admin.id, { role: 'admin', is_active: true });
+            await userService.updateUser(other.id, { role: 'admin', is_active: true });
+            const statuses = (await Promise.all([
+                api.put(`/api/users/${other.id}`).send({ role: 'operator' }),
+                otherApi.put(`/api/users/${admin.id}`).send({ is_active: false }),
+            ])).map(r => r.status);
+            expect(statuses.filter(status => status === 200)).toHaveLength(1);
+            expect(await activeAdmins()).toHaveLength(1);
+        });
+
+        test('重置密码后旧令牌应失效', async () => {
+            const { api } = await loginAs(app, 'admin');
+            const { user, api: bobApi } = await loginAs(app, 'operator', 'bob');
+
+            await bobApi.get('/api/auth/me').expect(200);
+            await api.put(`/api/users/${user.id}`)
+                .send({ password: 'new-bob-password' })
+                .expect(200);
+            await bobApi.get('/api/auth/me').expect(401);
+        });
+    });
+});
@@ -0,0 +1,125 @@
+/**
+ * 批量清空收件箱/垃圾箱测试
+ * 使用 Mock Blob 存储，避免污染真实数据
+ */
+
+// Mock blob-store 模块
+jest.mock('../utils/blob-store', () => require('./mocks/mock-blob-store'));
+
+const app = require('../app');
+const config = require('../config');
+const mockBlobStore = require('./mocks/mock-blob-store');
+const proxyService = require('../services/proxy.service');
+const jobService = require('../services/job.service');
+const { loginAs } = require('./helpers/auth');
+
+describe('POST /api/mailboxes/bulk/process-folder', () => {
+    let api;
+
+    const addMailboxes = async (client, emails) => {
+        const response = await client.post('/api/mailboxes/batch')
+            .send({ mailboxes: emails.map(email => ({ email, password: 'p', client_id: 'c', refresh_token: 't' })) })
+            .expect(201);
+        return response.body.data.map(m => m.id);
+    };
+
+    beforeEach(async () => {
+        mockBlobStore.clearAll();
+        ({ api } = await loginAs(app, 'admin'));
+    });
+
+    afterEach(() => {
+        jest.restoreAllMocks();
+    });
+
+    test('逐个清空并返回每个邮箱的成功/失败', async () => {
+        const ids = await addMailboxes(api, ['a@example.com', 'b@example.com', 'c@example.com']);
+        jest.spyOn(proxyService, 'request').mockImplementation(async (url) => {
+            if (url.includes('email=b%40example.com')) {
+                throw new Error('令牌已失效');
+            }
+            return { ok: true };
+        });
+
+        const started = await api.post('/api/mailboxes/bulk/process-folder')
+            .send({ ids, folder: 'junk' })
+            .expect(202);
+        expect(started.body.data).toMatchObject({ type: 'mail.process_folder', status: 'queued' });
+
+        const job = await jobService.waitFor(started.body.job_id);
+
+        expect(job).toMatchObject({
+            status: 'completed',
+            progress: { total: 3, processed: 3 },
+            result: { folder: 'junk', total: 3, succeeded: 2, failed: 1, cancelled: false },
+        });
+        expect(job.result.results).toEqual(expect.arrayContaining([
+            { mailbox_id: ids[0], email: 'a@example.com', success: true, error: null },
+            { mailbox_id: ids[1], email: 'b@example.com', success: false, error: '令牌已失效' },
+        ]));
+        expect(proxyService.request.mock.calls.every(([url]) => url.includes('/process-junk'))).toBe(true);
+
+        const audit = await api.get('/api/audit?action=mail.process_junk').expect(200);
+        expect(audit.body.data).toHaveLength(2);
+    });
+
+    test('按配置的并发数分批处理', async () => {
+        jest.replaceProperty(config, 'bulk', { ...config.bulk, processFolderConcurrency: 2 });
+        const ids = await addMailboxes(api, Array.from({ length: 5 }, (_, i) => `p${i}@example.com`));
+
+        let active = 0;
+        let peak = 0;
+        jest.spyOn(proxyService, 'request').mockImplementation(async () => {
+            active++;
+            peak = Math.max(peak, active);
+            await new Promise(resolve => setImmediate(resolve));
+            active--;
+            return {};
+        });
+
+        const started = await api.post('/api/mailboxes/bulk/process-folder')
+            .send({ ids, folder: 'inbox' })
+            .expect(202);
+        const job = await jobService.waitFor(started.body.job_id);
+
+        expect(job.result).toMatchObject({ succeeded: 5, failed: 0 });
+        expect(peak).toBe(2);
+    });
+
+    test('其他用户的邮箱记为不存在，不会被清空', async () => {
+        const { api: otherApi } = await loginAs(app, 'operator', 'other');
+        const [otherId] = await addMailboxes(otherApi, ['other@example.com']);
+        const [adminId] = await addMailboxes(api, ['admin@example.com']);
+        jest.spyOn(proxyService, 'request').mockResolvedValue({});
+
+        const started = await otherApi.post('/api/mailboxes/bulk/process-folder')
+            .send({ ids: [otherId, adminId], folder: 'inbox' })
+            .expect(202);
+        const job = await jobService.waitFor(started.body.job_id);
+
+        expect(job.result).toMatchObject({ total: 2, succeeded: 1, failed: 1 });
+        expect(job.result.results).toContainEqual({ mailbox_id: adminId, email: null, success: false, error: '邮箱不存在' });
+        expect(proxyService.request).toHaveBeenCalledTimes(1);
+    });
+
+    test('参数校验', async () => {
+        await api.post('/api/mailboxes/bulk/process-folder').send({ ids: [], folder: 'inbox' }).expect(400);
+        await api.post('/api/mailboxes/bulk/process-folder').send({ folder: 'inbox' }).expect(400);
+
+        const invalid = await api.post('/api/mailboxes/bulk/process-folder')
+            .send({ ids: ['x'], folder: 'sent' })
+            .expect(400);
+        expect(invalid.body.error).toContain('无效的文件夹');
+
+        jest.replaceProperty(config, 'bulk', { ...config.bulk, maxMailboxes: 2 });
+        await api.post('/api/mailboxes/bulk/process-folder').send({ ids: ['x', 'y', 'z'], folder: 'inbox' }).expect(400);
+    });
+
+    test('没有清空邮件权限的用户返回 403', async () => {
+        const { api: viewerApi } = await loginAs(app, 'viewer', 'viewer');
+
+        await viewerApi.post('/api/mailboxes/bulk/process-folder')
+            .send({ ids: ['x'], folder: 'inbox' })
+            .expect(403);
+    });
+});
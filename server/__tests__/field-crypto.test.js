@@ -0,0 +1,122 @@
+/**
+ * 字段级加密测试
+ */
+
+const crypto = require('crypto');
+const config = require('../config');
+const {
+    encryptField,
+    decryptField,
+    isEncrypted,
+    getKeyVersion,
+    needsReEncryption,
+} = require('../utils/field-crypto');
+const { reencryptRow } = require('../db/rotate-keys');
+
+const KEY_V1 = crypto.randomBytes(32).toString('base64');
+const KEY_V2 = crypto.randomBytes(32).toString('base64');
+
+describe('field-crypto', () => {
+    const original = { ...config.fieldEncryption };
+
+    afterEach(() => {
+        config.fieldEncryption.keys = original.keys;
+        config.fieldEncryption.activeVersion = original.activeVersion;
+    });
+
+    test('未配置密钥时原样返回明文', () => {
+        config.fieldEncryption.keys = '';
+
+        expect(encryptField('secret')).toBe('secret');
+        expect(decryptField('secret')).toBe('secret');
+        expect(needsReEncryption('secret')).toBe(false);
+    });
+
+    test('加密后可解密，且每次密文不同', () => {
+        config.fieldEncryption.keys = `1:${KEY_V1}`;
+
+        const a = encryptField('refresh-token-value');
+        const b = encryptField('refresh-token-value');
+
+        expect(isEncrypted(a)).toBe(true);
+        expect(a).not.toContain('refresh-token-value');
+        expect(a).not.toBe(b);
+        expect(getKeyVersion(a)).toBe(1);
+        expect(decryptField(a)).toBe('refresh-token-value');
+    });
+
+    test('不会重复加密已加密的值', () => {
+        config.fieldEncryption.keys = `1:${KEY_V1}`;
+
+        const encrypted = encryptField('pw');
+        expect(encryptField(encrypted)).toBe(encrypted);
+    });
+
+    test('篡改密文应解密失败', () => {
+        config.fieldEncryption.keys = `1:${KEY_V1}`;
+
+        const encrypted = encryptField('pw');
+        const parts = encrypted.split(':');
+        parts[4] = Buffer.from('tampered').toString('base64');
+
+        expect(() => decryptField(parts.join(':'))).toThrow('字段解密失败');
+    });
+
+    test('缺少对应版本的密钥应报错', () => {
+        config.fieldEncryption.keys = `1:${KEY_V1}`;
+        const encrypted = encryptField('pw');
+
+        config.fieldEncryption.keys = `2:${KEY_V2}`;
+        expect(() => decryptField(encrypted)).toThrow('缺少字段加密密钥 v1');
+    });
+
+    test('新增密钥版本后使用最大版本加密，旧数据仍可解密', () => {
+        config.fieldEncryption.keys = `1:${KEY_V1}`;
+        const old = encryptField('pw');
+
+        config.fieldEncryption.keys = `1:${KEY_V1},2:${KEY_V2}`;
+        const fresh = encryptField('pw');
+
+        expect(getKeyVersion(fresh)).toBe(2);
+        expect(decryptField(old)).toBe('pw');
+        expect(needsReEncryption(old)).toBe(true);
+        expect(needsReEncryption(fresh)).toBe(false);
+    });
+
+    test('可以显式指定活动版本', () => {
+        config.fieldEncryption.keys = `1:${KEY_V1},2:${KEY_V2}`;
+        config.fieldEncryption.activeVersion = 1;
+
+        expect(getKeyVersion(encryptField('pw'))).toBe(1);
+
+        config.fieldEncryption.activeVersion = 3;
+        expect(() => encryptField('pw')).toThrow('FIELD_ENCRYPTION_ACTIVE_VERSION=3');
+    });
+
+    test('密钥配置格式错误应报错', () => {
+        config.fieldEncryption.keys = 'not-a-valid-entry';
+        expect(() => encryptField('pw')).toThrow('FIELD_ENCRYPTION_KEYS 格式无效');
+    });
+
+    describe('rotate-keys', () => {
+        test('明文和旧版本密文都会被重新加密为活动版本', () => {
+            config.fieldEncryption.keys = `1:${KEY_V1}`;
+            const oldPassword = encryptField('pw');
+
+            config.fieldEncryption.keys = `1:${KEY_V1},2:${KEY_V2}`;
+            const changes = reencryptRow({ password: oldPassword, refreshToken: 'plain-token' });
+
+            expect(getKeyVersion(changes.password)).toBe(2);
+            expect(getKeyVersion(changes.refreshToken)).toBe(2);
+            expect(decryptField(changes.password)).toBe('pw');
+            expect(decryptField(changes.refreshToken)).toBe('plain-token');
+        });
+
+        test('已是活动版本的行无需处理', () => {
+            config.fieldEncryption.keys = `1:${KEY_V1}`;
+            const row = { password: encryptField('pw'), refreshToken: encryptField('t') };
+
+            expect(reencryptRow(row)).toBeNull();
+        });
+    });
+});
@@ -0,0 +1,127 @@
+/**
+ * 邮箱健康检查测试
+ * 使用 Mock Blob 存储，避免污染真实数据
+ */
+
+// Mock blob-store 模块
+jest.mock('../utils/blob-store', () => require('./mocks/mock-blob-store'));
+
+const app = require('../app');
+const config = require('../config');
+const mockBlobStore = require('./mocks/mock-blob-store');
+const proxyService = require('../services/proxy.service');
+const healthService = require('../services/health.service');
+const { loginAs } = require('./helpers/auth');
+
+describe('Mailbox health checks', () => {
+    let api;
+    let goodId;
+    let badId;
+
+    const addMailbox = async (email, extra = {}) => {
+        const created = await api.post('/api/mailboxes')
+            .send({ email, password: 'p', client_id: 'c', refresh_token: 't', ...extra })
+            .expect(201);
+        return created.body.data.id;
+    };
+
+    // bad@ 返回 HTTP 500（令牌失效），其余正常
+    const mockMailApi = () => jest.spyOn(proxyService, 'request').mockImplementation(async (url) => {
+        if (url.includes('bad%40example.com')) {
+            const err = new Error('请求失败: HTTP 500 Internal Server Error');
+            err.status = 500;
+            throw err;
+        }
+        return [];
+    });
+
+    beforeEach(async () => {
+        mockBlobStore.clearAll();
+        ({ api } = await loginAs(app, 'admin'));
+        goodId = await addMailbox('good@example.com');
+        badId = await addMailbox('bad@example.com', { source: 'purchase' });
+    });
+
+    afterEach(() => {
+        healthService.stopScheduler();
+        jest.restoreAllMocks();
+    });
+
+    test('手动检测记录结果但不删除邮箱', async () => {
+        mockMailApi();
+
+        const response = await api.post('/api/mailboxes/health/run').send({}).expect(200);
+
+        expect(response.body.data).toMatchObject({ total: 2, healthy: 1, invalid: 1, error: 0 });
+
+        const list = await api.get('/api/mailboxes').expect(200);
+        expect(list.body.data).toHaveLength(2);
+    });
+
+    test('返回单个邮箱的检测历史（按时间倒序）', async () => {
+        mockMailApi();
+        await api.post('/api/mailboxes/health/run').send({}).expect(200);
+        await api.post('/api/mailboxes/health/run').send({ ids: [badId] }).expect(200);
+
+        const response = await api.get(`/api/mailboxes/${badId}/health`).expect(200);
+
+        expect(response.body.total).toBe(2);
+        expect(response.body.data[0]).toMatchObject({
+            mailbox_id: badId,
+            status: 'invalid',
+            http_status: 500,
+            trigger: 'manual',
+        });
+        expect(response.body.data[0].error).toContain('HTTP 500');
+        expect(typeof response.body.data[0].latency_ms).toBe('number');
+        expect(new Date(response.body.data[0].checked_at) >= new Date(response.body.data[1].checked_at)).toBe(true);
+    });
+
+    test('返回每个邮箱的最新状态，可按来源过滤', async () => {
+        mockMailApi();
+        await api.post('/api/mailboxes/health/run').send({ source: 'purchase' }).expect(200);
+
+        const response = await api.get('/api/mailboxes/health/latest').expect(200);
+
+        expect(Object.keys(response.body.data)).toEqual([badId]);
+        expect(response.body.data[badId].status).toBe('invalid');
+    });
+
+    test('网络错误记为 error', async () => {
+        jest.spyOn(proxyService, 'request').mockRejectedValue(new Error('请求超时（30秒）'));
+
+        const response = await api.post('/api/mailboxes/health/run').send({ ids: [goodId] }).expect(200);
+
+        expect(response.body.data).toMatchObject({ total: 1, error: 1 });
+    });
+
+    test('定时检测使用 scheduled 标记，上一次未结束时跳过', async () => {
+        mockMailApi();
+
+        const first = healthService.runScheduled();
+        const second = await healthService.runScheduled();
+        const summary = await first;
+
+        expect(second).toBeNull();
+        expect(summary.total).toBe(2);
+
+        const history = await api.get(`/api/mailboxes/${goodId}/health`).expect(200);
+        expect(history.body.data[0].trigger).toBe('scheduled');
+    });
+
+    test('仅在启用时启动定时任务', () => {
+        jest.replaceProperty(config, 'healthCheck', { ...config.healthCheck, enabled: false });
+        expect(healthService.startScheduler()).toBe(false);
+
+        jest.replaceProperty(config, 'healthCheck', { ...config.healthCheck, enabled: true });
+        expect(healthService.startScheduler()).toBe(true);
+    });
+
+    test('权限：只读用户不能触发检测，不能查看他人邮箱的历史', async () => {
+        const { api: viewerApi } = await loginAs(app, 'viewer', 'viewer');
+        await viewerApi.post('/api/mailboxes/health/run').send({}).expect(403);
+
+        const { api: otherApi } = await loginAs(app, 'operator', 'other');
+        await otherApi.get(`/api/mailboxes/${goodId}/health`).expect(404);
+    });
+});
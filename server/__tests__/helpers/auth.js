@@ -0,0 +1,30 @@
+/**
+ * 测试辅助 - 创建用户并生成带认证头的请求
+ */
+
+const request = require('supertest');
+const userService = require('../../services/user.service');
+const authService = require('../../services/auth.service');
+
+/**
+ * 创建指定角色的用户并签发令牌
+ * @returns {Promise<{ user: object, token: string, api: object }>}
+ */
+async function loginAs(app, role = 'admin', username = `${role}_user`) {
+    const user = await userService.createUser({ username, password: 'test-password', role });
+    const token = authService.issueToken({ ...user, token_version: 0 });
+    const withAuth = (req) => req.set('Authorization', `Bearer ${token}`);
+
+    const api = {
+        get: (url) => withAuth(request(app).get(url)),
+        post: (url) => withAuth(request(app).post(url)),
+        put: (url) => withAuth(request(app).put(url)),
+        delete: (url) => withAuth(request(app).delete(url)),
+    };
+
+    return { user, token, api };
+}
+
+module.exports = {
+    loginAs,
+};
@@ -0,0 +1,99 @@
+/**
+ * 测试辅助 - 按 OpenAPI 文档校验响应
+ *
+ * 只实现文档中用到的 schema 关键字（$ref / type / nullable / enum / format / properties / required /
+ * additionalProperties / items）。与 OpenAPI 默认不同，对象中未声明的字段视为错误（additionalProperties
+ * 为 true 或 schema 时除外），这样控制器新增字段而文档未更新时测试会失败
+ */
+
+/**
+ * 按 schema 校验值
+ * @param {object} spec OpenAPI 文档（用于解析 $ref）
+ * @param {object} schema
+ * @param {any} value
+ * @param {string} at 当前字段路径，用于错误信息
+ * @returns {string[]} 错误列表
+ */
+function validate(spec, schema, value, at = '$') {
+    if (schema.$ref) {
+        const name = schema.$ref.replace('#/components/schemas/', '');
+        const target = spec.components.schemas[name];
+        if (!target) return [`${at}: 无法解析 ${schema.$ref}`];
+        return validate(spec, target, value, at);
+    }
+
+    if (value === null) {
+        return schema.nullable ? [] : [`${at}: 不能为 null`];
+    }
+    if (value === undefined) {
+        return [`${at}: 缺少值`];
+    }
+    if (schema.enum && !schema.enum.includes(value)) {
+        return [`${at}: ${JSON.stringify(value)} 不在 ${JSON.stringify(schema.enum)} 中`];
+    }
+
+    switch (schema.type) {
+        case undefined:
+            return [];
+        case 'object': {
+            if (typeof value !== 'object' || Array.isArray(value)) return [`${at}: 应为对象`];
+            const errors = [];
+            const properties = schema.properties || {};
+            for (const key of schema.required || []) {
+                if (!(key in value)) errors.push(`${at}.${key}: 缺少必填字段`);
+            }
+            for (const [key, item] of Object.entries(value)) {
+                if (properties[key]) {
+                    errors.push(...validate(spec, properties[key], item, `${at}.${key}`));
+                } else if (typeof schema.additionalProperties === 'object') {
+                    errors.push(...validate(spec, schema.additionalProperties, item, `${at}.${key}`));
+                } else if (schema.additionalProperties !== true) {
+                    errors.push(`${at}.${key}: 文档中未声明该字段`);
+                }
+            }
+            return errors;
+        }
+        case 'array':
+            if (!Array.isArray(value)) return [`${at}: 应为数组`];
+            return value.flatMap((item, i) => validate(spec, schema.items || {}, item, `${at}[${i}]`));
+        case 'integer':
+            return Number.isInteger(value) ? [] : [`${at}: 应为整数`];
+        case 'number':
+            return typeof value === 'number' ? [] : [`${at}: 应为数字`];
+        case 'boolean':
+            return typeof value === 'boolean' ? [] : [`${at}: 应为布尔值`];
+        case 'string':
+            if (typeof value !== 'string') return [`${at}: 应为字符串`];
+            if (schema.format === 'date-time' && Number.isNaN(Date.parse(value))) return [`${at}: 应为 ISO 时间`];
+            return [];
+        default:
+            return [`${at}: 不支持的类型 ${schema.type}`];
+    }
+}
+
+/**
+ * 按文档中该接口、该状态码的响应定义校验响应体
+ * @param {object} spec OpenAPI 文档
+ * @param {string} method 小写的 HTTP 方法
+ * @param {string} path 文档中的路径，如 /mailboxes/{id}
+ * @param {object} response supertest 响应
+ * @returns {string[]} 错误列表
+ */
+function validateResponse(spec, method, path, response) {
+    const operation = spec.paths[path]?.[method];
+    if (!operation) return [`文档中没有 ${method.toUpperCase()} ${path}`];
+
+    let definition = operation.responses[response.status] || operation.responses.default;
+    if (definition.$ref) {
+        definition = spec.components.responses[definition.$ref.replace('#/components/responses/', '')];
+    }
+    const schema = definition.content?.['application/json']?.schema;
+    if (!schema) return [`${method.toUpperCase()} ${path} 的 ${response.status} 响应不是 JSON`];
+
+    return validate(spec, schema, response.body).map(e => `${method.toUpperCase()} ${path} ${response.status} ${e}`);
+}
+
+module.exports = {
+    validate,
+    validateResponse,
+};
@@ -0,0 +1,359 @@
+/**
+ * 后台任务队列测试
+ * 使用 Mock Blob 存储，避免污染真实数据
+ */
+
+// Mock blob-store 模块
+jest.mock('../utils/blob-store', () => require('./mocks/mock-blob-store'));
+
+const app = require('../app');
+const config = require('../config');
+const mockBlobStore = require('./mocks/mock-blob-store');
+const proxyService = require('../services/proxy.service');
+const jobService = require('../services/job.service');
+const { loginAs } = require('./helpers/auth');
+
+/**
+ * 解析 SSE 响应体
+ * @returns {Array<{ event: string, data: object }>}
+ */
+function parseEvents(text) {
+    return text.split('\n\n')
+        .map(block => block.trim())
+        .filter(block => block && !block.startsWith(':'))
+        .map((block) => {
+            const lines = block.split('\n');
+            const event = lines.find(l => l.startsWith('event: '))?.slice(7);
+            const data = lines.find(l => l.startsWith('data: '))?.slice(6);
+            return { event, data: JSON.parse(data) };
+        });
+}
+
+/**
+ * 读取完整的 SSE 响应体（supertest 默认不缓冲 text/event-stream）
+ */
+function readStream(res, callback) {
+    let text = '';
+    res.setEncoding('utf8');
+    res.on('data', (chunk) => { text += chunk; });
+    res.on('end', () => callback(null, text));
+}
+
+/**
+ * 轮询直到条件成立
+ */
+async function waitUntil(predicate, message) {
+    for (let i = 0; i < 200; i++) {
+        if (predicate()) return;
+        await new Promise(resolve => setTimeout(resolve, 5));
+    }
+    throw new Error(message);
+}
+
+/**
+ * 等待 SSE 连接订阅到任务事件
+ */
+const waitForSubscriber = (jobId) => waitUntil(
+    () => jobService.emitters.get(jobId)?.listenerCount('done') > 0,
+    'SSE 未订阅'
+);
+
+describe('Background jobs', () => {
+    let api;
+    let release;
+
+    const addMailboxes = (count) => api.post('/api/mailboxes/batch')
+        .send({
+            mailboxes: Array.from({ length: count }, (_, i) => ({
+                email: `job${i}@example.com`, password: 'p', client_id: 'c', refresh_token: 't',
+            })),
+        })
+        .expect(201);
+
+    // 外部 API 在 release() 之前一直挂起，便于在任务执行中途订阅或取消
+    const mockBlockedMailApi = () => {
+        const gate = new Promise((resolve) => { release = resolve; });
+        jest.spyOn(proxyService, 'request').mockImplementation(async () => {
+            await gate;
+            return [];
+        });
+    };
+
+    beforeEach(async () => {
+        mockBlobStore.clearAll();
+        ({ api } = await loginAs(app, 'admin'));
+    });
+
+    afterEach(() => {
+        release?.();
+        jest.restoreAllMocks();
+    });
+
+    test('validate-all 立即返回任务ID，任务结束后可查询结果', async () => {
+        await addMailboxes(3);
+        jest.spyOn(proxyService, 'request').mockResolvedValue([]);
+
+        const started = await api.post('/api/mailboxes/validate-all').send({}).expect(202);
+
+        expect(started.body.job_id).toBeTruthy();
+        expect(started.body.data).toMatchObject({ type: 'mailbox.validate', status: 'queued' });
+
+        await jobService.waitFor(started.body.job_id);
+        const response = await api.get(`/api/jobs/${started.body.job_id}`).expect(200);
+
+        expect(response.body.data).toMatchObject({
+            status: 'completed',
+            progress: { total: 3, processed: 3, percent: 100 },
+            result: { checked: 3, failed: 0, cancelled: false },
+        });
+        expect(response.body.data.result).not.toHaveProperty('data');
+    });
+
+    test('validate-all 的 ids 不是字符串数组时返回 400', async () => {
+        await api.post('/api/mailboxes/validate-all').send({ ids: 'abc' }).expect(400);
+        await api.post('/api/mailboxes/validate-all').send({ ids: { id: 'abc' } }).expect(400);
+        await api.post('/api/mailboxes/validate-all').send({ ids: [1, 2] }).expect(400);
+
+        const list = await api.get('/api/jobs?type=mailbox.validate&status=queued,running').expect(200);
+        expect(list.body.total).toBe(0);
+    });
+
+    test('SSE 推送每个邮箱的检测结果和结束事件', async () => {
+        await addMailboxes(2);
+        mockBlockedMailApi();
+
+        const started = await api.post('/api/mailboxes/validate-all').send({}).expect(202);
+        const jobId = started.body.job_id;
+
+        const stream = api.get(`/api/jobs/${jobId}/events`).buffer(true).parse(readStream);
+        const pending = stream.then(res => res);
+        await waitForSubscriber(jobId);
+        release();
+
+        const response = await pending;
+        expect(response.headers['content-type']).toContain('text/event-stream');
+
+        const events = parseEvents(response.body);
+        expect(events[0].event).toBe('status');
+
+        const items = events.filter(e => e.event === 'item');
+        expect(items).toHaveLength(2);
+        expect(items[0].data).toMatchObject({ status: 'healthy', error: null });
+        expect(items[0].data.email).toMatch(/^job\d@example\.com$/);
+        expect(items[1].data.progress).toMatchObject({ total: 2, processed: 2 });
+
+        const done = events[events.length - 1];
+        expect(done.event).toBe('done');
+        expect(done.data).toMatchObject({ status: 'completed', result: { checked: 2 } });
+    });
+
+    test('已结束的任务订阅后立即收到 done', async () => {
+        jest.spyOn(proxyService, 'request').mockResolvedValue([]);
+        const started = await api.post('/api/mailboxes/validate-all').send({}).expect(202);
+        await jobService.waitFor(started.body.job_id);
+
+        const response = await api.get(`/api/jobs/${started.body.job_id}/events`).buffer(true).parse(readStream);
+
+        expect(parseEvents(response.body).map(e => e.event)).toEqual(['status', 'done']);
+    });
+
+    test('取消任务：当前批次结束后停止，已检测的结果照常生效', async () => {
+        // 每批 10 个，共 2 批
+        await addMailboxes(12);
+        mockBlockedMailApi();
+
+        const started = await api.post('/api/mailboxes/validate-all').send({}).expect(202);
+        const jobId = started.body.job_id;
+        await waitUntil(() => proxyService.request.mock.calls.length > 0, '任务未开始');
+
+        const cancelled = await api.post(`/api/jobs/${jobId}/cancel`).send({}).expect(200);
+        expect(cancelled.body.data.status).toBe('running');
+        release();
+
+        const job = await jobService.waitFor(jobId);
+        expect(job).toMatchObject({
+            status: 'cancelled',
+            progress: { total: 12, processed: 10 },
+            result: { checked: 10, cancelled: true },
+        });
+
+        const audit = await api.get('/api/audit?action=mailbox.validate').expect(200);
+        expect(audit.body.data[0].details).toMatchObject({ total: 12, checked: 10, cancelled: true });
+    });
+
+    test('异步购买：后台购买并导入邮箱', async () => {
+        jest.replaceProperty(config, 'purchaseCredentials', { appId: 'id', appKey: 'key' });
+        jest.spyOn(proxyService, 'request').mockResolvedValue({
+            code: 200,
+            data: {
+                trade_no: 'T1',
+                total_price: '0.20',
+                cards: ['buy1@example.com----p----c----t', 'bad-card', 'buy2@example.com----p----c----t'],
+            },
+        });
+
+        const started = await api.post('/api/proxy/purchase')
+            .send({ commodity_id: '1', num: 3, library: '1', async: true })
+            .expect(202);
+        const job = await jobService.waitFor(started.body.job_id);
+
+        expect(job).toMatchObject({
+            type: 'purchase',
+            status: 'completed',
+            progress: { total: 2, processed: 2 },
+            result: { trade_no: 'T1', purchased: 3, invalid: 1, added: 2, skipped: 0 },
+        });
+        expect(JSON.stringify(job)).not.toContain('----');
+
+        const list = await api.get('/api/mailboxes').expect(200);
+        expect(list.body.data.map(m => m.source)).toEqual(['purchase', 'purchase']);
+
+        await api.post('/api/proxy/purchase').send({ commodity_id: '1', num: 1, library: '9', async: true }).expect(400);
+    });
+
+    test('任务列表按创建时间倒序，可按状态和类型过滤', async () => {
+        jest.spyOn(proxyService, 'request').mockResolvedValue([]);
+        const first = await api.post('/api/mailboxes/validate-all').send({}).expect(202);
+        await jobService.waitFor(first.body.job_id);
+        const second = await api.post('/api/mailboxes/validate-all').send({}).expect(202);
+        await jobService.waitFor(second.body.job_id);
+
+        const response = await api.get('/api/jobs?type=mailbox.validate&status=completed').expect(200);
+
+        expect(response.body.data.map(j => j.id).slice(0, 2)).toEqual([second.body.job_id, first.body.job_id]);
+        expect(response.body.data[0]).not.toHaveProperty('lease_owner');
+
+        const none = await api.get('/api/jobs?type=no.such.type').expect(200);
+        expect(none.body).toMatchObject({ data: [], total: 0 });
+    });
+
+    describe('队列', () => {
+        beforeEach(() => {
+            jest.replaceProperty(config, 'jobs', { ...config.jobs, retryDelay: 10 });
+        });
+
+        test('失败后按退避重试，达到最大次数后失败', async () => {
+            let calls = 0;
+            jobService.registerHandler('test.flaky', async () => {
+                calls++;
+                if (calls < 2) throw new Error('暂时失败');
+                return { ok: true };
+            }, { maxAttempts: 3 });
+            jobService.registerHandler('test.broken', async () => {
+                throw new Error('一直失败');
+            }, { maxAttempts: 2 });
+
+            const flaky = await jobService.enqueue('test.flaky');
+            const broken = await jobService.enqueue('test.broken');
+
+            expect(await jobService.waitFor(flaky.id)).toMatchObject({ status: 'completed', attempts: 2, result: { ok: true }, error: null });
+            expect(await jobService.waitFor(broken.id)).toMatchObject({ status: 'failed', attempts: 2, error: '一直失败' });
+        });
+
+        test('retryable 为 false 的错误不重试', async () => {
+            jobService.registerHandler('test.fatal', async () => {
+                const error = new Error('参数错误');
+                error.retryable = false;
+                throw error;
+            }, { maxAttempts: 3 });
+
+            const job = await jobService.enqueue('test.fatal');
+
+            expect(await jobService.waitFor(job.id)).toMatchObject({ status: 'failed', attempts: 1, error: '参数错误' });
+        });
+
+        test('同类型任务按并发上限排队，排队中的任务可直接取消', async () => {
+            let releaseBlocked;
+            const gate = new Promise((resolve) => { releaseBlocked = resolve; });
+            jobService.registerHandler('test.blocking', async () => {
+                await gate;
+                return {};
+            }, { concurrency: 1 });
+
+            const first = await jobService.enqueue('test.blocking');
+            const second = await jobService.enqueue('test.blocking');
+            const third = await jobService.enqueue('test.blocking');
+            await waitUntil(() => jobService.running.has(first.id), '任务未开始');
+
+            expect((await jobService.getJob(second.id)).status).toBe('queued');
+
+            const cancelled = await api.post(`/api/jobs/${third.id}/cancel`).send({}).expect(200);
+            expect(cancelled.body.data.status).toBe('cancelled');
+
+            releaseBlocked();
+            expect((await jobService.waitFor(first.id)).status).toBe('completed');
+            expect((await jobService.waitFor(second.id)).status).toBe('completed');
+            expect((await jobService.getJob(third.id)).attempts).toBe(0);
+        });
+
+        test('POST /api/jobs/run 执行到期的任务（无工作进程时）', async () => {
+            // 模拟函数在返回响应后冻结：创建任务时不自动执行
+            jest.spyOn(jobService, '_scheduleTick').mockImplementation(() => {});
+            jobService.registerHandler('test.drain', async params => ({ n: params.n }), { concurrency: 1 });
+
+            const first = await jobService.enqueue('test.drain', { n: 1 });
+            const second = await jobService.enqueue('test.drain', { n: 2 });
+            expect((await jobService.getJob(first.id)).status).toBe('queued');
+
+            const { api: operatorApi } = await loginAs(app, 'operator', 'cron_operator');
+            await operatorApi.post('/api/jobs/run').send({}).expect(403);
+
+            const response = await api.post('/api/jobs/run').send({}).expect(200);
+            expect(response.body.data).toEqual({ claimed: 2, running: 0 });
+            expect(await jobService.getJob(first.id)).toMatchObject({ status: 'completed', result: { n: 1 } });
+            expect(await jobService.getJob(second.id)).toMatchObject({ status: 'completed', result: { n: 2 } });
+
+            expect((await api.post('/api/jobs/run').send({}).expect(200)).body.data).toEqual({ claimed: 0, running: 0 });
+        });
+
+        test('租约被其它进程接管后中止执行，不覆盖新的结果', async () => {
+            let releaseStalled;
+            const gate = new Promise((resolve) => { releaseStalled = resolve; });
+            jobService.registerHandler('test.stalled', async () => {
+                await gate;
+                return { stale: true };
+            });
+
+            const job = await jobService.enqueue('test.stalled');
+            await waitUntil(() => jobService.running.has(job.id), '任务未开始');
+            const local = jobService.running.get(job.id);
+
+            // 模拟本进程停滞期间租约过期，任务被其它进程重新认领
+            Object.assign(jobService.memoryJobs.get(job.id), { lease_owner: 'other-worker', attempts: 2 });
+            await jobService._heartbeat(local.job, local.controller);
+            expect(local.controller.signal.aborted).toBe(true);
+
+            releaseStalled();
+            await waitUntil(() => !jobService.running.has(job.id), '任务未结束');
+            expect(jobService.memoryJobs.get(job.id)).toMatchObject({
+                status: 'running', lease_owner: 'other-worker', result: null, finished_at: null,
+            });
+        });
+
+        test('未注册的任务类型无法创建', async () => {
+            await expect(jobService.enqueue('test.unknown')).rejects.toThrow('未知的任务类型');
+        });
+    });
+
+    test('权限：其他用户看不到任务，不存在的任务返回 404', async () => {
+        jest.spyOn(proxyService, 'request').mockResolvedValue([]);
+        const started = await api.post('/api/mailboxes/validate-all').send({}).expect(202);
+        await jobService.waitFor(started.body.job_id);
+
+        const { api: otherApi } = await loginAs(app, 'operator', 'other');
+        await otherApi.get(`/api/jobs/${started.body.job_id}`).expect(404);
+        await otherApi.get(`/api/jobs/${started.body.job_id}/events`).expect(404);
+        await otherApi.post(`/api/jobs/${started.body.job_id}/cancel`).send({}).expect(404);
+
+        await api.get('/api/jobs/not-a-job').expect(404);
+
+        const list = await otherApi.get('/api/jobs').expect(200);
+        expect(list.body.data).toHaveLength(0);
+
+        // PostgreSQL 模式下非法 ID 不查询数据库（uuid 列转换失败会返回 500）
+        jest.replaceProperty(jobService, 'storageMode', 'postgres');
+        await api.get('/api/jobs/not-a-job').expect(404);
+        await api.get('/api/jobs/not-a-job/events').expect(404);
+        await api.post('/api/jobs/not-a-job/cancel').send({}).expect(404);
+    });
+});
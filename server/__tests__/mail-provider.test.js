@@ -0,0 +1,222 @@
+/**
+ * 邮件服务提供方测试
+ * Graph 提供方连接本地模拟的微软令牌接口和 Graph 接口（真实 HTTP 请求）
+ */
+
+// Mock blob-store 模块
+jest.mock('../utils/blob-store', () => require('./mocks/mock-blob-store'));
+
+const http = require('http');
+const app = require('../app');
+const config = require('../config');
+const mockBlobStore = require('./mocks/mock-blob-store');
+const mailboxService = require('../services/mailbox.service');
+const proxyService = require('../services/proxy.service');
+const healthService = require('../services/health.service');
+const { loginAs } = require('./helpers/auth');
+
+/**
+ * 模拟微软令牌接口（/token）和 Graph 邮件接口（/graph/...）
+ */
+function createMockMicrosoft() {
+    const state = {
+        tokenRequests: [],
+        accessTokens: new Set(),
+        rejectNext: false,
+        issued: 0,
+        folders: {},
+    };
+
+    const message = (id, subject) => ({
+        id,
+        internetMessageId: `<${id}@example.com>`,
+        subject,
+        from: { emailAddress: { name: 'GitHub', address: 'noreply@github.com' } },
+        receivedDateTime: `2026-01-0${id.slice(-1)}T00:00:00Z`,
+        body: { contentType: 'html', content: `<p>${subject}</p>` },
+    });
+
+    const reset = () => {
+        state.tokenRequests = [];
+        state.accessTokens.clear();
+        state.rejectNext = false;
+        state.issued = 0;
+        state.folders = {
+            inbox: [message('in-2', 'code: 222222'), message('in-1', 'code: 111111')],
+            junkemail: [message('junk-1', 'spam'), message('junk-2', 'spam')],
+        };
+    };
+
+    const send = (res, status, body) => {
+        res.writeHead(status, { 'Content-Type': 'application/json' });
+        res.end(body === undefined ? undefined : JSON.stringify(body));
+    };
+
+    const server = http.createServer((req, res) => {
+        let raw = '';
+        req.on('data', (chunk) => { raw += chunk; });
+        req.on('end', () => {
+            const url = new URL(req.url, 'http://localhost');
+
+            if (req.method === 'POST' && url.pathname === '/token') {
+                const form = new URLSearchParams(raw);
+                state.tokenRequests.push(Object.fromEntries(form));
+                if (form.get('refresh_token') === 'revoked') {
+                    return send(res, 400, { error: 'invalid_grant', error_description: 'AADSTS70000' });
+                }
+                const n = ++state.issued;
+                state.accessTokens.add(`at-${n}`);
+                return send(res, 200, { access_token: `at-${n}`, expires_in: 3600, refresh_token: `rt-${n}` });
+            }
+
+            const token = (req.headers.authorization || '').replace('Bearer ', '');
+            if (!state.accessTokens.has(token) || state.rejectNext) {
+                state.rejectNext = false;
+                return send(res, 401, { error: { code: 'InvalidAuthenticationToken' } });
+            }
+
+            const list = url.pathname.match(/^\/graph\/me\/mailFolders\/(\w+)\/messages$/);
+            if (req.method === 'GET' && list) {
+                const top = Number(url.searchParams.get('$top'));
+                return send(res, 200, { value: (state.folders[list[1]] || []).slice(0, top) });
+            }
+
+            const item = url.pathname.match(/^\/graph\/me\/messages\/(.+)$/);
+            if (req.method === 'DELETE' && item) {
+                for (const name of Object.keys(state.folders)) {
+                    state.folders[name] = state.folders[name].filter(m => m.id !== decodeURIComponent(item[1]));
+                }
+                res.writeHead(204);
+                return res.end();
+            }
+
+            send(res, 404, { error: { code: 'NotFound' } });
+        });
+    });
+
+    return { server, state, reset };
+}
+
+describe('Mail providers', () => {
+    const mock = createMockMicrosoft();
+    let baseUrl;
+    let api;
+
+    const addMailbox = async (data = {}) => {
+        const response = await api.post('/api/mailboxes')
+            .send({ email: 'graph@example.com', password: 'p', client_id: 'client', refresh_token: 'rt-0', ...data })
+            .expect(201);
+        return response.body.data;
+    };
+
+    beforeAll(async () => {
+        await new Promise(resolve => mock.server.listen(0, '127.0.0.1', resolve));
+        baseUrl = `http://127.0.0.1:${mock.server.address().port}`;
+    });
+
+    afterAll(async () => {
+        await new Promise(resolve => mock.server.close(resolve));
+    });
+
+    beforeEach(async () => {
+        mockBlobStore.clearAll();
+        mock.reset();
+        proxyService.mailProviders.graph.tokens.clear();
+        jest.replaceProperty(config, 'tokenRefresh', { ...config.tokenRefresh, tokenUrl: `${baseUrl}/token` });
+        jest.replaceProperty(config, 'graph', { ...config.graph, baseUrl: `${baseUrl}/graph`, pageSize: 1 });
+        ({ api } = await loginAs(app, 'admin'));
+    });
+
+    afterEach(() => {
+        jest.restoreAllMocks();
+    });
+
+    test('Graph 提供方：换取访问令牌读取邮件，并保存轮换后的刷新令牌', async () => {
+        const mailbox = await addMailbox({ provider: 'graph' });
+        expect(mailbox.provider).toBe('graph');
+
+        const response = await api.get(`/api/proxy/mail/emails?mailbox_id=${mailbox.id}&folder=INBOX`).expect(200);
+
+        expect(response.body).toEqual([expect.objectContaining({
+            id: 'in-2',
+            from: 'GitHub <noreply@github.com>',
+            subject: 'code: 222222',
+            date: '2026-01-02T00:00:00Z',
+            html: '<p>code: 222222</p>',
+        })]);
+        expect(mock.state.tokenRequests).toEqual([{
+            client_id: 'client',
+            grant_type: 'refresh_token',
+            refresh_token: 'rt-0',
+            scope: config.graph.scope,
+        }]);
+
+        const stored = await mailboxService.getMailboxById(mailbox.id);
+        expect(stored.refresh_token).toBe('rt-1');
+        expect(stored.last_refreshed_at).toBeTruthy();
+
+        // 访问令牌未过期前复用
+        await api.get(`/api/proxy/mail/mail-new?mailbox_id=${mailbox.id}&folder=INBOX`).expect(200);
+        expect(mock.state.tokenRequests).toHaveLength(1);
+    });
+
+    test('Graph 提供方：访问令牌被拒绝时重新换取一次', async () => {
+        const mailbox = await addMailbox({ provider: 'graph' });
+        await api.get(`/api/proxy/mail/emails?mailbox_id=${mailbox.id}`).expect(200);
+
+        mock.state.rejectNext = true;
+        await api.get(`/api/proxy/mail/emails?mailbox_id=${mailbox.id}`).expect(200);
+
+        expect(mock.state.tokenRequests.map(r => r.refresh_token)).toEqual(['rt-0', 'rt-1']);
+    });
+
+    test('Graph 提供方：逐页清空垃圾箱', async () => {
+        const mailbox = await addMailbox({ provider: 'graph' });
+
+        const response = await api.get(`/api/proxy/mail/process-junk?mailbox_id=${mailbox.id}`).expect(200);
+
+        expect(response.body).toMatchObject({ success: true, deleted: 2 });
+        expect(mock.state.folders.junkemail).toEqual([]);
+        expect(mock.state.folders.inbox).toHaveLength(2);
+
+        const audit = await api.get('/api/audit?action=mail.process_junk').expect(200);
+        expect(audit.body.data).toHaveLength(1);
+    });
+
+    test('未指定提供方的邮箱使用部署默认值', async () => {
+        const mailbox = await addMailbox();
+        expect(mailbox.provider).toBeNull();
+        jest.spyOn(proxyService, 'request');
+
+        jest.replaceProperty(config, 'mailProvider', { default: 'graph' });
+        await api.get(`/api/proxy/mail/emails?mailbox_id=${mailbox.id}`).expect(200);
+        expect(proxyService.request.mock.calls[0][0]).toBe(`${baseUrl}/token`);
+
+        // 单个邮箱指定的提供方优先
+        proxyService.request.mockResolvedValue([]);
+        await api.put(`/api/mailboxes/${mailbox.id}`).send({ provider: 'external' }).expect(200);
+        await api.get(`/api/proxy/mail/emails?mailbox_id=${mailbox.id}`).expect(200);
+        expect(proxyService.request.mock.lastCall[0]).toContain(`${config.externalMailApi.baseUrl}/mail-all?`);
+    });
+
+    test('刷新令牌已失效时健康检查判定为失效', async () => {
+        const mailbox = await addMailbox({ provider: 'graph', refresh_token: 'revoked' });
+
+        const record = await healthService.checkMailbox(await mailboxService.getMailboxById(mailbox.id));
+
+        expect(record).toMatchObject({ status: 'invalid', http_status: 400 });
+        expect(record.error).toContain('invalid_grant');
+    });
+
+    test('无效的提供方返回 400', async () => {
+        await api.post('/api/mailboxes')
+            .send({ email: 'bad@example.com', password: 'p', client_id: 'c', refresh_token: 't', provider: 'imap' })
+            .expect(400);
+
+        const mailbox = await addMailbox();
+        await api.put(`/api/mailboxes/${mailbox.id}`).send({ provider: 'imap' }).expect(400);
+
+        const updated = await api.put(`/api/mailboxes/${mailbox.id}`).send({ provider: 'graph' }).expect(200);
+        expect(updated.body.data.provider).toBe('graph');
+    });
+});
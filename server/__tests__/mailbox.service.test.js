@@ -7,6 +7,7 @@
 jest.mock('../utils/blob-store', () => require('./mocks/mock-blob-store'));
 
 const mailboxService = require('../services/mailbox.service');
+const userService = require('../services/user.service');
 const mockBlobStore = require('./mocks/mock-blob-store');
 
 describe('MailboxService', () => {
@@ -445,6 +446,96 @@ describe('MailboxService', () => {
         });
     });
 
+    // ==================== 数据隔离测试 ====================
+    describe('数据隔离', () => {
+        const admin = { id: 'admin-1', role: 'admin' };
+        const alice = { id: 'user-alice', role: 'operator' };
+        const bob = { id: 'user-bob', role: 'operator' };
+
+        const build = (email) => ({ email, password: 'p', client_id: 'c', refresh_token: 't' });
+
+        beforeEach(async () => {
+            await mailboxService.addMailbox(build('alice1@example.com'), alice);
+            await mailboxService.addMailboxesBatch([build('alice2@example.com')], alice);
+            await mailboxService.addMailbox(build('bob1@example.com'), bob);
+        });
+
+        test('新增邮箱应记录归属用户', async () => {
+            const mailbox = await mailboxService.getMailboxByEmail('alice1@example.com');
+            expect(mailbox.owner_id).toBe(alice.id);
+        });
+
+        test('普通用户只能看到自己的邮箱，管理员可以看到全部', async () => {
+            const aliceList = await mailboxService.getAllMailboxes(alice);
+            const bobList = await mailboxService.getAllMailboxes(bob);
+            const adminList = await mailboxService.getAllMailboxes(admin);
+
+            expect(aliceList.map(m => m.email).sort()).toEqual(['alice1@example.com', 'alice2@example.com']);
+            expect(bobList.map(m => m.email)).toEqual(['bob1@example.com']);
+            expect(adminList).toHaveLength(3);
+        });
+
+        test('不能读取、修改或删除他人的邮箱', async () => {
+            const bobMailbox = await mailboxService.getMailboxByEmail('bob1@example.com');
+
+            expect(await mailboxService.getMailboxById(bobMailbox.id, alice)).toBeNull();
+            await expect(mailboxService.updateMailbox(bobMailbox.id, { password: 'x' }, alice))
+                .rejects.toThrow('邮箱不存在');
+            await expect(mailboxService.deleteMailbox(bobMailbox.id, alice))
+                .rejects.toThrow('邮箱不存在');
+        });
+
+        test('批量删除应忽略他人的邮箱', async () => {
+            const all = await mailboxService.getAllMailboxes(admin);
+            const result = await mailboxService.deleteMailboxesBatch(all.map(m => m.id), alice);
+
+            expect(result.deleted).toBe(2);
+            expect(await mailboxService.getAllMailboxes(bob)).toHaveLength(1);
+        });
+
+        test('统计信息只统计自己的邮箱', async () => {
+            const stats = await mailboxService.getStatistics(bob);
+            expect(stats.total).toBe(1);
+
+            const adminStats = await mailboxService.getStatistics(admin);
+            expect(adminStats.total).toBe(3);
+        });
+
+        test('有效性检测只针对自己的邮箱', async () => {
+            const proxyService = require('../services/proxy.service');
+            const spy = jest.spyOn(proxyService, 'getMailboxEmails').mockResolvedValue([]);
+
+            try {
+                const result = await mailboxService.validateMailboxesBySource([], null, 10, bob);
+
+                expect(spy).toHaveBeenCalledTimes(1);
+                expect(result.checked).toBe(1);
+                expect(result.data.map(m => m.email)).toEqual(['bob1@example.com']);
+            } finally {
+                spy.mockRestore();
+            }
+        });
+
+        test('管理员可以转移邮箱归属', async () => {
+            const bobMailbox = await mailboxService.getMailboxByEmail('bob1@example.com');
+            const carol = await userService.createUser({ username: 'carol', password: 'carol-password' });
+
+            await mailboxService.updateMailbox(bobMailbox.id, { owner_id: carol.id }, admin);
+            expect(await mailboxService.getAllMailboxes(carol)).toHaveLength(1);
+
+            // 不存在的用户或非法ID被拒绝，归属保持不变
+            await expect(mailboxService.updateMailbox(bobMailbox.id, { owner_id: '00000000-0000-4000-8000-000000000000' }, admin))
+                .rejects.toThrow('归属用户不存在');
+            await expect(mailboxService.updateMailbox(bobMailbox.id, { owner_id: 'user-typo' }, admin))
+                .rejects.toThrow('归属用户不存在');
+            expect((await mailboxService.getMailboxById(bobMailbox.id)).owner_id).toBe(carol.id);
+
+            // 普通用户传入 owner_id 会被忽略
+            await expect(mailboxService.updateMailbox(bobMailbox.id, { owner_id: bob.id }, alice))
+                .rejects.toThrow('没有提供要更新的数据');
+        });
+    });
+
     // ==================== 数据转换测试 ====================
     describe('数据格式', () => {
         test('返回的邮箱应包含所有必要字段', async () => {
@@ -0,0 +1,357 @@
+/**
+ * 邮件缓存测试
+ * 使用 Mock Blob 存储，避免污染真实数据
+ */
+
+// Mock blob-store 模块
+jest.mock('../utils/blob-store', () => require('./mocks/mock-blob-store'));
+
+const app = require('../app');
+const config = require('../config');
+const mockBlobStore = require('./mocks/mock-blob-store');
+const proxyService = require('../services/proxy.service');
+const messageService = require('../services/message.service');
+const { loginAs } = require('./helpers/auth');
+
+const inboxMail = [
+    { id: 'm1', send: 'a@sender.com', subject: '验证码 123456', date: '2024-01-02T10:00:00Z', text: 'code 123456' },
+    { id: 'm2', send: 'b@sender.com', subject: 'Welcome', date: '2024-01-01T10:00:00Z', html: '<p>hi</p>' },
+];
+
+describe('Message cache', () => {
+    let api;
+    let mailboxId;
+
+    beforeEach(async () => {
+        mockBlobStore.clearAll();
+        ({ api } = await loginAs(app, 'admin'));
+
+        const created = await api.post('/api/mailboxes')
+            .send({ email: 'cache@example.com', password: 'p', client_id: 'c', refresh_token: 't' })
+            .expect(201);
+        mailboxId = created.body.data.id;
+    });
+
+    afterEach(() => {
+        jest.restoreAllMocks();
+    });
+
+    test('拉取邮件后可从缓存读取，按时间倒序', async () => {
+        jest.spyOn(proxyService, 'request').mockResolvedValue(inboxMail);
+
+        await api.get(`/api/proxy/mail/emails?mailbox_id=${mailboxId}&folder=INBOX`).expect(200);
+
+        const response = await api.get(`/api/mailboxes/${mailboxId}/messages`).expect(200);
+
+        expect(response.body.total).toBe(2);
+        expect(response.body.data[0]).toMatchObject({
+            mailbox_id: mailboxId,
+            folder: 'inbox',
+            message_id: 'm1',
+            from: 'a@sender.com',
+            subject: '验证码 123456',
+            date: '2024-01-02T10:00:00.000Z',
+            text: 'code 123456',
+        });
+        expect(response.body.data[1].html).toBe('<p>hi</p>');
+        expect(response.body.data[0]).not.toHaveProperty('raw');
+    });
+
+    test('外部 API 不可用后缓存仍可查看', async () => {
+        const spy = jest.spyOn(proxyService, 'request').mockResolvedValue(inboxMail);
+        await api.get(`/api/proxy/mail/emails?mailbox_id=${mailboxId}`).expect(200);
+
+        spy.mockRejectedValue(new Error('HTTP 500'));
+        await api.get(`/api/proxy/mail/emails?mailbox_id=${mailboxId}`).expect(500);
+
+        const response = await api.get(`/api/mailboxes/${mailboxId}/messages`).expect(200);
+        expect(response.body.total).toBe(2);
+    });
+
+    test('重复拉取不会产生重复记录', async () => {
+        jest.spyOn(proxyService, 'request').mockResolvedValue({ data: inboxMail });
+
+        await api.get(`/api/proxy/mail/emails?mailbox_id=${mailboxId}`).expect(200);
+        await api.get(`/api/proxy/mail/emails?mailbox_id=${mailboxId}`).expect(200);
+
+        const response = await api.get(`/api/mailboxes/${mailboxId}/messages`).expect(200);
+        expect(response.body.total).toBe(2);
+    });
+
+    test('没有 ID 的邮件按发件人/主题/时间去重', async () => {
+        const mail = { send: 'x@sender.com', subject: 'No id', date: '2024-01-03T00:00:00Z' };
+        jest.spyOn(proxyService, 'request').mockResolvedValue(mail);
+
+        await api.get(`/api/proxy/mail/mail-new?mailbox_id=${mailboxId}`).expect(200);
+        await api.get(`/api/proxy/mail/mail-new?mailbox_id=${mailboxId}`).expect(200);
+
+        const response = await api.get(`/api/mailboxes/${mailboxId}/messages?include_raw=true`).expect(200);
+        expect(response.body.total).toBe(1);
+        expect(response.body.data[0].raw).toEqual(mail);
+    });
+
+    test('支持按文件夹过滤和分页', async () => {
+        const spy = jest.spyOn(proxyService, 'request').mockResolvedValue(inboxMail);
+        await api.get(`/api/proxy/mail/emails?mailbox_id=${mailboxId}&folder=INBOX`).expect(200);
+        spy.mockResolvedValue([{ id: 'j1', subject: 'spam', date: '2024-01-05T00:00:00Z' }]);
+        await api.get(`/api/proxy/mail/emails?mailbox_id=${mailboxId}&folder=Junk`).expect(200);
+
+        const junk = await api.get(`/api/mailboxes/${mailboxId}/messages?folder=junk`).expect(200);
+        expect(junk.body.data.map(m => m.message_id)).toEqual(['j1']);
+
+        const paged = await api.get(`/api/mailboxes/${mailboxId}/messages?limit=1&offset=1`).expect(200);
+        expect(paged.body).toMatchObject({ total: 3, limit: 1, offset: 1 });
+        expect(paged.body.data[0].message_id).toBe('m1');
+    });
+
+    test('旧存储模式下每个文件夹只保留最新的邮件', async () => {
+        jest.replaceProperty(config, 'messages', { legacyMaxPerFolder: 1 });
+        jest.spyOn(proxyService, 'request').mockResolvedValue(inboxMail);
+
+        await api.get(`/api/proxy/mail/emails?mailbox_id=${mailboxId}`).expect(200);
+
+        const response = await api.get(`/api/mailboxes/${mailboxId}/messages`).expect(200);
+        expect(response.body.data.map(m => m.message_id)).toEqual(['m1']);
+    });
+
+    test('缓存写入失败不影响邮件拉取', async () => {
+        jest.spyOn(proxyService, 'request').mockResolvedValue(inboxMail);
+        jest.spyOn(messageService, 'saveFetched').mockRejectedValue(new Error('blob down'));
+
+        const response = await api.get(`/api/proxy/mail/emails?mailbox_id=${mailboxId}`).expect(200);
+        expect(response.body).toHaveLength(2);
+    });
+
+    test('不能读取他人邮箱的缓存', async () => {
+        const { api: otherApi } = await loginAs(app, 'operator', 'other');
+        await otherApi.get(`/api/mailboxes/${mailboxId}/messages`).expect(404);
+    });
+
+    test('邮件列表附带提取出的验证码', async () => {
+        jest.spyOn(proxyService, 'request').mockResolvedValue(inboxMail);
+
+        const live = await api.get(`/api/proxy/mail/emails?mailbox_id=${mailboxId}`).expect(200);
+        expect(live.body[0].otp).toEqual({ code: '123456', link: null });
+
+        const cached = await api.get(`/api/mailboxes/${mailboxId}/messages`).expect(200);
+        expect(cached.body.data[0].otp.code).toBe('123456');
+        expect(cached.body.data[1].otp.code).toBeNull();
+    });
+
+    describe('GET /api/mailboxes/:id/latest-code', () => {
+        test('实时拉取最新邮件并返回验证码', async () => {
+            jest.spyOn(proxyService, 'request').mockResolvedValue({
+                send: 'noreply@service.com',
+                subject: 'Sign in',
+                text: 'Your login code is 901234. Or click https://service.com/magic-login?t=abc',
+                date: '2024-05-01T00:00:00Z',
+            });
+
+            const response = await api.get(`/api/mailboxes/${mailboxId}/latest-code`).expect(200);
+
+            expect(response.body.data).toMatchObject({
+                mailbox_id: mailboxId,
+                email: 'cache@example.com',
+                message: { subject: 'Sign in', from: 'noreply@service.com', date: '2024-05-01T00:00:00.000Z' },
+                code: '901234',
+                link: 'https://service.com/magic-login?t=abc',
+                source: 'live',
+            });
+        });
+
+        test('外部 API 不可用时使用最新的缓存邮件', async () => {
+            const spy = jest.spyOn(proxyService, 'request').mockResolvedValue(inboxMail);
+            await api.get(`/api/proxy/mail/emails?mailbox_id=${mailboxId}`).expect(200);
+            spy.mockRejectedValue(new Error('HTTP 500'));
+
+            const response = await api.get(`/api/mailboxes/${mailboxId}/latest-code`).expect(200);
+
+            expect(response.body.data).toMatchObject({ code: '123456', source: 'cache' });
+        });
+
+        test('没有邮件或无权访问返回 404', async () => {
+            jest.spyOn(proxyService, 'request').mockResolvedValue([]);
+            await api.get(`/api/mailboxes/${mailboxId}/latest-code`).expect(404);
+
+            const { api: otherApi } = await loginAs(app, 'operator', 'other');
+            await otherApi.get(`/api/mailboxes/${mailboxId}/latest-code`).expect(404);
+        });
+    });
+
+    describe('GET /api/mailboxes/:id/wait', () => {
+        beforeEach(() => {
+            jest.replaceProperty(config, 'messages', {
+                ...config.messages,
+                waitInitialInterval: 10,
+                waitMaxInterval: 20,
+                waitMaxTimeout: 1,
+            });
+        });
+
+        test('轮询直到收到晚于请求时间且匹配过滤条件的邮件', async () => {
+            const fresh = () => new Date(Date.now() + 1000).toISOString();
+            const spy = jest.spyOn(proxyService, 'request')
+                .mockResolvedValueOnce({ send: 'noreply@target.com', subject: 'Old code', date: '2020-01-01T00:00:00Z' })
+                .mockImplementationOnce(async () => ({ send: 'news@other.com', subject: 'Your code', date: fresh() }))
+                .mockImplementation(async () => ({
+                    send: 'NoReply@Target.com', subject: 'Your code', text: 'verification code 551234', date: fresh(),
+                }));
+
+            const response = await api
+                .get(`/api/mailboxes/${mailboxId}/wait?from=noreply@target.com&subject=code&timeout=5`)
+                .expect(200);
+
+            expect(spy).toHaveBeenCalledTimes(3);
+            expect(response.body.data).toMatchObject({
+                from: 'NoReply@Target.com',
+                subject: 'Your code',
+                otp: { code: '551234' },
+            });
+            expect(response.body.data).not.toHaveProperty('raw');
+        });
+
+        test('外部 API 暂时失败时继续等待', async () => {
+            jest.spyOn(proxyService, 'request')
+                .mockRejectedValueOnce(new Error('HTTP 500'))
+                .mockImplementation(async () => ({ subject: 'ok', date: new Date(Date.now() + 1000).toISOString() }));
+
+            const response = await api.get(`/api/mailboxes/${mailboxId}/wait`).expect(200);
+            expect(response.body.data.subject).toBe('ok');
+        });
+
+        test('超时返回 408', async () => {
+            jest.spyOn(proxyService, 'request').mockResolvedValue(inboxMail);
+
+            const response = await api.get(`/api/mailboxes/${mailboxId}/wait?timeout=1`).expect(408);
+
+            expect(response.body.error).toBe('等待邮件超时');
+            expect(response.body.waited_ms).toBeGreaterThanOrEqual(900);
+        });
+
+        test('无权访问的邮箱返回 404', async () => {
+            const { api: otherApi } = await loginAs(app, 'operator', 'other');
+            await otherApi.get(`/api/mailboxes/${mailboxId}/wait`).expect(404);
+        });
+    });
+
+    describe('GET /api/mailboxes/:id/messages/:messageId', () => {
+        test('返回单封缓存邮件（含原始 JSON）', async () => {
+            jest.spyOn(proxyService, 'request').mockResolvedValue(inboxMail);
+            await api.get(`/api/proxy/mail/emails?mailbox_id=${mailboxId}`).expect(200);
+            const list = await api.get(`/api/mailboxes/${mailboxId}/messages`).expect(200);
+
+            const response = await api.get(`/api/mailboxes/${mailboxId}/messages/${list.body.data[0].id}`).expect(200);
+
+            expect(response.body.data.raw).toEqual(inboxMail[0]);
+        });
+
+        test('邮件不存在返回 404', async () => {
+            await api.get(`/api/mailboxes/${mailboxId}/messages/missing`).expect(404);
+        });
+    });
+});
+
+describe('Message search', () => {
+    let api;
+    let spy;
+
+    const fetchInto = async (mailboxId, mail) => {
+        spy.mockResolvedValue(mail);
+        await api.get(`/api/proxy/mail/emails?mailbox_id=${mailboxId}`).expect(200);
+    };
+
+    const addMailbox = async (email, client = api) => {
+        const created = await client.post('/api/mailboxes')
+            .send({ email, password: 'p', client_id: 'c', refresh_token: 't' })
+            .expect(201);
+        return created.body.data.id;
+    };
+
+    beforeEach(async () => {
+        mockBlobStore.clearAll();
+        ({ api } = await loginAs(app, 'admin'));
+        spy = jest.spyOn(proxyService, 'request');
+    });
+
+    afterEach(() => {
+        jest.restoreAllMocks();
+    });
+
+    test('跨邮箱按关键词检索，返回邮箱地址和摘要', async () => {
+        const first = await addMailbox('first@example.com');
+        const second = await addMailbox('second@example.com');
+        await fetchInto(first, [{ id: 'a', send: 'noreply@github.com', subject: 'Your code', text: 'Your verification code is 482913.', date: '2024-02-01T00:00:00Z' }]);
+        await fetchInto(second, [{ id: 'b', send: 'news@shop.com', subject: 'Sale', text: 'Big sale today', date: '2024-02-02T00:00:00Z' }]);
+
+        const response = await api.get('/api/messages/search?q=482913').expect(200);
+
+        expect(response.body.total).toBe(1);
+        expect(response.body.data[0]).toMatchObject({
+            mailbox_id: first,
+            mailbox_email: 'first@example.com',
+            folder: 'inbox',
+            subject: 'Your code',
+        });
+        expect(response.body.data[0].snippet).toContain('482913');
+        expect(response.body.data[0]).not.toHaveProperty('text');
+    });
+
+    test('多个关键词需同时命中，大小写不敏感，HTML 正文也可检索', async () => {
+        const id = await addMailbox('html@example.com');
+        await fetchInto(id, [
+            { id: '1', subject: 'Login', html: '<p>Your <b>Login</b> code: <span>7788</span></p>', date: '2024-02-01T00:00:00Z' },
+            { id: '2', subject: 'Login alert', text: 'New login detected', date: '2024-02-02T00:00:00Z' },
+        ]);
+
+        const both = await api.get('/api/messages/search?q=LOGIN').expect(200);
+        expect(both.body.total).toBe(2);
+
+        const one = await api.get('/api/messages/search?q=login%207788').expect(200);
+        expect(one.body.data.map(m => m.message_id)).toEqual(['1']);
+    });
+
+    test('支持发件人、主题和起始时间过滤', async () => {
+        const id = await addMailbox('filter@example.com');
+        await fetchInto(id, [
+            { id: 'old', send: 'Service@Example.org', subject: 'Code 1', text: 'x', date: '2024-01-01T00:00:00Z' },
+            { id: 'new', send: 'service@example.org', subject: 'Code 2', text: 'x', date: '2024-03-01T00:00:00Z' },
+            { id: 'other', send: 'other@site.com', subject: 'Hello', text: 'x', date: '2024-03-02T00:00:00Z' },
+        ]);
+
+        const byFrom = await api.get('/api/messages/search?from=service@example').expect(200);
+        expect(byFrom.body.data.map(m => m.message_id)).toEqual(['new', 'old']);
+
+        const bySubject = await api.get('/api/messages/search?subject=code&since=2024-02-01').expect(200);
+        expect(bySubject.body.data.map(m => m.message_id)).toEqual(['new']);
+    });
+
+    test('新拉取的邮件可以立即检索到', async () => {
+        const id = await addMailbox('fresh@example.com');
+        await fetchInto(id, [{ id: '1', subject: 'first', text: 'alpha', date: '2024-01-01T00:00:00Z' }]);
+        await api.get('/api/messages/search?q=alpha').expect(200);
+
+        await fetchInto(id, [{ id: '2', subject: 'second', text: 'beta', date: '2024-01-02T00:00:00Z' }]);
+
+        const response = await api.get('/api/messages/search?q=beta').expect(200);
+        expect(response.body.total).toBe(1);
+    });
+
+    test('只检索当前用户可见的邮箱', async () => {
+        const { api: operatorApi } = await loginAs(app, 'operator', 'searcher');
+        const own = await addMailbox('own@example.com', operatorApi);
+        const admins = await addMailbox('admins@example.com');
+        await fetchInto(own, [{ id: '1', subject: 'shared word', text: 'x' }]);
+        await fetchInto(admins, [{ id: '2', subject: 'shared word', text: 'x' }]);
+
+        const response = await operatorApi.get('/api/messages/search?q=shared').expect(200);
+        expect(response.body.data.map(m => m.mailbox_email)).toEqual(['own@example.com']);
+
+        const adminResponse = await api.get('/api/messages/search?q=shared').expect(200);
+        expect(adminResponse.body.total).toBe(2);
+    });
+
+    test('缺少搜索条件或日期无效返回 400', async () => {
+        await api.get('/api/messages/search').expect(400);
+        await api.get('/api/messages/search?q=x&since=yesterday').expect(400);
+    });
+});
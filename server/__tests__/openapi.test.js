@@ -0,0 +1,237 @@
+/**
+ * OpenAPI 文档契约测试
+ *
+ * - 路由与文档一一对应：新增路由未标注 apiDoc、或文档中有已不存在的路由时失败
+ * - 真实响应按文档中的 schema 校验：控制器返回的字段与文档不一致时失败
+ */
+
+// Mock blob-store 模块
+jest.mock('../utils/blob-store', () => require('./mocks/mock-blob-store'));
+
+const request = require('supertest');
+const app = require('../app');
+const mockBlobStore = require('./mocks/mock-blob-store');
+const apiRoutes = require('../routes');
+const v1Routes = require('../routes/v1.routes');
+const jobService = require('../services/job.service');
+const proxyService = require('../services/proxy.service');
+const { listRoutes } = require('../utils/openapi');
+const { ref } = require('../utils/openapi-schemas');
+const { loginAs } = require('./helpers/auth');
+const { validate, validateResponse } = require('./helpers/openapi');
+
+const inboxMail = [
+    { id: 'm1', send: 'a@sender.com', subject: '验证码 123456', date: '2024-01-02T10:00:00Z', text: 'code 123456' },
+];
+
+/**
+ * 路由器中定义的路由，格式为 "GET /mailboxes/{id}"
+ */
+function routeKeys(mounts) {
+    return mounts.flatMap(({ path, router }) => listRoutes(router).map(route => ({
+        key: `${route.method.toUpperCase()} ${`${path}${route.path === '/' ? '' : route.path}`.replace(/:(\w+)/g, '{$1}')}`,
+        summary: route.summary,
+    })));
+}
+
+/**
+ * 文档中的接口，格式同上
+ */
+function operationKeys(spec) {
+    return Object.entries(spec.paths).flatMap(([path, operations]) =>
+        Object.keys(operations).map(method => `${method.toUpperCase()} ${path}`));
+}
+
+/**
+ * 路由器中通过 router.use() 挂载的子路由器
+ */
+function subRouters(router) {
+    return router.stack.filter(layer => !layer.route && Array.isArray(layer.handle.stack)).map(layer => layer.handle);
+}
+
+describe('OpenAPI contract', () => {
+    const apiSpec = apiRoutes.getOpenApiDocument();
+    const v1Spec = v1Routes.getOpenApiDocument();
+
+    describe('路由与文档一致', () => {
+        test.each([
+            ['/api', apiRoutes, apiRoutes.API_MOUNTS, apiSpec],
+            ['/api/v1', v1Routes, v1Routes.V1_MOUNTS, v1Spec],
+        ])('%s 的每个路由都有说明并出现在文档中', (prefix, router, mounts, spec) => {
+            const routes = routeKeys([{ path: '', router }, ...mounts]);
+
+            expect(routes.filter(r => !r.summary).map(r => r.key)).toEqual([]);
+            expect(operationKeys(spec).sort()).toEqual(routes.map(r => r.key).sort());
+        });
+
+        test('所有子路由都在挂载表中', () => {
+            const apiMounted = subRouters(apiRoutes);
+            expect(apiMounted).toHaveLength(apiRoutes.API_MOUNTS.length + 1);
+            for (const router of apiMounted) {
+                expect([v1Routes, ...apiRoutes.API_MOUNTS.map(m => m.router)]).toContain(router);
+            }
+
+            const v1Mounted = subRouters(v1Routes);
+            expect(v1Mounted).toEqual(v1Routes.V1_MOUNTS.map(m => m.router));
+            // /api/v1 复用 /api 的路由器
+            for (const router of v1Mounted) {
+                expect(apiRoutes.API_MOUNTS.map(m => m.router)).toContain(router);
+            }
+        });
+
+        test.each([['/api', apiSpec], ['/api/v1', v1Spec]])('%s 文档的引用和参数完整', (prefix, spec) => {
+            const json = JSON.stringify(spec);
+            for (const [, name] of json.matchAll(/"#\/components\/schemas\/([^"]+)"/g)) {
+                expect(spec.components.schemas).toHaveProperty(name);
+            }
+
+            const operationIds = [];
+            for (const [path, operations] of Object.entries(spec.paths)) {
+                const names = [...path.matchAll(/\{([^}]+)\}/g)].map(([, name]) => name);
+                for (const operation of Object.values(operations)) {
+                    operationIds.push(operation.operationId);
+                    expect((operation.parameters || []).filter(p => p.in === 'path').map(p => p.name)).toEqual(names);
+                }
+            }
+            expect(new Set(operationIds).size).toBe(operationIds.length);
+        });
+
+        test('只有标注为公开的接口不需要认证', async () => {
+            await loginAs(app, 'viewer', 'public-check');
+            for (const [method, path] of operationKeys(apiSpec).map(k => k.split(' '))) {
+                if (path.includes('{')) continue;
+                const operation = apiSpec.paths[path][method.toLowerCase()];
+                const response = await request(app)[method.toLowerCase()](`/api${path}`)
+                    .send({ username: 'public-check', password: 'test-password' });
+
+                if (operation.security.length === 0) {
+                    expect([method, path, response.status]).toEqual([method, path, 200]);
+                } else {
+                    expect([method, path, response.status]).toEqual([method, path, 401]);
+                }
+            }
+
+            const v1Public = Object.entries(v1Spec.paths)
+                .filter(([, operations]) => operations.get?.security.length === 0)
+                .map(([path]) => path);
+            expect(v1Public).toEqual(['/openapi.json']);
+            await request(app).get('/api/v1/openapi.json').expect(200);
+        });
+
+        test('/api/openapi.json 返回文档', async () => {
+            const response = await request(app).get('/api/openapi.json').expect(200);
+            expect(response.body).toEqual(JSON.parse(JSON.stringify(apiSpec)));
+            expect(response.body.paths['/mailboxes/{id}'].get.responses[200].content['application/json'].schema)
+                .toMatchObject({ properties: { data: ref('Mailbox') } });
+        });
+    });
+
+    describe('响应符合文档', () => {
+        let api;
+        let errors;
+
+        // 发送请求并按文档校验响应
+        const check = async (spec, method, path, pending, status) => {
+            const response = await pending;
+            expect([method, path, response.status]).toEqual([method, path, status]);
+            errors.push(...validateResponse(spec, method, path, response));
+            return response.body;
+        };
+
+        beforeEach(async () => {
+            mockBlobStore.clearAll();
+            errors = [];
+            ({ api } = await loginAs(app, 'admin', 'contract-admin'));
+        });
+
+        afterEach(() => {
+            jest.restoreAllMocks();
+        });
+
+        test('/api', async () => {
+            jest.spyOn(proxyService, 'request').mockResolvedValue(inboxMail);
+
+            await check(apiSpec, 'post', '/auth/login', request(app).post('/api/auth/login')
+                .send({ username: 'contract-admin', password: 'test-password' }), 200);
+            await check(apiSpec, 'get', '/auth/me', api.get('/api/auth/me'), 200);
+            await check(apiSpec, 'get', '/users', api.get('/api/users'), 200);
+            await check(apiSpec, 'get', '/health', request(app).get('/api/health'), 200);
+
+            const { data: mailbox } = await check(apiSpec, 'post', '/mailboxes', api.post('/api/mailboxes')
+                .send({ email: 'contract@example.com', password: 'p', client_id: 'c', refresh_token: 't' }), 201);
+            const batch = await check(apiSpec, 'post', '/mailboxes/batch', api.post('/api/mailboxes/batch').send({
+                mailboxes: [
+                    { email: 'contract@example.com', password: 'p', client_id: 'c', refresh_token: 't' },
+                    { email: 'second@example.com', password: 'p', client_id: 'c', refresh_token: 't' },
+                ],
+            }), 201);
+            expect(batch.skippedEmails).toEqual(['contract@example.com']);
+
+            await check(apiSpec, 'get', '/mailboxes', api.get('/api/mailboxes'), 200);
+            await check(apiSpec, 'get', '/mailboxes/{id}', api.get(`/api/mailboxes/${mailbox.id}`), 200);
+            await check(apiSpec, 'get', '/mailboxes/{id}', api.get('/api/mailboxes/00000000-0000-0000-0000-000000000000'), 404);
+            await check(apiSpec, 'put', '/mailboxes/{id}', api.put(`/api/mailboxes/${mailbox.id}`).send({ client_id: 'c2' }), 200);
+            await check(apiSpec, 'get', '/mailboxes/stats/summary', api.get('/api/mailboxes/stats/summary'), 200);
+            await check(apiSpec, 'get', '/mailboxes/quarantine', api.get('/api/mailboxes/quarantine'), 200);
+            await check(apiSpec, 'get', '/mailboxes/health/latest', api.get('/api/mailboxes/health/latest'), 200);
+            await check(apiSpec, 'post', '/mailboxes/reveal', api.post('/api/mailboxes/reveal').send({ ids: [mailbox.id] }), 200);
+            await check(apiSpec, 'post', '/mailboxes/health/run', api.post('/api/mailboxes/health/run').send({ ids: [mailbox.id] }), 200);
+            await check(apiSpec, 'get', '/mailboxes/{id}/health', api.get(`/api/mailboxes/${mailbox.id}/health`), 200);
+
+            await check(apiSpec, 'get', '/proxy/mail/emails', api.get(`/api/proxy/mail/emails?mailbox_id=${mailbox.id}`), 200);
+            const messages = await check(apiSpec, 'get', '/mailboxes/{id}/messages', api.get(`/api/mailboxes/${mailbox.id}/messages`), 200);
+            await check(apiSpec, 'get', '/mailboxes/{id}/messages/{messageId}',
+                api.get(`/api/mailboxes/${mailbox.id}/messages/${messages.data[0].id}`), 200);
+            await check(apiSpec, 'get', '/mailboxes/{id}/latest-code', api.get(`/api/mailboxes/${mailbox.id}/latest-code`), 200);
+            await check(apiSpec, 'get', '/messages/search', api.get('/api/messages/search?q=123456'), 200);
+
+            const job = await check(apiSpec, 'post', '/mailboxes/validate-all', api.post('/api/mailboxes/validate-all').send({}), 202);
+            await jobService.waitFor(job.job_id);
+            await check(apiSpec, 'get', '/jobs/{id}', api.get(`/api/jobs/${job.job_id}`), 200);
+            await check(apiSpec, 'get', '/jobs', api.get('/api/jobs'), 200);
+
+            await check(apiSpec, 'post', '/api-keys', api.post('/api/api-keys').send({ name: 'contract', scopes: ['mailbox:read'] }), 201);
+            await check(apiSpec, 'get', '/api-keys', api.get('/api/api-keys'), 200);
+
+            const { data: webhook } = await check(apiSpec, 'post', '/webhooks', api.post('/api/webhooks')
+                .send({ name: 'contract', url: 'https://example.com/hook', events: ['mailbox.created'] }), 201);
+            await check(apiSpec, 'get', '/webhooks', api.get('/api/webhooks'), 200);
+            await check(apiSpec, 'get', '/webhooks/{id}/deliveries', api.get(`/api/webhooks/${webhook.id}/deliveries`), 200);
+
+            await check(apiSpec, 'get', '/notifications', api.get('/api/notifications'), 200);
+            await check(apiSpec, 'post', '/notifications/read-all', api.post('/api/notifications/read-all'), 200);
+            await check(apiSpec, 'get', '/alerts/readings', api.get('/api/alerts/readings'), 200);
+            await check(apiSpec, 'get', '/purchases', api.get('/api/purchases'), 200);
+            await check(apiSpec, 'get', '/proxy/suppliers', api.get('/api/proxy/suppliers'), 200);
+            await check(apiSpec, 'get', '/audit', api.get('/api/audit'), 200);
+
+            await check(apiSpec, 'post', '/mailboxes/batch-delete', api.post('/api/mailboxes/batch-delete').send({ ids: [batch.data[0].id] }), 200);
+            await check(apiSpec, 'delete', '/mailboxes/{id}', api.delete(`/api/mailboxes/${mailbox.id}`), 200);
+
+            expect(errors).toEqual([]);
+        });
+
+        test('/api/v1', async () => {
+            jest.spyOn(proxyService, 'request').mockResolvedValue(inboxMail);
+
+            const { data: mailbox } = await check(v1Spec, 'post', '/mailboxes', api.post('/api/v1/mailboxes')
+                .send({ email: 'v1-contract@example.com', password: 'p', client_id: 'c', refresh_token: 't' }), 201);
+            await check(v1Spec, 'get', '/mailboxes', api.get('/api/v1/mailboxes'), 200);
+            await check(v1Spec, 'get', '/mailboxes/{id}', api.get('/api/v1/mailboxes/00000000-0000-0000-0000-000000000000'), 404);
+            await check(v1Spec, 'get', '/proxy/mail/emails', api.get(`/api/v1/proxy/mail/emails?mailbox_id=${mailbox.id}`), 200);
+            await check(v1Spec, 'get', '/mailboxes/{id}/messages', api.get(`/api/v1/mailboxes/${mailbox.id}/messages`), 200);
+            await check(v1Spec, 'get', '/mailboxes/stats/summary', api.get('/api/v1/mailboxes/stats/summary'), 200);
+            await check(v1Spec, 'get', '/purchases', api.get('/api/v1/purchases'), 200);
+            await check(v1Spec, 'delete', '/mailboxes/{id}', api.delete(`/api/v1/mailboxes/${mailbox.id}`), 200);
+
+            expect(errors).toEqual([]);
+        });
+
+        test('文档未声明的字段视为不一致', () => {
+            const mailbox = { id: '1', email: 'a@example.com', client_id: 'c', is_active: true };
+            expect(validate(apiSpec, ref('Mailbox'), mailbox)).toEqual([]);
+            expect(validate(apiSpec, ref('Mailbox'), { ...mailbox, unknown: 1 })).toEqual(['$.unknown: 文档中未声明该字段']);
+            expect(validate(apiSpec, ref('Mailbox'), { ...mailbox, is_active: 'yes' })).toEqual(['$.is_active: 应为布尔值']);
+        });
+    });
+});
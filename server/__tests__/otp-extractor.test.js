@@ -0,0 +1,94 @@
+/**
+ * 验证码提取测试
+ */
+
+const config = require('../config');
+const { compileRules, extractFromMessage, annotateResponse } = require('../utils/otp-extractor');
+
+describe('otp-extractor', () => {
+    afterEach(() => {
+        jest.restoreAllMocks();
+    });
+
+    test('提取关键词后的数字验证码', () => {
+        const result = extractFromMessage({
+            subject: 'Your GitHub launch code',
+            text: 'Here is your verification code: 482913. It expires in 10 minutes.',
+        });
+
+        expect(result.code).toBe('482913');
+        expect(result.codes[0]).toEqual({ value: '482913', type: 'numeric', source: 'keyword' });
+    });
+
+    test('支持中文关键词和关键词在后的写法', () => {
+        expect(extractFromMessage({ text: '您的验证码为 7788，5 分钟内有效。' }).code).toBe('7788');
+        expect(extractFromMessage({ text: '314159 is your Instagram code.' }).code).toBe('314159');
+    });
+
+    test('提取字母数字混合验证码，忽略年份', () => {
+        const result = extractFromMessage({
+            subject: 'Security code',
+            text: '© 2024 Example Inc. Your security code is K7Q2ZP',
+        });
+
+        expect(result.code).toBe('K7Q2ZP');
+        expect(result.codes[0].type).toBe('alphanumeric');
+        expect(result.codes.map(c => c.value)).not.toContain('2024');
+    });
+
+    test('没有纯文本时从 HTML 中提取', () => {
+        const result = extractFromMessage({
+            html: '<p>Your <b>login code</b>:</p><div style="font-size:24px">905126</div>',
+        });
+
+        expect(result.code).toBe('905126');
+    });
+
+    test('提取验证链接并解码 HTML 实体', () => {
+        const result = extractFromMessage({
+            subject: 'Confirm your email',
+            html: '<a href="https://example.com/unsubscribe">退订</a>'
+                + '<a href="https://example.com/verify?token=abc&amp;uid=1">Verify</a>',
+        });
+
+        expect(result.code).toBeNull();
+        expect(result.link).toBe('https://example.com/verify?token=abc&uid=1');
+        expect(result.links).toEqual(['https://example.com/verify?token=abc&uid=1']);
+    });
+
+    test('发件人规则优先于关键词启发式', () => {
+        const rules = compileRules([
+            { sender: 'noreply@acme.com', pattern: 'ref ([A-Z]{3}-\\d{3})', type: 'alphanumeric' },
+        ]);
+        const message = {
+            from: 'ACME <NoReply@acme.com>',
+            text: 'Your code 123456 was replaced. Use ref ABC-123 instead.',
+        };
+
+        const result = extractFromMessage(message, rules);
+        expect(result.codes[0]).toEqual({ value: 'ABC-123', type: 'alphanumeric', source: 'rule' });
+
+        const other = extractFromMessage({ ...message, from: 'other@site.com' }, rules);
+        expect(other.code).toBe('123456');
+    });
+
+    test('从 OTP_RULES 配置读取规则，无效配置被忽略', () => {
+        jest.replaceProperty(config, 'otp', {
+            rules: JSON.stringify([{ sender: 'bank.com', pattern: 'PIN=(\\d{4})' }, { pattern: '(' }]),
+        });
+        expect(extractFromMessage({ from: 'alerts@bank.com', text: 'PIN=4821' }).codes[0].source).toBe('rule');
+
+        jest.replaceProperty(config, 'otp', { rules: 'not json' });
+        expect(extractFromMessage({ from: 'alerts@bank.com', text: 'PIN=4821' }).codes[0].source).toBe('keyword');
+    });
+
+    test('annotateResponse 保持响应结构并附加 otp 字段', () => {
+        const mail = { subject: '验证码 123456' };
+
+        expect(annotateResponse([mail])[0].otp).toEqual({ code: '123456', link: null });
+        expect(annotateResponse({ data: [mail] }).data[0].otp.code).toBe('123456');
+        expect(annotateResponse(mail).otp.code).toBe('123456');
+        expect(annotateResponse({ error: 'x' })).toEqual({ error: 'x' });
+        expect(mail).not.toHaveProperty('otp');
+    });
+});
@@ -0,0 +1,98 @@
+/**
+ * 角色权限测试
+ * 使用 Mock Blob 存储，避免污染真实数据
+ */
+
+// Mock blob-store 模块
+jest.mock('../utils/blob-store', () => require('./mocks/mock-blob-store'));
+
+const app = require('../app');
+const mockBlobStore = require('./mocks/mock-blob-store');
+const { loginAs } = require('./helpers/auth');
+const { PERMISSIONS, hasPermission, getRolePermissions } = require('../utils/permissions');
+
+describe('Role permissions', () => {
+    beforeEach(() => {
+        mockBlobStore.clearAll();
+    });
+
+    describe('permission matrix', () => {
+        test('admin 拥有全部权限', () => {
+            for (const permission of Object.values(PERMISSIONS)) {
+                expect(hasPermission({ role: 'admin' }, permission)).toBe(true);
+            }
+        });
+
+        test('operator 可以购买和删除，但不能管理用户或查看他人邮箱', () => {
+            const operator = { role: 'operator' };
+            expect(hasPermission(operator, PERMISSIONS.PURCHASE_BUY)).toBe(true);
+            expect(hasPermission(operator, PERMISSIONS.MAIL_CLEAR)).toBe(true);
+            expect(hasPermission(operator, PERMISSIONS.USER_MANAGE)).toBe(false);
+            expect(hasPermission(operator, PERMISSIONS.MAILBOX_READ_ALL)).toBe(false);
+        });
+
+        test('viewer 只有只读权限', () => {
+            expect(getRolePermissions('viewer')).toEqual([
+                PERMISSIONS.MAILBOX_READ,
+                PERMISSIONS.MAIL_READ,
+                PERMISSIONS.PURCHASE_VIEW,
+            ]);
+        });
+
+        test('未知角色或未登录没有任何权限', () => {
+            expect(hasPermission({ role: 'unknown' }, PERMISSIONS.MAILBOX_READ)).toBe(false);
+            expect(hasPermission(null, PERMISSIONS.MAILBOX_READ)).toBe(false);
+        });
+    });
+
+    describe('viewer', () => {
+        let api;
+
+        beforeEach(async () => {
+            ({ api } = await loginAs(app, 'viewer'));
+        });
+
+        test('可以查看邮箱列表和统计', async () => {
+            await api.get('/api/mailboxes').expect(200);
+            await api.get('/api/mailboxes/stats/summary').expect(200);
+        });
+
+        test('/api/auth/me 返回权限列表', async () => {
+            const response = await api.get('/api/auth/me').expect(200);
+            expect(response.body.data.permissions).toContain(PERMISSIONS.MAIL_READ);
+            expect(response.body.data.permissions).not.toContain(PERMISSIONS.PURCHASE_BUY);
+        });
+
+        test.each([
+            ['post', '/api/proxy/purchase'],
+            ['post', '/api/mailboxes'],
+            ['post', '/api/mailboxes/batch-delete'],
+            ['post', '/api/mailboxes/validate-all'],
+            ['post', '/api/mailboxes/validate-purchased'],
+            ['post', '/api/mailboxes/reveal'],
+            ['post', '/api/mailboxes/some-id/reveal'],
+            ['get', '/api/proxy/mail/process-inbox?refresh_token=t&client_id=c&email=a@b.com'],
+            ['get', '/api/proxy/mail/process-junk?refresh_token=t&client_id=c&email=a@b.com'],
+            ['get', '/api/users'],
+        ])('%s %s 应返回 403', async (method, url) => {
+            const response = await api[method](url).send({}).expect(403);
+            expect(response.body).toHaveProperty('success', false);
+        });
+    });
+
+    describe('operator', () => {
+        test('可以添加和批量删除自己的邮箱', async () => {
+            const { api } = await loginAs(app, 'operator');
+
+            const created = await api.post('/api/mailboxes')
+                .send({ email: 'op@example.com', password: 'p', client_id: 'c', refresh_token: 't' })
+                .expect(201);
+
+            const response = await api.post('/api/mailboxes/batch-delete')
+                .send({ ids: [created.body.data.id] })
+                .expect(200);
+
+            expect(response.body.deleted).toBe(1);
+        });
+    });
+});
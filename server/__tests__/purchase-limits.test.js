@@ -0,0 +1,220 @@
+/**
+ * 采购限额和大额订单确认测试
+ */
+
+// Mock blob-store 模块
+jest.mock('../utils/blob-store', () => require('./mocks/mock-blob-store'));
+
+const app = require('../app');
+const config = require('../config');
+const mockBlobStore = require('./mocks/mock-blob-store');
+const proxyService = require('../services/proxy.service');
+const jobService = require('../services/job.service');
+const { loginAs } = require('./helpers/auth');
+
+describe('Purchase limits', () => {
+    let api;
+
+    const noLimits = { dailySpend: 0, monthlySpend: 0, dailyQuantity: 0, monthlyQuantity: 0 };
+
+    const useLimits = (limits = {}) => {
+        jest.replaceProperty(config, 'purchaseLimits', {
+            maxPerOrder: 100,
+            user: { ...noLimits },
+            supplier: { ...noLimits },
+            confirmQuantity: 0,
+            confirmSpend: 0,
+            confirmTtlSeconds: 300,
+            ...limits,
+        });
+    };
+
+    // 购买 num 个，供应商按数量交付卡密；单价 0.1
+    const mockSupplier = () => jest.spyOn(proxyService, 'request').mockImplementation(async (url, options) => {
+        if (url.includes('getStock.php')) {
+            return { code: 200, data: { stock: 100, price: '0.1' } };
+        }
+        const num = Number(new URLSearchParams(options.body).get('num'));
+        return {
+            code: 200,
+            data: {
+                trade_no: `T${Date.now()}`,
+                total_price: (num * 0.1).toFixed(2),
+                cards: Array.from({ length: num }, (_, i) => `u${Date.now()}${i}@example.com----p----c----t`),
+            },
+        };
+    });
+
+    const purchaseCalls = () => proxyService.request.mock.calls.filter(([url]) => url.includes('getEmail.php')).length;
+
+    const buy = (client, body) => client.post('/api/proxy/purchase').send({ supplier: '1', commodity_id: '1', ...body });
+
+    beforeEach(async () => {
+        mockBlobStore.clearAll();
+        proxyService.catalogCache.clear();
+        jest.replaceProperty(config, 'purchaseCredentials', { appId: 'id', appKey: 'key' });
+        ({ api } = await loginAs(app, 'admin'));
+        mockSupplier();
+    });
+
+    afterEach(() => {
+        jest.restoreAllMocks();
+    });
+
+    test('单笔数量超过上限返回 400，不会下单', async () => {
+        useLimits({ maxPerOrder: 5 });
+
+        const response = await buy(api, { num: 6 }).expect(400);
+        expect(response.body.error).toContain('每单 1-5 个');
+        await buy(api, { num: 6, async: true }).expect(400);
+        await buy(api, { num: 'abc' }).expect(400);
+
+        expect(purchaseCalls()).toBe(0);
+    });
+
+    test('超出用户每日数量上限返回 403', async () => {
+        useLimits({ user: { ...noLimits, dailyQuantity: 5 } });
+
+        await buy(api, { num: 3 }).expect(200);
+        const response = await buy(api, { num: 3 }).expect(403);
+
+        expect(response.body.error).toBe('超出用户今日购买数量上限：已购买 3，本次 3，上限 5');
+        expect(purchaseCalls()).toBe(1);
+
+        // 其它用户不受影响
+        const { api: operatorApi } = await loginAs(app, 'operator', 'buyer');
+        await buy(operatorApi, { num: 3 }).expect(200);
+    });
+
+    test('按单价估算花费，超出供应商每月预算返回 403；SUPPLIERS 的 limits 覆盖默认值', async () => {
+        useLimits({ supplier: { ...noLimits, monthlySpend: 100 } });
+        jest.replaceProperty(config, 'suppliers', JSON.stringify([{
+            id: '1',
+            type: 'outlook007',
+            name: '一号库',
+            baseUrl: 'https://outlook007.cc/api',
+            products: [{ id: '1', name: 'hotmail' }],
+            limits: { monthlySpend: 1 },
+        }]));
+
+        await buy(api, { num: 6 }).expect(200);
+        const response = await buy(api, { num: 5 }).expect(403);
+
+        expect(response.body.error).toBe('超出供应商「一号库」本月预算：已花费 0.6，本次预计 0.5，上限 1');
+        await buy(api, { num: 4 }).expect(200);
+    });
+
+    test('下单期间预留额度，并发的购买不能同时通过同一上限', async () => {
+        useLimits({ user: { ...noLimits, dailyQuantity: 5 } });
+
+        // 第一笔订单停在向供应商下单的阶段
+        let releaseFirst;
+        const supplierCalled = new Promise((resolve) => {
+            const respond = proxyService.request.getMockImplementation();
+            proxyService.request.mockImplementationOnce(async (url, options) => {
+                resolve();
+                await new Promise(r => { releaseFirst = r; });
+                return respond(url, options);
+            });
+        });
+
+        const first = buy(api, { num: 3 });
+        const firstDone = first.then(r => r);
+        await supplierCalled;
+
+        const orders = await api.get('/api/purchases?status=pending').expect(200);
+        expect(orders.body.data).toEqual([expect.objectContaining({ quantity_requested: 3, status: 'pending' })]);
+
+        const second = await buy(api, { num: 3 }).expect(403);
+        expect(second.body.error).toBe('超出用户今日购买数量上限：已购买 3，本次 3，上限 5');
+        // 被拒绝的订单不保留预留
+        expect((await api.get('/api/purchases').expect(200)).body.total).toBe(1);
+
+        releaseFirst();
+        expect((await firstDone).status).toBe(200);
+        const completed = await api.get('/api/purchases?status=completed').expect(200);
+        expect(completed.body.data).toEqual([expect.objectContaining({ quantity_delivered: 3, cost: 0.3 })]);
+        await buy(api, { num: 2 }).expect(200);
+    });
+
+    test('配置了花费上限而单价未知时拒绝下单，花费确认阈值按需要确认处理', async () => {
+        proxyService.request.mockImplementation(async (url) => (url.includes('getStock.php')
+            ? { code: 200, data: { stock: 100, price: null } }
+            : { code: 200, data: { trade_no: 'T1', total_price: null, cards: [] } }));
+
+        useLimits({ user: { ...noLimits, monthlySpend: 100 } });
+        const rejected = await buy(api, { num: 1 }).expect(403);
+        expect(rejected.body.error).toBe('商品单价未知，无法检查用户本月预算，已拒绝下单');
+        await buy(api, { num: 1, async: true }).expect(403);
+
+        useLimits({ confirmSpend: 10 });
+        const confirm = await buy(api, { num: 1 }).expect(409);
+        expect(confirm.body.confirmation.estimated_cost).toBeNull();
+
+        expect(purchaseCalls()).toBe(0);
+        expect((await api.get('/api/purchases').expect(200)).body.total).toBe(0);
+    });
+
+    test('大额订单先返回确认令牌，带上令牌后才下单', async () => {
+        useLimits({ confirmQuantity: 10 });
+
+        const first = await buy(api, { num: 10 }).expect(409);
+        expect(first.body).toMatchObject({
+            requires_confirmation: true,
+            confirmation: { supplier: '1', commodity_id: '1', num: 10 },
+        });
+        expect(purchaseCalls()).toBe(0);
+
+        const { confirm_token } = first.body.confirmation;
+
+        // 令牌绑定数量和用户
+        await buy(api, { num: 11, confirm_token }).expect(409);
+        const { api: operatorApi } = await loginAs(app, 'operator', 'buyer');
+        await buy(operatorApi, { num: 10, confirm_token }).expect(409);
+        // 不能当作访问令牌使用
+        await operatorApi.get('/api/mailboxes').set('Authorization', `Bearer ${confirm_token}`).expect(401);
+
+        const confirmed = await buy(api, { num: 10, confirm_token }).expect(200);
+        expect(confirmed.body.data.cards).toHaveLength(10);
+        expect(purchaseCalls()).toBe(1);
+
+        await buy(api, { num: 9 }).expect(200);
+    });
+
+    test('确认令牌只能使用一次', async () => {
+        useLimits({ confirmQuantity: 10 });
+
+        const first = await buy(api, { num: 10 }).expect(409);
+        const { confirm_token } = first.body.confirmation;
+
+        await buy(api, { num: 10, confirm_token }).expect(200);
+        const replayed = await buy(api, { num: 10, confirm_token }).expect(409);
+        expect(replayed.body.requires_confirmation).toBe(true);
+        expect(replayed.body.confirmation.confirm_token).not.toBe(confirm_token);
+        await buy(api, { num: 10, async: true, confirm_token }).expect(409);
+        expect(purchaseCalls()).toBe(1);
+
+        // 同时提交同一令牌只有一笔订单成功
+        const second = (await buy(api, { num: 10 }).expect(409)).body.confirmation.confirm_token;
+        const statuses = (await Promise.all([
+            buy(api, { num: 10, confirm_token: second }),
+            buy(api, { num: 10, confirm_token: second }),
+        ])).map(r => r.status).sort();
+        expect(statuses).toEqual([200, 409]);
+        expect(purchaseCalls()).toBe(2);
+    });
+
+    test('预计花费达到阈值的异步购买在创建任务前要求确认', async () => {
+        useLimits({ confirmSpend: 1 });
+
+        const first = await buy(api, { num: 10, async: true }).expect(409);
+        expect(first.body.confirmation.estimated_cost).toBe(1);
+        expect((await api.get('/api/jobs').expect(200)).body.data).toEqual([]);
+
+        const started = await buy(api, { num: 10, async: true, confirm_token: first.body.confirmation.confirm_token }).expect(202);
+        const job = await jobService.waitFor(started.body.job_id);
+
+        expect(job).toMatchObject({ status: 'completed', params: { confirmed: true }, result: { purchased: 10, added: 10 } });
+        expect(job.params).not.toHaveProperty('confirm_token');
+    });
+});
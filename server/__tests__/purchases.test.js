@@ -0,0 +1,177 @@
+/**
+ * 采购订单测试
+ */
+
+// Mock blob-store 模块
+jest.mock('../utils/blob-store', () => require('./mocks/mock-blob-store'));
+
+const app = require('../app');
+const config = require('../config');
+const mockBlobStore = require('./mocks/mock-blob-store');
+const proxyService = require('../services/proxy.service');
+const jobService = require('../services/job.service');
+const mailboxService = require('../services/mailbox.service');
+const purchaseOrderService = require('../services/purchase-order.service');
+const { loginAs } = require('./helpers/auth');
+
+describe('Purchase orders', () => {
+    let api;
+
+    const purchaseResponse = {
+        code: 200,
+        data: {
+            trade_no: 'T100',
+            total_price: '0.30',
+            cards: [
+                'a@example.com----pa----c----secret-a',
+                'b@example.com----pb----c----secret-b',
+                'c@example.com----pc----c----secret-c',
+            ],
+        },
+    };
+
+    const purchaseAsync = async () => {
+        const started = await api.post('/api/proxy/purchase')
+            .send({ supplier: '1', commodity_id: '1', num: 4, async: true })
+            .expect(202);
+        return jobService.waitFor(started.body.job_id);
+    };
+
+    beforeEach(async () => {
+        mockBlobStore.clearAll();
+        jest.replaceProperty(config, 'purchaseCredentials', { appId: 'id', appKey: 'key' });
+        ({ api } = await loginAs(app, 'admin'));
+    });
+
+    afterEach(() => {
+        jest.restoreAllMocks();
+    });
+
+    test('异步购买记录订单并回填导入的邮箱', async () => {
+        jest.spyOn(proxyService, 'request').mockResolvedValue(purchaseResponse);
+
+        const job = await purchaseAsync();
+        expect(job.result.order_id).toBeTruthy();
+
+        const list = await api.get('/api/purchases').expect(200);
+        expect(list.body.total).toBe(1);
+        expect(list.body.data[0]).toMatchObject({
+            id: job.result.order_id,
+            supplier_id: '1',
+            supplier_type: 'outlook007',
+            supplier_name: '一号库',
+            commodity_id: '1',
+            quantity_requested: 4,
+            quantity_delivered: 3,
+            cost: 0.3,
+            trade_no: 'T100',
+            status: 'completed',
+            created_by_username: 'admin_user',
+        });
+        expect(list.body.data[0].mailbox_ids).toEqual(job.result.mailbox_ids);
+        expect(list.body.data[0]).not.toHaveProperty('raw_response');
+
+        const detail = await api.get(`/api/purchases/${job.result.order_id}`).expect(200);
+        expect(detail.body.data.raw_response.data.cards).toEqual(['a@example.com', 'b@example.com', 'c@example.com']);
+        expect(JSON.stringify(detail.body)).not.toContain('secret');
+
+        const audit = await api.get('/api/audit?action=purchase').expect(200);
+        expect(audit.body.data[0].details.order_id).toBe(job.result.order_id);
+    });
+
+    test('订单详情显示购买的邮箱是否仍然可用', async () => {
+        jest.spyOn(proxyService, 'request').mockResolvedValue(purchaseResponse);
+        const job = await purchaseAsync();
+        const [a, b, c] = job.result.mailbox_ids;
+
+        await mailboxService.applyHealthResults([{ mailbox_id: b, status: 'invalid' }]);
+        await api.delete(`/api/mailboxes/${c}`).expect(200);
+
+        const detail = await api.get(`/api/purchases/${job.result.order_id}`).expect(200);
+
+        expect(detail.body.data.mailboxes).toEqual([
+            expect.objectContaining({ id: a, email: 'a@example.com', state: 'alive', status: 'active' }),
+            expect.objectContaining({ id: b, email: 'b@example.com', state: 'suspect' }),
+            expect.objectContaining({ id: c, email: 'c@example.com', state: 'deleted' }),
+        ]);
+        expect(detail.body.data.accounts).toEqual({ alive: 1, suspect: 1, quarantined: 0, dead: 0, deleted: 1 });
+    });
+
+    test('无效的卡密单独跳过，其余照常导入', async () => {
+        const longToken = 'x'.repeat(2049);
+        jest.spyOn(proxyService, 'request').mockResolvedValue({
+            code: 200,
+            data: { ...purchaseResponse.data, cards: [...purchaseResponse.data.cards, `d@example.com----pd----c----${longToken}`] },
+        });
+
+        const job = await purchaseAsync();
+
+        expect(job).toMatchObject({
+            status: 'completed',
+            params: { commodity_id: '1', num: 4, library: '1', confirmed: false },
+            result: {
+                purchased: 4,
+                added: 3,
+                invalid: 1,
+                invalid_cards: [{ email: 'd@example.com', error: 'refresh_token 过长' }],
+                import_error: null,
+            },
+        });
+        expect(job.params).not.toHaveProperty('confirm_token');
+        expect(job.result).not.toHaveProperty('delivered_cards');
+        expect(JSON.stringify(job)).not.toContain(longToken);
+    });
+
+    test('导入失败时任务仍然完成，卡密加密保存在订单中可以恢复', async () => {
+        jest.spyOn(proxyService, 'request').mockResolvedValue(purchaseResponse);
+        jest.spyOn(mailboxService, 'addMailboxesBatch').mockRejectedValue(new Error('无法保存数据'));
+
+        const job = await purchaseAsync();
+
+        expect(job).toMatchObject({
+            status: 'completed',
+            result: { purchased: 3, added: 0, mailbox_ids: [], import_error: '无法保存数据' },
+        });
+        expect(JSON.stringify(job)).not.toContain('secret');
+
+        const detail = await api.get(`/api/purchases/${job.result.order_id}`).expect(200);
+        expect(detail.body.data).not.toHaveProperty('delivered_cards');
+        expect(JSON.stringify(detail.body)).not.toContain('secret');
+
+        expect(await purchaseOrderService.getDeliveredCards(job.result.order_id)).toEqual(purchaseResponse.data.cards);
+    });
+
+    test('购买失败也记录订单', async () => {
+        jest.spyOn(proxyService, 'request').mockResolvedValue({ code: 400, msg: '余额不足' });
+
+        await api.post('/api/proxy/purchase').send({ supplier: '2', commodity_id: '3', num: 2 }).expect(500);
+
+        const list = await api.get('/api/purchases?status=failed').expect(200);
+        expect(list.body.data).toEqual([expect.objectContaining({
+            supplier_id: '2',
+            quantity_requested: 2,
+            quantity_delivered: 0,
+            cost: null,
+            status: 'failed',
+            error: '购买失败: 余额不足',
+            mailbox_ids: [],
+        })]);
+
+        const completed = await api.get('/api/purchases?status=completed').expect(200);
+        expect(completed.body.total).toBe(0);
+        await api.get('/api/purchases?status=unknown').expect(400);
+    });
+
+    test('普通用户只能查看自己的订单', async () => {
+        jest.spyOn(proxyService, 'request').mockResolvedValue(purchaseResponse);
+        const job = await purchaseAsync();
+
+        const { api: operatorApi } = await loginAs(app, 'operator', 'buyer');
+        const list = await operatorApi.get('/api/purchases').expect(200);
+        expect(list.body.data).toEqual([]);
+        await operatorApi.get(`/api/purchases/${job.result.order_id}`).expect(404);
+
+        await api.get('/api/purchases/00000000-0000-0000-0000-000000000000').expect(404);
+        await api.get('/api/purchases/not-a-uuid').expect(404);
+    });
+});
@@ -0,0 +1,166 @@
+/**
+ * 邮箱隔离（健康状态生命周期）测试
+ * 使用 Mock Blob 存储，避免污染真实数据
+ */
+
+// Mock blob-store 模块
+jest.mock('../utils/blob-store', () => require('./mocks/mock-blob-store'));
+
+const app = require('../app');
+const config = require('../config');
+const mockBlobStore = require('./mocks/mock-blob-store');
+const proxyService = require('../services/proxy.service');
+const jobService = require('../services/job.service');
+const { loginAs } = require('./helpers/auth');
+
+describe('Mailbox quarantine', () => {
+    let api;
+    let mailboxId;
+    let failing;
+
+    const mailboxData = { email: 'q@example.com', password: 'p', client_id: 'c', refresh_token: 't' };
+
+    // 检测全部邮箱为后台任务，等待任务结束后返回检测结果
+    const validate = async () => {
+        const started = await api.post('/api/mailboxes/validate-all').send({}).expect(202);
+        return (await jobService.waitFor(started.body.job_id)).result;
+    };
+    const listMailboxes = async () => (await api.get('/api/mailboxes')).body.data;
+    const getMailbox = async () => (await api.get(`/api/mailboxes/${mailboxId}`)).body.data;
+
+    beforeEach(async () => {
+        mockBlobStore.clearAll();
+        jest.replaceProperty(config, 'quarantine', { failureThreshold: 3, gracePeriodHours: 72 });
+        ({ api } = await loginAs(app, 'admin'));
+
+        const created = await api.post('/api/mailboxes').send(mailboxData).expect(201);
+        mailboxId = created.body.data.id;
+
+        failing = true;
+        jest.spyOn(proxyService, 'request').mockImplementation(async () => {
+            if (failing) {
+                const err = new Error('请求失败: HTTP 500 Internal Server Error');
+                err.status = 500;
+                throw err;
+            }
+            return [];
+        });
+    });
+
+    afterEach(() => {
+        jest.restoreAllMocks();
+    });
+
+    test('新邮箱为 active', async () => {
+        expect(await getMailbox()).toMatchObject({ status: 'active', consecutive_failures: 0, quarantined_at: null });
+    });
+
+    test('单次失效只标记为 suspect，不删除', async () => {
+        const result = await validate();
+
+        expect(result).toMatchObject({ failed: 1, quarantined: 0, removed: 0 });
+        expect(await listMailboxes()).toHaveLength(1);
+        expect(await getMailbox()).toMatchObject({ status: 'suspect', consecutive_failures: 1 });
+    });
+
+    test('连续失效达到阈值后进入隔离，并出现在隔离列表中', async () => {
+        await validate();
+        await validate();
+        const third = await validate();
+
+        expect(third).toMatchObject({ quarantined: 1, quarantinedEmails: ['q@example.com'], removed: 0 });
+
+        const list = await api.get('/api/mailboxes/quarantine').expect(200);
+        expect(list.body.data).toHaveLength(1);
+        expect(list.body.data[0]).toMatchObject({ id: mailboxId, status: 'quarantined', consecutive_failures: 3 });
+        expect(new Date(list.body.data[0].expires_at) - new Date(list.body.data[0].quarantined_at))
+            .toBe(72 * 60 * 60 * 1000);
+        expect(list.body.data[0].password).toBe('******');
+    });
+
+    test('检测恢复正常后回到 active 并记录恢复', async () => {
+        jest.replaceProperty(config, 'quarantine', { failureThreshold: 1, gracePeriodHours: 72 });
+        await validate();
+        expect((await getMailbox()).status).toBe('quarantined');
+
+        failing = false;
+        await validate();
+
+        expect(await getMailbox()).toMatchObject({ status: 'active', consecutive_failures: 0, quarantined_at: null });
+        const audit = await api.get('/api/audit?action=mailbox.restore').expect(200);
+        expect(audit.body.data[0].details).toEqual({ reason: 'check_passed' });
+    });
+
+    test('临时错误不改变状态', async () => {
+        await validate();
+        proxyService.request.mockRejectedValue(new Error('请求超时（30秒）'));
+
+        const result = await validate();
+
+        expect(result.errors).toHaveLength(1);
+        expect(await getMailbox()).toMatchObject({ status: 'suspect', consecutive_failures: 1 });
+    });
+
+    test('隔离期满后停用（dead），重新导入后恢复为 active', async () => {
+        jest.replaceProperty(config, 'quarantine', { failureThreshold: 1, gracePeriodHours: 0 });
+
+        const result = await validate();
+
+        expect(result).toMatchObject({ removed: 1, removedEmails: ['q@example.com'] });
+        expect(await listMailboxes()).toHaveLength(0);
+        expect(await getMailbox()).toMatchObject({ status: 'dead', is_active: false });
+
+        await api.post('/api/mailboxes').send(mailboxData).expect(201);
+        expect(await getMailbox()).toMatchObject({ status: 'active', is_active: true, consecutive_failures: 0 });
+    });
+
+    test('定时健康检查同样推进隔离状态', async () => {
+        jest.replaceProperty(config, 'quarantine', { failureThreshold: 2, gracePeriodHours: 72 });
+
+        await api.post('/api/mailboxes/health/run').send({}).expect(200);
+        const second = await api.post('/api/mailboxes/health/run').send({}).expect(200);
+
+        expect(second.body.data).toMatchObject({ invalid: 1, quarantined: 1, removed: 0 });
+        expect((await getMailbox()).status).toBe('quarantined');
+    });
+
+    test('隔离视图中重新检测，正常即恢复', async () => {
+        jest.replaceProperty(config, 'quarantine', { failureThreshold: 1, gracePeriodHours: 72 });
+        await validate();
+
+        failing = false;
+        const response = await api.post('/api/mailboxes/quarantine/retest').send({ ids: [mailboxId] }).expect(200);
+
+        expect(response.body.summary).toMatchObject({ total: 1, healthy: 1, restored: 1 });
+        expect(response.body.data).toHaveLength(0);
+
+        await api.post('/api/mailboxes/quarantine/retest').send({}).expect(400);
+    });
+
+    test('手动恢复隔离中的邮箱', async () => {
+        jest.replaceProperty(config, 'quarantine', { failureThreshold: 1, gracePeriodHours: 72 });
+        await validate();
+
+        const response = await api.post('/api/mailboxes/quarantine/restore').send({ ids: [mailboxId] }).expect(200);
+
+        expect(response.body.restored).toBe(1);
+        expect(await getMailbox()).toMatchObject({ status: 'active', consecutive_failures: 0 });
+
+        const audit = await api.get('/api/audit?action=mailbox.restore').expect(200);
+        expect(audit.body.data[0].details).toEqual({ reason: 'manual', previous_status: 'quarantined' });
+
+        await api.post('/api/mailboxes/quarantine/restore').send({}).expect(400);
+    });
+
+    test('权限：只读用户不能恢复，不能看到他人的隔离邮箱', async () => {
+        jest.replaceProperty(config, 'quarantine', { failureThreshold: 1, gracePeriodHours: 72 });
+        await validate();
+
+        const { api: viewerApi } = await loginAs(app, 'viewer', 'viewer');
+        await viewerApi.post('/api/mailboxes/quarantine/restore').send({ ids: [mailboxId] }).expect(403);
+
+        const { api: otherApi } = await loginAs(app, 'operator', 'other');
+        const list = await otherApi.get('/api/mailboxes/quarantine').expect(200);
+        expect(list.body.data).toHaveLength(0);
+    });
+});
@@ -0,0 +1,196 @@
+/**
+ * 采购供应商测试
+ */
+
+// Mock blob-store 模块
+jest.mock('../utils/blob-store', () => require('./mocks/mock-blob-store'));
+
+const app = require('../app');
+const config = require('../config');
+const mockBlobStore = require('./mocks/mock-blob-store');
+const proxyService = require('../services/proxy.service');
+const jobService = require('../services/job.service');
+const { loginAs } = require('./helpers/auth');
+
+describe('Purchase suppliers', () => {
+    let api;
+
+    const useSuppliers = (list) => {
+        jest.replaceProperty(config, 'suppliers', JSON.stringify(list));
+    };
+
+    const acme = {
+        id: 'acme',
+        type: 'outlook007',
+        name: 'Acme',
+        baseUrl: 'https://acme.example.com/api',
+        appId: 'acme-id',
+        appKey: 'acme-key',
+        cardSeparator: '|',
+        products: [{ id: 7, name: 'hotmail' }],
+    };
+
+    beforeEach(async () => {
+        mockBlobStore.clearAll();
+        jest.replaceProperty(config, 'purchaseCredentials', { appId: 'id', appKey: 'key' });
+        ({ api } = await loginAs(app, 'admin'));
+    });
+
+    afterEach(() => {
+        jest.restoreAllMocks();
+    });
+
+    test('未配置 SUPPLIERS 时返回默认的一号库和二号库', async () => {
+        const response = await api.get('/api/proxy/suppliers').expect(200);
+
+        expect(response.body.data.map(s => s.id)).toEqual(['1', '2']);
+        expect(response.body.data[0]).toMatchObject({ name: '一号库', configured: true });
+        expect(response.body.data[1].products.map(p => p.id)).toEqual(['3', '4']);
+    });
+
+    test('供应商列表不包含凭证，无效的配置项被忽略', async () => {
+        useSuppliers([acme, { id: 'bad', type: 'unknown', baseUrl: 'https://x' }, { ...acme, appId: null, appKey: null, id: 'noauth' }]);
+        jest.replaceProperty(config, 'purchaseCredentials', { appId: null, appKey: null });
+
+        const response = await api.get('/api/proxy/suppliers').expect(200);
+
+        expect(response.body.data).toEqual([
+            { id: 'acme', name: 'Acme', configured: true, products: [{ id: '7', name: 'hotmail' }] },
+            { id: 'noauth', name: 'Acme', configured: false, products: [{ id: '7', name: 'hotmail' }] },
+        ]);
+        expect(JSON.stringify(response.body)).not.toContain('acme-key');
+    });
+
+    test('余额和库存查询发往所选供应商', async () => {
+        useSuppliers([acme]);
+        jest.spyOn(proxyService, 'request')
+            .mockResolvedValueOnce({ code: 200, data: { username: 'u', id: 3, balance: '9.50' } })
+            .mockResolvedValueOnce({ code: 200, data: { name: 'hotmail', stock: '12' } });
+
+        const balance = await api.post('/api/proxy/balance').send({ supplier: 'acme' }).expect(200);
+        expect(balance.body).toMatchObject({ supplier: 'acme', data: { username: 'u', id: 3, balance: '9.50' } });
+
+        const [url, options] = proxyService.request.mock.calls[0];
+        expect(url).toBe('https://acme.example.com/api/login.php');
+        expect(new URLSearchParams(options.body).get('app_key')).toBe('acme-key');
+
+        const stock = await api.get('/api/proxy/stock?supplier=acme&commodity_id=7').expect(200);
+        expect(stock.body.data).toEqual({ id: '7', name: 'hotmail', stock: 12, price: null });
+        expect(proxyService.request.mock.calls[1][0]).toBe('https://acme.example.com/api/getStock.php?commodity_id=7');
+    });
+
+    test('购买任务使用供应商的卡密分隔符解析并导入', async () => {
+        useSuppliers([acme]);
+        jest.spyOn(proxyService, 'request').mockResolvedValue({
+            code: 200,
+            data: { trade_no: 'A1', total_price: '1.00', cards: ['a@example.com|p|c|t', 'broken'] },
+        });
+
+        const started = await api.post('/api/proxy/purchase')
+            .send({ supplier: 'acme', commodity_id: '7', num: 2, async: true })
+            .expect(202);
+        const job = await jobService.waitFor(started.body.job_id);
+
+        expect(job).toMatchObject({
+            status: 'completed',
+            params: { library: 'acme' },
+            result: { trade_no: 'A1', purchased: 2, invalid: 1, added: 1 },
+        });
+        expect(proxyService.request.mock.calls[0][0]).toBe('https://acme.example.com/api/getEmail.php');
+
+        const audit = await api.get('/api/audit?action=purchase').expect(200);
+        expect(audit.body.data[0].details).toMatchObject({ library: 'acme', commodity_id: '7', trade_no: 'A1' });
+    });
+
+    test('供应商返回错误码时购买失败并记录错误', async () => {
+        useSuppliers([acme]);
+        jest.spyOn(proxyService, 'request').mockResolvedValue({ code: 400, msg: '余额不足' });
+
+        const response = await api.post('/api/proxy/purchase')
+            .send({ supplier: 'acme', commodity_id: '7', num: 1 })
+            .expect(500);
+
+        expect(response.body.error).toBe('购买失败: 余额不足');
+        const audit = await api.get('/api/audit?action=purchase').expect(200);
+        expect(audit.body.data[0].details.error).toBe('购买失败: 余额不足');
+    });
+
+    test('未知供应商返回 400', async () => {
+        useSuppliers([acme]);
+        const request = jest.spyOn(proxyService, 'request');
+
+        await api.post('/api/proxy/balance').send({ supplier: '1' }).expect(400);
+        await api.get('/api/proxy/stock?supplier=nope&commodity_id=1').expect(400);
+        await api.post('/api/proxy/purchase').send({ supplier: 'nope', commodity_id: '1', num: 1, async: true }).expect(400);
+
+        expect(request).not.toHaveBeenCalled();
+    });
+
+    describe('商品目录', () => {
+        const stockOf = (url) => new URL(url).searchParams.get('commodity_id');
+
+        beforeEach(() => {
+            proxyService.catalogCache.clear();
+            useSuppliers([acme, {
+                ...acme,
+                id: 'beta',
+                name: 'Beta',
+                baseUrl: 'https://beta.example.com/api',
+                products: [{ id: '8', name: 'outlook', price: 0.2 }, { id: '9', name: 'broken' }],
+            }]);
+        });
+
+        test('返回全部供应商的商品、库存和价格，单个商品失败不影响其它商品', async () => {
+            jest.spyOn(proxyService, 'request').mockImplementation(async (url) => {
+                if (stockOf(url) === '9') throw new Error('请求失败: HTTP 502');
+                return stockOf(url) === '7'
+                    ? { code: 200, data: { name: 'hotmail', stock: '5', price: '0.15' } }
+                    : { name: 'outlook', num: 3 };
+            });
+
+            const response = await api.get('/api/proxy/catalog').expect(200);
+
+            expect(response.body.data.ttl).toBe(config.catalog.ttlSeconds);
+            expect(response.body.data.suppliers).toEqual([
+                expect.objectContaining({
+                    id: 'acme',
+                    products: [expect.objectContaining({ id: '7', stock: 5, price: '0.15', error: null })],
+                }),
+                expect.objectContaining({
+                    id: 'beta',
+                    products: [
+                        expect.objectContaining({ id: '8', name: 'outlook', stock: 3, price: 0.2, error: null }),
+                        { id: '9', name: 'broken', stock: null, price: null, checked_at: null, error: '请求失败: HTTP 502' },
+                    ],
+                }),
+            ]);
+        });
+
+        test('缓存有效期内不重复查询，失败的商品和 refresh=1 时重新查询', async () => {
+            jest.spyOn(proxyService, 'request').mockImplementation(async (url) => {
+                if (stockOf(url) === '9') throw new Error('请求失败: HTTP 502');
+                return { code: 200, data: { stock: 1 } };
+            });
+
+            await api.get('/api/proxy/catalog').expect(200);
+            await api.get('/api/proxy/catalog').expect(200);
+            expect(proxyService.request.mock.calls.map(([url]) => stockOf(url))).toEqual(['7', '8', '9', '9']);
+
+            proxyService.request.mockClear();
+            await api.get('/api/proxy/catalog?refresh=1').expect(200);
+            expect(proxyService.request).toHaveBeenCalledTimes(3);
+        });
+
+        test('购买后该商品的库存缓存失效', async () => {
+            jest.spyOn(proxyService, 'request').mockResolvedValue({ code: 200, data: { stock: 1 } });
+            await api.get('/api/proxy/catalog').expect(200);
+
+            proxyService.request.mockResolvedValueOnce({ code: 200, data: { trade_no: 'T', cards: [] } });
+            await api.post('/api/proxy/purchase').send({ supplier: 'beta', commodity_id: '8', num: 1 }).expect(200);
+
+            proxyService.request.mockClear();
+            await api.get('/api/proxy/catalog').expect(200);
+            expect(proxyService.request.mock.calls.map(([url]) => stockOf(url))).toEqual(['8']);
+        });
+    });
+});
@@ -0,0 +1,141 @@
+/**
+ * 刷新令牌轮换测试
+ * 使用 Mock Blob 存储，避免污染真实数据
+ */
+
+// Mock blob-store 模块
+jest.mock('../utils/blob-store', () => require('./mocks/mock-blob-store'));
+
+const app = require('../app');
+const config = require('../config');
+const mockBlobStore = require('./mocks/mock-blob-store');
+const mailboxService = require('../services/mailbox.service');
+const proxyService = require('../services/proxy.service');
+const jobService = require('../services/job.service');
+const { loginAs } = require('./helpers/auth');
+
+describe('Refresh token rotation', () => {
+    let api;
+
+    const addMailboxes = async (client, emails) => {
+        const response = await client.post('/api/mailboxes/batch')
+            .send({ mailboxes: emails.map(email => ({ email, password: 'p', client_id: 'c', refresh_token: `old-${email}` })) })
+            .expect(201);
+        return response.body.data.map(m => m.id);
+    };
+
+    // 模拟微软令牌接口：按请求中的刷新令牌签发新令牌，bad@ 的令牌已失效
+    const mockTokenEndpoint = () => jest.spyOn(proxyService, 'request').mockImplementation(async (url, options) => {
+        expect(url).toBe(config.tokenRefresh.tokenUrl);
+        const token = options.body.get('refresh_token');
+        if (token.includes('bad@')) {
+            throw new Error('请求失败: HTTP 400 Bad Request: invalid_grant');
+        }
+        return { access_token: 'access', refresh_token: token.replace('old-', 'new-') };
+    });
+
+    beforeEach(async () => {
+        mockBlobStore.clearAll();
+        ({ api } = await loginAs(app, 'admin'));
+    });
+
+    afterEach(() => {
+        jest.restoreAllMocks();
+    });
+
+    test('刷新全部令牌：保存轮换后的刷新令牌并记录刷新时间', async () => {
+        const [goodId, badId] = await addMailboxes(api, ['good@example.com', 'bad@example.com']);
+        mockTokenEndpoint();
+
+        const started = await api.post('/api/mailboxes/refresh-tokens').send({}).expect(202);
+        expect(started.body.data).toMatchObject({ type: 'mailbox.refresh_tokens', params: { ids: null } });
+
+        const job = await jobService.waitFor(started.body.job_id);
+
+        expect(job).toMatchObject({
+            status: 'completed',
+            progress: { total: 2, processed: 2 },
+            result: {
+                total: 2,
+                refreshed: 1,
+                rotated: 1,
+                failed: 1,
+                failures: [{ mailbox_id: badId, email: 'bad@example.com', error: expect.stringContaining('invalid_grant') }],
+            },
+        });
+        expect(JSON.stringify(job)).not.toContain('new-good');
+
+        const [, options] = proxyService.request.mock.calls[0];
+        expect(options.method).toBe('POST');
+        expect(options.body.get('grant_type')).toBe('refresh_token');
+        expect(options.body.get('client_id')).toBe('c');
+
+        const good = await mailboxService.getMailboxById(goodId);
+        expect(good.refresh_token).toBe('new-good@example.com');
+        expect(good.last_refreshed_at).toBeTruthy();
+
+        const bad = await mailboxService.getMailboxById(badId);
+        expect(bad.refresh_token).toBe('old-bad@example.com');
+        expect(bad.last_refreshed_at).toBeUndefined();
+
+        const audit = await api.get('/api/audit?action=mailbox.update').expect(200);
+        expect(audit.body.data).toHaveLength(1);
+        expect(audit.body.data[0]).toMatchObject({ mailbox_email: 'good@example.com', details: { fields: ['refresh_token'] } });
+    });
+
+    test('令牌未轮换时只记录刷新时间', async () => {
+        const [id] = await addMailboxes(api, ['same@example.com']);
+        jest.spyOn(proxyService, 'request').mockResolvedValue({ access_token: 'access' });
+
+        const started = await api.post('/api/mailboxes/refresh-tokens').send({ ids: [id] }).expect(202);
+        const job = await jobService.waitFor(started.body.job_id);
+
+        expect(job.result).toMatchObject({ refreshed: 1, rotated: 0, failed: 0 });
+        const mailbox = await mailboxService.getMailboxById(id);
+        expect(mailbox.refresh_token).toBe('old-same@example.com');
+        expect(mailbox.last_refreshed_at).toBeTruthy();
+    });
+
+    test('只刷新当前用户可见的邮箱', async () => {
+        const { api: otherApi } = await loginAs(app, 'operator', 'other');
+        const [otherId] = await addMailboxes(otherApi, ['other@example.com']);
+        const [adminId] = await addMailboxes(api, ['admin@example.com']);
+        mockTokenEndpoint();
+
+        const all = await otherApi.post('/api/mailboxes/refresh-tokens').send({}).expect(202);
+        expect((await jobService.waitFor(all.body.job_id)).result).toMatchObject({ total: 1, refreshed: 1 });
+
+        const listed = await otherApi.post('/api/mailboxes/refresh-tokens').send({ ids: [adminId, otherId] }).expect(202);
+        const job = await jobService.waitFor(listed.body.job_id);
+
+        expect(job.result).toMatchObject({ total: 2, refreshed: 1, failed: 1 });
+        expect(job.result.failures).toEqual([{ mailbox_id: adminId, email: null, error: '邮箱不存在' }]);
+        expect((await mailboxService.getMailboxById(adminId)).refresh_token).toBe('old-admin@example.com');
+    });
+
+    test('外部邮件 API 返回新的刷新令牌时保存，且不返回给浏览器', async () => {
+        const [id] = await addMailboxes(api, ['api@example.com']);
+        jest.spyOn(proxyService, 'request')
+            .mockResolvedValueOnce({ data: [], refresh_token: 'rotated-by-api' })
+            .mockResolvedValueOnce([]);
+
+        const response = await api.get(`/api/proxy/mail/emails?mailbox_id=${id}`).expect(200);
+        expect(response.body).not.toHaveProperty('refresh_token');
+
+        const mailbox = await mailboxService.getMailboxById(id);
+        expect(mailbox.refresh_token).toBe('rotated-by-api');
+        expect(mailbox.last_refreshed_at).toBeTruthy();
+
+        // 之后的请求使用新令牌
+        await api.get(`/api/proxy/mail/emails?mailbox_id=${id}`).expect(200);
+        expect(new URL(proxyService.request.mock.calls[1][0]).searchParams.get('refresh_token')).toBe('rotated-by-api');
+    });
+
+    test('参数校验和权限', async () => {
+        await api.post('/api/mailboxes/refresh-tokens').send({ ids: [] }).expect(400);
+        await api.post('/api/mailboxes/refresh-tokens').send({ ids: 'abc' }).expect(400);
+
+        const { api: viewerApi } = await loginAs(app, 'viewer', 'viewer');
+        await viewerApi.post('/api/mailboxes/refresh-tokens').send({}).expect(403);
+    });
+});
@@ -0,0 +1,183 @@
+/**
+ * 出站 Webhook 测试
+ */
+
+// Mock blob-store 模块
+jest.mock('../utils/blob-store', () => require('./mocks/mock-blob-store'));
+
+const http = require('http');
+const app = require('../app');
+const mockBlobStore = require('./mocks/mock-blob-store');
+const jobService = require('../services/job.service');
+const proxyService = require('../services/proxy.service');
+const { signPayload } = require('../services/webhook.service');
+const { loginAs } = require('./helpers/auth');
+
+/**
+ * 本地 Webhook 接收端，记录收到的请求；statuses 依次作为响应码，用完后返回 200
+ */
+function startReceiver(statuses = []) {
+    const received = [];
+    const server = http.createServer((req, res) => {
+        let body = '';
+        req.on('data', chunk => { body += chunk; });
+        req.on('end', () => {
+            received.push({ headers: req.headers, body, json: JSON.parse(body) });
+            res.writeHead(statuses.shift() || 200);
+            res.end();
+        });
+    });
+    return new Promise(resolve => server.listen(0, '127.0.0.1', () => resolve({
+        server,
+        received,
+        url: `http://127.0.0.1:${server.address().port}/hook`,
+    })));
+}
+
+describe('Outgoing webhooks', () => {
+    let api;
+    let receiver;
+
+    // 等待订阅的全部投递任务结束，返回投递记录
+    const settle = async (webhookId) => {
+        const list = await api.get(`/api/webhooks/${webhookId}/deliveries`).expect(200);
+        await Promise.all(list.body.data.map(d => jobService.waitFor(d.job_id)));
+        return (await api.get(`/api/webhooks/${webhookId}/deliveries`).expect(200)).body;
+    };
+
+    beforeEach(async () => {
+        mockBlobStore.clearAll();
+        ({ api } = await loginAs(app, 'admin'));
+    });
+
+    afterEach(() => {
+        jest.restoreAllMocks();
+        receiver?.server.close();
+        receiver = null;
+    });
+
+    test('管理订阅，密钥只在创建和轮换时返回', async () => {
+        const created = await api.post('/api/webhooks')
+            .send({ name: 'erp', url: 'https://example.com/hook', events: ['mailbox.created'] })
+            .expect(201);
+        const { id, secret } = created.body.data;
+        expect(secret).toMatch(/^[0-9a-f]{64}$/);
+
+        const list = await api.get('/api/webhooks').expect(200);
+        expect(list.body.events).toContain('mail.received');
+        expect(list.body.data).toHaveLength(1);
+        expect(list.body.data[0]).not.toHaveProperty('secret');
+
+        let updated = await api.put(`/api/webhooks/${id}`).send({ is_active: false }).expect(200);
+        expect(updated.body.data).toMatchObject({ is_active: false });
+        expect(updated.body.data).not.toHaveProperty('secret');
+
+        updated = await api.put(`/api/webhooks/${id}`).send({ rotate_secret: true }).expect(200);
+        expect(updated.body.data.secret).toMatch(/^[0-9a-f]{64}$/);
+        expect(updated.body.data.secret).not.toBe(secret);
+
+        await api.post('/api/webhooks').send({ name: 'bad', url: 'ftp://example.com', events: ['mailbox.created'] }).expect(400);
+        await api.post('/api/webhooks').send({ name: 'bad', url: 'https://example.com', events: ['unknown'] }).expect(400);
+        await api.put(`/api/webhooks/${id}`).send({}).expect(400);
+
+        await api.delete(`/api/webhooks/${id}`).expect(200);
+        await api.get(`/api/webhooks/${id}`).expect(404);
+
+        const audit = await api.get('/api/audit?action=webhook.update').expect(200);
+        expect(audit.body.data[0].details.fields).toEqual(['secret']);
+    });
+
+    test('只有管理员可以管理订阅', async () => {
+        const { api: operatorApi } = await loginAs(app, 'operator', 'hook-operator');
+        await operatorApi.get('/api/webhooks').expect(403);
+        await operatorApi.post('/api/webhooks').send({ name: 'x', url: 'https://example.com', events: ['mailbox.created'] }).expect(403);
+    });
+
+    test('只投递订阅的事件，请求带签名', async () => {
+        receiver = await startReceiver();
+        const secret = 'a'.repeat(32);
+        const created = await api.post('/api/webhooks')
+            .send({ name: 'crm', url: receiver.url, events: ['mailbox.created'], secret })
+            .expect(201);
+
+        await api.post('/api/mailboxes')
+            .send({ email: 'hook@example.com', password: 'p', client_id: 'c', refresh_token: 't' })
+            .expect(201);
+
+        const deliveries = await settle(created.body.data.id);
+        expect(deliveries.total).toBe(1);
+        expect(deliveries.data[0]).toMatchObject({ event: 'mailbox.created', status: 'delivered', attempts: 1, response_status: 200 });
+
+        expect(receiver.received).toHaveLength(1);
+        const { headers, body, json } = receiver.received[0];
+        expect(headers['x-webhook-event']).toBe('mailbox.created');
+        expect(headers['x-webhook-delivery']).toBe(deliveries.data[0].id);
+        expect(headers['x-webhook-signature']).toBe(signPayload(secret, headers['x-webhook-timestamp'], body));
+        expect(json.data).toMatchObject({ count: 1, mailboxes: [{ email: 'hook@example.com', status: 'active' }] });
+        expect(body).not.toContain('refresh_token');
+
+        // 未订阅 mail.received，拉取邮件不产生投递
+        const mailboxId = json.data.mailboxes[0].id;
+        jest.spyOn(proxyService, 'request').mockResolvedValue([
+            { id: 'm1', send: 'a@sender.com', subject: '验证码 123456', date: '2024-01-02T10:00:00Z', text: 'code 123456' },
+        ]);
+        await api.get(`/api/proxy/mail/emails?mailbox_id=${mailboxId}&folder=INBOX`).expect(200);
+        expect((await settle(created.body.data.id)).total).toBe(1);
+    });
+
+    test('新邮件事件包含验证码，已缓存的邮件不重复发送', async () => {
+        receiver = await startReceiver();
+        const created = await api.post('/api/webhooks')
+            .send({ name: 'otp', url: receiver.url, events: ['mail.received'] })
+            .expect(201);
+        const mailbox = await api.post('/api/mailboxes')
+            .send({ email: 'otp@example.com', password: 'p', client_id: 'c', refresh_token: 't' })
+            .expect(201);
+
+        jest.spyOn(proxyService, 'request').mockResolvedValue([
+            { id: 'm1', send: 'a@sender.com', subject: '验证码 123456', date: '2024-01-02T10:00:00Z', text: 'code 123456' },
+        ]);
+        const url = `/api/proxy/mail/emails?mailbox_id=${mailbox.body.data.id}&folder=INBOX`;
+        await api.get(url).expect(200);
+        await api.get(url).expect(200);
+
+        expect((await settle(created.body.data.id)).total).toBe(1);
+        expect(receiver.received[0].json.data).toMatchObject({
+            mailbox_id: mailbox.body.data.id,
+            email: 'otp@example.com',
+            folder: 'inbox',
+            count: 1,
+            messages: [{ message_id: 'm1', subject: '验证码 123456', code: '123456' }],
+        });
+    });
+
+    test('5xx 按退避重试，4xx 不重试', async () => {
+        jest.replaceProperty(jobService.handlers.get('webhook.deliver'), 'retryDelay', 10);
+        receiver = await startReceiver([500, 503]);
+        const created = await api.post('/api/webhooks')
+            .send({ name: 'flaky', url: receiver.url, events: ['mailbox.created'] })
+            .expect(201);
+        const id = created.body.data.id;
+
+        const test = await api.post(`/api/webhooks/${id}/test`).expect(202);
+        expect(test.body.data).toMatchObject({ event: 'webhook.test', status: 'pending' });
+        expect(await jobService.waitFor(test.body.job_id)).toMatchObject({ status: 'completed', attempts: 3 });
+
+        let deliveries = await settle(id);
+        expect(deliveries.data[0]).toMatchObject({ status: 'delivered', attempts: 3, response_status: 200, error: null });
+        expect(receiver.received.map(r => r.headers['x-webhook-delivery'])).toEqual(Array(3).fill(test.body.data.id));
+
+        receiver.received.length = 0;
+        receiver.server.close();
+        receiver = await startReceiver([404]);
+        await api.put(`/api/webhooks/${id}`).send({ url: receiver.url }).expect(200);
+
+        const second = await api.post(`/api/webhooks/${id}/test`).expect(202);
+        expect(await jobService.waitFor(second.body.job_id)).toMatchObject({ status: 'failed', attempts: 1 });
+
+        deliveries = (await api.get(`/api/webhooks/${id}/deliveries?status=failed`).expect(200)).body;
+        expect(deliveries.total).toBe(1);
+        expect(deliveries.data[0]).toMatchObject({ status: 'failed', attempts: 1, response_status: 404, error: 'HTTP 404' });
+        await api.get(`/api/webhooks/${id}/deliveries?status=unknown`).expect(400);
+    });
+});
@@ -12,6 +12,9 @@ const config = require('./config');
 const routes = require('./routes');
 const logger = require('./utils/logger');
 const { notFoundHandler, errorHandler } = require('./middlewares/errorHandler');
+const { authenticate, extractToken } = require('./middlewares/auth');
+const { apiEnvelope } = require('./middlewares/api-v1');
+const { isApiKeyToken } = require('./services/api-key.service');
 
 const app = express();
 
@@ -133,6 +136,18 @@ app.use(express.json());
 // 解析URL编码请求体
 app.use(express.urlencoded({ extended: true }));
 
+// 超出速率限制时的响应
+const rateLimitHandler = (req, res) => {
+    logger.warn('速率限制触发', {
+        ip: req.headers['x-forwarded-for'] || req.ip,
+        path: req.path,
+    });
+    res.status(429).json({
+        success: false,
+        error: '请求过于频繁，请稍后再试'
+    });
+};
+
 // 速率限制
 const limiter = rateLimit({
     windowMs: config.rateLimit.windowMs,
@@ -143,20 +158,33 @@ const limiter = rateLimit({
     },
     standardHeaders: true, // 返回 `RateLimit-*` 头
     legacyHeaders: false, // 禁用 `X-RateLimit-*` 头
-    handler: (req, res) => {
-        logger.warn('速率限制触发', {
-            ip: req.headers['x-forwarded-for'] || req.ip,
-            path: req.path,
-        });
-        res.status(429).json({
-            success: false,
-            error: '请求过于频繁，请稍后再试'
-        });
-    }
+    // API 密钥按密钥单独限流（见 middlewares/api-v1.js），认证失败的次数由 apiKeyAuthLimiter 限制
+    skip: (req) => isApiKeyToken(extractToken(req)),
+    handler: rateLimitHandler,
+});
+
+// 携带 API 密钥的请求按 IP 限制认证失败次数，避免用伪造的 eok_ 令牌绕过全局限流反复查询密钥；
+// 在认证之前检查，请求结束时认证通过（req.apiKey）的不计数
+const apiKeyAuthLimiter = rateLimit({
+    windowMs: config.rateLimit.windowMs,
+    max: config.rateLimit.max,
+    standardHeaders: true,
+    legacyHeaders: false,
+    skip: (req) => !isApiKeyToken(extractToken(req)),
+    skipSuccessfulRequests: true,
+    requestWasSuccessful: (req) => Boolean(req.apiKey),
+    handler: rateLimitHandler,
 });
 
+// /api/v1 统一响应格式（需在速率限制和认证之前，错误响应同样转换）
+app.use('/api/v1', apiEnvelope);
+
 // 对 API 路由应用速率限制
 app.use('/api', limiter);
+app.use('/api', apiKeyAuthLimiter);
+
+// API 认证（/api/health 与 /api/auth/login 除外）
+app.use('/api', authenticate);
 
 // 静态文件服务（不自动响应根目录）
 app.use(express.static('public', { index: false }));
@@ -40,12 +40,108 @@ const config = {
         appKey: process.env.PURCHASE_APP_KEY || null,
     },
 
+    // 采购供应商（JSON 数组），格式见 suppliers/index.js；为空时使用上面的两个仓库和采购凭证
+    suppliers: process.env.SUPPLIERS || '',
+
+    // 采购限额：按用户和按供应商的每日 / 每月花费和数量上限，0 表示不限制；金额单位与供应商报价一致
+    purchaseLimits: {
+        // 单笔最多购买数量
+        maxPerOrder: parseInt(process.env.PURCHASE_MAX_PER_ORDER, 10) || 2000,
+        user: {
+            dailySpend: parseFloat(process.env.PURCHASE_USER_DAILY_SPEND) || 0,
+            monthlySpend: parseFloat(process.env.PURCHASE_USER_MONTHLY_SPEND) || 0,
+            dailyQuantity: parseInt(process.env.PURCHASE_USER_DAILY_QUANTITY, 10) || 0,
+            monthlyQuantity: parseInt(process.env.PURCHASE_USER_MONTHLY_QUANTITY, 10) || 0,
+        },
+        // 每个供应商的默认上限，SUPPLIERS 中的 limits 可单独覆盖
+        supplier: {
+            dailySpend: parseFloat(process.env.PURCHASE_SUPPLIER_DAILY_SPEND) || 0,
+            monthlySpend: parseFloat(process.env.PURCHASE_SUPPLIER_MONTHLY_SPEND) || 0,
+            dailyQuantity: parseInt(process.env.PURCHASE_SUPPLIER_DAILY_QUANTITY, 10) || 0,
+            monthlyQuantity: parseInt(process.env.PURCHASE_SUPPLIER_MONTHLY_QUANTITY, 10) || 0,
+        },
+        // 数量或预计花费达到阈值的订单需要二次确认，0 表示不需要
+        confirmQuantity: parseInt(process.env.PURCHASE_CONFIRM_QUANTITY, 10) || 0,
+        confirmSpend: parseFloat(process.env.PURCHASE_CONFIRM_SPEND) || 0,
+        // 确认令牌有效期（秒）
+        confirmTtlSeconds: parseInt(process.env.PURCHASE_CONFIRM_TTL_SECONDS, 10) || 300,
+    },
+
+    // 库存和余额监控：定时查询 items 中的商品库存和各供应商余额，低于等于阈值时告警
+    stockWatch: {
+        enabled: process.env.STOCK_WATCH_ENABLED === 'true',
+        intervalMinutes: parseInt(process.env.STOCK_WATCH_INTERVAL_MINUTES, 10) || 15,
+        // 监控的商品（JSON 数组）：[{ "supplier": "1", "commodity_id": "1", "min_stock": 50 }]
+        items: process.env.STOCK_WATCH_ITEMS || '',
+        // 余额阈值，0 表示不监控余额；只查询已配置凭证的供应商
+        minBalance: parseFloat(process.env.STOCK_WATCH_MIN_BALANCE) || 0,
+        // 旧存储模式下最多保留的读数
+        legacyMaxReadings: parseInt(process.env.STOCK_WATCH_LEGACY_MAX, 10) || 5000,
+    },
+
+    // 告警通道（站内通知始终发送）
+    alerts: {
+        // Webhook：POST JSON
+        webhookUrl: process.env.ALERT_WEBHOOK_URL || '',
+        // 邮件：通过本地 SMTP 中继发送（明文、无认证），未配置 host 或收件人时不发送
+        smtp: {
+            host: process.env.ALERT_SMTP_HOST || '',
+            port: parseInt(process.env.ALERT_SMTP_PORT, 10) || 25,
+            from: process.env.ALERT_EMAIL_FROM || 'easy-outlook@localhost',
+            to: (process.env.ALERT_EMAIL_TO || '').split(',').map(s => s.trim()).filter(Boolean),
+        },
+        timeoutMs: parseInt(process.env.ALERT_TIMEOUT_MS, 10) || 10000,
+    },
+
+    // 出站 Webhook（见 services/webhook.service.js）
+    webhooks: {
+        // 每次投递的最大尝试次数（含首次），失败后按 retryDelayMs 指数退避重试
+        maxAttempts: parseInt(process.env.WEBHOOK_MAX_ATTEMPTS, 10) || 5,
+        retryDelayMs: parseInt(process.env.WEBHOOK_RETRY_DELAY_MS, 10) || 10000,
+        timeoutMs: parseInt(process.env.WEBHOOK_TIMEOUT_MS, 10) || 10000,
+        // 旧存储模式下最多保留的投递记录
+        legacyMaxDeliveries: parseInt(process.env.WEBHOOK_LEGACY_MAX_DELIVERIES, 10) || 2000,
+    },
+
+    // API 密钥（见 services/api-key.service.js）：每个密钥每分钟的默认和最大请求数
+    apiKeys: {
+        defaultRateLimit: parseInt(process.env.API_KEY_DEFAULT_RATE_LIMIT, 10) || 60,
+        maxRateLimit: parseInt(process.env.API_KEY_MAX_RATE_LIMIT, 10) || 600,
+    },
+
+    // 站内通知：旧存储模式下最多保留的条数
+    notifications: {
+        legacyMax: parseInt(process.env.NOTIFICATIONS_LEGACY_MAX, 10) || 500,
+    },
+
+    // 商品目录（GET /api/proxy/catalog）
+    catalog: {
+        // 库存和价格的缓存秒数
+        ttlSeconds: parseInt(process.env.CATALOG_TTL_SECONDS, 10) || 60,
+        // 同时查询库存的商品数
+        concurrency: parseInt(process.env.CATALOG_CONCURRENCY, 10) || 5,
+    },
+
     // 外部邮件 API 配置（从环境变量读取，避免前端暴露）
     externalMailApi: {
         baseUrl: process.env.EXTERNAL_MAIL_API_URL || 'https://api.1181180.xyz/api',
         password: process.env.EXTERNAL_MAIL_API_PASSWORD || '',
     },
 
+    // 邮件服务提供方：external（外部邮件 API）或 graph（直接调用 Microsoft Graph）
+    // 邮箱可单独指定 provider，未指定时使用此默认值
+    mailProvider: {
+        default: process.env.MAIL_PROVIDER || 'external',
+    },
+
+    // Microsoft Graph（graph 提供方），访问令牌通过 tokenRefresh.tokenUrl 换取
+    graph: {
+        baseUrl: process.env.GRAPH_API_URL || 'https://graph.microsoft.com/v1.0',
+        scope: process.env.GRAPH_SCOPE || 'https://graph.microsoft.com/Mail.ReadWrite offline_access',
+        // 每次列出的邮件数，清空文件夹时按此分页删除
+        pageSize: parseInt(process.env.GRAPH_PAGE_SIZE, 10) || 50,
+    },
+
     // 数据库配置（Neon PostgreSQL）
     // Vercel + Neon 集成会自动注入 POSTGRES_URL 或其他变量
     databaseUrl: process.env.DATABASE_URL
@@ -59,9 +155,107 @@ const config = {
     blobToken: process.env.BLOB_READ_WRITE_TOKEN || process.env.outlook_READ_WRITE_TOKEN || null,
     blobMailboxesKey: process.env.BLOB_MAILBOXES_KEY || 'mailboxes/mailboxes.json',
 
+    // 字段级加密（PostgreSQL 模式下加密邮箱密码和刷新令牌）
+    // 格式："1:base64key,2:base64key"，活动版本默认取最大版本
+    fieldEncryption: {
+        keys: process.env.FIELD_ENCRYPTION_KEYS || '',
+        activeVersion: parseInt(process.env.FIELD_ENCRYPTION_ACTIVE_VERSION, 10) || null,
+    },
+
+    // 审计日志
+    audit: {
+        // 旧存储模式下最多保留的事件数（整个集合存为一个 JSON，避免无限增长）
+        legacyMaxEvents: parseInt(process.env.AUDIT_LEGACY_MAX_EVENTS, 10) || 5000,
+    },
+
+    // 邮件缓存
+    messages: {
+        // 旧存储模式下每个邮箱每个文件夹最多缓存的邮件数
+        legacyMaxPerFolder: parseInt(process.env.MESSAGE_CACHE_LEGACY_MAX, 10) || 200,
+        // GET /api/mailboxes/:id/wait 的轮询间隔（毫秒，逐次加倍到上限）和最长等待秒数
+        waitInitialInterval: parseInt(process.env.MAIL_WAIT_INITIAL_INTERVAL_MS, 10) || 2000,
+        waitMaxInterval: parseInt(process.env.MAIL_WAIT_MAX_INTERVAL_MS, 10) || 15000,
+        waitMaxTimeout: parseInt(process.env.MAIL_WAIT_MAX_TIMEOUT, 10) || 300,
+    },
+
+    // 邮箱健康检查（定时检测邮箱能否正常拉取邮件，结果用于隔离判断）
+    healthCheck: {
+        enabled: process.env.HEALTH_CHECK_ENABLED === 'true',
+        intervalMinutes: parseInt(process.env.HEALTH_CHECK_INTERVAL_MINUTES, 10) || 60,
+        concurrency: parseInt(process.env.HEALTH_CHECK_CONCURRENCY, 10) || 5,
+        // 只检测指定来源（如 purchase），为空时检测全部邮箱
+        source: process.env.HEALTH_CHECK_SOURCE || '',
+        // 旧存储模式下最多保留的检测记录数
+        legacyMaxChecks: parseInt(process.env.HEALTH_CHECK_LEGACY_MAX, 10) || 5000,
+    },
+
+    // 邮箱隔离：连续失效（外部 API 返回 500）达到阈值后隔离，隔离期满仍未恢复才停用
+    quarantine: {
+        failureThreshold: parseInt(process.env.QUARANTINE_FAILURE_THRESHOLD, 10) || 3,
+        gracePeriodHours: Number.isNaN(parseFloat(process.env.QUARANTINE_GRACE_HOURS))
+            ? 72
+            : parseFloat(process.env.QUARANTINE_GRACE_HOURS),
+    },
+
+    // 后台任务队列（检测全部邮箱、异步购买等）
+    jobs: {
+        // 每个进程同时执行的任务数（各任务类型另有自己的并发上限）
+        concurrency: parseInt(process.env.JOB_CONCURRENCY, 10) || 2,
+        // 租约时长（秒），执行期间每 1/3 租约续租一次；进程崩溃后租约过期即可被重新认领
+        leaseSeconds: parseInt(process.env.JOB_LEASE_SECONDS, 10) || 60,
+        // 工作进程轮询新任务的间隔（毫秒）
+        pollInterval: parseInt(process.env.JOB_POLL_INTERVAL_MS, 10) || 5000,
+        // 失败重试的基础延迟（毫秒），每次重试加倍
+        retryDelay: parseInt(process.env.JOB_RETRY_DELAY_MS, 10) || 5000,
+        // 内存模式下最多保留的已结束任务数
+        maxFinished: parseInt(process.env.JOB_MAX_FINISHED, 10) || 200,
+        // SSE 心跳间隔（毫秒），避免代理因空闲断开连接
+        heartbeatInterval: parseInt(process.env.JOB_SSE_HEARTBEAT_MS, 10) || 15000,
+        // POST /api/jobs/run 等待任务结束的最长时长（毫秒），应小于函数的最长执行时间
+        runBudget: parseInt(process.env.JOB_RUN_BUDGET_MS, 10) || 25000,
+    },
+
+    // 批量操作
+    bulk: {
+        // 批量清空收件箱/垃圾箱的并发数
+        processFolderConcurrency: parseInt(process.env.BULK_PROCESS_FOLDER_CONCURRENCY, 10) || 5,
+        // 单次批量操作最多的邮箱数
+        maxMailboxes: parseInt(process.env.BULK_MAX_MAILBOXES, 10) || 2000,
+    },
+
+    // 刷新令牌轮换：用邮箱的刷新令牌向微软换取访问令牌，并保存新签发的刷新令牌
+    tokenRefresh: {
+        tokenUrl: process.env.TOKEN_REFRESH_URL || 'https://login.microsoftonline.com/common/oauth2/v2.0/token',
+        // 为空时不传 scope，沿用刷新令牌原有的权限范围
+        scope: process.env.TOKEN_REFRESH_SCOPE || '',
+        concurrency: parseInt(process.env.TOKEN_REFRESH_CONCURRENCY, 10) || 5,
+    },
+
+    // 验证码提取
+    otp: {
+        // 按发件人的提取规则（JSON 数组），格式见 utils/otp-extractor.js
+        rules: process.env.OTP_RULES || '',
+    },
+
     // 日志配置
     logLevel: process.env.LOG_LEVEL || 'info',
 
+    // 认证配置
+    auth: {
+        // 令牌签名密钥（生产环境必须配置，否则每次重启后已签发的令牌全部失效）
+        jwtSecret: process.env.AUTH_JWT_SECRET || null,
+        // 令牌有效期（秒），默认 12 小时
+        tokenTtl: parseInt(process.env.AUTH_TOKEN_TTL, 10) || 12 * 60 * 60,
+        // 初始管理员（仅在用户表为空时用于创建第一个账号）
+        adminUsername: process.env.ADMIN_USERNAME || null,
+        adminPassword: process.env.ADMIN_PASSWORD || null,
+        // 登录接口速率限制（每个 IP）
+        loginRateLimit: {
+            windowMs: parseInt(process.env.LOGIN_RATE_LIMIT_WINDOW_MS, 10) || 15 * 60 * 1000,
+            max: parseInt(process.env.LOGIN_RATE_LIMIT_MAX, 10) || 10,
+        },
+    },
+
     // 安全配置
     rateLimit: {
         windowMs: parseInt(process.env.RATE_LIMIT_WINDOW_MS, 10) || 15 * 60 * 1000, // 15分钟
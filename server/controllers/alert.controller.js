@@ -0,0 +1,63 @@
+/**
+ * 库存和余额告警控制器
+ */
+
+const stockWatchService = require('../services/stock-watch.service');
+const logger = require('../utils/logger');
+const { PERMISSIONS, ensurePermission } = require('../utils/permissions');
+
+class AlertController {
+    /**
+     * 查询库存和余额读数
+     * 支持 supplier / kind / commodity_id / limit / offset 查询参数
+     */
+    async listReadings(req, res) {
+        if (!ensurePermission(req, res, PERMISSIONS.PURCHASE_VIEW)) return;
+
+        try {
+            const result = await stockWatchService.getReadings(req.query);
+
+            res.json({
+                success: true,
+                ...result,
+            });
+        } catch (error) {
+            logger.error('查询库存读数失败', { error: error.message });
+
+            const status = error.message.includes('无效') ? 400 : 500;
+
+            res.status(status).json({
+                success: false,
+                error: error.message,
+            });
+        }
+    }
+
+    /**
+     * 立即检查一次库存和余额（越过阈值时发送告警）
+     */
+    async runChecks(req, res) {
+        if (!ensurePermission(req, res, PERMISSIONS.PURCHASE_BUY)) return;
+
+        try {
+            const summary = await stockWatchService.runChecks({ trigger: 'manual' });
+
+            res.json({
+                success: true,
+                data: summary,
+            });
+        } catch (error) {
+            logger.error('库存检查失败', { error: error.message });
+            res.status(500).json({
+                success: false,
+                error: '库存检查失败',
+                details: error.message,
+            });
+        }
+    }
+}
+
+// 创建单例
+const alertController = new AlertController();
+
+module.exports = alertController;
@@ -0,0 +1,75 @@
+/**
+ * API 密钥控制器
+ * 用户管理自己的密钥；管理员（user:manage）可以查看和吊销所有用户的密钥
+ */
+
+const apiKeyService = require('../services/api-key.service');
+const logger = require('../utils/logger');
+
+class ApiKeyController {
+    /**
+     * 获取密钥列表（不含密钥明文和摘要）
+     */
+    async list(req, res) {
+        try {
+            const data = await apiKeyService.listKeys(req.user);
+
+            res.json({
+                success: true,
+                data,
+            });
+        } catch (error) {
+            logger.error('获取 API 密钥列表失败', { error: error.message });
+            res.status(500).json({
+                success: false,
+                error: '获取 API 密钥列表失败',
+                details: error.message,
+            });
+        }
+    }
+
+    /**
+     * 创建密钥（响应中的 key 只返回这一次）
+     */
+    async create(req, res) {
+        try {
+            const data = await apiKeyService.createKey(req.body || {}, req.user);
+
+            res.status(201).json({
+                success: true,
+                data,
+            });
+        } catch (error) {
+            logger.error('创建 API 密钥失败', { error: error.message });
+            res.status(error.message.includes('无效') ? 400 : 500).json({
+                success: false,
+                error: error.message,
+            });
+        }
+    }
+
+    /**
+     * 吊销密钥
+     */
+    async revoke(req, res) {
+        try {
+            const data = await apiKeyService.revokeKey(req.params.id, req.user);
+
+            res.json({
+                success: true,
+                data,
+            });
+        } catch (error) {
+            logger.error('吊销 API 密钥失败', { error: error.message, id: req.params.id });
+            res.status(error.message.includes('不存在') ? 404 : 500).json({
+                success: false,
+                error: error.message,
+            });
+        }
+    }
+}
+
+// 创建单例
+const apiKeyController = new ApiKeyController();
+
+module.exports = apiKeyController;
@@ -0,0 +1,37 @@
+/**
+ * 审计日志控制器
+ */
+
+const auditService = require('../services/audit.service');
+const logger = require('../utils/logger');
+
+class AuditController {
+    /**
+     * 查询审计事件
+     * 支持 actor / action / mailbox / from / to / limit / offset 查询参数
+     */
+    async list(req, res) {
+        try {
+            const result = await auditService.listEvents(req.query, req.user);
+
+            res.json({
+                success: true,
+                ...result,
+            });
+        } catch (error) {
+            logger.error('查询审计日志失败', { error: error.message });
+
+            const status = error.message.includes('无效') ? 400 : 500;
+
+            res.status(status).json({
+                success: false,
+                error: error.message,
+            });
+        }
+    }
+}
+
+// 创建单例
+const auditController = new AuditController();
+
+module.exports = auditController;
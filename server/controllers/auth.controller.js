@@ -0,0 +1,113 @@
+/**
+ * 认证控制器 - 登录、登出、当前用户
+ */
+
+const authService = require('../services/auth.service');
+const userService = require('../services/user.service');
+const { verifyPassword } = require('../utils/password');
+const logger = require('../utils/logger');
+
+class AuthController {
+    /**
+     * 登录
+     */
+    async login(req, res) {
+        try {
+            const { username, password } = req.body || {};
+            const result = await authService.login(username, password);
+
+            logger.info('用户登录', { username: result.user.username });
+
+            res.json({
+                success: true,
+                data: result,
+            });
+        } catch (error) {
+            logger.warn('登录失败', { error: error.message, username: req.body?.username || 'unknown' });
+
+            const status = error.message.includes('缺少') ? 400 :
+                error.message === '用户名或密码错误' ? 401 :
+                    error.message === '账号已被禁用' ? 403 : 500;
+
+            res.status(status).json({
+                success: false,
+                error: status === 500 ? '登录失败' : error.message,
+            });
+        }
+    }
+
+    /**
+     * 登出（吊销当前用户的所有令牌）
+     */
+    async logout(req, res) {
+        try {
+            await authService.logout(req.user.id);
+
+            res.json({
+                success: true,
+                message: '已退出登录',
+            });
+        } catch (error) {
+            logger.error('退出登录失败', { error: error.message });
+            res.status(500).json({
+                success: false,
+                error: '退出登录失败',
+                details: error.message,
+            });
+        }
+    }
+
+    /**
+     * 获取当前登录用户
+     */
+    async me(req, res) {
+        res.json({
+            success: true,
+            data: authService.withPermissions(req.user),
+        });
+    }
+
+    /**
+     * 修改当前用户密码（成功后需重新登录）
+     */
+    async changePassword(req, res) {
+        try {
+            const { current_password, new_password } = req.body || {};
+            if (!current_password || !new_password) {
+                return res.status(400).json({
+                    success: false,
+                    error: '缺少当前密码或新密码',
+                });
+            }
+
+            const user = await userService.getUserById(req.user.id);
+            if (!user || !(await verifyPassword(current_password, user.password_hash))) {
+                return res.status(400).json({
+                    success: false,
+                    error: '当前密码错误',
+                });
+            }
+
+            await userService.updateUser(user.id, { password: new_password });
+
+            res.json({
+                success: true,
+                message: '密码已修改，请重新登录',
+            });
+        } catch (error) {
+            logger.error('修改密码失败', { error: error.message });
+
+            const status = error.message.includes('密码') ? 400 : 500;
+
+            res.status(status).json({
+                success: false,
+                error: error.message,
+            });
+        }
+    }
+}
+
+// 创建单例
+const authController = new AuthController();
+
+module.exports = authController;
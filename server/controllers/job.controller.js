@@ -0,0 +1,175 @@
+/**
+ * 后台任务控制器
+ */
+
+const config = require('../config');
+const jobService = require('../services/job.service');
+const logger = require('../utils/logger');
+const { PERMISSIONS, ensurePermission } = require('../utils/permissions');
+
+class JobController {
+    /**
+     * 查询任务列表
+     * 支持 status（逗号分隔）/ type / limit / offset 查询参数
+     */
+    async list(req, res) {
+        try {
+            const result = await jobService.listJobs(req.query, req.user);
+
+            res.json({
+                success: true,
+                ...result,
+            });
+        } catch (error) {
+            logger.error('查询任务列表失败', { error: error.message });
+            res.status(500).json({
+                success: false,
+                error: '查询任务列表失败',
+                details: error.message,
+            });
+        }
+    }
+
+    /**
+     * 获取任务状态和进度
+     */
+    async getById(req, res) {
+        try {
+            const job = await jobService.getJob(req.params.id, req.user);
+            if (!job) {
+                return res.status(404).json({
+                    success: false,
+                    error: '任务不存在',
+                });
+            }
+
+            res.json({
+                success: true,
+                data: job,
+            });
+        } catch (error) {
+            logger.error('获取任务失败', { id: req.params.id, error: error.message });
+            res.status(500).json({
+                success: false,
+                error: '获取任务失败',
+                details: error.message,
+            });
+        }
+    }
+
+    /**
+     * 以 Server-Sent Events 推送任务进度
+     * 事件：status（任务状态，连接建立时先推送一次）、item（每一项的处理结果）、done（任务结束，随后关闭连接）
+     */
+    async streamEvents(req, res) {
+        let job;
+        try {
+            job = await jobService.getJob(req.params.id, req.user);
+        } catch (error) {
+            logger.error('获取任务失败', { id: req.params.id, error: error.message });
+            return res.status(500).json({
+                success: false,
+                error: '获取任务失败',
+                details: error.message,
+            });
+        }
+
+        if (!job) {
+            return res.status(404).json({
+                success: false,
+                error: '任务不存在',
+            });
+        }
+
+        res.set({
+            'Content-Type': 'text/event-stream',
+            'Cache-Control': 'no-cache, no-transform',
+            'Connection': 'keep-alive',
+            // 关闭 Nginx 等反向代理的缓冲
+            'X-Accel-Buffering': 'no',
+        });
+        res.flushHeaders();
+
+        const send = (event, data) => {
+            res.write(`event: ${event}\ndata: ${JSON.stringify(data)}\n\n`);
+        };
+
+        const heartbeat = setInterval(() => res.write(': ping\n\n'), config.jobs.heartbeatInterval);
+        heartbeat.unref?.();
+
+        let closed = false;
+        let unsubscribe = null;
+        const cleanup = () => {
+            closed = true;
+            clearInterval(heartbeat);
+            unsubscribe?.();
+        };
+        res.on('close', cleanup);
+
+        send('status', job);
+
+        // 已结束的任务在订阅后立即收到 done
+        unsubscribe = await jobService.subscribe(job.id, {
+            onStatus: (current) => send('status', current),
+            onItem: (item) => send('item', item),
+            onDone: (current) => {
+                send('done', current);
+                cleanup();
+                res.end();
+            },
+        }, req.user);
+
+        if (closed) unsubscribe?.();
+    }
+
+    /**
+     * 立即执行到期的任务（供无常驻进程的部署定时调用）
+     */
+    async runPending(req, res) {
+        if (!ensurePermission(req, res, PERMISSIONS.MAILBOX_READ_ALL)) return;
+
+        try {
+            const summary = await jobService.runPending();
+
+            res.json({
+                success: true,
+                data: summary,
+            });
+        } catch (error) {
+            logger.error('执行待处理任务失败', { error: error.message });
+            res.status(500).json({
+                success: false,
+                error: '执行待处理任务失败',
+                details: error.message,
+            });
+        }
+    }
+
+    /**
+     * 取消任务
+     */
+    async cancel(req, res) {
+        try {
+            const job = await jobService.cancelJob(req.params.id, req.user);
+
+            res.json({
+                success: true,
+                data: job,
+            });
+        } catch (error) {
+            logger.error('取消任务失败', { id: req.params.id, error: error.message });
+
+            const status = error.message.includes('不存在') ? 404 : 500;
+
+            res.status(status).json({
+                success: false,
+                error: error.message,
+            });
+        }
+    }
+}
+
+// 创建单例
+const jobController = new JobController();
+
+module.exports = jobController;
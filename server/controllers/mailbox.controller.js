@@ -3,19 +3,28 @@
  */
 
 const mailboxService = require('../services/mailbox.service');
+const messageService = require('../services/message.service');
+const healthService = require('../services/health.service');
+const jobService = require('../services/job.service');
+const { JOB_TYPES } = require('../jobs');
+const config = require('../config');
 const logger = require('../utils/logger');
+const { PERMISSIONS, ensurePermission } = require('../utils/permissions');
+const { withOtp } = require('../utils/otp-extractor');
 
 class MailboxController {
     /**
      * 获取所有邮箱
      */
     async getAll(req, res) {
+        if (!ensurePermission(req, res, PERMISSIONS.MAILBOX_READ)) return;
+
         try {
-            const mailboxes = await mailboxService.getAllMailboxes();
+            const mailboxes = await mailboxService.getAllMailboxes(req.user);
 
             res.json({
                 success: true,
-                data: mailboxes,
+                data: mailboxes.map(m => mailboxService.toPublic(m)),
             });
         } catch (error) {
             console.error('获取邮箱列表失败:', error);
@@ -31,9 +40,11 @@ class MailboxController {
      * 根据ID获取邮箱
      */
     async getById(req, res) {
+        if (!ensurePermission(req, res, PERMISSIONS.MAILBOX_READ)) return;
+
         try {
             const { id } = req.params;
-            const mailbox = await mailboxService.getMailboxById(id);
+            const mailbox = await mailboxService.getMailboxById(id, req.user);
 
             if (!mailbox) {
                 return res.status(404).json({
@@ -44,7 +55,7 @@ class MailboxController {
 
             res.json({
                 success: true,
-                data: mailbox,
+                data: mailboxService.toPublic(mailbox),
             });
         } catch (error) {
             console.error('获取邮箱失败:', error);
@@ -56,16 +67,156 @@ class MailboxController {
         }
     }
 
+    /**
+     * 获取邮箱的缓存邮件
+     * 支持 folder / limit / offset / include_raw 查询参数
+     */
+    async getMessages(req, res) {
+        if (!ensurePermission(req, res, PERMISSIONS.MAIL_READ)) return;
+
+        try {
+            const { id } = req.params;
+            const { folder, limit, offset, include_raw } = req.query;
+            const result = await messageService.listMessages(id, { folder, limit, offset }, req.user);
+
+            res.json({
+                success: true,
+                ...result,
+                data: result.data.map(m => withOtp(messageService.toPublic(m, include_raw === 'true'))),
+            });
+        } catch (error) {
+            logger.error('获取缓存邮件失败', { error: error.message, mailboxId: req.params.id });
+
+            const status = error.message === '邮箱不存在' ? 404 : 500;
+
+            res.status(status).json({
+                success: false,
+                error: status === 404 ? error.message : '获取缓存邮件失败',
+                details: error.message,
+            });
+        }
+    }
+
+    /**
+     * 获取单封缓存邮件（含原始 JSON）
+     */
+    async getMessage(req, res) {
+        if (!ensurePermission(req, res, PERMISSIONS.MAIL_READ)) return;
+
+        try {
+            const { id, messageId } = req.params;
+            const message = await messageService.getMessage(id, messageId, req.user);
+
+            if (!message) {
+                return res.status(404).json({
+                    success: false,
+                    error: '邮件不存在',
+                });
+            }
+
+            res.json({
+                success: true,
+                data: withOtp(message),
+            });
+        } catch (error) {
+            logger.error('获取缓存邮件失败', { error: error.message, mailboxId: req.params.id });
+            res.status(500).json({
+                success: false,
+                error: '获取缓存邮件失败',
+                details: error.message,
+            });
+        }
+    }
+
+    /**
+     * 获取最新邮件中的验证码和验证链接
+     */
+    async getLatestCode(req, res) {
+        if (!ensurePermission(req, res, PERMISSIONS.MAIL_READ)) return;
+
+        try {
+            const data = await messageService.getLatestCode(req.params.id, { folder: req.query.folder }, req.user);
+
+            res.json({
+                success: true,
+                data,
+            });
+        } catch (error) {
+            logger.error('获取验证码失败', { error: error.message, mailboxId: req.params.id });
+
+            const status = error.message === '邮箱不存在' || error.message === '邮件不存在' ? 404 : 500;
+
+            res.status(status).json({
+                success: false,
+                error: status === 404 ? error.message : '获取验证码失败',
+                details: error.message,
+            });
+        }
+    }
+
+    /**
+     * 等待符合条件的新邮件（长轮询），超时返回 408
+     */
+    async waitForMessage(req, res) {
+        if (!ensurePermission(req, res, PERMISSIONS.MAIL_READ)) return;
+
+        // 客户端断开后停止轮询
+        const controller = new AbortController();
+        res.on('close', () => {
+            if (!res.writableEnded) controller.abort();
+        });
+
+        const startedAt = Date.now();
+
+        try {
+            const { from, subject, folder, timeout } = req.query;
+            const message = await messageService.waitForMessage(
+                req.params.id,
+                { from, subject, folder, timeout, signal: controller.signal },
+                req.user
+            );
+
+            if (controller.signal.aborted) return;
+
+            if (!message) {
+                return res.status(408).json({
+                    success: false,
+                    error: '等待邮件超时',
+                    waited_ms: Date.now() - startedAt,
+                });
+            }
+
+            res.json({
+                success: true,
+                data: withOtp(messageService.toPublic(message)),
+                waited_ms: Date.now() - startedAt,
+            });
+        } catch (error) {
+            logger.error('等待邮件失败', { error: error.message, mailboxId: req.params.id });
+
+            const status = error.message === '邮箱不存在' ? 404 :
+                error.message.includes('缺少') || error.message.includes('未配置') ? 400 : 500;
+
+            res.status(status).json({
+                success: false,
+                error: status === 500 ? '等待邮件失败' : error.message,
+                details: error.message,
+            });
+        }
+    }
+
     /**
      * 添加单个邮箱
      */
     async create(req, res) {
+        if (!ensurePermission(req, res, PERMISSIONS.MAILBOX_WRITE)) return;
+
         try {
-            const mailbox = await mailboxService.addMailbox(req.body);
+            const mailbox = await mailboxService.addMailbox(req.body, req.user);
 
             res.status(201).json({
                 success: true,
-                data: mailbox,
+                data: mailboxService.toPublic(mailbox),
             });
         } catch (error) {
             logger.error('添加邮箱失败', { error: error.message, email: req.body?.email || 'unknown' });
@@ -73,7 +224,8 @@ class MailboxController {
             const status = error.message === '邮箱已存在' ? 409 :
                 error.message.includes('缺少') ? 400 :
                     error.message.includes('格式无效') ? 400 :
-                        error.message.includes('过长') ? 400 : 500;
+                        error.message.includes('过长') ? 400 :
+                            error.message.includes('提供方无效') ? 400 : 500;
 
             res.status(status).json({
                 success: false,
@@ -86,13 +238,16 @@ class MailboxController {
      * 批量添加邮箱
      */
     async createBatch(req, res) {
+        if (!ensurePermission(req, res, PERMISSIONS.MAILBOX_WRITE)) return;
+
         try {
             const { mailboxes } = req.body;
-            const result = await mailboxService.addMailboxesBatch(mailboxes);
+            const result = await mailboxService.addMailboxesBatch(mailboxes, req.user);
 
             res.status(201).json({
                 success: true,
                 ...result,
+                data: result.data.map(m => mailboxService.toPublic(m)),
             });
         } catch (error) {
             console.error('批量添加邮箱失败:', error);
@@ -102,7 +257,8 @@ class MailboxController {
                 error.message.includes('格式错误') ||
                 error.message.includes('格式无效') ||
                 error.message.includes('不完整') ||
-                error.message.includes('过长');
+                error.message.includes('过长') ||
+                error.message.includes('提供方无效');
 
             const status = isValidationError ? 400 : 500;
 
@@ -118,19 +274,21 @@ class MailboxController {
      * 更新邮箱
      */
     async update(req, res) {
+        if (!ensurePermission(req, res, PERMISSIONS.MAILBOX_WRITE)) return;
+
         try {
             const { id } = req.params;
-            const mailbox = await mailboxService.updateMailbox(id, req.body);
+            const mailbox = await mailboxService.updateMailbox(id, req.body, req.user);
 
             res.json({
                 success: true,
-                data: mailbox,
+                data: mailboxService.toPublic(mailbox),
             });
         } catch (error) {
             console.error('更新邮箱失败:', error);
 
             const status = error.message === '邮箱不存在' ? 404 :
-                error.message.includes('没有提供') ? 400 : 500;
+                /没有提供|提供方无效|归属用户/.test(error.message) ? 400 : 500;
 
             res.status(status).json({
                 success: false,
@@ -144,9 +302,11 @@ class MailboxController {
      * 删除邮箱（软删除）
      */
     async delete(req, res) {
+        if (!ensurePermission(req, res, PERMISSIONS.MAILBOX_DELETE)) return;
+
         try {
             const { id } = req.params;
-            await mailboxService.deleteMailbox(id);
+            await mailboxService.deleteMailbox(id, req.user);
 
             res.json({
                 success: true,
@@ -169,9 +329,11 @@ class MailboxController {
      * 批量删除邮箱（软删除）
      */
     async deleteBatch(req, res) {
+        if (!ensurePermission(req, res, PERMISSIONS.MAILBOX_BULK_DELETE)) return;
+
         try {
             const { ids } = req.body;
-            const result = await mailboxService.deleteMailboxesBatch(ids);
+            const result = await mailboxService.deleteMailboxesBatch(ids, req.user);
 
             res.json({
                 success: true,
@@ -190,12 +352,86 @@ class MailboxController {
         }
     }
 
+    /**
+     * 查看单个邮箱的明文凭证（由服务层写入审计日志）
+     */
+    async reveal(req, res) {
+        if (!ensurePermission(req, res, PERMISSIONS.MAILBOX_REVEAL)) return;
+
+        try {
+            const { id } = req.params;
+            const { credentials: [credentials] } = await mailboxService.revealCredentials([id], req.user);
+
+            if (!credentials) {
+                return res.status(404).json({
+                    success: false,
+                    error: '邮箱不存在',
+                });
+            }
+
+            logger.info('查看邮箱凭证', {
+                user: req.user.username,
+                mailboxId: id,
+                ip: req.ip,
+            });
+
+            res.json({
+                success: true,
+                data: credentials,
+            });
+        } catch (error) {
+            logger.error('查看邮箱凭证失败', { error: error.message });
+            res.status(500).json({
+                success: false,
+                error: '查看邮箱凭证失败',
+                details: error.message,
+            });
+        }
+    }
+
+    /**
+     * 批量查看邮箱明文凭证（用于导出，由服务层写入审计日志）
+     */
+    async revealBatch(req, res) {
+        if (!ensurePermission(req, res, PERMISSIONS.MAILBOX_REVEAL)) return;
+
+        try {
+            const { ids } = req.body || {};
+            const { credentials, missing } = await mailboxService.revealCredentials(ids, req.user);
+
+            logger.info('批量查看邮箱凭证', {
+                user: req.user.username,
+                requested: ids.length,
+                revealed: credentials.length,
+                ip: req.ip,
+            });
+
+            res.json({
+                success: true,
+                data: credentials,
+                missing,
+            });
+        } catch (error) {
+            logger.error('批量查看邮箱凭证失败', { error: error.message });
+
+            const status = error.message.includes('缺少') || error.message.includes('无效') ? 400 : 500;
+
+            res.status(status).json({
+                success: false,
+                error: '批量查看邮箱凭证失败',
+                details: error.message,
+            });
+        }
+    }
+
     /**
      * 获取统计信息
      */
     async getStatistics(req, res) {
+        if (!ensurePermission(req, res, PERMISSIONS.MAILBOX_READ)) return;
+
         try {
-            const stats = await mailboxService.getStatistics();
+            const stats = await mailboxService.getStatistics(req.user);
 
             res.json({
                 success: true,
@@ -212,13 +448,177 @@ class MailboxController {
     }
 
     /**
-     * 检测指定来源的邮箱有效性（默认仅购买的邮箱），外部 API 返回 500 时视为失效并软删除
+     * 获取可见邮箱的最新健康检查结果
+     */
+    async getHealthStatuses(req, res) {
+        if (!ensurePermission(req, res, PERMISSIONS.MAILBOX_READ)) return;
+
+        try {
+            const statuses = await healthService.getLatestStatuses(req.user);
+
+            res.json({
+                success: true,
+                data: statuses,
+            });
+        } catch (error) {
+            logger.error('获取健康状态失败', { error: error.message });
+            res.status(500).json({
+                success: false,
+                error: '获取健康状态失败',
+                details: error.message,
+            });
+        }
+    }
+
+    /**
+     * 获取单个邮箱的健康检查历史
+     */
+    async getHealthHistory(req, res) {
+        if (!ensurePermission(req, res, PERMISSIONS.MAILBOX_READ)) return;
+
+        try {
+            const { limit, offset } = req.query;
+            const result = await healthService.getHistory(req.params.id, { limit, offset }, req.user);
+
+            res.json({
+                success: true,
+                ...result,
+            });
+        } catch (error) {
+            logger.error('获取健康检查历史失败', { error: error.message, mailboxId: req.params.id });
+
+            const status = error.message === '邮箱不存在' ? 404 : 500;
+
+            res.status(status).json({
+                success: false,
+                error: status === 404 ? error.message : '获取健康检查历史失败',
+                details: error.message,
+            });
+        }
+    }
+
+    /**
+     * 立即执行一次健康检查（结果用于隔离判断）
+     */
+    async runHealthChecks(req, res) {
+        if (!ensurePermission(req, res, PERMISSIONS.MAILBOX_VALIDATE)) return;
+
+        try {
+            const { ids, source } = req.body || {};
+            const summary = await healthService.runChecks({ ids: ids || [], source: source || null }, req.user);
+
+            res.json({
+                success: true,
+                data: summary,
+            });
+        } catch (error) {
+            logger.error('健康检查失败', { error: error.message });
+            res.status(500).json({
+                success: false,
+                error: '健康检查失败',
+                details: error.message,
+            });
+        }
+    }
+
+    /**
+     * 获取隔离中和可疑的邮箱
+     */
+    async getQuarantine(req, res) {
+        if (!ensurePermission(req, res, PERMISSIONS.MAILBOX_READ)) return;
+
+        try {
+            const list = await mailboxService.getQuarantinedMailboxes(req.user);
+
+            res.json({
+                success: true,
+                data: list.map(m => mailboxService.toPublic(m)),
+            });
+        } catch (error) {
+            logger.error('获取隔离邮箱失败', { error: error.message });
+            res.status(500).json({
+                success: false,
+                error: '获取隔离邮箱失败',
+                details: error.message,
+            });
+        }
+    }
+
+    /**
+     * 重新检测隔离中的邮箱，检测正常即恢复
+     */
+    async retestQuarantine(req, res) {
+        if (!ensurePermission(req, res, PERMISSIONS.MAILBOX_VALIDATE)) return;
+
+        try {
+            const { ids } = req.body || {};
+            if (!Array.isArray(ids) || ids.length === 0) {
+                return res.status(400).json({
+                    success: false,
+                    error: '缺少要检测的邮箱ID列表',
+                });
+            }
+
+            const summary = await healthService.runChecks({ ids, source: null }, req.user);
+            const list = await mailboxService.getQuarantinedMailboxes(req.user);
+
+            res.json({
+                success: true,
+                summary,
+                data: list.map(m => mailboxService.toPublic(m)),
+            });
+        } catch (error) {
+            logger.error('重新检测隔离邮箱失败', { error: error.message });
+            res.status(500).json({
+                success: false,
+                error: '重新检测失败',
+                details: error.message,
+            });
+        }
+    }
+
+    /**
+     * 手动恢复隔离中的邮箱
+     */
+    async restoreQuarantine(req, res) {
+        if (!ensurePermission(req, res, PERMISSIONS.MAILBOX_WRITE)) return;
+
+        try {
+            const { ids } = req.body || {};
+            const result = await mailboxService.restoreMailboxes(ids, req.user);
+
+            res.json({
+                success: true,
+                restored: result.restored,
+                data: result.data.map(m => mailboxService.toPublic(m)),
+            });
+        } catch (error) {
+            logger.error('恢复隔离邮箱失败', { error: error.message });
+
+            const status = error.message.includes('缺少') ? 400 : 500;
+
+            res.status(status).json({
+                success: false,
+                error: status === 400 ? error.message : '恢复邮箱失败',
+                details: error.message,
+            });
+        }
+    }
+
+    /**
+     * 检测指定来源的邮箱有效性（默认仅购买的邮箱），连续失效的邮箱进入隔离，隔离期满后停用
      */
     async validatePurchased(req, res) {
+        if (!ensurePermission(req, res, PERMISSIONS.MAILBOX_VALIDATE)) return;
+
         try {
             const { ids } = req.body || {};
-            const result = await mailboxService.validateMailboxesBySource(ids || [], 'purchase');
-            res.json({ success: true, ...result });
+            const result = await mailboxService.validateMailboxesBySource(ids || [], 'purchase', { concurrency: 10 }, req.user);
+            res.json({
+                success: true,
+                ...result,
+                data: result.data.map(m => mailboxService.toPublic(m)),
+            });
         } catch (error) {
             console.error('检测邮箱有效性失败:', error);
             res.status(500).json({
@@ -230,22 +630,119 @@ class MailboxController {
     }
 
     /**
-     * 检测所有来源的邮箱有效性，外部 API 返回 500 时视为失效并软删除
+     * 检测所有来源的邮箱有效性，连续失效的邮箱进入隔离，隔离期满后停用
+     * 邮箱数量可能很多，以后台任务执行：立即返回 202 和任务ID，
+     * 进度通过 GET /api/jobs/:id 或 GET /api/jobs/:id/events（SSE）获取
      */
     async validateAll(req, res) {
+        if (!ensurePermission(req, res, PERMISSIONS.MAILBOX_VALIDATE)) return;
+
         try {
-            const { ids } = req.body || {};
-            const result = await mailboxService.validateMailboxesBySource(ids || [], null);
-            res.json({ success: true, ...result });
+            const ids = req.body?.ids ?? [];
+            if (!Array.isArray(ids) || ids.some(id => typeof id !== 'string')) {
+                throw new Error('邮箱ID列表无效');
+            }
+
+            const job = await jobService.enqueue(JOB_TYPES.MAILBOX_VALIDATE, { source: null, ids }, req.user);
+
+            res.status(202).json({
+                success: true,
+                job_id: job.id,
+                data: job,
+            });
         } catch (error) {
             console.error('检测全部邮箱有效性失败:', error);
-            res.status(500).json({
+
+            const status = error.message.includes('无效') ? 400 : 500;
+
+            res.status(status).json({
                 success: false,
                 error: '检测邮箱有效性失败',
                 details: error.message,
             });
         }
     }
+
+    /**
+     * 批量清空多个邮箱的收件箱或垃圾箱
+     * 以后台任务执行，立即返回 202 和任务ID；每个邮箱的处理结果通过任务事件推送，汇总在任务结果中
+     */
+    async bulkProcessFolder(req, res) {
+        if (!ensurePermission(req, res, PERMISSIONS.MAIL_CLEAR)) return;
+
+        try {
+            const { ids, folder } = req.body || {};
+            if (!Array.isArray(ids) || ids.length === 0) {
+                throw new Error('缺少邮箱ID列表');
+            }
+            if (!['inbox', 'junk'].includes(folder)) {
+                throw new Error('无效的文件夹，仅支持 inbox 或 junk');
+            }
+
+            const uniqueIds = [...new Set(ids.map(String))];
+            if (uniqueIds.length > config.bulk.maxMailboxes) {
+                throw new Error(`单次最多处理 ${config.bulk.maxMailboxes} 个邮箱`);
+            }
+
+            const job = await jobService.enqueue(JOB_TYPES.PROCESS_FOLDER, { ids: uniqueIds, folder }, req.user);
+
+            res.status(202).json({
+                success: true,
+                job_id: job.id,
+                data: job,
+            });
+        } catch (error) {
+            logger.error('批量清空文件夹失败', { error: error.message });
+
+            const status = /缺少|无效|最多/.test(error.message) ? 400 : 500;
+
+            res.status(status).json({
+                success: false,
+                error: status === 400 ? error.message : '批量清空文件夹失败',
+                details: error.message,
+            });
+        }
+    }
+
+    /**
+     * 刷新邮箱令牌（后台任务）
+     * 未指定 ids 时刷新当前用户可见的全部邮箱，轮换后的刷新令牌会保存到邮箱
+     */
+    async refreshTokens(req, res) {
+        if (!ensurePermission(req, res, PERMISSIONS.MAILBOX_WRITE)) return;
+
+        try {
+            const { ids } = req.body || {};
+            if (ids !== undefined && (!Array.isArray(ids) || ids.length === 0)) {
+                throw new Error('无效的邮箱ID列表');
+            }
+            if (ids && ids.length > config.bulk.maxMailboxes) {
+                throw new Error(`单次最多处理 ${config.bulk.maxMailboxes} 个邮箱`);
+            }
+
+            const job = await jobService.enqueue(
+                JOB_TYPES.REFRESH_TOKENS,
+                { ids: ids ? [...new Set(ids.map(String))] : null },
+                req.user
+            );
+
+            res.status(202).json({
+                success: true,
+                job_id: job.id,
+                data: job,
+            });
+        } catch (error) {
+            logger.error('刷新令牌失败', { error: error.message });
+
+            const status = /无效|最多/.test(error.message) ? 400 : 500;
+
+            res.status(status).json({
+                success: false,
+                error: status === 400 ? error.message : '刷新令牌失败',
+                details: error.message,
+            });
+        }
+    }
 }
 
 // 创建单例
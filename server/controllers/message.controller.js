@@ -0,0 +1,41 @@
+/**
+ * 邮件检索控制器
+ */
+
+const messageService = require('../services/message.service');
+const logger = require('../utils/logger');
+const { PERMISSIONS, ensurePermission } = require('../utils/permissions');
+
+class MessageController {
+    /**
+     * 跨邮箱检索缓存邮件
+     * 支持 q / from / subject / since / limit / offset 查询参数
+     */
+    async search(req, res) {
+        if (!ensurePermission(req, res, PERMISSIONS.MAIL_READ)) return;
+
+        try {
+            const result = await messageService.searchMessages(req.query, req.user);
+
+            res.json({
+                success: true,
+                ...result,
+            });
+        } catch (error) {
+            logger.error('检索邮件失败', { error: error.message });
+
+            const status = error.message.includes('缺少') ? 400 :
+                error.message.includes('无效') ? 400 : 500;
+
+            res.status(status).json({
+                success: false,
+                error: error.message,
+            });
+        }
+    }
+}
+
+// 创建单例
+const messageController = new MessageController();
+
+module.exports = messageController;
@@ -0,0 +1,76 @@
+/**
+ * 站内通知控制器
+ */
+
+const notificationService = require('../services/notification.service');
+const logger = require('../utils/logger');
+
+class NotificationController {
+    /**
+     * 当前用户的通知
+     * 支持 unread / limit / offset 查询参数
+     */
+    async list(req, res) {
+        try {
+            const result = await notificationService.listForUser(req.query, req.user);
+
+            res.json({
+                success: true,
+                ...result,
+            });
+        } catch (error) {
+            logger.error('查询通知失败', { error: error.message });
+            res.status(500).json({
+                success: false,
+                error: error.message,
+            });
+        }
+    }
+
+    /**
+     * 标记单条通知为已读
+     */
+    async markRead(req, res) {
+        try {
+            await notificationService.markRead(req.params.id, req.user);
+
+            res.json({
+                success: true,
+            });
+        } catch (error) {
+            logger.error('标记通知已读失败', { error: error.message, id: req.params.id });
+
+            const status = error.message.includes('不存在') ? 404 : 500;
+
+            res.status(status).json({
+                success: false,
+                error: error.message,
+            });
+        }
+    }
+
+    /**
+     * 全部标记为已读
+     */
+    async markAllRead(req, res) {
+        try {
+            const marked = await notificationService.markAllRead(req.user);
+
+            res.json({
+                success: true,
+                marked,
+            });
+        } catch (error) {
+            logger.error('标记全部通知已读失败', { error: error.message });
+            res.status(500).json({
+                success: false,
+                error: error.message,
+            });
+        }
+    }
+}
+
+// 创建单例
+const notificationController = new NotificationController();
+
+module.exports = notificationController;
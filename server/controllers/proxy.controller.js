@@ -3,25 +3,80 @@
  */
 
 const proxyService = require('../services/proxy.service');
-const config = require('../config');
+const mailboxService = require('../services/mailbox.service');
+const jobService = require('../services/job.service');
+const { JOB_TYPES } = require('../jobs');
 const logger = require('../utils/logger');
+const { PERMISSIONS, ensurePermission } = require('../utils/permissions');
+const { annotateResponse } = require('../utils/otp-extractor');
+
+/**
+ * 解析邮件 API 所需的邮箱凭证
+ * 优先通过 mailbox_id 在服务端读取凭证（不经过浏览器），兼容直接传入 refresh_token / client_id / email
+ * @returns {Promise<object|null>} 邮箱对象；mailbox_id 不存在或无权访问时返回 null
+ */
+async function resolveMailbox(req) {
+    const { mailbox_id, refresh_token, client_id, email } = req.query;
+
+    if (mailbox_id) {
+        return mailboxService.getMailboxById(mailbox_id, req.user);
+    }
+
+    if (!refresh_token || !client_id || !email) {
+        throw new Error('缺少必要的邮箱参数');
+    }
+    return { refresh_token, client_id, email };
+}
 
 class ProxyController {
+    /**
+     * 列出全部供应商及其商品（不含凭证）
+     */
+    async listSuppliers(req, res) {
+        if (!ensurePermission(req, res, PERMISSIONS.PURCHASE_VIEW)) return;
+
+        res.json({
+            success: true,
+            data: proxyService.listSuppliers(),
+        });
+    }
+
+    /**
+     * 商品目录：供应商、商品及库存和价格（带缓存），refresh=1 时重新查询
+     */
+    async getCatalog(req, res) {
+        if (!ensurePermission(req, res, PERMISSIONS.PURCHASE_VIEW)) return;
+
+        try {
+            const refresh = ['1', 'true'].includes(String(req.query.refresh));
+            const data = await proxyService.getCatalog({ refresh });
+
+            res.json({ success: true, data });
+        } catch (error) {
+            logger.error('获取商品目录失败', { error: error.message });
+
+            res.status(500).json({
+                success: false,
+                error: error.message,
+            });
+        }
+    }
+
     /**
      * 查询余额
      * ⚠️ 安全改进：API 凭证从后端配置读取，不再从前端传递
+     * supplier 为供应商ID，兼容旧参数 library
      */
     async checkBalance(req, res) {
-        try {
-            const { library = '1' } = req.body;
+        if (!ensurePermission(req, res, PERMISSIONS.PURCHASE_VIEW)) return;
 
-            // 使用后端配置的凭证
-            const { appId, appKey } = config.purchaseCredentials;
-            const data = await proxyService.checkBalance(appId, appKey, library);
+        try {
+            const supplier = proxyService.getSupplier(req.body.supplier ?? req.body.library);
+            const data = await proxyService.checkBalance(supplier.id);
 
-            res.json(data);
+            res.json({ success: true, code: 200, supplier: supplier.id, data });
         } catch (error) {
-            logger.error('查询余额失败', { error: error.message, library: req.body.library });
+            logger.error('查询余额失败', { error: error.message, supplier: req.body.supplier ?? req.body.library });
 
             const status = error.message.includes('缺少') ? 400 :
                           error.message.includes('无效') ? 400 : 500;
@@ -37,11 +92,14 @@ class ProxyController {
      * 查询库存
      */
     async checkStock(req, res) {
+        if (!ensurePermission(req, res, PERMISSIONS.PURCHASE_VIEW)) return;
+
         try {
-            const { commodity_id, library = '1' } = req.query;
-            const data = await proxyService.checkStock(commodity_id, library);
+            const { commodity_id } = req.query;
+            const supplier = proxyService.getSupplier(req.query.supplier ?? req.query.library);
+            const data = await proxyService.checkStock(commodity_id, supplier.id);
 
-            res.json(data);
+            res.json({ success: true, code: 200, supplier: supplier.id, data });
         } catch (error) {
             logger.error('查询库存失败', { error: error.message, commodity_id: req.query.commodity_id });
 
@@ -58,17 +116,51 @@ class ProxyController {
     /**
      * 购买邮箱
      * ⚠️ 安全改进：API 凭证从后端配置读取，不再从前端传递
+     * async 为 true 时以后台任务执行（购买后直接导入邮箱），立即返回 202 和任务ID
+     * 超出采购限额（或已配置花费上限而单价未知）返回 403；大额订单需要确认时返回 409 和 confirmation（含 confirm_token），带上 confirm_token 重新提交
      */
     async purchaseEmails(req, res) {
+        if (!ensurePermission(req, res, PERMISSIONS.PURCHASE_BUY)) return;
+
         try {
-            const { commodity_id, num, library = '1' } = req.body;
+            const { commodity_id, num } = req.body;
+            const options = { confirmToken: req.body.confirm_token };
+            // 提前校验供应商，避免任务排队后才失败
+            const supplier = proxyService.getSupplier(req.body.supplier ?? req.body.library);
+
+            if (req.body.async === true) {
+                if (!supplier.isConfigured() || !commodity_id || !num) {
+                    throw new Error('缺少必要参数');
+                }
+                const { confirmed } = await proxyService.checkPurchase(commodity_id, num, supplier.id, options, req.user);
+
+                // 确认令牌已在此校验，任务参数中只记录是否已确认
+                const job = await jobService.enqueue(JOB_TYPES.PURCHASE, {
+                    commodity_id,
+                    num: Number(num),
+                    library: supplier.id,
+                    confirmed,
+                }, req.user);
+                return res.status(202).json({
+                    success: true,
+                    job_id: job.id,
+                    data: job,
+                });
+            }
 
-            // 使用后端配置的凭证
-            const { appId, appKey } = config.purchaseCredentials;
-            const data = await proxyService.purchaseEmails(appId, appKey, commodity_id, num, library);
+            const data = await proxyService.purchaseEmails(commodity_id, num, supplier.id, options, req.user);
 
-            res.json(data);
+            res.json({ success: true, code: 200, supplier: supplier.id, data });
         } catch (error) {
+            if (error.confirmation) {
+                return res.status(409).json({
+                    success: false,
+                    error: error.message,
+                    requires_confirmation: true,
+                    confirmation: error.confirmation,
+                });
+            }
+
             logger.error('购买邮箱失败', {
                 error: error.message,
                 commodity_id: req.body.commodity_id,
@@ -76,7 +168,8 @@ class ProxyController {
             });
 
             const status = error.message.includes('缺少') ? 400 :
-                          error.message.includes('无效') ? 400 : 500;
+                          error.message.includes('无效') ? 400 :
+                          error.message.includes('超出') || error.message.includes('单价未知') ? 403 : 500;
 
             res.status(status).json({
                 success: false,
@@ -90,25 +183,25 @@ class ProxyController {
      * ⚠️ 安全改进：API 密码从后端配置读取，不再从前端传递
      */
     async getMailboxEmails(req, res) {
-        try {
-            const { refresh_token, client_id, email, folder = 'inbox' } = req.query;
+        if (!ensurePermission(req, res, PERMISSIONS.MAIL_READ)) return;
 
-            // 验证必填字段
-            if (!refresh_token || !client_id || !email) {
-                return res.status(400).json({
+        try {
+            const { folder = 'inbox' } = req.query;
+            const mailbox = await resolveMailbox(req);
+            if (!mailbox) {
+                return res.status(404).json({
                     success: false,
-                    error: '缺少必要的邮箱参数',
+                    error: '邮箱不存在',
                 });
             }
 
-            const mailbox = { refresh_token, client_id, email };
             const data = await proxyService.getMailboxEmails(mailbox, folder);
 
-            res.json(data);
+            res.json(annotateResponse(data));
         } catch (error) {
             logger.error('获取邮件列表失败', {
                 error: error.message,
-                email: req.query.email,
+                email: req.query.email || req.query.mailbox_id,
                 folder: req.query.folder
             });
 
@@ -126,25 +219,24 @@ class ProxyController {
      * ⚠️ 安全改进：API 密码从后端配置读取，不再从前端传递
      */
     async processInbox(req, res) {
-        try {
-            const { refresh_token, client_id, email } = req.query;
+        if (!ensurePermission(req, res, PERMISSIONS.MAIL_CLEAR)) return;
 
-            // 验证必填字段
-            if (!refresh_token || !client_id || !email) {
-                return res.status(400).json({
+        try {
+            const mailbox = await resolveMailbox(req);
+            if (!mailbox) {
+                return res.status(404).json({
                     success: false,
-                    error: '缺少必要的邮箱参数',
+                    error: '邮箱不存在',
                 });
             }
 
-            const mailbox = { refresh_token, client_id, email };
-            const data = await proxyService.processInbox(mailbox);
+            const data = await proxyService.processInbox(mailbox, req.user);
 
             res.json(data);
         } catch (error) {
             logger.error('处理收件箱失败', {
                 error: error.message,
-                email: req.query.email
+                email: req.query.email || req.query.mailbox_id
             });
 
             const status = error.message.includes('缺少') || error.message.includes('未配置') ? 400 : 500;
@@ -161,25 +253,24 @@ class ProxyController {
      * ⚠️ 安全改进：API 密码从后端配置读取，不再从前端传递
      */
     async processJunk(req, res) {
-        try {
-            const { refresh_token, client_id, email } = req.query;
+        if (!ensurePermission(req, res, PERMISSIONS.MAIL_CLEAR)) return;
 
-            // 验证必填字段
-            if (!refresh_token || !client_id || !email) {
-                return res.status(400).json({
+        try {
+            const mailbox = await resolveMailbox(req);
+            if (!mailbox) {
+                return res.status(404).json({
                     success: false,
-                    error: '缺少必要的邮箱参数',
+                    error: '邮箱不存在',
                 });
             }
 
-            const mailbox = { refresh_token, client_id, email };
-            const data = await proxyService.processJunk(mailbox);
+            const data = await proxyService.processJunk(mailbox, req.user);
 
             res.json(data);
         } catch (error) {
             logger.error('处理垃圾邮件箱失败', {
                 error: error.message,
-                email: req.query.email
+                email: req.query.email || req.query.mailbox_id
             });
 
             const status = error.message.includes('缺少') || error.message.includes('未配置') ? 400 : 500;
@@ -196,25 +287,25 @@ class ProxyController {
      * ⚠️ 安全改进：API 密码从后端配置读取，不再从前端传递
      */
     async getNewMail(req, res) {
-        try {
-            const { refresh_token, client_id, email, folder = 'inbox', response_type = 'json' } = req.query;
+        if (!ensurePermission(req, res, PERMISSIONS.MAIL_READ)) return;
 
-            // 验证必填字段
-            if (!refresh_token || !client_id || !email) {
-                return res.status(400).json({
+        try {
+            const { folder = 'inbox', response_type = 'json' } = req.query;
+            const mailbox = await resolveMailbox(req);
+            if (!mailbox) {
+                return res.status(404).json({
                     success: false,
-                    error: '缺少必要的邮箱参数',
+                    error: '邮箱不存在',
                 });
             }
 
-            const mailbox = { refresh_token, client_id, email };
             const data = await proxyService.getNewMail(mailbox, folder, response_type);
 
-            res.json(data);
+            res.json(response_type === 'json' ? annotateResponse(data) : data);
         } catch (error) {
             logger.error('获取最新邮件失败', {
                 error: error.message,
-                email: req.query.email,
+                email: req.query.email || req.query.mailbox_id,
                 folder: req.query.folder
             });
 
@@ -0,0 +1,60 @@
+/**
+ * 采购订单控制器
+ */
+
+const purchaseOrderService = require('../services/purchase-order.service');
+const logger = require('../utils/logger');
+
+class PurchaseController {
+    /**
+     * 查询采购订单
+     * 支持 supplier / status / limit / offset 查询参数
+     */
+    async list(req, res) {
+        try {
+            const result = await purchaseOrderService.listOrders(req.query, req.user);
+
+            res.json({
+                success: true,
+                ...result,
+            });
+        } catch (error) {
+            logger.error('查询采购订单失败', { error: error.message });
+
+            const status = error.message.includes('无效') ? 400 : 500;
+
+            res.status(status).json({
+                success: false,
+                error: error.message,
+            });
+        }
+    }
+
+    /**
+     * 采购订单详情，含购买的邮箱当前是否可用
+     */
+    async getById(req, res) {
+        try {
+            const data = await purchaseOrderService.getOrder(req.params.id, req.user);
+
+            res.json({
+                success: true,
+                data,
+            });
+        } catch (error) {
+            logger.error('查询采购订单详情失败', { error: error.message, id: req.params.id });
+
+            const status = error.message.includes('不存在') ? 404 : 500;
+
+            res.status(status).json({
+                success: false,
+                error: error.message,
+            });
+        }
+    }
+}
+
+// 创建单例
+const purchaseController = new PurchaseController();
+
+module.exports = purchaseController;
@@ -0,0 +1,102 @@
+/**
+ * 用户管理控制器（仅管理员）
+ */
+
+const userService = require('../services/user.service');
+const logger = require('../utils/logger');
+
+class UserController {
+    /**
+     * 获取所有用户
+     */
+    async getAll(req, res) {
+        try {
+            const users = await userService.listUsers();
+
+            res.json({
+                success: true,
+                data: users,
+            });
+        } catch (error) {
+            logger.error('获取用户列表失败', { error: error.message });
+            res.status(500).json({
+                success: false,
+                error: '获取用户列表失败',
+                details: error.message,
+            });
+        }
+    }
+
+    /**
+     * 创建用户
+     */
+    async create(req, res) {
+        try {
+            const user = await userService.createUser(req.body || {});
+
+            logger.info('创建用户', { username: user.username, role: user.role, by: req.user?.username });
+
+            res.status(201).json({
+                success: true,
+                data: user,
+            });
+        } catch (error) {
+            logger.error('创建用户失败', { error: error.message });
+
+            const status = error.message === '用户名已存在' ? 409 :
+                error.message.includes('缺少') ? 400 :
+                    error.message.includes('无效') ? 400 :
+                        error.message.includes('密码') ? 400 : 500;
+
+            res.status(status).json({
+                success: false,
+                error: error.message,
+            });
+        }
+    }
+
+    /**
+     * 更新用户（角色、启用状态、重置密码）
+     */
+    async update(req, res) {
+        try {
+            const { id } = req.params;
+
+            // 防止管理员把自己降级或禁用（停用最后一个管理员由 updateUser 拒绝）
+            const { role, is_active } = req.body || {};
+            if (id === req.user?.id && ((role !== undefined && role !== 'admin') || is_active === false)) {
+                return res.status(400).json({
+                    success: false,
+                    error: '不能修改自己的角色或禁用自己',
+                });
+            }
+
+            const user = await userService.updateUser(id, req.body || {});
+
+            logger.info('更新用户', { id, by: req.user?.username });
+
+            res.json({
+                success: true,
+                data: user,
+            });
+        } catch (error) {
+            logger.error('更新用户失败', { error: error.message });
+
+            const status = error.message === '用户不存在' ? 404 :
+                error.message.includes('管理员') ? 409 :
+                    error.message.includes('没有提供') ? 400 :
+                        error.message.includes('无效') ? 400 :
+                            error.message.includes('密码') ? 400 : 500;
+
+            res.status(status).json({
+                success: false,
+                error: error.message,
+            });
+        }
+    }
+}
+
+// 创建单例
+const userController = new UserController();
+
+module.exports = userController;
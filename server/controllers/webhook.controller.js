@@ -0,0 +1,165 @@
+/**
+ * Webhook 管理控制器（仅管理员）
+ */
+
+const webhookService = require('../services/webhook.service');
+const logger = require('../utils/logger');
+
+/**
+ * 按错误信息映射状态码
+ */
+function errorStatus(error) {
+    if (error.message.includes('不存在')) return 404;
+    if (error.message.includes('无效') || error.message.includes('没有需要修改')) return 400;
+    return 500;
+}
+
+class WebhookController {
+    /**
+     * 获取所有订阅（不含密钥）和可订阅的事件类型
+     */
+    async list(req, res) {
+        try {
+            const data = await webhookService.listWebhooks();
+
+            res.json({
+                success: true,
+                data,
+                events: webhookService.events,
+            });
+        } catch (error) {
+            logger.error('获取 Webhook 列表失败', { error: error.message });
+            res.status(500).json({
+                success: false,
+                error: '获取 Webhook 列表失败',
+                details: error.message,
+            });
+        }
+    }
+
+    /**
+     * 获取单个订阅
+     */
+    async getById(req, res) {
+        try {
+            const data = await webhookService.getWebhook(req.params.id);
+
+            res.json({
+                success: true,
+                data,
+            });
+        } catch (error) {
+            logger.error('获取 Webhook 失败', { error: error.message, id: req.params.id });
+            res.status(errorStatus(error)).json({
+                success: false,
+                error: error.message,
+            });
+        }
+    }
+
+    /**
+     * 创建订阅（响应中的 secret 只返回这一次）
+     */
+    async create(req, res) {
+        try {
+            const data = await webhookService.createWebhook(req.body || {}, req.user);
+
+            res.status(201).json({
+                success: true,
+                data,
+            });
+        } catch (error) {
+            logger.error('创建 Webhook 失败', { error: error.message });
+            res.status(errorStatus(error)).json({
+                success: false,
+                error: error.message,
+            });
+        }
+    }
+
+    /**
+     * 修改订阅（rotate_secret: true 时生成新密钥并在响应中返回）
+     */
+    async update(req, res) {
+        try {
+            const data = await webhookService.updateWebhook(req.params.id, req.body || {}, req.user);
+
+            res.json({
+                success: true,
+                data,
+            });
+        } catch (error) {
+            logger.error('修改 Webhook 失败', { error: error.message, id: req.params.id });
+            res.status(errorStatus(error)).json({
+                success: false,
+                error: error.message,
+            });
+        }
+    }
+
+    /**
+     * 删除订阅及其投递记录
+     */
+    async remove(req, res) {
+        try {
+            await webhookService.deleteWebhook(req.params.id, req.user);
+
+            res.json({
+                success: true,
+            });
+        } catch (error) {
+            logger.error('删除 Webhook 失败', { error: error.message, id: req.params.id });
+            res.status(errorStatus(error)).json({
+                success: false,
+                error: error.message,
+            });
+        }
+    }
+
+    /**
+     * 发送测试事件（排队投递，结果见投递记录）
+     */
+    async sendTest(req, res) {
+        try {
+            const data = await webhookService.sendTest(req.params.id, req.user);
+
+            res.status(202).json({
+                success: true,
+                data,
+                job_id: data.job_id,
+            });
+        } catch (error) {
+            logger.error('发送测试事件失败', { error: error.message, id: req.params.id });
+            res.status(errorStatus(error)).json({
+                success: false,
+                error: error.message,
+            });
+        }
+    }
+
+    /**
+     * 查询投递记录
+     * 支持 status / event / limit / offset 查询参数
+     */
+    async listDeliveries(req, res) {
+        try {
+            const result = await webhookService.listDeliveries(req.params.id, req.query);
+
+            res.json({
+                success: true,
+                ...result,
+            });
+        } catch (error) {
+            logger.error('查询 Webhook 投递记录失败', { error: error.message, id: req.params.id });
+            res.status(errorStatus(error)).json({
+                success: false,
+                error: error.message,
+            });
+        }
+    }
+}
+
+// 创建单例
+const webhookController = new WebhookController();
+
+module.exports = webhookController;
@@ -11,6 +11,7 @@ const fs = require('fs').promises;
 const path = require('path');
 const { getDb, isDatabaseAvailable, schema } = require('./index');
 const { readJSONBlob } = require('../utils/blob-store');
+const { encryptField } = require('../utils/field-crypto');
 const config = require('../config');
 
 /**
@@ -55,11 +56,12 @@ function transformMailboxData(mailbox) {
     return {
         id: mailbox.id,
         email: mailbox.email,
-        password: mailbox.password,
+        password: encryptField(mailbox.password),
         clientId: mailbox.client_id,
-        refreshToken: mailbox.refresh_token,
+        refreshToken: encryptField(mailbox.refresh_token),
         isActive: mailbox.is_active !== false,
         source: mailbox.source || 'manual',
+        ownerId: mailbox.owner_id || null,
         createdAt: mailbox.created_at ? new Date(mailbox.created_at) : new Date(),
         updatedAt: mailbox.updated_at ? new Date(mailbox.updated_at) : new Date(),
     };
@@ -0,0 +1,119 @@
+/**
+ * 字段加密密钥轮换 / 重新加密脚本
+ * 将 mailboxes 表中的 password / refresh_token 重新加密为当前活动密钥版本：
+ * - 明文（启用加密前写入的数据）会被加密
+ * - 旧版本密钥加密的数据会被解密后用活动版本重新加密
+ *
+ * 使用方法:
+ *   npm run db:rotate-keys             # 执行重新加密
+ *   npm run db:rotate-keys -- --dry-run # 仅统计需要处理的行数
+ */
+
+require('dotenv').config();
+
+const { eq } = require('drizzle-orm');
+const { getDb, isDatabaseAvailable, schema } = require('./index');
+const {
+    encryptField,
+    decryptField,
+    getActiveKeyVersion,
+    needsReEncryption,
+} = require('../utils/field-crypto');
+
+const { mailboxes } = schema;
+
+/**
+ * 计算单行需要更新的字段
+ * @param {{ password: string, refreshToken: string }} row 数据库原始行
+ * @returns {object|null} 需要写回的字段；无需处理时返回 null
+ */
+function reencryptRow(row) {
+    const changes = {};
+
+    if (needsReEncryption(row.password)) {
+        changes.password = encryptField(decryptField(row.password));
+    }
+    if (needsReEncryption(row.refreshToken)) {
+        changes.refreshToken = encryptField(decryptField(row.refreshToken));
+    }
+
+    return Object.keys(changes).length > 0 ? changes : null;
+}
+
+/**
+ * 主函数
+ */
+async function rotateKeys({ dryRun = false } = {}) {
+    console.log('='.repeat(50));
+    console.log(`[RotateKeys] Re-encrypting mailbox credentials${dryRun ? ' (dry run)' : ''}...`);
+    console.log('='.repeat(50));
+
+    if (!isDatabaseAvailable()) {
+        console.error('[RotateKeys] ERROR: Database is not available.');
+        console.error('[RotateKeys] Please set DATABASE_URL in your .env file');
+        process.exit(1);
+    }
+
+    const activeVersion = getActiveKeyVersion();
+    if (activeVersion === null) {
+        console.error('[RotateKeys] ERROR: FIELD_ENCRYPTION_KEYS is not configured.');
+        process.exit(1);
+    }
+    console.log(`[RotateKeys] Active key version: v${activeVersion}`);
+
+    const db = getDb();
+    const rows = await db.select({
+        id: mailboxes.id,
+        email: mailboxes.email,
+        password: mailboxes.password,
+        refreshToken: mailboxes.refreshToken,
+    }).from(mailboxes);
+
+    let updated = 0;
+    let unchanged = 0;
+    let errorCount = 0;
+
+    for (const row of rows) {
+        try {
+            const changes = reencryptRow(row);
+            if (!changes) {
+                unchanged++;
+                continue;
+            }
+
+            if (!dryRun) {
+                await db.update(mailboxes)
+                    .set({ ...changes, updatedAt: new Date() })
+                    .where(eq(mailboxes.id, row.id));
+            }
+            updated++;
+
+            if (updated % 50 === 0) {
+                console.log(`[RotateKeys] Progress: ${updated} rows`);
+            }
+        } catch (error) {
+            errorCount++;
+            console.error(`[RotateKeys] Error processing ${row.email}:`, error.message);
+        }
+    }
+
+    console.log('\n' + '='.repeat(50));
+    console.log('[RotateKeys] Summary:');
+    console.log(`  🔐 ${dryRun ? 'Need re-encryption' : 'Re-encrypted'}: ${updated}`);
+    console.log(`  ⏭️ Already on v${activeVersion}: ${unchanged}`);
+    console.log(`  ❌ Errors: ${errorCount}`);
+    console.log('='.repeat(50));
+
+    if (errorCount > 0) {
+        process.exitCode = 1;
+    }
+}
+
+if (require.main === module) {
+    rotateKeys({ dryRun: process.argv.includes('--dry-run') }).catch(error => {
+        console.error('[RotateKeys] Fatal error:', error);
+        process.exit(1);
+    });
+}
+
+module.exports = { rotateKeys, reencryptRow };
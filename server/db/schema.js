@@ -1,27 +1,329 @@
 /**
  * Drizzle 表结构定义
- * 定义 mailboxes 表及其字段
+ * 定义 mailboxes、users、audit_events、messages、mailbox_health_checks、jobs、purchase_orders、
+ * supplier_readings、notifications、webhooks、webhook_deliveries、api_keys 表及其字段
  */
 
-const { pgTable, uuid, varchar, boolean, timestamp, index } = require('drizzle-orm/pg-core');
+const { sql } = require('drizzle-orm');
+const { pgTable, uuid, varchar, text, boolean, timestamp, integer, numeric, jsonb, index, uniqueIndex } = require('drizzle-orm/pg-core');
 
 /**
  * 邮箱表结构
+ * password / refresh_token 存储字段级密文（见 utils/field-crypto.js），长度不固定
  */
 const mailboxes = pgTable('mailboxes', {
     id: uuid('id').primaryKey().defaultRandom(),
     email: varchar('email', { length: 255 }).notNull().unique(),
-    password: varchar('password', { length: 1024 }).notNull(),
+    password: text('password').notNull(),
     clientId: varchar('client_id', { length: 255 }).notNull(),
-    refreshToken: varchar('refresh_token', { length: 2048 }).notNull(),
+    refreshToken: text('refresh_token').notNull(),
     isActive: boolean('is_active').default(true),
     source: varchar('source', { length: 50 }).default('manual'),
+    // 邮件服务提供方（external / graph）；为空表示使用部署默认值 MAIL_PROVIDER
+    provider: varchar('provider', { length: 20 }),
+    // 归属用户（users.id）；为空表示历史数据，仅管理员可见
+    ownerId: uuid('owner_id'),
+    // 健康状态：active / suspect（连续失败未达阈值）/ quarantined（隔离中）/ dead（隔离期满后停用）
+    status: varchar('status', { length: 20 }).notNull().default('active'),
+    consecutiveFailures: integer('consecutive_failures').notNull().default(0),
+    quarantinedAt: timestamp('quarantined_at', { withTimezone: true }),
+    lastCheckedAt: timestamp('last_checked_at', { withTimezone: true }),
+    // 最近一次换取访问令牌的时间（刷新令牌可能已轮换）
+    lastRefreshedAt: timestamp('last_refreshed_at', { withTimezone: true }),
     createdAt: timestamp('created_at', { withTimezone: true }).defaultNow(),
     updatedAt: timestamp('updated_at', { withTimezone: true }).defaultNow(),
 }, (table) => [
     index('idx_mailboxes_email').on(table.email),
     index('idx_mailboxes_is_active').on(table.isActive),
     index('idx_mailboxes_source').on(table.source),
+    index('idx_mailboxes_owner_id').on(table.ownerId),
+    index('idx_mailboxes_status').on(table.status),
 ]);
 
-module.exports = { mailboxes };
+/**
+ * 用户表结构
+ * password_hash 使用 scrypt 派生，格式见 utils/password.js
+ */
+const users = pgTable('users', {
+    id: uuid('id').primaryKey().defaultRandom(),
+    username: varchar('username', { length: 64 }).notNull().unique(),
+    passwordHash: varchar('password_hash', { length: 255 }).notNull(),
+    role: varchar('role', { length: 20 }).notNull().default('operator'),
+    isActive: boolean('is_active').default(true),
+    // 每次登出或修改密码时递增，使旧令牌全部失效
+    tokenVersion: integer('token_version').notNull().default(0),
+    lastLoginAt: timestamp('last_login_at', { withTimezone: true }),
+    createdAt: timestamp('created_at', { withTimezone: true }).defaultNow(),
+    updatedAt: timestamp('updated_at', { withTimezone: true }).defaultNow(),
+}, (table) => [
+    index('idx_users_username').on(table.username),
+]);
+
+/**
+ * 审计日志表
+ * 记录邮箱增删改、有效性检测、查看凭证、购买和清空文件夹等操作；
+ * 操作人和邮箱地址冗余存储，用户或邮箱被删除后仍可追溯
+ */
+const auditEvents = pgTable('audit_events', {
+    id: uuid('id').primaryKey().defaultRandom(),
+    action: varchar('action', { length: 50 }).notNull(),
+    actorId: uuid('actor_id'),
+    actorUsername: varchar('actor_username', { length: 64 }),
+    mailboxId: uuid('mailbox_id'),
+    mailboxEmail: varchar('mailbox_email', { length: 255 }),
+    details: jsonb('details'),
+    createdAt: timestamp('created_at', { withTimezone: true }).defaultNow(),
+}, (table) => [
+    index('idx_audit_events_action').on(table.action),
+    index('idx_audit_events_actor_id').on(table.actorId),
+    index('idx_audit_events_mailbox_id').on(table.mailboxId),
+    index('idx_audit_events_created_at').on(table.createdAt),
+]);
+
+/**
+ * 邮件全文检索文档：主题 + 正文（无纯文本时使用 HTML，标签由解析器忽略）
+ * 使用 'simple' 配置，不做词干化，验证码等数字可精确匹配；
+ * 查询时必须使用同一表达式才能命中 GIN 索引
+ */
+function messageSearchDocument(table) {
+    return sql`to_tsvector('simple', coalesce(${table.subject}, '') || ' ' || coalesce(${table.textBody}, ${table.htmlBody}, ''))`;
+}
+
+/**
+ * 邮件缓存表
+ * 每次从外部邮件 API 拉取邮件时写入，外部 API 删除邮件或令牌失效后仍可查看；
+ * message_id 取外部 API 返回的 ID，没有时由发件人/主题/时间计算
+ */
+const messages = pgTable('messages', {
+    id: uuid('id').primaryKey().defaultRandom(),
+    mailboxId: uuid('mailbox_id').notNull(),
+    folder: varchar('folder', { length: 50 }).notNull(),
+    messageId: varchar('message_id', { length: 255 }).notNull(),
+    fromAddress: varchar('from_address', { length: 512 }),
+    subject: text('subject'),
+    receivedAt: timestamp('received_at', { withTimezone: true }),
+    textBody: text('text_body'),
+    htmlBody: text('html_body'),
+    raw: jsonb('raw'),
+    fetchedAt: timestamp('fetched_at', { withTimezone: true }).defaultNow(),
+}, (table) => [
+    uniqueIndex('uq_messages_mailbox_folder_message').on(table.mailboxId, table.folder, table.messageId),
+    index('idx_messages_mailbox_received').on(table.mailboxId, table.receivedAt),
+    index('idx_messages_search').using('gin', messageSearchDocument(table)),
+]);
+
+/**
+ * 邮箱健康检查记录
+ * 定时任务（或手动触发）每检测一个邮箱写入一条，用于查看历史和判断连续失败
+ * status: healthy（可正常拉取邮件）/ invalid（外部 API 返回 500，令牌失效）/ error（其它错误）
+ */
+const mailboxHealthChecks = pgTable('mailbox_health_checks', {
+    id: uuid('id').primaryKey().defaultRandom(),
+    mailboxId: uuid('mailbox_id').notNull(),
+    status: varchar('status', { length: 20 }).notNull(),
+    httpStatus: integer('http_status'),
+    latencyMs: integer('latency_ms'),
+    error: text('error'),
+    trigger: varchar('trigger', { length: 20 }).notNull().default('scheduled'),
+    checkedAt: timestamp('checked_at', { withTimezone: true }).defaultNow(),
+}, (table) => [
+    index('idx_mailbox_health_checks_mailbox_checked').on(table.mailboxId, table.checkedAt),
+    index('idx_mailbox_health_checks_checked_at').on(table.checkedAt),
+]);
+
+/**
+ * 后台任务队列
+ * 工作进程以乐观更新认领任务并持有租约（lease_expires_at），执行期间定期续租；
+ * 进程崩溃后租约过期，任务可被其它进程重新认领
+ * status: queued / running / completed / failed / cancelled
+ */
+const jobs = pgTable('jobs', {
+    id: uuid('id').primaryKey().defaultRandom(),
+    type: varchar('type', { length: 64 }).notNull(),
+    status: varchar('status', { length: 20 }).notNull().default('queued'),
+    params: jsonb('params').notNull().default({}),
+    progressTotal: integer('progress_total').notNull().default(0),
+    progressProcessed: integer('progress_processed').notNull().default(0),
+    result: jsonb('result'),
+    error: text('error'),
+    attempts: integer('attempts').notNull().default(0),
+    maxAttempts: integer('max_attempts').notNull().default(1),
+    cancelRequested: boolean('cancel_requested').notNull().default(false),
+    createdBy: uuid('created_by'),
+    createdByUsername: varchar('created_by_username', { length: 64 }),
+    leaseOwner: varchar('lease_owner', { length: 64 }),
+    leaseExpiresAt: timestamp('lease_expires_at', { withTimezone: true }),
+    runAfter: timestamp('run_after', { withTimezone: true }).defaultNow(),
+    createdAt: timestamp('created_at', { withTimezone: true }).defaultNow(),
+    startedAt: timestamp('started_at', { withTimezone: true }),
+    finishedAt: timestamp('finished_at', { withTimezone: true }),
+    updatedAt: timestamp('updated_at', { withTimezone: true }).defaultNow(),
+}, (table) => [
+    index('idx_jobs_status_run_after').on(table.status, table.runAfter),
+    index('idx_jobs_type_status').on(table.type, table.status),
+    index('idx_jobs_created_by_created_at').on(table.createdBy, table.createdAt),
+]);
+
+/**
+ * 采购订单
+ * 每次向供应商下单写入一条（失败的订单也记录，供应商可能已扣款），异步购买导入邮箱后回填 mailbox_ids；
+ * raw_response 为供应商原始响应，卡密只保留邮箱地址，不存明文凭证
+ * status: completed / failed
+ */
+const purchaseOrders = pgTable('purchase_orders', {
+    id: uuid('id').primaryKey().defaultRandom(),
+    supplierId: varchar('supplier_id', { length: 64 }).notNull(),
+    supplierType: varchar('supplier_type', { length: 32 }),
+    supplierName: varchar('supplier_name', { length: 100 }),
+    commodityId: varchar('commodity_id', { length: 64 }).notNull(),
+    quantityRequested: integer('quantity_requested').notNull(),
+    quantityDelivered: integer('quantity_delivered').notNull().default(0),
+    cost: numeric('cost', { precision: 12, scale: 4 }),
+    tradeNo: varchar('trade_no', { length: 128 }),
+    status: varchar('status', { length: 20 }).notNull(),
+    error: text('error'),
+    rawResponse: jsonb('raw_response'),
+    // 交付的完整卡密（JSON 数组，encryptField 加密），导入失败时用于恢复，不通过接口返回
+    deliveredCards: text('delivered_cards'),
+    mailboxIds: jsonb('mailbox_ids').notNull().default([]),
+    createdBy: uuid('created_by'),
+    createdByUsername: varchar('created_by_username', { length: 64 }),
+    createdAt: timestamp('created_at', { withTimezone: true }).defaultNow(),
+    updatedAt: timestamp('updated_at', { withTimezone: true }).defaultNow(),
+}, (table) => [
+    index('idx_purchase_orders_created_by_created_at').on(table.createdBy, table.createdAt),
+    index('idx_purchase_orders_created_at').on(table.createdAt),
+]);
+
+/**
+ * 供应商库存和余额读数
+ * 库存监控每次查询写入一条；low 表示读数低于等于阈值，与上一条比较判断是否越过阈值，查询失败时记录 error 并沿用上一条的 low
+ * kind: stock（commodity_id 为商品ID）/ balance（commodity_id 为空）
+ */
+const supplierReadings = pgTable('supplier_readings', {
+    id: uuid('id').primaryKey().defaultRandom(),
+    supplierId: varchar('supplier_id', { length: 64 }).notNull(),
+    kind: varchar('kind', { length: 20 }).notNull(),
+    commodityId: varchar('commodity_id', { length: 64 }),
+    value: numeric('value', { precision: 14, scale: 4 }),
+    threshold: numeric('threshold', { precision: 14, scale: 4 }),
+    low: boolean('low').notNull().default(false),
+    error: text('error'),
+    checkedAt: timestamp('checked_at', { withTimezone: true }).defaultNow(),
+}, (table) => [
+    index('idx_supplier_readings_target_checked').on(table.supplierId, table.kind, table.commodityId, table.checkedAt),
+    index('idx_supplier_readings_checked_at').on(table.checkedAt),
+]);
+
+/**
+ * 站内通知
+ * recipient_id 为空时发给所有拥有 permission 权限的用户；read_by 为已读用户ID列表
+ */
+const notifications = pgTable('notifications', {
+    id: uuid('id').primaryKey().defaultRandom(),
+    type: varchar('type', { length: 64 }).notNull(),
+    level: varchar('level', { length: 20 }).notNull().default('info'),
+    title: varchar('title', { length: 200 }).notNull(),
+    message: text('message'),
+    data: jsonb('data'),
+    permission: varchar('permission', { length: 64 }),
+    recipientId: uuid('recipient_id'),
+    readBy: jsonb('read_by').notNull().default([]),
+    createdAt: timestamp('created_at', { withTimezone: true }).defaultNow(),
+}, (table) => [
+    index('idx_notifications_created_at').on(table.createdAt),
+    index('idx_notifications_recipient_id').on(table.recipientId),
+]);
+
+/**
+ * Webhook 订阅
+ * events 为订阅的事件类型列表；secret 用于对请求体签名（HMAC-SHA256）
+ */
+const webhooks = pgTable('webhooks', {
+    id: uuid('id').primaryKey().defaultRandom(),
+    name: varchar('name', { length: 100 }).notNull(),
+    url: text('url').notNull(),
+    secret: varchar('secret', { length: 128 }).notNull(),
+    events: jsonb('events').notNull().default([]),
+    isActive: boolean('is_active').notNull().default(true),
+    createdBy: uuid('created_by'),
+    createdByUsername: varchar('created_by_username', { length: 64 }),
+    createdAt: timestamp('created_at', { withTimezone: true }).defaultNow(),
+    updatedAt: timestamp('updated_at', { withTimezone: true }).defaultNow(),
+});
+
+/**
+ * Webhook 投递记录
+ * 每个事件对每个订阅写入一条，由后台任务（webhook.deliver）投递并按指数退避重试
+ * status: pending（等待投递或重试）/ delivered / failed（已放弃）
+ */
+const webhookDeliveries = pgTable('webhook_deliveries', {
+    id: uuid('id').primaryKey().defaultRandom(),
+    webhookId: uuid('webhook_id').notNull(),
+    event: varchar('event', { length: 64 }).notNull(),
+    payload: jsonb('payload').notNull(),
+    status: varchar('status', { length: 20 }).notNull().default('pending'),
+    attempts: integer('attempts').notNull().default(0),
+    responseStatus: integer('response_status'),
+    error: text('error'),
+    jobId: uuid('job_id'),
+    createdAt: timestamp('created_at', { withTimezone: true }).defaultNow(),
+    lastAttemptAt: timestamp('last_attempt_at', { withTimezone: true }),
+    deliveredAt: timestamp('delivered_at', { withTimezone: true }),
+}, (table) => [
+    index('idx_webhook_deliveries_webhook_created').on(table.webhookId, table.createdAt),
+]);
+
+/**
+ * API 密钥（供脚本调用 /api/v1）
+ * 只保存密钥的 SHA-256 摘要；key_prefix 为密钥中的公开部分，用于查找和显示
+ * scopes 为权限列表（见 utils/permissions.js），实际权限为所属用户当前角色权限与 scopes 的交集
+ */
+const apiKeys = pgTable('api_keys', {
+    id: uuid('id').primaryKey().defaultRandom(),
+    name: varchar('name', { length: 100 }).notNull(),
+    keyPrefix: varchar('key_prefix', { length: 32 }).notNull(),
+    keyHash: varchar('key_hash', { length: 64 }).notNull(),
+    scopes: jsonb('scopes').notNull().default([]),
+    // 每分钟最多请求数
+    rateLimit: integer('rate_limit').notNull(),
+    userId: uuid('user_id').notNull(),
+    username: varchar('username', { length: 64 }),
+    expiresAt: timestamp('expires_at', { withTimezone: true }),
+    revokedAt: timestamp('revoked_at', { withTimezone: true }),
+    lastUsedAt: timestamp('last_used_at', { withTimezone: true }),
+    createdAt: timestamp('created_at', { withTimezone: true }).defaultNow(),
+}, (table) => [
+    uniqueIndex('idx_api_keys_key_prefix').on(table.keyPrefix),
+    index('idx_api_keys_user_id').on(table.userId),
+]);
+
+/**
+ * 已使用的大额订单确认令牌（见 PurchaseGuardService），令牌只能使用一次
+ * 过期后不再需要，下次写入时清理
+ */
+const usedConfirmTokens = pgTable('used_confirm_tokens', {
+    jti: varchar('jti', { length: 64 }).primaryKey(),
+    userId: uuid('user_id'),
+    expiresAt: timestamp('expires_at', { withTimezone: true }).notNull(),
+    createdAt: timestamp('created_at', { withTimezone: true }).defaultNow(),
+}, (table) => [
+    index('idx_used_confirm_tokens_expires_at').on(table.expiresAt),
+]);
+
+module.exports = {
+    mailboxes,
+    users,
+    auditEvents,
+    messages,
+    messageSearchDocument,
+    mailboxHealthChecks,
+    jobs,
+    purchaseOrders,
+    supplierReadings,
+    notifications,
+    webhooks,
+    webhookDeliveries,
+    apiKeys,
+    usedConfirmTokens,
+};
@@ -4,6 +4,9 @@
 
 const app = require('./app');
 const config = require('./config');
+const healthService = require('./services/health.service');
+const jobService = require('./services/job.service');
+const stockWatchService = require('./services/stock-watch.service');
 
 // 启动服务器
 app.listen(config.port, config.host, () => {
@@ -16,6 +19,15 @@ app.listen(config.port, config.host, () => {
 ║  Health:      http://${config.host}:${config.port}/api/health  ║
 ╚═══════════════════════════════════════╝
     `.trim());
+
+    // 定时邮箱健康检查（HEALTH_CHECK_ENABLED=true 时启用）
+    healthService.startScheduler();
+
+    // 定时库存和余额检查（STOCK_WATCH_ENABLED=true 时启用）
+    stockWatchService.startScheduler();
+
+    // 后台任务队列（处理重试、其它实例创建的任务和租约过期的任务）
+    jobService.startWorker();
 });
 
 // 优雅关闭
@@ -0,0 +1,187 @@
+/**
+ * 后台任务类型注册
+ *
+ * 每个任务类型对应一个处理函数 (params, context)，参数和返回值都会存入任务记录，需可序列化为 JSON，
+ * 不要放入明文凭证。context 见 JobService.registerHandler()
+ */
+
+const config = require('../config');
+const logger = require('../utils/logger');
+const { encryptField } = require('../utils/field-crypto');
+const jobService = require('../services/job.service');
+const mailboxService = require('../services/mailbox.service');
+const proxyService = require('../services/proxy.service');
+const purchaseOrderService = require('../services/purchase-order.service');
+const webhookService = require('../services/webhook.service');
+
+const JOB_TYPES = Object.freeze({
+    MAILBOX_VALIDATE: 'mailbox.validate',
+    PURCHASE: 'purchase',
+    PROCESS_FOLDER: 'mail.process_folder',
+    REFRESH_TOKENS: 'mailbox.refresh_tokens',
+    WEBHOOK_DELIVER: 'webhook.deliver',
+});
+
+/**
+ * 按ID查找当前用户可见的邮箱，不可见或已删除的邮箱记为失败
+ * @param {string[]|null} ids 为 null 时返回全部可见邮箱
+ * @returns {Promise<{ found: Array<object>, missing: Array<object> }>}
+ */
+async function resolveMailboxes(ids, actor) {
+    const all = await mailboxService.getAllMailboxes(actor);
+    if (!ids) return { found: all, missing: [] };
+
+    const visible = new Map(all.map(m => [m.id, m]));
+    return {
+        found: ids.filter(id => visible.has(id)).map(id => visible.get(id)),
+        missing: ids.filter(id => !visible.has(id))
+            .map(id => ({ mailbox_id: id, email: null, success: false, error: '邮箱不存在' })),
+    };
+}
+
+/**
+ * 检测邮箱有效性
+ * params: { ids, source }
+ */
+async function validateMailboxes(params, { actor, signal, setTotal, reportItem }) {
+    const { data, ...result } = await mailboxService.validateMailboxesBySource(params.ids || [], params.source ?? null, {
+        concurrency: 10,
+        signal,
+        onTotal: setTotal,
+        onResult: reportItem,
+    }, actor);
+    return result;
+}
+
+/**
+ * 购买邮箱并导入到购买人名下
+ * params: { commodity_id, num, library, confirmed }，library 为供应商ID；confirmed 表示创建任务前已校验过大额订单的确认令牌
+ * （任务参数会通过任务接口原样返回，不保存确认令牌）
+ *
+ * 供应商扣款后不再抛出错误：逐条校验卡密，只导入有效的，无效的计入 invalid；导入失败时记录 import_error，
+ * 交付的卡密已加密保存在采购订单中（见 PurchaseOrderService.getDeliveredCards()），订单写入失败时保存在任务结果的 delivered_cards 中
+ */
+async function purchaseMailboxes(params, { actor, setTotal, reportItem }) {
+    const data = await proxyService.purchaseEmails(params.commodity_id, params.num, params.library, {
+        confirmed: params.confirmed === true,
+    }, actor);
+
+    if (data.cards.length === 0) {
+        throw new Error('购买失败: 供应商未返回卡密');
+    }
+
+    const parsed = proxyService.parseCards(data.cards, params.library);
+    setTotal(parsed.mailboxes.length);
+
+    const mailboxes = [];
+    const invalidCards = [];
+    for (const mailbox of parsed.mailboxes) {
+        try {
+            mailboxService.validateMailboxData(mailbox);
+            mailboxes.push(mailbox);
+        } catch (error) {
+            invalidCards.push({ email: mailbox.email, error: error.message });
+            reportItem({ mailbox_id: null, email: mailbox.email, status: 'invalid', error: error.message });
+        }
+    }
+
+    let imported = { data: [], added: 0, reactivated: 0, skipped: 0, skippedEmails: [] };
+    let importError = null;
+    try {
+        if (mailboxes.length > 0) {
+            imported = await mailboxService.addMailboxesBatch(mailboxes, actor);
+        }
+    } catch (error) {
+        importError = error.message;
+        logger.error('[Purchase] 导入购买的邮箱失败', { error: error.message, order_id: data.order_id, trade_no: data.trade_no });
+    }
+
+    imported.data.forEach(m => reportItem({ mailbox_id: m.id, email: m.email, status: 'imported' }));
+    imported.skippedEmails.forEach(email => reportItem({ mailbox_id: null, email, status: 'skipped' }));
+    await purchaseOrderService.attachMailboxes(data.order_id, imported.data.map(m => m.id));
+
+    return {
+        order_id: data.order_id,
+        trade_no: data.trade_no,
+        total_price: data.total_price,
+        purchased: data.cards.length,
+        invalid: parsed.invalid + invalidCards.length,
+        invalid_cards: invalidCards,
+        added: imported.added,
+        reactivated: imported.reactivated,
+        skipped: imported.skipped,
+        mailbox_ids: imported.data.map(m => m.id),
+        import_error: importError,
+        ...(!data.order_id && { delivered_cards: encryptField(JSON.stringify(data.cards)) }),
+    };
+}
+
+/**
+ * 批量清空收件箱或垃圾箱
+ * params: { ids, folder }
+ * 不可见或已删除的邮箱记为失败
+ */
+async function processFolder(params, { actor, signal, setTotal, reportItem }) {
+    const ids = params.ids || [];
+    const { found, missing } = await resolveMailboxes(ids, actor);
+
+    setTotal(ids.length);
+    missing.forEach(reportItem);
+
+    const result = await proxyService.processFolderBulk(found, params.folder, { signal, onResult: reportItem }, actor);
+
+    return {
+        ...result,
+        total: ids.length,
+        failed: result.failed + missing.length,
+        results: [...result.results, ...missing],
+    };
+}
+
+/**
+ * 刷新邮箱令牌并保存轮换后的刷新令牌
+ * params: { ids }，ids 为 null 时刷新全部可见邮箱
+ * 逐个邮箱的结果通过 reportItem 推送，任务结果只保留失败的邮箱
+ */
+async function refreshTokens(params, { actor, signal, setTotal, reportItem }) {
+    const { found, missing } = await resolveMailboxes(params.ids ?? null, actor);
+    const missingItems = missing.map(item => ({ ...item, rotated: false }));
+
+    setTotal(found.length + missing.length);
+    missingItems.forEach(reportItem);
+
+    const { results, ...result } = await proxyService.refreshTokensBulk(found, { signal, onResult: reportItem }, actor);
+
+    return {
+        ...result,
+        total: found.length + missing.length,
+        failed: result.failed + missing.length,
+        failures: [...results.filter(r => !r.success), ...missingItems]
+            .map(({ mailbox_id, email, error }) => ({ mailbox_id, email, error })),
+    };
+}
+
+/**
+ * 投递一次 Webhook 事件
+ * params: { delivery_id }，事件内容保存在投递记录中
+ */
+async function deliverWebhook(params, { job }) {
+    return webhookService.deliver(params.delivery_id, { final: job.attempts >= job.max_attempts });
+}
+
+// 检测可以安全重试（结果在全部检测完成后才生效）
+jobService.registerHandler(JOB_TYPES.MAILBOX_VALIDATE, validateMailboxes, { concurrency: 1, maxAttempts: 2 });
+// 供应商扣款后无法撤销，购买不重试
+jobService.registerHandler(JOB_TYPES.PURCHASE, purchaseMailboxes, { concurrency: 1, maxAttempts: 1 });
+// 单个邮箱的失败记录在结果中，整个任务不重试
+jobService.registerHandler(JOB_TYPES.PROCESS_FOLDER, processFolder, { concurrency: 2, maxAttempts: 1 });
+// 已刷新的令牌会立即保存，重试时重新刷新也无副作用
+jobService.registerHandler(JOB_TYPES.REFRESH_TOKENS, refreshTokens, { concurrency: 1, maxAttempts: 2 });
+// 接收端可能暂时不可用，按 WEBHOOK_RETRY_DELAY_MS 指数退避重试
+jobService.registerHandler(JOB_TYPES.WEBHOOK_DELIVER, deliverWebhook, {
+    concurrency: 2,
+    maxAttempts: config.webhooks.maxAttempts,
+    retryDelay: config.webhooks.retryDelayMs,
+});
+
+module.exports = { JOB_TYPES };
@@ -0,0 +1,88 @@
+/**
+ * 外部邮件 API 提供方
+ * 通过 EXTERNAL_MAIL_API_URL 指向的第三方接口读取和清空邮件，凭证以查询参数传递
+ */
+
+const config = require('../config');
+
+const CLEAR_ENDPOINTS = {
+    inbox: '/process-inbox',
+    junk: '/process-junk',
+};
+
+class ExternalApiProvider {
+    /**
+     * @param {object} client 发送请求的客户端（ProxyService），提供 request()
+     */
+    constructor(client) {
+        this.client = client;
+        this.baseUrl = config.externalMailApi.baseUrl;
+        this.password = config.externalMailApi.password;
+    }
+
+    /**
+     * 构建邮件 API URL（包含认证参数）
+     * @private
+     */
+    _buildUrl(endpoint, mailbox, extraParams = {}) {
+        if (!this.baseUrl) {
+            throw new Error('未配置外部邮件 API 地址（EXTERNAL_MAIL_API_URL）');
+        }
+
+        // 验证必填字段
+        const required = ['refresh_token', 'client_id', 'email'];
+        for (const field of required) {
+            if (!mailbox[field]) {
+                throw new Error(`邮箱缺少必要字段: ${field}`);
+            }
+        }
+
+        const params = new URLSearchParams({
+            refresh_token: mailbox.refresh_token,
+            client_id: mailbox.client_id,
+            email: mailbox.email,
+            ...extraParams
+        });
+
+        // 从后端配置添加密码（如果已配置）
+        if (this.password) {
+            params.append('password', this.password);
+        }
+
+        return `${this.baseUrl}${endpoint}?${params.toString()}`;
+    }
+
+    /**
+     * 发送 GET 请求
+     * @private
+     */
+    _get(url) {
+        return this.client.request(url, {
+            method: 'GET',
+            headers: {
+                'Accept': 'application/json',
+            },
+        });
+    }
+
+    async listMessages(mailbox, folder) {
+        return this._get(this._buildUrl('/mail-all', mailbox, { mailbox: folder }));
+    }
+
+    async getLatestMessage(mailbox, folder, responseType = 'json') {
+        return this._get(this._buildUrl('/mail-new', mailbox, {
+            mailbox: folder,
+            response_type: responseType
+        }));
+    }
+
+    async clearFolder(mailbox, folder) {
+        const endpoint = CLEAR_ENDPOINTS[folder];
+        if (!endpoint) {
+            throw new Error('无效的文件夹');
+        }
+        return this._get(this._buildUrl(endpoint, mailbox));
+    }
+}
+
+module.exports = ExternalApiProvider;
@@ -0,0 +1,164 @@
+/**
+ * Microsoft Graph 提供方
+ * 用邮箱的 refresh_token + client_id 向微软令牌接口换取访问令牌，直接调用 Graph 读取和删除邮件，
+ * 不经过第三方接口。换取令牌时签发的新刷新令牌由 ProxyService.exchangeToken() 保存
+ */
+
+const config = require('../config');
+
+// 文件夹名称对应的 Graph 常用文件夹
+const WELL_KNOWN_FOLDERS = {
+    inbox: 'inbox',
+    junk: 'junkemail',
+    junkemail: 'junkemail',
+};
+
+// 访问令牌提前过期的秒数，避免请求途中过期
+const EXPIRY_MARGIN_SECONDS = 60;
+
+// 清空文件夹时最多删除的页数，防止删除失败时无限循环
+const MAX_CLEAR_PAGES = 100;
+
+/**
+ * Graph 邮件转换为外部邮件 API 的格式
+ */
+function toExternalFormat(message) {
+    const sender = message.from?.emailAddress || {};
+    const from = sender.name && sender.name !== sender.address
+        ? `${sender.name} <${sender.address}>`
+        : (sender.address || null);
+    const isHtml = message.body?.contentType === 'html';
+
+    return {
+        id: message.id,
+        message_id: message.internetMessageId || null,
+        from,
+        subject: message.subject || '',
+        date: message.receivedDateTime || null,
+        text: isHtml ? '' : (message.body?.content || ''),
+        html: isHtml ? message.body.content : '',
+    };
+}
+
+class GraphProvider {
+    /**
+     * @param {object} client 发送请求的客户端（ProxyService），提供 request() 和 exchangeToken()
+     */
+    constructor(client) {
+        this.client = client;
+        // 访问令牌缓存：client_id|email -> { accessToken, expiresAt }
+        this.tokens = new Map();
+    }
+
+    /**
+     * 获取访问令牌（未过期时使用缓存）
+     * @private
+     */
+    async _getAccessToken(mailbox) {
+        const key = `${mailbox.client_id}|${mailbox.email}`;
+        const cached = this.tokens.get(key);
+        if (cached && cached.expiresAt > Date.now()) {
+            return cached.accessToken;
+        }
+
+        const data = await this.client.exchangeToken(mailbox, { scope: config.graph.scope });
+        if (!data.access_token) {
+            throw new Error('令牌接口未返回访问令牌');
+        }
+
+        const expiresIn = Number(data.expires_in) || 3600;
+        this.tokens.set(key, {
+            accessToken: data.access_token,
+            expiresAt: Date.now() + Math.max(0, expiresIn - EXPIRY_MARGIN_SECONDS) * 1000,
+        });
+        return data.access_token;
+    }
+
+    /**
+     * 调用 Graph 接口；访问令牌被拒绝（401）时丢弃缓存重新换取一次
+     * @private
+     */
+    async _request(mailbox, path, options = {}) {
+        for (let attempt = 0; ; attempt++) {
+            const accessToken = await this._getAccessToken(mailbox);
+            try {
+                return await this.client.request(`${config.graph.baseUrl}${path}`, {
+                    ...options,
+                    headers: {
+                        'Accept': 'application/json',
+                        'Authorization': `Bearer ${accessToken}`,
+                        ...options.headers,
+                    },
+                });
+            } catch (error) {
+                if (error.status !== 401 || attempt > 0) throw error;
+                this.tokens.delete(`${mailbox.client_id}|${mailbox.email}`);
+            }
+        }
+    }
+
+    /**
+     * 列出文件夹中最新的邮件
+     * @private
+     */
+    async _listFolder(mailbox, folder, { top, select }) {
+        const folderId = WELL_KNOWN_FOLDERS[String(folder || 'inbox').toLowerCase()];
+        if (!folderId) {
+            throw new Error('无效的文件夹');
+        }
+
+        const params = new URLSearchParams({
+            $top: String(top),
+            $orderby: 'receivedDateTime desc',
+            $select: select,
+        });
+        const data = await this._request(mailbox, `/me/mailFolders/${folderId}/messages?${params}`, {
+            headers: { 'Prefer': 'outlook.body-content-type="html"' },
+        });
+        return Array.isArray(data?.value) ? data.value : [];
+    }
+
+    async listMessages(mailbox, folder) {
+        const messages = await this._listFolder(mailbox, folder, {
+            top: config.graph.pageSize,
+            select: 'id,internetMessageId,subject,from,receivedDateTime,body',
+        });
+        return messages.map(toExternalFormat);
+    }
+
+    /**
+     * 获取最新一封邮件；Graph 只返回 JSON，responseType 不影响结果
+     */
+    async getLatestMessage(mailbox, folder) {
+        const [latest] = await this._listFolder(mailbox, folder, {
+            top: 1,
+            select: 'id,internetMessageId,subject,from,receivedDateTime,body',
+        });
+        return latest ? toExternalFormat(latest) : [];
+    }
+
+    /**
+     * 逐页删除文件夹中的邮件（移入“已删除邮件”）
+     */
+    async clearFolder(mailbox, folder) {
+        if (!['inbox', 'junk'].includes(folder)) {
+            throw new Error('无效的文件夹');
+        }
+
+        let deleted = 0;
+        for (let page = 0; page < MAX_CLEAR_PAGES; page++) {
+            const messages = await this._listFolder(mailbox, folder, { top: config.graph.pageSize, select: 'id' });
+            if (messages.length === 0) break;
+
+            await Promise.all(messages.map(m => this._request(mailbox, `/me/messages/${encodeURIComponent(m.id)}`, {
+                method: 'DELETE',
+            })));
+            deleted += messages.length;
+        }
+
+        return { success: true, deleted };
+    }
+}
+
+module.exports = GraphProvider;
+module.exports.toExternalFormat = toExternalFormat;
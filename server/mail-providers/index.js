@@ -0,0 +1,58 @@
+/**
+ * 邮件服务提供方注册
+ *
+ * 每个提供方实现以下方法，返回值与外部邮件 API 的响应格式一致（邮件字段 id / from / subject / date / text / html），
+ * ProxyService 在此基础上处理邮件缓存、审计日志和刷新令牌轮换：
+ *   listMessages(mailbox, folder)                  获取文件夹中的邮件
+ *   getLatestMessage(mailbox, folder, responseType) 获取最新一封邮件
+ *   clearFolder(mailbox, folder)                   清空收件箱（inbox）或垃圾箱（junk）
+ *
+ * 邮箱的 provider 字段指定使用的提供方，为空时使用部署默认值（MAIL_PROVIDER）
+ */
+
+const config = require('../config');
+const ExternalApiProvider = require('./external-api.provider');
+const GraphProvider = require('./graph.provider');
+
+const MAIL_PROVIDERS = Object.freeze({
+    EXTERNAL: 'external',
+    GRAPH: 'graph',
+});
+
+const PROVIDER_CLASSES = {
+    [MAIL_PROVIDERS.EXTERNAL]: ExternalApiProvider,
+    [MAIL_PROVIDERS.GRAPH]: GraphProvider,
+};
+
+/**
+ * 是否为已注册的提供方名称
+ */
+function isMailProvider(name) {
+    return Object.prototype.hasOwnProperty.call(PROVIDER_CLASSES, name);
+}
+
+/**
+ * 邮箱实际使用的提供方名称
+ * @param {object} mailbox
+ */
+function resolveProviderName(mailbox) {
+    return mailbox?.provider || config.mailProvider.default;
+}
+
+/**
+ * 创建全部提供方实例
+ * @param {object} client 发送请求的客户端（ProxyService）
+ * @returns {Object<string, object>} 名称 -> 提供方实例
+ */
+function createMailProviders(client) {
+    return Object.fromEntries(
+        Object.entries(PROVIDER_CLASSES).map(([name, Provider]) => [name, new Provider(client)])
+    );
+}
+
+module.exports = {
+    MAIL_PROVIDERS,
+    isMailProvider,
+    resolveProviderName,
+    createMailProviders,
+};
@@ -0,0 +1,98 @@
+/**
+ * /api/v1 中间件
+ *
+ * - apiEnvelope：统一响应格式。/api/v1 复用 /api 的控制器，控制器返回的 { success, data, ... }、
+ *   外部 API 原始响应（{ code, data } 或数组）和错误响应在发送前统一转换为：
+ *     成功 { success: true, data, meta? }，meta 为分页、任务ID等附加字段
+ *     失败 { success: false, error: { code, message, details? } }
+ * - apiKeyRateLimit：按 API 密钥限流（每分钟 rate_limit 次），登录令牌的请求不受影响
+ */
+
+const rateLimit = require('express-rate-limit');
+const logger = require('../utils/logger');
+
+// 错误码，与 errorHandler.js 中的错误类保持一致
+const ERROR_CODES = {
+    400: 'VALIDATION_ERROR',
+    401: 'AUTHENTICATION_ERROR',
+    403: 'AUTHORIZATION_ERROR',
+    404: 'NOT_FOUND',
+    408: 'TIMEOUT',
+    409: 'CONFLICT',
+    422: 'BUSINESS_ERROR',
+    429: 'RATE_LIMIT_EXCEEDED',
+    502: 'UPSTREAM_ERROR',
+    503: 'SERVICE_UNAVAILABLE',
+};
+
+// 错误响应中不放入 details 的字段（errorHandler 的调试字段或已转换的字段）
+const ERROR_BASE_FIELDS = ['success', 'error', 'message', 'code', 'statusCode', 'timestamp', 'stack', 'path', 'method'];
+
+/**
+ * 将控制器的响应体转换为 v1 响应格式
+ * @param {number} status HTTP 状态码
+ * @param {any} body 控制器的响应体
+ * @returns {object}
+ */
+function toEnvelope(status, body) {
+    if (status >= 400) {
+        const source = body && typeof body === 'object' && !Array.isArray(body) ? body : {};
+        const details = Object.fromEntries(Object.entries(source).filter(([key]) => !ERROR_BASE_FIELDS.includes(key)));
+        const error = {
+            code: typeof source.code === 'string' ? source.code : (ERROR_CODES[status] || (status >= 500 ? 'INTERNAL_ERROR' : 'REQUEST_ERROR')),
+            message: source.error || source.message || `HTTP ${status}`,
+        };
+        if (Object.keys(details).length > 0) {
+            error.details = details;
+        }
+        return { success: false, error };
+    }
+
+    // 外部 API 的原始响应整体作为 data
+    if (!body || typeof body !== 'object' || Array.isArray(body) || body.success !== true) {
+        return { success: true, data: body ?? null };
+    }
+
+    const { success, code, data, ...rest } = body;
+    if (data === undefined) {
+        return { success: true, data: Object.keys(rest).length > 0 ? rest : null };
+    }
+    return Object.keys(rest).length > 0
+        ? { success: true, data, meta: rest }
+        : { success: true, data };
+}
+
+/**
+ * 统一响应格式（需挂载在认证之前，认证失败的响应同样转换）
+ */
+function apiEnvelope(req, res, next) {
+    const json = res.json.bind(res);
+    res.json = (body) => json(toEnvelope(res.statusCode, body));
+    res.set('X-API-Version', '1');
+    next();
+}
+
+/**
+ * 按 API 密钥限流，计数保存在进程内存中
+ */
+const apiKeyRateLimit = rateLimit({
+    windowMs: 60 * 1000,
+    limit: (req) => req.apiKey.rate_limit,
+    keyGenerator: (req) => req.apiKey.id,
+    skip: (req) => !req.apiKey,
+    standardHeaders: true,
+    legacyHeaders: false,
+    handler: (req, res) => {
+        logger.warn('[ApiKey] 速率限制触发', { id: req.apiKey.id, path: req.path });
+        res.status(429).json({
+            success: false,
+            error: `请求过于频繁，该 API 密钥每分钟最多 ${req.apiKey.rate_limit} 次`,
+        });
+    },
+});
+
+module.exports = {
+    apiEnvelope,
+    apiKeyRateLimit,
+    toEnvelope,
+};
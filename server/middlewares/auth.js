@@ -0,0 +1,101 @@
+/**
+ * 认证中间件
+ * 保护 /api/* 路由，校验 Authorization: Bearer <token>
+ * 令牌可以是登录令牌，也可以是 API 密钥（eok_ 开头，只能用于 /api/v1）
+ */
+
+const authService = require('../services/auth.service');
+const apiKeyService = require('../services/api-key.service');
+const { isApiKeyToken } = apiKeyService;
+const logger = require('../utils/logger');
+const { AuthenticationError, AuthorizationError } = require('./errorHandler');
+const { hasPermission } = require('../utils/permissions');
+
+// 无需登录即可访问的接口（相对于 /api 挂载点）
+const PUBLIC_PATHS = [
+    { method: 'GET', path: '/health' },
+    { method: 'POST', path: '/auth/login' },
+    { method: 'GET', path: '/openapi.json' },
+    { method: 'GET', path: '/v1/openapi.json' },
+];
+
+function isPublicPath(req) {
+    if (req.method === 'OPTIONS') return true;
+    return PUBLIC_PATHS.some(p => p.method === req.method && p.path === req.path);
+}
+
+/**
+ * 从请求头中提取 Bearer 令牌
+ */
+function extractToken(req) {
+    const header = req.headers.authorization || '';
+    const [scheme, token] = header.split(' ');
+    if (scheme && scheme.toLowerCase() === 'bearer' && token) {
+        return token.trim();
+    }
+    return null;
+}
+
+/**
+ * 认证中间件：校验令牌并将当前用户挂载到 req.user
+ */
+async function authenticate(req, res, next) {
+    if (isPublicPath(req)) {
+        return next();
+    }
+
+    const token = extractToken(req);
+    if (!token) {
+        return next(new AuthenticationError('未登录或登录已过期'));
+    }
+
+    try {
+        if (isApiKeyToken(token)) {
+            if (!req.path.startsWith('/v1/')) {
+                return next(new AuthenticationError('API 密钥只能用于 /api/v1 接口'));
+            }
+
+            const result = await apiKeyService.authenticate(token);
+            if (!result) {
+                return next(new AuthenticationError('API 密钥无效、已吊销或已过期'));
+            }
+
+            req.user = result.user;
+            req.apiKey = result.apiKey;
+            return next();
+        }
+
+        const user = await authService.authenticate(token);
+        if (!user) {
+            return next(new AuthenticationError('未登录或登录已过期'));
+        }
+
+        req.user = user;
+        next();
+    } catch (error) {
+        logger.error('[Auth] 令牌校验失败', { error: error.message });
+        next(error);
+    }
+}
+
+/**
+ * 要求当前用户拥有指定权限（用于整组路由）
+ * @param {string} permission 见 utils/permissions.js
+ */
+function requirePermission(permission) {
+    const middleware = (req, res, next) => {
+        if (!hasPermission(req.user, permission)) {
+            return next(new AuthorizationError('无权限执行此操作'));
+        }
+        next();
+    };
+    // 供 utils/openapi.js 生成文档时读取
+    middleware.permission = permission;
+    return middleware;
+}
+
+module.exports = {
+    authenticate,
+    requirePermission,
+    extractToken,
+};
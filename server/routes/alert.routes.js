@@ -0,0 +1,29 @@
+/**
+ * 库存和余额告警路由
+ */
+
+const express = require('express');
+const alertController = require('../controllers/alert.controller');
+const { apiDoc } = require('../utils/openapi');
+const { ref, arrayOf, PAGE_FIELDS, PAGE_QUERY } = require('../utils/openapi-schemas');
+const { PERMISSIONS } = require('../utils/permissions');
+
+const router = express.Router();
+
+router.get('/readings', apiDoc({
+    summary: '库存和余额读数',
+    scope: PERMISSIONS.PURCHASE_VIEW,
+    query: {
+        supplier: { type: 'string', description: '供应商ID' },
+        kind: { type: 'string', enum: ['stock', 'balance'] },
+        commodity_id: { type: 'string', description: '商品ID' },
+        ...PAGE_QUERY,
+    },
+    data: arrayOf(ref('StockReading')),
+    fields: PAGE_FIELDS,
+}), (req, res) => alertController.listReadings(req, res));
+
+router.post('/check', apiDoc({ summary: '立即检查一次库存和余额（越过阈值时发送告警）', scope: PERMISSIONS.PURCHASE_BUY, data: ref('StockCheckSummary') }),
+    (req, res) => alertController.runChecks(req, res));
+
+module.exports = router;
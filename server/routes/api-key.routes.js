@@ -0,0 +1,35 @@
+/**
+ * API 密钥路由（使用登录令牌管理，API 密钥不能管理密钥）
+ */
+
+const express = require('express');
+const apiKeyController = require('../controllers/api-key.controller');
+const { apiDoc } = require('../utils/openapi');
+const { ref, arrayOf, nullable } = require('../utils/openapi-schemas');
+const { PERMISSIONS } = require('../utils/permissions');
+
+const router = express.Router();
+
+router.get('/', apiDoc({ summary: '获取 API 密钥列表（管理员可查看所有用户的密钥）', data: arrayOf(ref('ApiKey')) }),
+    (req, res) => apiKeyController.list(req, res));
+
+router.post('/', apiDoc({
+    summary: '创建 API 密钥（明文密钥只返回一次）',
+    status: 201,
+    body: {
+        type: 'object',
+        required: ['name', 'scopes'],
+        properties: {
+            name: { type: 'string', maxLength: 100 },
+            scopes: { type: 'array', items: { type: 'string', enum: Object.values(PERMISSIONS) }, description: '只能包含自己角色拥有的权限' },
+            rate_limit: { type: 'integer', minimum: 1, description: '每分钟最多请求数' },
+            expires_at: nullable({ type: 'string', format: 'date-time' }),
+        },
+    },
+    data: ref('ApiKey'),
+}), (req, res) => apiKeyController.create(req, res));
+
+router.delete('/:id', apiDoc({ summary: '吊销 API 密钥', data: ref('ApiKey') }),
+    (req, res) => apiKeyController.revoke(req, res));
+
+module.exports = router;
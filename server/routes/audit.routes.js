@@ -0,0 +1,30 @@
+/**
+ * 审计日志路由
+ */
+
+const express = require('express');
+const auditController = require('../controllers/audit.controller');
+const { requirePermission } = require('../middlewares/auth');
+const { apiDoc } = require('../utils/openapi');
+const { ref, arrayOf, PAGE_FIELDS, PAGE_QUERY } = require('../utils/openapi-schemas');
+const { PERMISSIONS } = require('../utils/permissions');
+
+const router = express.Router();
+
+router.use(requirePermission(PERMISSIONS.AUDIT_VIEW));
+
+router.get('/', apiDoc({
+    summary: '查询审计事件（没有查看全部邮箱权限的用户只能查看自己的操作）',
+    query: {
+        actor: { type: 'string', description: '操作人ID或用户名' },
+        action: { type: 'string', description: '操作类型，如 mailbox.create' },
+        mailbox: { type: 'string', description: '邮箱ID或邮箱地址' },
+        from: { type: 'string', format: 'date-time', description: '起始时间（含）' },
+        to: { type: 'string', format: 'date-time', description: '结束时间（含）' },
+        ...PAGE_QUERY,
+    },
+    data: arrayOf(ref('AuditEvent')),
+    fields: PAGE_FIELDS,
+}), (req, res) => auditController.list(req, res));
+
+module.exports = router;
@@ -0,0 +1,61 @@
+/**
+ * 认证路由
+ */
+
+const express = require('express');
+const rateLimit = require('express-rate-limit');
+const config = require('../config');
+const authController = require('../controllers/auth.controller');
+const { apiDoc } = require('../utils/openapi');
+const { ref } = require('../utils/openapi-schemas');
+
+const router = express.Router();
+
+// 登录接口单独限流，防止暴力破解
+const loginLimiter = rateLimit({
+    windowMs: config.auth.loginRateLimit.windowMs,
+    max: config.auth.loginRateLimit.max,
+    standardHeaders: true,
+    legacyHeaders: false,
+    skipSuccessfulRequests: true,
+    handler: (req, res) => {
+        res.status(429).json({
+            success: false,
+            error: '登录尝试过于频繁，请稍后再试'
+        });
+    }
+});
+
+router.post('/login', apiDoc({
+    summary: '登录',
+    public: true,
+    body: {
+        type: 'object',
+        required: ['username', 'password'],
+        properties: { username: { type: 'string' }, password: { type: 'string' } },
+    },
+    data: {
+        type: 'object',
+        required: ['token', 'user'],
+        properties: { token: { type: 'string' }, user: ref('CurrentUser') },
+    },
+    errors: { 429: '登录尝试过于频繁' },
+}), loginLimiter, (req, res) => authController.login(req, res));
+
+router.post('/logout', apiDoc({ summary: '登出（吊销当前用户的全部令牌）', fields: { message: { type: 'string' } } }),
+    (req, res) => authController.logout(req, res));
+
+router.get('/me', apiDoc({ summary: '当前用户及权限', data: ref('CurrentUser') }),
+    (req, res) => authController.me(req, res));
+
+router.post('/password', apiDoc({
+    summary: '修改密码（修改后需重新登录）',
+    body: {
+        type: 'object',
+        required: ['current_password', 'new_password'],
+        properties: { current_password: { type: 'string' }, new_password: { type: 'string' } },
+    },
+    fields: { message: { type: 'string' } },
+}), (req, res) => authController.changePassword(req, res));
+
+module.exports = router;
@@ -5,11 +5,70 @@
 const express = require('express');
 const mailboxRoutes = require('./mailbox.routes');
 const proxyRoutes = require('./proxy.routes');
+const authRoutes = require('./auth.routes');
+const userRoutes = require('./user.routes');
+const auditRoutes = require('./audit.routes');
+const messageRoutes = require('./message.routes');
+const jobRoutes = require('./job.routes');
+const purchaseRoutes = require('./purchase.routes');
+const alertRoutes = require('./alert.routes');
+const notificationRoutes = require('./notification.routes');
+const webhookRoutes = require('./webhook.routes');
+const apiKeyRoutes = require('./api-key.routes');
+const v1Routes = require('./v1.routes');
+const { apiDoc, buildOpenApi } = require('../utils/openapi');
+
+// 挂载的路由（顺序即 OpenAPI 文档中的分组顺序）
+const API_MOUNTS = [
+    { path: '/auth', router: authRoutes, tag: '认证' },
+    { path: '/users', router: userRoutes, tag: '用户管理' },
+    { path: '/api-keys', router: apiKeyRoutes, tag: 'API 密钥' },
+    { path: '/mailboxes', router: mailboxRoutes, tag: '邮箱' },
+    { path: '/messages', router: messageRoutes, tag: '邮件检索' },
+    { path: '/proxy', router: proxyRoutes, tag: '采购和邮件 API' },
+    { path: '/purchases', router: purchaseRoutes, tag: '采购订单' },
+    { path: '/alerts', router: alertRoutes, tag: '库存和余额告警' },
+    { path: '/notifications', router: notificationRoutes, tag: '站内通知' },
+    { path: '/webhooks', router: webhookRoutes, tag: 'Webhook' },
+    { path: '/audit', router: auditRoutes, tag: '审计日志' },
+    { path: '/jobs', router: jobRoutes, tag: '后台任务' },
+];
 
 const router = express.Router();
 
-// 健康检查
-router.get('/health', (req, res) => {
+let openApiDocument = null;
+
+/**
+ * 生成（并缓存）/api 的 OpenAPI 文档
+ */
+function getOpenApiDocument() {
+    if (!openApiDocument) {
+        openApiDocument = buildOpenApi({
+            info: {
+                title: 'Easy Outlook API',
+                version: '1.0.0',
+                description: '前端使用的接口，使用登录令牌（Authorization: Bearer ...）调用。脚本请使用 /api/v1（见 /api/v1/openapi.json）',
+            },
+            serverUrl: '/api',
+            mounts: [{ path: '', router, tag: '系统' }, ...API_MOUNTS],
+        });
+    }
+    return openApiDocument;
+}
+
+router.get('/health', apiDoc({
+    summary: '健康检查',
+    public: true,
+    raw: {
+        type: 'object',
+        required: ['status', 'timestamp', 'uptime'],
+        properties: {
+            status: { type: 'string', enum: ['OK'] },
+            timestamp: { type: 'string', format: 'date-time' },
+            uptime: { type: 'number', description: '进程运行秒数' },
+        },
+    },
+}), (req, res) => {
     res.json({
         status: 'OK',
         timestamp: new Date().toISOString(),
@@ -17,13 +76,21 @@ router.get('/health', (req, res) => {
     });
 });
 
-// 邮箱管理路由
-router.use('/mailboxes', mailboxRoutes);
-
-// 代理路由
-router.use('/proxy', proxyRoutes);
-
-module.exports = router;
+router.get('/openapi.json', apiDoc({
+    summary: 'OpenAPI 文档',
+    public: true,
+    raw: { type: 'object', additionalProperties: true, description: 'OpenAPI 3 文档' },
+}), (req, res) => {
+    res.json(getOpenApiDocument());
+});
 
+// 版本化接口（API 密钥只能用于 /api/v1）
+router.use('/v1', v1Routes);
 
+for (const mount of API_MOUNTS) {
+    router.use(mount.path, mount.router);
+}
 
+module.exports = router;
+module.exports.API_MOUNTS = API_MOUNTS;
+module.exports.getOpenApiDocument = getOpenApiDocument;
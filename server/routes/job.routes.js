@@ -0,0 +1,43 @@
+/**
+ * 后台任务路由
+ */
+
+const express = require('express');
+const jobController = require('../controllers/job.controller');
+const { apiDoc } = require('../utils/openapi');
+const { PERMISSIONS } = require('../utils/permissions');
+const { ref, arrayOf, PAGE_FIELDS, PAGE_QUERY } = require('../utils/openapi-schemas');
+
+const router = express.Router();
+
+router.get('/', apiDoc({
+    summary: '任务列表',
+    query: {
+        status: { type: 'string', description: '状态，多个用逗号分隔，如 queued,running' },
+        type: { type: 'string', description: '任务类型' },
+        ...PAGE_QUERY,
+    },
+    data: arrayOf(ref('Job')),
+    fields: PAGE_FIELDS,
+}), (req, res) => jobController.list(req, res));
+
+router.post('/run', apiDoc({
+    summary: '立即执行到期的任务（无常驻进程的部署由定时任务调用）',
+    scope: PERMISSIONS.MAILBOX_READ_ALL,
+    data: {
+        type: 'object',
+        properties: {
+            claimed: { type: 'integer', description: '本次认领的任务数' },
+            running: { type: 'integer', description: '返回时仍在执行的任务数' },
+        },
+    },
+}), (req, res) => jobController.runPending(req, res));
+
+router.get('/:id', apiDoc({ summary: '任务状态和进度', data: ref('Job') }), (req, res) => jobController.getById(req, res));
+
+router.get('/:id/events', apiDoc({ summary: '任务进度（Server-Sent Events）', contentType: 'text/event-stream' }),
+    (req, res) => jobController.streamEvents(req, res));
+
+router.post('/:id/cancel', apiDoc({ summary: '取消任务', data: ref('Job') }), (req, res) => jobController.cancel(req, res));
+
+module.exports = router;
@@ -4,40 +4,234 @@
 
 const express = require('express');
 const mailboxController = require('../controllers/mailbox.controller');
+const { apiDoc } = require('../utils/openapi');
+const { ref, arrayOf, nullable, idList, PAGE_FIELDS, PAGE_QUERY, JOB_FIELDS } = require('../utils/openapi-schemas');
+const { PERMISSIONS } = require('../utils/permissions');
 
 const router = express.Router();
 
-// 获取所有邮箱
-router.get('/', (req, res) => mailboxController.getAll(req, res));
-
-// 获取单个邮箱
-router.get('/:id', (req, res) => mailboxController.getById(req, res));
-
-// 添加单个邮箱
-router.post('/', (req, res) => mailboxController.create(req, res));
-
-// 批量添加邮箱
-router.post('/batch', (req, res) => mailboxController.createBatch(req, res));
-
-// 更新邮箱
-router.put('/:id', (req, res) => mailboxController.update(req, res));
-
-// 删除邮箱
-router.delete('/:id', (req, res) => mailboxController.delete(req, res));
-
-// 批量删除邮箱
-router.post('/batch-delete', (req, res) => mailboxController.deleteBatch(req, res));
-
-// 检测购买邮箱有效性（500 即判定失效并删除）
-router.post('/validate-purchased', (req, res) => mailboxController.validatePurchased(req, res));
-
-// 检测全部邮箱有效性（500 即判定失效并删除）
-router.post('/validate-all', (req, res) => mailboxController.validateAll(req, res));
-
-// 获取统计信息
-router.get('/stats/summary', (req, res) => mailboxController.getStatistics(req, res));
+// 邮箱ID列表请求体
+const idsBody = (description, required = true) => ({
+    type: 'object',
+    ...(required && { required: ['ids'] }),
+    properties: { ids: idList(description) },
+});
+
+const folderQuery = (description) => ({ type: 'string', description });
+
+router.get('/', apiDoc({ summary: '获取所有邮箱', scope: PERMISSIONS.MAILBOX_READ, data: arrayOf(ref('Mailbox')) }),
+    (req, res) => mailboxController.getAll(req, res));
+
+// 需在 /:id 之前注册
+router.get('/quarantine', apiDoc({ summary: '获取隔离中和可疑的邮箱', scope: PERMISSIONS.MAILBOX_READ, data: arrayOf(ref('Mailbox')) }),
+    (req, res) => mailboxController.getQuarantine(req, res));
+
+router.post('/quarantine/retest', apiDoc({
+    summary: '重新检测隔离中的邮箱',
+    scope: PERMISSIONS.MAILBOX_VALIDATE,
+    body: idsBody('要检测的邮箱ID'),
+    data: { ...arrayOf(ref('Mailbox')), description: '检测后仍在隔离中和可疑的邮箱' },
+    fields: { summary: ref('HealthSummary') },
+}), (req, res) => mailboxController.retestQuarantine(req, res));
+
+router.post('/quarantine/restore', apiDoc({
+    summary: '手动恢复隔离中的邮箱',
+    scope: PERMISSIONS.MAILBOX_WRITE,
+    body: idsBody('要恢复的邮箱ID'),
+    data: { ...arrayOf(ref('Mailbox')), description: '已恢复的邮箱' },
+    fields: { restored: { type: 'integer' } },
+}), (req, res) => mailboxController.restoreQuarantine(req, res));
+
+router.get('/:id', apiDoc({ summary: '获取单个邮箱', scope: PERMISSIONS.MAILBOX_READ, data: ref('Mailbox') }),
+    (req, res) => mailboxController.getById(req, res));
+
+router.get('/:id/messages', apiDoc({
+    summary: '获取邮箱的缓存邮件',
+    scope: PERMISSIONS.MAIL_READ,
+    query: {
+        folder: folderQuery('文件夹，为空时返回全部文件夹'),
+        ...PAGE_QUERY,
+        include_raw: { type: 'boolean', description: '是否返回原始邮件' },
+    },
+    data: arrayOf(ref('Message')),
+    fields: PAGE_FIELDS,
+}), (req, res) => mailboxController.getMessages(req, res));
+
+router.get('/:id/messages/:messageId', apiDoc({ summary: '获取单封缓存邮件', scope: PERMISSIONS.MAIL_READ, data: ref('Message') }),
+    (req, res) => mailboxController.getMessage(req, res));
+
+router.get('/:id/latest-code', apiDoc({
+    summary: '获取最新邮件中的验证码 / 验证链接',
+    scope: PERMISSIONS.MAIL_READ,
+    query: { folder: folderQuery('文件夹，默认 inbox') },
+    data: ref('LatestCode'),
+}), (req, res) => mailboxController.getLatestCode(req, res));
+
+router.get('/:id/wait', apiDoc({
+    summary: '等待符合条件的新邮件（长轮询，超时返回 408）',
+    scope: PERMISSIONS.MAIL_READ,
+    query: {
+        from: { type: 'string', description: '发件人包含（不区分大小写）' },
+        subject: { type: 'string', description: '主题包含（不区分大小写）' },
+        folder: folderQuery('文件夹，默认 inbox'),
+        timeout: { type: 'integer', description: '最长等待秒数，默认 120' },
+    },
+    data: ref('Message'),
+    fields: { waited_ms: { type: 'integer' } },
+    errors: { 408: '等待邮件超时（响应附带 waited_ms）' },
+}), (req, res) => mailboxController.waitForMessage(req, res));
+
+router.post('/', apiDoc({
+    summary: '添加单个邮箱',
+    scope: PERMISSIONS.MAILBOX_WRITE,
+    status: 201,
+    body: ref('MailboxInput'),
+    data: ref('Mailbox'),
+    errors: { 409: '邮箱已存在' },
+}), (req, res) => mailboxController.create(req, res));
+
+router.post('/batch', apiDoc({
+    summary: '批量添加邮箱',
+    scope: PERMISSIONS.MAILBOX_WRITE,
+    status: 201,
+    body: {
+        type: 'object',
+        required: ['mailboxes'],
+        properties: { mailboxes: arrayOf(ref('MailboxInput')) },
+    },
+    data: { ...arrayOf(ref('Mailbox')), description: '新增和重新激活的邮箱' },
+    fields: {
+        added: { type: 'integer' },
+        reactivated: { type: 'integer' },
+        skipped: { type: 'integer' },
+        skippedEmails: { ...arrayOf({ type: 'string' }), description: '已存在而跳过的邮箱' },
+    },
+}), (req, res) => mailboxController.createBatch(req, res));
+
+router.put('/:id', apiDoc({
+    summary: '更新邮箱',
+    scope: PERMISSIONS.MAILBOX_WRITE,
+    body: {
+        type: 'object',
+        properties: {
+            email: { type: 'string' },
+            password: { type: 'string' },
+            client_id: { type: 'string' },
+            refresh_token: { type: 'string' },
+            provider: nullable({ type: 'string', enum: ['external', 'graph'] }),
+            owner_id: nullable({ type: 'string', description: '转移邮箱归属（仅可查看所有邮箱的用户）' }),
+        },
+    },
+    data: ref('Mailbox'),
+}), (req, res) => mailboxController.update(req, res));
+
+router.delete('/:id', apiDoc({ summary: '删除邮箱', scope: PERMISSIONS.MAILBOX_DELETE, fields: { message: { type: 'string' } } }),
+    (req, res) => mailboxController.delete(req, res));
+
+router.post('/batch-delete', apiDoc({
+    summary: '批量删除邮箱',
+    scope: PERMISSIONS.MAILBOX_BULK_DELETE,
+    body: idsBody('要删除的邮箱ID'),
+    fields: {
+        message: { type: 'string' },
+        deleted: { type: 'integer', description: '实际删除的数量（不可见的邮箱被忽略）' },
+        total: { type: 'integer' },
+    },
+}), (req, res) => mailboxController.deleteBatch(req, res));
+
+router.post('/reveal', apiDoc({
+    summary: '批量查看邮箱明文凭证（导出）',
+    scope: PERMISSIONS.MAILBOX_REVEAL,
+    body: idsBody('邮箱ID'),
+    data: arrayOf(ref('MailboxCredentials')),
+    fields: { missing: { type: 'array', items: { type: 'string' }, description: '不存在、已停用或无权查看的邮箱ID' } },
+}), (req, res) => mailboxController.revealBatch(req, res));
+
+router.post('/:id/reveal', apiDoc({ summary: '查看单个邮箱明文凭证（复制）', scope: PERMISSIONS.MAILBOX_REVEAL, data: ref('MailboxCredentials') }),
+    (req, res) => mailboxController.reveal(req, res));
+
+router.post('/validate-purchased', apiDoc({
+    summary: '检测购买邮箱有效性（连续失效进入隔离，隔离期满后停用）',
+    scope: PERMISSIONS.MAILBOX_VALIDATE,
+    body: idsBody('只检测指定ID，为空时检测全部购买的邮箱', false),
+    data: { ...arrayOf(ref('Mailbox')), description: '检测后剩余的活跃邮箱' },
+    fields: {
+        checked: { type: 'integer', description: '有效数量' },
+        failed: { type: 'integer', description: '失效数量' },
+        quarantined: { type: 'integer' },
+        quarantinedEmails: arrayOf({ type: 'string' }),
+        removed: { type: 'integer' },
+        removedEmails: arrayOf({ type: 'string' }),
+        errors: arrayOf({
+            type: 'object',
+            properties: { email: { type: 'string' }, error: nullable({ type: 'string' }) },
+        }),
+        cancelled: { type: 'boolean' },
+    },
+}), (req, res) => mailboxController.validatePurchased(req, res));
+
+router.post('/validate-all', apiDoc({
+    summary: '检测全部邮箱有效性（后台任务，返回任务ID）',
+    scope: PERMISSIONS.MAILBOX_VALIDATE,
+    status: 202,
+    body: idsBody('只检测指定ID，为空时检测全部', false),
+    data: ref('Job'),
+    fields: JOB_FIELDS,
+}), (req, res) => mailboxController.validateAll(req, res));
+
+router.post('/refresh-tokens', apiDoc({
+    summary: '刷新令牌并保存轮换后的刷新令牌（后台任务，返回任务ID）',
+    scope: PERMISSIONS.MAILBOX_WRITE,
+    status: 202,
+    body: idsBody('只刷新指定ID，不填时刷新全部可见的邮箱', false),
+    data: ref('Job'),
+    fields: JOB_FIELDS,
+}), (req, res) => mailboxController.refreshTokens(req, res));
+
+router.post('/bulk/process-folder', apiDoc({
+    summary: '批量清空收件箱/垃圾箱（后台任务，返回任务ID）',
+    scope: PERMISSIONS.MAIL_CLEAR,
+    status: 202,
+    body: {
+        type: 'object',
+        required: ['ids', 'folder'],
+        properties: {
+            ids: idList('邮箱ID'),
+            folder: { type: 'string', enum: ['inbox', 'junk'] },
+        },
+    },
+    data: ref('Job'),
+    fields: JOB_FIELDS,
+}), (req, res) => mailboxController.bulkProcessFolder(req, res));
+
+router.get('/stats/summary', apiDoc({ summary: '获取统计信息', scope: PERMISSIONS.MAILBOX_READ, data: ref('MailboxStatistics') }),
+    (req, res) => mailboxController.getStatistics(req, res));
+
+router.get('/health/latest', apiDoc({
+    summary: '获取全部可见邮箱的最新健康状态',
+    scope: PERMISSIONS.MAILBOX_READ,
+    data: { type: 'object', description: '邮箱ID → 最新一次检查', additionalProperties: ref('HealthCheck') },
+}), (req, res) => mailboxController.getHealthStatuses(req, res));
+
+router.post('/health/run', apiDoc({
+    summary: '立即执行一次健康检查（结果用于隔离判断）',
+    scope: PERMISSIONS.MAILBOX_VALIDATE,
+    body: {
+        type: 'object',
+        properties: {
+            ids: idList('只检测指定ID'),
+            source: { type: 'string', description: '只检测指定来源，如 purchase' },
+        },
+    },
+    data: ref('HealthSummary'),
+}), (req, res) => mailboxController.runHealthChecks(req, res));
+
+router.get('/:id/health', apiDoc({
+    summary: '获取单个邮箱的健康检查历史',
+    scope: PERMISSIONS.MAILBOX_READ,
+    query: PAGE_QUERY,
+    data: arrayOf(ref('HealthCheck')),
+    fields: PAGE_FIELDS,
+}), (req, res) => mailboxController.getHealthHistory(req, res));
 
 module.exports = router;
-
-
-
@@ -0,0 +1,27 @@
+/**
+ * 邮件检索路由
+ */
+
+const express = require('express');
+const messageController = require('../controllers/message.controller');
+const { apiDoc } = require('../utils/openapi');
+const { ref, arrayOf, PAGE_FIELDS, PAGE_QUERY } = require('../utils/openapi-schemas');
+const { PERMISSIONS } = require('../utils/permissions');
+
+const router = express.Router();
+
+router.get('/search', apiDoc({
+    summary: '跨邮箱检索缓存邮件',
+    scope: PERMISSIONS.MAIL_READ,
+    query: {
+        q: { type: 'string', description: '全文关键词（主题 + 正文，多个词需同时命中）' },
+        from: { type: 'string', description: '发件人包含' },
+        subject: { type: 'string', description: '主题包含' },
+        since: { type: 'string', format: 'date-time', description: '起始时间（含）' },
+        ...PAGE_QUERY,
+    },
+    data: arrayOf(ref('MessageSearchResult')),
+    fields: PAGE_FIELDS,
+}), (req, res) => messageController.search(req, res));
+
+module.exports = router;
@@ -0,0 +1,28 @@
+/**
+ * 站内通知路由
+ */
+
+const express = require('express');
+const notificationController = require('../controllers/notification.controller');
+const { apiDoc } = require('../utils/openapi');
+const { ref, arrayOf, PAGE_FIELDS, PAGE_QUERY } = require('../utils/openapi-schemas');
+
+const router = express.Router();
+
+router.get('/', apiDoc({
+    summary: '当前用户的通知',
+    query: {
+        unread: { type: 'boolean', description: '只返回未读通知' },
+        ...PAGE_QUERY,
+    },
+    data: arrayOf(ref('Notification')),
+    fields: { ...PAGE_FIELDS, unread: { type: 'integer', description: '未读数量' } },
+}), (req, res) => notificationController.list(req, res));
+
+router.post('/read-all', apiDoc({ summary: '全部标记为已读', fields: { marked: { type: 'integer' } } }),
+    (req, res) => notificationController.markAllRead(req, res));
+
+router.post('/:id/read', apiDoc({ summary: '标记单条通知为已读' }),
+    (req, res) => notificationController.markRead(req, res));
+
+module.exports = router;
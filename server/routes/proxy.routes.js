@@ -4,34 +4,131 @@
 
 const express = require('express');
 const proxyController = require('../controllers/proxy.controller');
+const { apiDoc } = require('../utils/openapi');
+const { ref, arrayOf, nullable, JOB_FIELDS } = require('../utils/openapi-schemas');
+const { PERMISSIONS } = require('../utils/permissions');
 
 const router = express.Router();
 
-// 查询余额
-router.post('/balance', (req, res) => proxyController.checkBalance(req, res));
+const supplierParam = { type: 'string', description: '供应商ID（兼容旧参数 library），默认第一个供应商' };
 
-// 查询库存
-router.get('/stock', (req, res) => proxyController.checkStock(req, res));
+// 供应商响应的附加字段
+const SUPPLIER_FIELDS = {
+    code: { type: 'integer', enum: [200] },
+    supplier: { type: 'string' },
+};
 
-// 购买邮箱
-router.post('/purchase', (req, res) => proxyController.purchaseEmails(req, res));
+// 邮件 API 的邮箱参数：优先使用 mailbox_id，兼容直接传入凭证
+const MAIL_QUERY = {
+    mailbox_id: { type: 'string', description: '邮箱ID（推荐，凭证不经过浏览器）' },
+    email: { type: 'string', description: '不使用 mailbox_id 时必填' },
+    client_id: { type: 'string', description: '不使用 mailbox_id 时必填' },
+    refresh_token: { type: 'string', description: '不使用 mailbox_id 时必填' },
+};
 
-// ==================== 邮件 API 代理 ====================
-// ⚠️ 安全改进：邮件 API 密码从后端配置读取，不再从前端传递
+router.get('/suppliers', apiDoc({ summary: '供应商及商品列表', scope: PERMISSIONS.PURCHASE_VIEW, data: arrayOf(ref('Supplier')) }),
+    (req, res) => proxyController.listSuppliers(req, res));
 
-// 获取邮箱邮件列表
-router.get('/mail/emails', (req, res) => proxyController.getMailboxEmails(req, res));
+router.get('/catalog', apiDoc({
+    summary: '商品目录（含库存和价格）',
+    scope: PERMISSIONS.PURCHASE_VIEW,
+    query: { refresh: { type: 'boolean', description: '忽略缓存重新查询' } },
+    data: ref('Catalog'),
+}), (req, res) => proxyController.getCatalog(req, res));
 
-// 获取最新邮件
-router.get('/mail/mail-new', (req, res) => proxyController.getNewMail(req, res));
+router.post('/balance', apiDoc({
+    summary: '查询余额',
+    scope: PERMISSIONS.PURCHASE_VIEW,
+    body: { type: 'object', properties: { supplier: supplierParam } },
+    data: {
+        type: 'object',
+        properties: {
+            username: nullable({ type: 'string' }),
+            id: nullable({ type: 'string' }),
+            balance: nullable({ type: 'number' }),
+        },
+    },
+    fields: SUPPLIER_FIELDS,
+}), (req, res) => proxyController.checkBalance(req, res));
 
-// 处理收件箱
-router.get('/mail/process-inbox', (req, res) => proxyController.processInbox(req, res));
+router.get('/stock', apiDoc({
+    summary: '查询库存',
+    scope: PERMISSIONS.PURCHASE_VIEW,
+    query: {
+        commodity_id: { type: 'string', required: true, description: '商品ID' },
+        supplier: supplierParam,
+    },
+    data: {
+        type: 'object',
+        properties: {
+            id: { type: 'string' },
+            name: nullable({ type: 'string' }),
+            stock: { type: 'number' },
+            price: nullable({ type: 'number' }),
+        },
+    },
+    fields: SUPPLIER_FIELDS,
+}), (req, res) => proxyController.checkStock(req, res));
 
-// 处理垃圾邮件箱
-router.get('/mail/process-junk', (req, res) => proxyController.processJunk(req, res));
+router.post('/purchase', apiDoc({
+    summary: '购买邮箱',
+    description: '`async: true` 时以后台任务执行并返回 202 和任务ID；大额订单返回 409 和 confirmation，带上 confirm_token 重新提交',
+    scope: PERMISSIONS.PURCHASE_BUY,
+    body: {
+        type: 'object',
+        required: ['commodity_id', 'num'],
+        properties: {
+            supplier: supplierParam,
+            commodity_id: { type: 'string' },
+            num: { type: 'integer', minimum: 1 },
+            async: { type: 'boolean', description: '以后台任务执行，购买后直接导入邮箱' },
+            confirm_token: { type: 'string', description: '大额订单的确认令牌' },
+        },
+    },
+    data: {
+        type: 'object',
+        properties: {
+            trade_no: nullable({ type: 'string' }),
+            total_price: { nullable: true, description: '供应商返回的金额' },
+            cards: { ...arrayOf({ type: 'string' }), description: '邮箱卡密' },
+            order_id: { ...nullable({ type: 'string' }), description: '采购订单ID' },
+        },
+    },
+    fields: SUPPLIER_FIELDS,
+    responses: {
+        202: { description: '已创建后台任务', data: ref('Job'), fields: JOB_FIELDS },
+    },
+    errors: {
+        403: '超出采购限额，或已配置花费上限而商品单价未知',
+        409: '大额订单需要确认（响应附带 requires_confirmation 和 confirmation）',
+    },
+}), (req, res) => proxyController.purchaseEmails(req, res));
 
-module.exports = router;
+// ==================== 邮件 API 代理 ====================
+// ⚠️ 安全改进：邮件 API 密码从后端配置读取，不再从前端传递
+
+router.get('/mail/emails', apiDoc({
+    summary: '获取邮箱邮件列表',
+    scope: PERMISSIONS.MAIL_READ,
+    query: { ...MAIL_QUERY, folder: { type: 'string', description: '文件夹，默认 inbox' } },
+    raw: ref('UpstreamResponse'),
+}), (req, res) => proxyController.getMailboxEmails(req, res));
 
+router.get('/mail/mail-new', apiDoc({
+    summary: '获取最新邮件',
+    scope: PERMISSIONS.MAIL_READ,
+    query: {
+        ...MAIL_QUERY,
+        folder: { type: 'string', description: '文件夹，默认 inbox' },
+        response_type: { type: 'string', description: '响应格式，默认 json' },
+    },
+    raw: ref('UpstreamResponse'),
+}), (req, res) => proxyController.getNewMail(req, res));
 
+router.get('/mail/process-inbox', apiDoc({ summary: '处理收件箱', scope: PERMISSIONS.MAIL_CLEAR, query: MAIL_QUERY, raw: ref('UpstreamResponse') }),
+    (req, res) => proxyController.processInbox(req, res));
 
+router.get('/mail/process-junk', apiDoc({ summary: '处理垃圾邮件箱', scope: PERMISSIONS.MAIL_CLEAR, query: MAIL_QUERY, raw: ref('UpstreamResponse') }),
+    (req, res) => proxyController.processJunk(req, res));
+
+module.exports = router;
@@ -0,0 +1,29 @@
+/**
+ * 采购订单路由
+ */
+
+const express = require('express');
+const purchaseController = require('../controllers/purchase.controller');
+const { requirePermission } = require('../middlewares/auth');
+const { apiDoc } = require('../utils/openapi');
+const { ref, arrayOf, PAGE_FIELDS, PAGE_QUERY } = require('../utils/openapi-schemas');
+const { PERMISSIONS } = require('../utils/permissions');
+
+const router = express.Router();
+
+router.use(requirePermission(PERMISSIONS.PURCHASE_VIEW));
+
+router.get('/', apiDoc({
+    summary: '采购订单列表',
+    query: {
+        supplier: { type: 'string', description: '供应商ID' },
+        status: { type: 'string', enum: ['pending', 'completed', 'failed'] },
+        ...PAGE_QUERY,
+    },
+    data: arrayOf(ref('PurchaseOrder')),
+    fields: PAGE_FIELDS,
+}), (req, res) => purchaseController.list(req, res));
+
+router.get('/:id', apiDoc({ summary: '采购订单详情（含账号状态统计）', data: ref('PurchaseOrderDetail') }), (req, res) => purchaseController.getById(req, res));
+
+module.exports = router;
@@ -0,0 +1,49 @@
+/**
+ * 用户管理路由（仅管理员）
+ */
+
+const express = require('express');
+const userController = require('../controllers/user.controller');
+const { requirePermission } = require('../middlewares/auth');
+const { apiDoc } = require('../utils/openapi');
+const { ref, arrayOf } = require('../utils/openapi-schemas');
+const { PERMISSIONS, ROLES } = require('../utils/permissions');
+
+const router = express.Router();
+
+router.use(requirePermission(PERMISSIONS.USER_MANAGE));
+
+router.get('/', apiDoc({ summary: '获取所有用户', data: arrayOf(ref('User')) }),
+    (req, res) => userController.getAll(req, res));
+
+router.post('/', apiDoc({
+    summary: '创建用户',
+    status: 201,
+    body: {
+        type: 'object',
+        required: ['username', 'password'],
+        properties: {
+            username: { type: 'string' },
+            password: { type: 'string' },
+            role: { type: 'string', enum: ROLES, default: 'operator' },
+        },
+    },
+    data: ref('User'),
+    errors: { 409: '用户名已存在' },
+}), (req, res) => userController.create(req, res));
+
+router.put('/:id', apiDoc({
+    summary: '更新用户（停用或重置密码会吊销其令牌）',
+    body: {
+        type: 'object',
+        properties: {
+            role: { type: 'string', enum: ROLES },
+            is_active: { type: 'boolean' },
+            password: { type: 'string' },
+        },
+    },
+    data: ref('User'),
+    errors: { 409: '会导致没有启用的管理员' },
+}), (req, res) => userController.update(req, res));
+
+module.exports = router;
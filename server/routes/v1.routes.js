@@ -0,0 +1,66 @@
+/**
+ * /api/v1 路由
+ *
+ * 供脚本使用的稳定接口：复用 /api 的路由和控制器，响应格式由 apiEnvelope 统一（见 middlewares/api-v1.js），
+ * 可使用 API 密钥认证并按密钥限流。OpenAPI 文档由下面挂载的路由定义生成
+ */
+
+const express = require('express');
+const mailboxRoutes = require('./mailbox.routes');
+const messageRoutes = require('./message.routes');
+const proxyRoutes = require('./proxy.routes');
+const purchaseRoutes = require('./purchase.routes');
+const jobRoutes = require('./job.routes');
+const { apiKeyRateLimit } = require('../middlewares/api-v1');
+const { apiDoc, buildOpenApi } = require('../utils/openapi');
+
+const V1_MOUNTS = [
+    { path: '/mailboxes', router: mailboxRoutes, tag: '邮箱' },
+    { path: '/messages', router: messageRoutes, tag: '邮件检索' },
+    { path: '/proxy', router: proxyRoutes, tag: '采购和邮件 API' },
+    { path: '/purchases', router: purchaseRoutes, tag: '采购订单' },
+    { path: '/jobs', router: jobRoutes, tag: '后台任务' },
+];
+
+const router = express.Router();
+
+let openApiDocument = null;
+
+/**
+ * 生成（并缓存）OpenAPI 文档
+ */
+function getOpenApiDocument() {
+    if (!openApiDocument) {
+        openApiDocument = buildOpenApi({
+            info: {
+                title: 'Easy Outlook API',
+                version: '1.0.0',
+                description: '使用 API 密钥（Authorization: Bearer eok_...）或登录令牌调用。成功响应为 { success: true, data, meta? }，失败响应为 { success: false, error: { code, message, details? } }',
+            },
+            serverUrl: '/api/v1',
+            mounts: [{ path: '', router, tag: '文档' }, ...V1_MOUNTS],
+            envelope: true,
+        });
+    }
+    return openApiDocument;
+}
+
+router.get('/openapi.json', apiDoc({
+    summary: 'OpenAPI 文档',
+    public: true,
+    envelope: false,
+    raw: { type: 'object', additionalProperties: true, description: 'OpenAPI 3 文档' },
+}), (req, res) => {
+    // 不经过统一响应格式
+    res.type('application/json').send(JSON.stringify(getOpenApiDocument()));
+});
+
+router.use(apiKeyRateLimit);
+
+for (const mount of V1_MOUNTS) {
+    router.use(mount.path, mount.router);
+}
+
+module.exports = router;
+module.exports.V1_MOUNTS = V1_MOUNTS;
+module.exports.getOpenApiDocument = getOpenApiDocument;
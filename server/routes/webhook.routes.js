@@ -0,0 +1,65 @@
+/**
+ * Webhook 管理路由（仅管理员）
+ */
+
+const express = require('express');
+const webhookController = require('../controllers/webhook.controller');
+const { requirePermission } = require('../middlewares/auth');
+const { apiDoc } = require('../utils/openapi');
+const { SCHEMAS, ref, arrayOf, PAGE_FIELDS, PAGE_QUERY } = require('../utils/openapi-schemas');
+const { PERMISSIONS } = require('../utils/permissions');
+
+const router = express.Router();
+
+router.use(requirePermission(PERMISSIONS.WEBHOOK_MANAGE));
+
+router.get('/', apiDoc({
+    summary: '获取所有订阅',
+    data: arrayOf(ref('Webhook')),
+    fields: { events: { type: 'array', items: { type: 'string' }, description: '可订阅的事件类型' } },
+}), (req, res) => webhookController.list(req, res));
+
+router.post('/', apiDoc({
+    summary: '创建订阅（响应含签名密钥）',
+    status: 201,
+    body: { ...SCHEMAS.WebhookInput, required: ['name', 'url', 'events'] },
+    data: ref('Webhook'),
+}), (req, res) => webhookController.create(req, res));
+
+router.get('/:id', apiDoc({ summary: '获取单个订阅', data: ref('Webhook') }),
+    (req, res) => webhookController.getById(req, res));
+
+router.put('/:id', apiDoc({
+    summary: '修改订阅',
+    body: {
+        type: 'object',
+        properties: {
+            ...SCHEMAS.WebhookInput.properties,
+            rotate_secret: { type: 'boolean', description: '生成新的签名密钥（响应含新密钥）' },
+        },
+    },
+    data: ref('Webhook'),
+}), (req, res) => webhookController.update(req, res));
+
+router.delete('/:id', apiDoc({ summary: '删除订阅及其投递记录' }),
+    (req, res) => webhookController.remove(req, res));
+
+router.post('/:id/test', apiDoc({
+    summary: '发送测试事件（后台投递，返回任务ID）',
+    status: 202,
+    data: ref('WebhookDelivery'),
+    fields: { job_id: { type: 'string', format: 'uuid' } },
+}), (req, res) => webhookController.sendTest(req, res));
+
+router.get('/:id/deliveries', apiDoc({
+    summary: '投递记录',
+    query: {
+        status: { type: 'string', enum: ['pending', 'delivered', 'failed'] },
+        event: { type: 'string', description: '事件类型' },
+        ...PAGE_QUERY,
+    },
+    data: arrayOf(ref('WebhookDelivery')),
+    fields: PAGE_FIELDS,
+}), (req, res) => webhookController.listDeliveries(req, res));
+
+module.exports = router;
@@ -0,0 +1,114 @@
+/**
+ * 告警服务层
+ *
+ * 将告警同时发送到三个通道：
+ * - 站内通知：始终发送，发给拥有 PURCHASE_VIEW 权限的用户（见 NotificationService）
+ * - Webhook：配置 ALERT_WEBHOOK_URL 时 POST JSON
+ * - 邮件：配置 ALERT_SMTP_HOST 和 ALERT_EMAIL_TO 时通过本地 SMTP 中继发送
+ *
+ * 各通道互不影响：某个通道失败只记录错误日志，并在返回结果中标记
+ */
+
+const config = require('../config');
+const logger = require('../utils/logger');
+const { sendMail } = require('../utils/smtp');
+const { PERMISSIONS } = require('../utils/permissions');
+const notificationService = require('./notification.service');
+
+class AlertService {
+    /**
+     * 站内通知
+     * @private
+     */
+    async _notify(alert) {
+        await notificationService.create({
+            type: alert.type,
+            level: alert.level,
+            title: alert.title,
+            message: alert.message,
+            data: alert.data,
+            permission: PERMISSIONS.PURCHASE_VIEW,
+        });
+    }
+
+    /**
+     * POST 告警到 Webhook（非 2xx 视为失败）
+     * @private
+     */
+    async _postWebhook(alert) {
+        const { webhookUrl, timeoutMs } = config.alerts;
+        const controller = new AbortController();
+        const timeoutId = setTimeout(() => controller.abort(), timeoutMs);
+
+        try {
+            const response = await fetch(webhookUrl, {
+                method: 'POST',
+                headers: { 'Content-Type': 'application/json' },
+                body: JSON.stringify({ ...alert, sent_at: new Date().toISOString() }),
+                signal: controller.signal,
+            });
+            if (!response.ok) {
+                throw new Error(`HTTP ${response.status}`);
+            }
+        } catch (error) {
+            throw new Error(error.name === 'AbortError' ? '请求超时' : error.message);
+        } finally {
+            clearTimeout(timeoutId);
+        }
+    }
+
+    /**
+     * 通过 SMTP 中继发送告警邮件
+     * @private
+     */
+    async _sendEmail(alert) {
+        const { smtp, timeoutMs } = config.alerts;
+        await sendMail({
+            host: smtp.host,
+            port: smtp.port,
+            from: smtp.from,
+            to: smtp.to,
+            subject: `[Easy Outlook] ${alert.title}`,
+            text: alert.message || alert.title,
+            timeoutMs,
+        });
+    }
+
+    /**
+     * 发送告警
+     * @param {object} alert
+     * @param {string} alert.type 类型，如 stock.low / balance.recovered
+     * @param {string} alert.level info / warning / error
+     * @param {string} alert.title 标题
+     * @param {string} alert.message 正文
+     * @param {object} [alert.data] 附加数据（随 Webhook 发送）
+     * @returns {Promise<{ notification: string, webhook: string, email: string }>} 各通道结果：sent / failed / skipped
+     */
+    async dispatch(alert) {
+        const { webhookUrl, smtp } = config.alerts;
+        const channels = [
+            ['notification', true, () => this._notify(alert)],
+            ['webhook', Boolean(webhookUrl), () => this._postWebhook(alert)],
+            ['email', Boolean(smtp.host && smtp.to.length > 0), () => this._sendEmail(alert)],
+        ];
+
+        const results = await Promise.all(channels.map(async ([name, enabled, send]) => {
+            if (!enabled) return [name, 'skipped'];
+            try {
+                await send();
+                return [name, 'sent'];
+            } catch (error) {
+                logger.error('[Alert] 告警发送失败', { channel: name, type: alert.type, error: error.message });
+                return [name, 'failed'];
+            }
+        }));
+
+        logger.info('[Alert] 已发送告警', { type: alert.type, title: alert.title });
+        return Object.fromEntries(results);
+    }
+}
+
+// 创建单例
+const alertService = new AlertService();
+
+module.exports = alertService;
@@ -0,0 +1,334 @@
+/**
+ * API 密钥服务层
+ *
+ * 脚本使用 API 密钥调用 /api/v1（Authorization: Bearer eok_<前缀>_<密钥>），不需要登录：
+ * - 密钥属于创建它的用户，只保存 SHA-256 摘要，明文只在创建时返回一次
+ * - scopes 为权限列表，请求时的权限为所属用户当前角色权限与 scopes 的交集（见 hasPermission）
+ * - rate_limit 为每分钟最多请求数（见 middlewares/api-v1.js）
+ * - 所属用户被停用、密钥被吊销或过期后立即失效
+ *
+ * 存储后端与 MailboxService 一致：PostgreSQL 优先，否则回退到 Blob/JSON
+ */
+
+const crypto = require('crypto');
+const { v4: uuidv4 } = require('uuid');
+const { eq, desc } = require('drizzle-orm');
+const config = require('../config');
+const logger = require('../utils/logger');
+const { getDb, schema } = require('../db');
+const { LegacyJsonStore, resolveStorageMode } = require('../utils/legacy-store');
+const { PERMISSIONS, getRolePermissions, hasPermission } = require('../utils/permissions');
+const auditService = require('./audit.service');
+const userService = require('./user.service');
+const { AUDIT_ACTIONS } = auditService;
+const { apiKeys } = schema;
+
+const KEY_PREFIX = 'eok_';
+const KEY_REGEX = /^eok_([0-9a-f]{12})_([A-Za-z0-9_-]{43})$/;
+const UUID_REGEX = /^[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}$/i;
+
+// 最近使用时间的更新间隔，避免每个请求都写一次存储
+const TOUCH_INTERVAL_MS = 60 * 1000;
+
+/**
+ * 判断令牌是否为 API 密钥（而不是登录令牌）
+ * @param {string|null} token
+ */
+function isApiKeyToken(token) {
+    return typeof token === 'string' && token.startsWith(KEY_PREFIX);
+}
+
+/**
+ * 密钥摘要
+ * @private
+ */
+function hashKey(key) {
+    return crypto.createHash('sha256').update(key).digest('hex');
+}
+
+class ApiKeyService {
+    constructor() {
+        this.storageMode = resolveStorageMode();
+        this.legacyStore = new LegacyJsonStore({
+            blobKey: process.env.BLOB_API_KEYS_KEY || 'users/api-keys.json',
+            fileName: 'api-keys.json',
+        });
+    }
+
+    // ============================================================
+    // 数据转换方法
+    // ============================================================
+
+    /**
+     * 数据库行转换为 JSON 格式
+     * @private
+     */
+    _dbRowToJson(row) {
+        return {
+            id: row.id,
+            name: row.name,
+            key_prefix: row.keyPrefix,
+            key_hash: row.keyHash,
+            scopes: row.scopes || [],
+            rate_limit: row.rateLimit,
+            user_id: row.userId,
+            username: row.username,
+            expires_at: row.expiresAt?.toISOString() ?? null,
+            revoked_at: row.revokedAt?.toISOString() ?? null,
+            last_used_at: row.lastUsedAt?.toISOString() ?? null,
+            created_at: row.createdAt?.toISOString(),
+        };
+    }
+
+    /**
+     * 去除密钥摘要，用于接口返回
+     */
+    toPublic(key) {
+        const { key_hash, ...rest } = key;
+        return rest;
+    }
+
+    // ============================================================
+    // 校验
+    // ============================================================
+
+    /**
+     * 校验并规范化创建参数
+     * @private
+     */
+    _validate(input, owner) {
+        const name = typeof input.name === 'string' ? input.name.trim() : '';
+        if (!name || name.length > 100) {
+            throw new Error('API 密钥名称无效（1-100 个字符）');
+        }
+
+        // 只能授予所属用户自己拥有的权限
+        const allowed = getRolePermissions(owner.role);
+        const scopes = Array.isArray(input.scopes) ? [...new Set(input.scopes)] : [];
+        if (scopes.length === 0 || scopes.some(s => !allowed.includes(s))) {
+            throw new Error(`权限范围无效，可选值: ${allowed.join(', ')}`);
+        }
+
+        let rateLimit = config.apiKeys.defaultRateLimit;
+        if (input.rate_limit !== undefined && input.rate_limit !== null) {
+            rateLimit = Number(input.rate_limit);
+            if (!Number.isInteger(rateLimit) || rateLimit < 1 || rateLimit > config.apiKeys.maxRateLimit) {
+                throw new Error(`速率限制无效（每分钟 1-${config.apiKeys.maxRateLimit} 次）`);
+            }
+        }
+
+        let expiresAt = null;
+        if (input.expires_at) {
+            const date = new Date(input.expires_at);
+            if (Number.isNaN(date.getTime()) || date <= new Date()) {
+                throw new Error('过期时间无效（需要将来的 ISO 时间）');
+            }
+            expiresAt = date.toISOString();
+        }
+
+        return { name, scopes, rate_limit: rateLimit, expires_at: expiresAt };
+    }
+
+    // ============================================================
+    // 存储
+    // ============================================================
+
+    /**
+     * 按公开前缀查找密钥
+     * @private
+     */
+    async _findByPrefix(keyPrefix) {
+        if (this.storageMode === 'postgres') {
+            const db = getDb();
+            const rows = await db.select().from(apiKeys).where(eq(apiKeys.keyPrefix, keyPrefix));
+            return rows.length > 0 ? this._dbRowToJson(rows[0]) : null;
+        }
+        return (await this.legacyStore.read()).find(k => k.key_prefix === keyPrefix) || null;
+    }
+
+    /**
+     * 按 ID 查找密钥
+     * @private
+     */
+    async _find(id) {
+        if (!UUID_REGEX.test(String(id))) return null;
+
+        if (this.storageMode === 'postgres') {
+            const db = getDb();
+            const rows = await db.select().from(apiKeys).where(eq(apiKeys.id, id));
+            return rows.length > 0 ? this._dbRowToJson(rows[0]) : null;
+        }
+        return (await this.legacyStore.read()).find(k => k.id === id) || null;
+    }
+
+    /**
+     * 更新密钥的时间字段（revoked_at / last_used_at）
+     * @private
+     */
+    async _setTimestamp(id, field, value) {
+        if (this.storageMode === 'postgres') {
+            const column = field === 'revoked_at' ? 'revokedAt' : 'lastUsedAt';
+            const db = getDb();
+            await db.update(apiKeys).set({ [column]: new Date(value) }).where(eq(apiKeys.id, id));
+            return;
+        }
+
+        await this.legacyStore.update(async (all) => {
+            const key = all.find(k => k.id === id);
+            if (key) key[field] = value;
+        });
+    }
+
+    // ============================================================
+    // 密钥管理
+    // ============================================================
+
+    /**
+     * 列出密钥：管理员（user:manage）可查看所有用户的密钥，其他用户只能查看自己的
+     * @param {object} actor 当前用户
+     * @returns {Promise<Array>} 按创建时间倒序，不含密钥摘要
+     */
+    async listKeys(actor) {
+        let keys;
+        if (this.storageMode === 'postgres') {
+            const db = getDb();
+            let query = db.select().from(apiKeys);
+            if (!hasPermission(actor, PERMISSIONS.USER_MANAGE)) {
+                query = query.where(eq(apiKeys.userId, actor.id));
+            }
+            const rows = await query.orderBy(desc(apiKeys.createdAt));
+            keys = rows.map(row => this._dbRowToJson(row));
+        } else {
+            keys = (await this.legacyStore.read())
+                .filter(k => hasPermission(actor, PERMISSIONS.USER_MANAGE) || k.user_id === actor.id)
+                .reverse();
+        }
+        return keys.map(k => this.toPublic(k));
+    }
+
+    /**
+     * 为当前用户创建密钥
+     * @param {object} input { name, scopes, rate_limit?, expires_at? }
+     * @param {object} actor 当前用户（密钥的所属用户）
+     * @returns {Promise<object>} 密钥信息，key 为明文密钥（只返回这一次）
+     */
+    async createKey(input = {}, actor) {
+        const fields = this._validate(input, actor);
+        const plaintext = `${KEY_PREFIX}${crypto.randomBytes(6).toString('hex')}_${crypto.randomBytes(32).toString('base64url')}`;
+        const now = new Date().toISOString();
+        const key = {
+            id: uuidv4(),
+            name: fields.name,
+            key_prefix: plaintext.slice(0, KEY_PREFIX.length + 12),
+            key_hash: hashKey(plaintext),
+            scopes: fields.scopes,
+            rate_limit: fields.rate_limit,
+            user_id: actor.id,
+            username: actor.username,
+            expires_at: fields.expires_at,
+            revoked_at: null,
+            last_used_at: null,
+            created_at: now,
+        };
+
+        if (this.storageMode === 'postgres') {
+            const db = getDb();
+            await db.insert(apiKeys).values({
+                id: key.id,
+                name: key.name,
+                keyPrefix: key.key_prefix,
+                keyHash: key.key_hash,
+                scopes: key.scopes,
+                rateLimit: key.rate_limit,
+                userId: key.user_id,
+                username: key.username,
+                expiresAt: key.expires_at ? new Date(key.expires_at) : null,
+                createdAt: new Date(now),
+            });
+        } else {
+            await this.legacyStore.update(async (all) => {
+                all.push(key);
+            });
+        }
+
+        await auditService.record({
+            action: AUDIT_ACTIONS.API_KEY_CREATE,
+            actor,
+            details: { api_key_id: key.id, name: key.name, key_prefix: key.key_prefix, scopes: key.scopes },
+        });
+        logger.info('[ApiKey] 已创建密钥', { id: key.id, user: actor.username, scopes: key.scopes });
+
+        return { ...this.toPublic(key), key: plaintext };
+    }
+
+    /**
+     * 吊销密钥：本人或管理员（user:manage）可以吊销
+     * @param {string} id
+     * @param {object} actor 当前用户
+     * @returns {Promise<object>} 吊销后的密钥信息
+     */
+    async revokeKey(id, actor) {
+        const key = await this._find(id);
+        if (!key || (key.user_id !== actor.id && !hasPermission(actor, PERMISSIONS.USER_MANAGE))) {
+            throw new Error('API 密钥不存在');
+        }
+        if (key.revoked_at) {
+            return this.toPublic(key);
+        }
+
+        const revokedAt = new Date().toISOString();
+        await this._setTimestamp(id, 'revoked_at', revokedAt);
+
+        await auditService.record({
+            action: AUDIT_ACTIONS.API_KEY_REVOKE,
+            actor,
+            details: { api_key_id: id, name: key.name, key_prefix: key.key_prefix, owner: key.username },
+        });
+
+        return this.toPublic({ ...key, revoked_at: revokedAt });
+    }
+
+    // ============================================================
+    // 认证
+    // ============================================================
+
+    /**
+     * 校验 API 密钥并加载所属用户
+     * @param {string} token 明文密钥
+     * @returns {Promise<{ user: object, apiKey: object }|null>} user 为公开的用户对象并带有 scopes；
+     *   密钥无效、已吊销、已过期或所属用户已停用时返回 null
+     */
+    async authenticate(token) {
+        const match = KEY_REGEX.exec(String(token));
+        if (!match) return null;
+
+        const key = await this._findByPrefix(`${KEY_PREFIX}${match[1]}`);
+        if (!key) return null;
+
+        const expected = Buffer.from(key.key_hash, 'hex');
+        const actual = Buffer.from(hashKey(token), 'hex');
+        if (expected.length !== actual.length || !crypto.timingSafeEqual(expected, actual)) return null;
+        if (key.revoked_at) return null;
+        if (key.expires_at && new Date(key.expires_at) <= new Date()) return null;
+
+        const user = await userService.getUserById(key.user_id);
+        if (!user || user.is_active === false) return null;
+
+        if (!key.last_used_at || Date.now() - new Date(key.last_used_at).getTime() > TOUCH_INTERVAL_MS) {
+            await this._setTimestamp(key.id, 'last_used_at', new Date().toISOString()).catch((error) => {
+                logger.warn('[ApiKey] 更新最近使用时间失败', { id: key.id, error: error.message });
+            });
+        }
+
+        return {
+            user: { ...userService.toPublic(user), scopes: key.scopes },
+            apiKey: this.toPublic(key),
+        };
+    }
+}
+
+// 创建单例
+const apiKeyService = new ApiKeyService();
+
+module.exports = apiKeyService;
+module.exports.isApiKeyToken = isApiKeyToken;
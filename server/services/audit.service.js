@@ -0,0 +1,268 @@
+/**
+ * 审计日志服务层
+ *
+ * 记录谁在什么时候对哪个邮箱做了什么操作。由 MailboxService / ProxyService 在操作成功后写入，
+ * 写入失败只记录错误日志，不影响业务操作本身。
+ *
+ * 存储后端与 MailboxService 一致：PostgreSQL 优先，否则回退到 Blob/JSON
+ */
+
+const { v4: uuidv4 } = require('uuid');
+const { and, eq, gte, lte, desc, sql } = require('drizzle-orm');
+const config = require('../config');
+const logger = require('../utils/logger');
+const { getDb, schema } = require('../db');
+const { LegacyJsonStore, resolveStorageMode } = require('../utils/legacy-store');
+const { PERMISSIONS, hasPermission } = require('../utils/permissions');
+const { auditEvents } = schema;
+
+const AUDIT_ACTIONS = Object.freeze({
+    MAILBOX_CREATE: 'mailbox.create',
+    MAILBOX_BATCH_CREATE: 'mailbox.batch_create',
+    MAILBOX_UPDATE: 'mailbox.update',
+    MAILBOX_DELETE: 'mailbox.delete',
+    MAILBOX_BATCH_DELETE: 'mailbox.batch_delete',
+    MAILBOX_VALIDATE: 'mailbox.validate',
+    MAILBOX_REVEAL: 'mailbox.reveal',
+    MAILBOX_QUARANTINE: 'mailbox.quarantine',
+    MAILBOX_RESTORE: 'mailbox.restore',
+    PURCHASE: 'purchase',
+    PROCESS_INBOX: 'mail.process_inbox',
+    PROCESS_JUNK: 'mail.process_junk',
+    WEBHOOK_CREATE: 'webhook.create',
+    WEBHOOK_UPDATE: 'webhook.update',
+    WEBHOOK_DELETE: 'webhook.delete',
+    API_KEY_CREATE: 'api_key.create',
+    API_KEY_REVOKE: 'api_key.revoke',
+});
+
+const UUID_REGEX = /^[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}$/i;
+const DEFAULT_LIMIT = 50;
+const MAX_LIMIT = 500;
+
+class AuditService {
+    constructor() {
+        this.storageMode = resolveStorageMode();
+        this.legacyStore = new LegacyJsonStore({
+            blobKey: process.env.BLOB_AUDIT_KEY || 'audit/events.json',
+            fileName: 'audit-events.json',
+        });
+    }
+
+    /**
+     * 可用的操作类型
+     */
+    get actions() {
+        return Object.values(AUDIT_ACTIONS);
+    }
+
+    // ============================================================
+    // 数据转换方法
+    // ============================================================
+
+    /**
+     * 数据库行转换为 JSON 格式
+     * @private
+     */
+    _dbRowToJson(row) {
+        return {
+            id: row.id,
+            action: row.action,
+            actor_id: row.actorId,
+            actor_username: row.actorUsername,
+            mailbox_id: row.mailboxId,
+            mailbox_email: row.mailboxEmail,
+            details: row.details ?? null,
+            created_at: row.createdAt?.toISOString(),
+        };
+    }
+
+    /**
+     * 构造事件对象
+     * @private
+     */
+    _buildEvent({ action, actor = null, mailbox = null, details = null }) {
+        return {
+            id: uuidv4(),
+            action,
+            actor_id: actor?.id || null,
+            actor_username: actor?.username || null,
+            // 旧参数方式（未保存的邮箱）只有 email 没有 id
+            mailbox_id: mailbox?.id && UUID_REGEX.test(mailbox.id) ? mailbox.id : null,
+            mailbox_email: mailbox?.email || null,
+            details,
+            created_at: new Date().toISOString(),
+        };
+    }
+
+    // ============================================================
+    // 写入
+    // ============================================================
+
+    /**
+     * 记录一条审计事件
+     * @param {object} event
+     * @param {string} event.action 操作类型（AUDIT_ACTIONS）
+     * @param {object|null} event.actor 操作人（req.user）；为空表示系统内部操作
+     * @param {{ id?: string, email?: string }|null} event.mailbox 相关邮箱
+     * @param {object|null} event.details 附加信息
+     */
+    async record(event) {
+        await this.recordMany([event]);
+    }
+
+    /**
+     * 批量记录审计事件（如批量导入/删除时每个邮箱一条）
+     * 写入失败不会抛出异常
+     * @param {Array<object>} events 格式同 record()
+     */
+    async recordMany(events = []) {
+        if (events.length === 0) return;
+
+        const built = events.map(e => this._buildEvent(e));
+
+        try {
+            if (this.storageMode === 'postgres') {
+                const db = getDb();
+                await db.insert(auditEvents).values(built.map(e => ({
+                    id: e.id,
+                    action: e.action,
+                    actorId: e.actor_id,
+                    actorUsername: e.actor_username,
+                    mailboxId: e.mailbox_id,
+                    mailboxEmail: e.mailbox_email,
+                    details: e.details,
+                    createdAt: new Date(e.created_at),
+                })));
+                return;
+            }
+
+            await this.legacyStore.update(async (all) => {
+                all.push(...built);
+                const overflow = all.length - config.audit.legacyMaxEvents;
+                if (overflow > 0) {
+                    all.splice(0, overflow);
+                }
+            });
+        } catch (err) {
+            logger.error('[Audit] 写入审计日志失败', {
+                error: err.message,
+                actions: [...new Set(built.map(e => e.action))],
+            });
+        }
+    }
+
+    // ============================================================
+    // 查询
+    // ============================================================
+
+    /**
+     * 校验并规范化查询条件
+     * @private
+     */
+    _normalizeFilters(filters = {}) {
+        const parseDate = (value) => {
+            if (!value) return null;
+            const date = new Date(value);
+            if (Number.isNaN(date.getTime())) {
+                throw new Error(`日期格式无效: ${value}`);
+            }
+            return date;
+        };
+
+        if (filters.action && !this.actions.includes(filters.action)) {
+            throw new Error(`操作类型无效，可选值: ${this.actions.join(', ')}`);
+        }
+
+        const limit = parseInt(filters.limit, 10);
+        const offset = parseInt(filters.offset, 10);
+
+        return {
+            actor: filters.actor || null,
+            action: filters.action || null,
+            mailbox: filters.mailbox || null,
+            from: parseDate(filters.from),
+            to: parseDate(filters.to),
+            limit: Math.min(limit > 0 ? limit : DEFAULT_LIMIT, MAX_LIMIT),
+            offset: offset > 0 ? offset : 0,
+        };
+    }
+
+    /**
+     * 查询审计事件（按时间倒序）
+     * 没有 MAILBOX_READ_ALL 权限的用户只能看到自己的操作
+     * @param {object} filters
+     * @param {string} filters.actor 操作人ID或用户名
+     * @param {string} filters.action 操作类型
+     * @param {string} filters.mailbox 邮箱ID或邮箱地址
+     * @param {string} filters.from 起始时间（含）
+     * @param {string} filters.to 结束时间（含）
+     * @param {number} filters.limit 每页条数，默认 50，最大 500
+     * @param {number} filters.offset 偏移量
+     * @param {object|null} actor 当前用户
+     * @returns {Promise<{ data: Array, total: number, limit: number, offset: number }>}
+     */
+    async listEvents(filters = {}, actor = null) {
+        const f = this._normalizeFilters(filters);
+        const ownOnly = actor && !hasPermission(actor, PERMISSIONS.MAILBOX_READ_ALL);
+
+        if (this.storageMode === 'postgres') {
+            const conditions = [];
+            if (ownOnly) conditions.push(eq(auditEvents.actorId, actor.id));
+            if (f.actor) {
+                conditions.push(UUID_REGEX.test(f.actor)
+                    ? eq(auditEvents.actorId, f.actor)
+                    : eq(auditEvents.actorUsername, f.actor));
+            }
+            if (f.action) conditions.push(eq(auditEvents.action, f.action));
+            if (f.mailbox) {
+                conditions.push(UUID_REGEX.test(f.mailbox)
+                    ? eq(auditEvents.mailboxId, f.mailbox)
+                    : eq(auditEvents.mailboxEmail, f.mailbox));
+            }
+            if (f.from) conditions.push(gte(auditEvents.createdAt, f.from));
+            if (f.to) conditions.push(lte(auditEvents.createdAt, f.to));
+
+            const where = conditions.length > 0 ? and(...conditions) : undefined;
+            const db = getDb();
+            const [countRow] = await db.select({ count: sql`count(*)::int` }).from(auditEvents).where(where);
+            const rows = await db.select().from(auditEvents)
+                .where(where)
+                .orderBy(desc(auditEvents.createdAt))
+                .limit(f.limit)
+                .offset(f.offset);
+
+            return {
+                data: rows.map(row => this._dbRowToJson(row)),
+                total: countRow?.count || 0,
+                limit: f.limit,
+                offset: f.offset,
+            };
+        }
+
+        const all = await this.legacyStore.read();
+        const matched = all.filter(e => {
+            if (ownOnly && e.actor_id !== actor.id) return false;
+            if (f.actor && e.actor_id !== f.actor && e.actor_username !== f.actor) return false;
+            if (f.action && e.action !== f.action) return false;
+            if (f.mailbox && e.mailbox_id !== f.mailbox && e.mailbox_email !== f.mailbox) return false;
+            const createdAt = new Date(e.created_at);
+            if (f.from && createdAt < f.from) return false;
+            if (f.to && createdAt > f.to) return false;
+            return true;
+        }).reverse();
+
+        return {
+            data: matched.slice(f.offset, f.offset + f.limit),
+            total: matched.length,
+            limit: f.limit,
+            offset: f.offset,
+        };
+    }
+}
+
+// 创建单例
+const auditService = new AuditService();
+
+module.exports = auditService;
+module.exports.AUDIT_ACTIONS = AUDIT_ACTIONS;
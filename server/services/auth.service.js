@@ -0,0 +1,86 @@
+/**
+ * 认证服务层 - 登录、令牌签发与校验
+ */
+
+const userService = require('./user.service');
+const { verifyPassword } = require('../utils/password');
+const { signToken, verifyToken } = require('../utils/token');
+const { getRolePermissions } = require('../utils/permissions');
+
+class AuthService {
+    /**
+     * 为用户签发访问令牌
+     * @param {object} user 含 id / role / token_version 的用户对象
+     */
+    issueToken(user) {
+        return signToken({
+            sub: user.id,
+            role: user.role,
+            ver: user.token_version || 0,
+        });
+    }
+
+    /**
+     * 附加角色对应的权限列表，供前端控制按钮显示
+     */
+    withPermissions(user) {
+        return { ...user, permissions: getRolePermissions(user.role) };
+    }
+
+    /**
+     * 用户名密码登录
+     * @returns {Promise<{ token: string, user: object }>}
+     */
+    async login(username, password) {
+        if (!username || !password) {
+            throw new Error('缺少用户名或密码');
+        }
+
+        await userService.ensureBootstrapAdmin();
+
+        const user = await userService.getUserByUsername(username);
+        // 用户不存在时也执行一次哈希校验，避免通过响应时间枚举用户名
+        const valid = await verifyPassword(password, user?.password_hash || 'scrypt$16384$8$1$AAAA$AAAA');
+
+        if (!user || !valid) {
+            throw new Error('用户名或密码错误');
+        }
+        if (user.is_active === false) {
+            throw new Error('账号已被禁用');
+        }
+
+        await userService.recordLogin(user.id);
+
+        return {
+            token: this.issueToken(user),
+            user: this.withPermissions(userService.toPublic(user)),
+        };
+    }
+
+    /**
+     * 校验访问令牌并加载当前用户
+     * @returns {Promise<object|null>} 公开的用户对象；令牌无效、账号禁用或令牌已吊销时返回 null
+     */
+    async authenticate(token) {
+        const payload = verifyToken(token);
+        if (!payload || !payload.sub) return null;
+
+        const user = await userService.getUserById(payload.sub);
+        if (!user || user.is_active === false) return null;
+        if ((user.token_version || 0) !== payload.ver) return null;
+
+        return userService.toPublic(user);
+    }
+
+    /**
+     * 登出：吊销该用户已签发的所有令牌
+     */
+    async logout(userId) {
+        await userService.revokeTokens(userId);
+    }
+}
+
+// 创建单例
+const authService = new AuthService();
+
+module.exports = authService;
@@ -0,0 +1,343 @@
+/**
+ * 邮箱健康检查服务层
+ *
+ * 定时（或手动触发）检测每个活跃邮箱能否正常拉取邮件，每次检测结果写入 mailbox_health_checks，
+ * 提供单个邮箱的检测历史和全部邮箱的最新状态。检测结果交给 MailboxService.applyHealthResults()
+ * 更新邮箱状态（suspect / quarantined），隔离期满仍未恢复的邮箱才会被停用。
+ *
+ * 定时任务由 server/index.js 在服务启动后调用 startScheduler() 开启（HEALTH_CHECK_ENABLED=true），
+ * Vercel 等无常驻进程的部署可定期调用 POST /api/mailboxes/health/run。
+ *
+ * 存储后端与 MailboxService 一致：PostgreSQL 优先，否则回退到 Blob/JSON
+ */
+
+const { v4: uuidv4 } = require('uuid');
+const { eq, inArray, desc, sql } = require('drizzle-orm');
+const config = require('../config');
+const logger = require('../utils/logger');
+const { getDb, schema } = require('../db');
+const { LegacyJsonStore, resolveStorageMode } = require('../utils/legacy-store');
+const mailboxService = require('./mailbox.service');
+const { mailboxHealthChecks } = schema;
+
+const HEALTH_STATUS = Object.freeze({
+    HEALTHY: 'healthy',
+    INVALID: 'invalid',
+    ERROR: 'error',
+});
+
+const DEFAULT_LIMIT = 50;
+const MAX_LIMIT = 500;
+
+class HealthService {
+    constructor() {
+        this.storageMode = resolveStorageMode();
+        this.legacyStore = new LegacyJsonStore({
+            blobKey: process.env.BLOB_HEALTH_KEY || 'health/checks.json',
+            fileName: 'health-checks.json',
+        });
+        this.timer = null;
+        // 当前正在进行的检测（避免定时任务重叠执行）
+        this.running = null;
+        this.lastRun = null;
+    }
+
+    // ============================================================
+    // 数据转换方法
+    // ============================================================
+
+    /**
+     * 数据库行转换为 JSON 格式
+     * @private
+     */
+    _dbRowToJson(row) {
+        return {
+            id: row.id,
+            mailbox_id: row.mailboxId,
+            status: row.status,
+            http_status: row.httpStatus ?? null,
+            latency_ms: row.latencyMs ?? null,
+            error: row.error ?? null,
+            trigger: row.trigger,
+            checked_at: row.checkedAt?.toISOString(),
+        };
+    }
+
+    // ============================================================
+    // 检测
+    // ============================================================
+
+    /**
+     * 检测单个邮箱（拉取一次收件箱）
+     * 外部 API 返回 500 或微软令牌接口返回 invalid_grant 视为令牌失效，其它错误（超时、网络等）视为临时错误
+     * @param {object} mailbox 含凭证的邮箱对象
+     * @param {string} trigger 触发方式：scheduled / manual
+     * @returns {Promise<object>} 检测记录
+     */
+    async checkMailbox(mailbox, trigger = 'manual') {
+        const startedAt = Date.now();
+        let status = HEALTH_STATUS.HEALTHY;
+        let httpStatus = 200;
+        let error = null;
+
+        try {
+            // 延迟加载，避免与 proxy.service 循环依赖
+            await require('./proxy.service').getMailboxEmails(mailbox, 'inbox');
+        } catch (err) {
+            httpStatus = err.status || (err.message?.includes('HTTP 500') ? 500 : null);
+            status = httpStatus === 500 || err.invalidCredentials ? HEALTH_STATUS.INVALID : HEALTH_STATUS.ERROR;
+            error = String(err.message || err).slice(0, 1000);
+        }
+
+        return {
+            id: uuidv4(),
+            mailbox_id: mailbox.id,
+            status,
+            http_status: httpStatus,
+            latency_ms: Date.now() - startedAt,
+            error,
+            trigger,
+            checked_at: new Date().toISOString(),
+        };
+    }
+
+    /**
+     * 检测一批邮箱并保存结果
+     * @param {object} options
+     * @param {string|null} options.source 只检测指定来源（如 'purchase'），为空时检测全部
+     * @param {string[]} options.ids 只检测指定ID
+     * @param {number} options.concurrency 并发数
+     * @param {string} options.trigger 触发方式：scheduled / manual
+     * @param {object|null} actor 当前用户，仅检测其可见的邮箱；为空表示定时任务
+     * @returns {Promise<{ total, healthy, invalid, error, quarantined, restored, removed, started_at, finished_at }>}
+     */
+    async runChecks(options = {}, actor = null) {
+        const {
+            source = config.healthCheck.source || null,
+            ids = [],
+            concurrency = config.healthCheck.concurrency,
+            trigger = 'manual',
+        } = options;
+
+        const startedAt = new Date().toISOString();
+        const all = await mailboxService.getAllMailboxes(actor);
+        const target = all.filter(m => {
+            if (source && m.source !== source) return false;
+            if (ids.length > 0 && !ids.includes(m.id)) return false;
+            return true;
+        });
+
+        const results = [];
+        const batchSize = Math.max(1, concurrency);
+        for (let i = 0; i < target.length; i += batchSize) {
+            const batch = target.slice(i, i + batchSize);
+            results.push(...await Promise.all(batch.map(m => this.checkMailbox(m, trigger))));
+        }
+
+        await this.recordChecks(results);
+        const { quarantined, restored } = await mailboxService.applyHealthResults(results, actor);
+        const expired = await mailboxService.expireQuarantined(actor);
+
+        const count = (status) => results.filter(r => r.status === status).length;
+        const summary = {
+            total: results.length,
+            healthy: count(HEALTH_STATUS.HEALTHY),
+            invalid: count(HEALTH_STATUS.INVALID),
+            error: count(HEALTH_STATUS.ERROR),
+            quarantined: quarantined.length,
+            restored: restored.length,
+            removed: expired.length,
+            started_at: startedAt,
+            finished_at: new Date().toISOString(),
+        };
+
+        logger.info('[Health] 邮箱健康检查完成', { trigger, source, ...summary });
+
+        return summary;
+    }
+
+    /**
+     * 保存检测记录
+     * @param {Array<object>} checks checkMailbox() 的返回值
+     */
+    async recordChecks(checks = []) {
+        if (checks.length === 0) return;
+
+        if (this.storageMode === 'postgres') {
+            const db = getDb();
+            await db.insert(mailboxHealthChecks).values(checks.map(c => ({
+                id: c.id,
+                mailboxId: c.mailbox_id,
+                status: c.status,
+                httpStatus: c.http_status,
+                latencyMs: c.latency_ms,
+                error: c.error,
+                trigger: c.trigger,
+                checkedAt: new Date(c.checked_at),
+            })));
+            return;
+        }
+
+        await this.legacyStore.update(async (all) => {
+            all.push(...checks);
+            const overflow = all.length - config.healthCheck.legacyMaxChecks;
+            if (overflow > 0) {
+                all.splice(0, overflow);
+            }
+        });
+    }
+
+    // ============================================================
+    // 查询
+    // ============================================================
+
+    /**
+     * 获取单个邮箱的检测历史（按时间倒序）
+     * @param {string} mailboxId
+     * @param {{ limit?: number, offset?: number }} options
+     * @param {object|null} actor 当前用户
+     * @returns {Promise<{ data: Array, total: number, limit: number, offset: number }>}
+     */
+    async getHistory(mailboxId, options = {}, actor = null) {
+        const mailbox = await mailboxService.getMailboxById(mailboxId, actor);
+        if (!mailbox) {
+            throw new Error('邮箱不存在');
+        }
+
+        const parsedLimit = parseInt(options.limit, 10);
+        const parsedOffset = parseInt(options.offset, 10);
+        const limit = Math.min(parsedLimit > 0 ? parsedLimit : DEFAULT_LIMIT, MAX_LIMIT);
+        const offset = parsedOffset > 0 ? parsedOffset : 0;
+
+        if (this.storageMode === 'postgres') {
+            const db = getDb();
+            const where = eq(mailboxHealthChecks.mailboxId, mailbox.id);
+            const [countRow] = await db.select({ count: sql`count(*)::int` }).from(mailboxHealthChecks).where(where);
+            const rows = await db.select().from(mailboxHealthChecks)
+                .where(where)
+                .orderBy(desc(mailboxHealthChecks.checkedAt))
+                .limit(limit)
+                .offset(offset);
+
+            return {
+                data: rows.map(row => this._dbRowToJson(row)),
+                total: countRow?.count || 0,
+                limit,
+                offset,
+            };
+        }
+
+        const all = await this.legacyStore.read();
+        const matched = all
+            .filter(c => c.mailbox_id === mailbox.id)
+            .sort((a, b) => new Date(b.checked_at) - new Date(a.checked_at));
+
+        return {
+            data: matched.slice(offset, offset + limit),
+            total: matched.length,
+            limit,
+            offset,
+        };
+    }
+
+    /**
+     * 获取当前用户可见邮箱的最新检测结果
+     * @param {object|null} actor 当前用户
+     * @returns {Promise<Object<string, object>>} mailbox_id → 最新检测记录（从未检测的邮箱不包含在内）
+     */
+    async getLatestStatuses(actor = null) {
+        const visible = await mailboxService.getAllMailboxes(actor);
+        const ids = visible.map(m => m.id);
+        if (ids.length === 0) return {};
+
+        let latest;
+        if (this.storageMode === 'postgres') {
+            const db = getDb();
+            const rows = await db.selectDistinctOn([mailboxHealthChecks.mailboxId])
+                .from(mailboxHealthChecks)
+                .where(inArray(mailboxHealthChecks.mailboxId, ids))
+                .orderBy(mailboxHealthChecks.mailboxId, desc(mailboxHealthChecks.checkedAt));
+            latest = rows.map(row => this._dbRowToJson(row));
+        } else {
+            const wanted = new Set(ids);
+            const byMailbox = new Map();
+            for (const check of await this.legacyStore.read()) {
+                if (!wanted.has(check.mailbox_id)) continue;
+                const current = byMailbox.get(check.mailbox_id);
+                if (!current || new Date(check.checked_at) >= new Date(current.checked_at)) {
+                    byMailbox.set(check.mailbox_id, check);
+                }
+            }
+            latest = [...byMailbox.values()];
+        }
+
+        return Object.fromEntries(latest.map(c => [c.mailbox_id, c]));
+    }
+
+    // ============================================================
+    // 定时任务
+    // ============================================================
+
+    /**
+     * 执行一次定时检测；上一次尚未结束时跳过
+     * @returns {Promise<object|null>} 检测汇总，跳过时返回 null
+     */
+    async runScheduled() {
+        if (this.running) {
+            logger.warn('[Health] 上一次健康检查尚未结束，跳过本次');
+            return null;
+        }
+
+        this.running = this.runChecks({ trigger: 'scheduled' })
+            .then((summary) => {
+                this.lastRun = summary;
+                return summary;
+            })
+            .catch((err) => {
+                logger.error('[Health] 定时健康检查失败', { error: err.message });
+                return null;
+            })
+            .finally(() => {
+                this.running = null;
+            });
+
+        return this.running;
+    }
+
+    /**
+     * 启动定时检测（HEALTH_CHECK_ENABLED=true 时由 server/index.js 调用）
+     * @returns {boolean} 是否已启动
+     */
+    startScheduler() {
+        const { enabled, intervalMinutes } = config.healthCheck;
+        if (!enabled || this.timer) return Boolean(this.timer);
+
+        const intervalMs = Math.max(1, intervalMinutes) * 60 * 1000;
+        this.timer = setInterval(() => this.runScheduled(), intervalMs);
+        // 不阻止进程退出
+        this.timer.unref?.();
+
+        logger.info('[Health] 定时健康检查已启动', {
+            intervalMinutes,
+            concurrency: config.healthCheck.concurrency,
+            source: config.healthCheck.source || 'all',
+        });
+        return true;
+    }
+
+    /**
+     * 停止定时检测
+     */
+    stopScheduler() {
+        if (this.timer) {
+            clearInterval(this.timer);
+            this.timer = null;
+        }
+    }
+}
+
+// 创建单例
+const healthService = new HealthService();
+
+module.exports = healthService;
+module.exports.HEALTH_STATUS = HEALTH_STATUS;
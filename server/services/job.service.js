@@ -0,0 +1,843 @@
+/**
+ * 后台任务队列服务层
+ *
+ * 耗时操作（检测全部邮箱、异步购买等）以任务形式排队执行：调用方 enqueue() 后立即拿到任务ID，
+ * 通过 GET /api/jobs/:id 查询进度，或订阅 GET /api/jobs/:id/events（SSE）实时接收每一项结果，可随时取消。
+ *
+ * - 任务类型通过 registerHandler() 注册（见 server/jobs），各类型有自己的并发上限和最大尝试次数
+ * - PostgreSQL 模式下任务写入 jobs 表：工作进程以条件更新认领任务并持有租约，执行期间定期续租、
+ *   同步进度并检查取消标记；进程崩溃后租约过期，其它进程可重新认领
+ * - 旧存储模式（Blob/JSON）下任务只保存在进程内存中，服务重启后丢失
+ * - 处理函数抛错时按 retryDelay（可按任务类型设置）指数退避重试，直到达到最大尝试次数；err.retryable === false 时不重试
+ */
+
+const { EventEmitter } = require('events');
+const os = require('os');
+const { v4: uuidv4 } = require('uuid');
+const { eq, and, or, lte, lt, desc, inArray, sql } = require('drizzle-orm');
+const config = require('../config');
+const logger = require('../utils/logger');
+const { getDb, schema } = require('../db');
+const { resolveStorageMode } = require('../utils/legacy-store');
+const { PERMISSIONS, hasPermission } = require('../utils/permissions');
+const userService = require('./user.service');
+const { jobs } = schema;
+
+const JOB_STATUS = Object.freeze({
+    QUEUED: 'queued',
+    RUNNING: 'running',
+    COMPLETED: 'completed',
+    FAILED: 'failed',
+    CANCELLED: 'cancelled',
+});
+
+const FINISHED_STATUSES = new Set([JOB_STATUS.COMPLETED, JOB_STATUS.FAILED, JOB_STATUS.CANCELLED]);
+
+const DEFAULT_LIMIT = 50;
+const MAX_LIMIT = 200;
+
+const UUID_REGEX = /^[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}$/i;
+
+class JobService {
+    constructor() {
+        this.storageMode = resolveStorageMode();
+        this.workerId = `${os.hostname()}:${process.pid}:${uuidv4().slice(0, 8)}`;
+        // type → { handler, concurrency, maxAttempts, retryDelay }
+        this.handlers = new Map();
+        // 内存模式下的任务 id → job
+        this.memoryJobs = new Map();
+        // 本进程正在执行的任务 id → { job, controller }
+        this.running = new Map();
+        // 本进程内的任务事件 id → EventEmitter
+        this.emitters = new Map();
+        this.timer = null;
+        this.ticking = false;
+        this.tickAgain = false;
+    }
+
+    // ============================================================
+    // 数据转换方法
+    // ============================================================
+
+    /**
+     * 数据库行转换为 JSON 格式
+     * @private
+     */
+    _dbRowToJson(row) {
+        return {
+            id: row.id,
+            type: row.type,
+            status: row.status,
+            params: row.params || {},
+            progress: { total: row.progressTotal, processed: row.progressProcessed },
+            result: row.result ?? null,
+            error: row.error ?? null,
+            attempts: row.attempts,
+            max_attempts: row.maxAttempts,
+            cancel_requested: row.cancelRequested,
+            created_by: row.createdBy ?? null,
+            created_by_username: row.createdByUsername ?? null,
+            lease_owner: row.leaseOwner ?? null,
+            lease_expires_at: row.leaseExpiresAt?.toISOString() ?? null,
+            run_after: row.runAfter?.toISOString() ?? null,
+            created_at: row.createdAt?.toISOString(),
+            started_at: row.startedAt?.toISOString() ?? null,
+            finished_at: row.finishedAt?.toISOString() ?? null,
+        };
+    }
+
+    /**
+     * 任务对外的 JSON 表示（不含租约等内部字段）
+     */
+    toPublic(job) {
+        const { lease_owner, lease_expires_at, ...rest } = job;
+        const { total, processed } = job.progress;
+        const percent = total > 0
+            ? Math.round((processed / total) * 100)
+            : (job.status === JOB_STATUS.COMPLETED ? 100 : 0);
+        return { ...rest, progress: { total, processed, percent } };
+    }
+
+    /**
+     * 当前用户能否查看/取消任务：创建者本人，或可查看所有邮箱的用户
+     * @private
+     */
+    _canAccess(job, actor) {
+        if (!actor) return true;
+        return job.created_by === actor.id || hasPermission(actor, PERMISSIONS.MAILBOX_READ_ALL);
+    }
+
+    // ============================================================
+    // 存储
+    // ============================================================
+
+    /**
+     * 读取任务（本进程正在执行的任务返回内存中的最新进度）
+     * @private
+     */
+    async _load(id) {
+        // 非法 ID 直接视为不存在，避免 uuid 列的类型转换错误
+        if (!UUID_REGEX.test(String(id))) return null;
+
+        const local = this.running.get(id);
+        if (local) return local.job;
+
+        if (this.storageMode === 'postgres') {
+            const db = getDb();
+            const rows = await db.select().from(jobs).where(eq(jobs.id, id));
+            return rows.length > 0 ? this._dbRowToJson(rows[0]) : null;
+        }
+
+        return this.memoryJobs.get(id) || null;
+    }
+
+    /**
+     * 更新任务；expectedStatus 不为空时仅在当前状态匹配时更新，expectedOwner 不为空时仅在租约仍归该进程所有时更新
+     * @private
+     * @returns {Promise<object|null>} 更新后的任务，未更新时返回 null
+     */
+    async _update(id, changes, expectedStatus = null, expectedOwner = null) {
+        if (this.storageMode === 'postgres') {
+            const db = getDb();
+            const columns = {
+                status: 'status',
+                result: 'result',
+                error: 'error',
+                attempts: 'attempts',
+                cancel_requested: 'cancelRequested',
+                lease_owner: 'leaseOwner',
+            };
+            const values = { updatedAt: new Date() };
+            for (const [key, column] of Object.entries(columns)) {
+                if (key in changes) values[column] = changes[key];
+            }
+            for (const [key, column] of [['lease_expires_at', 'leaseExpiresAt'], ['run_after', 'runAfter'], ['started_at', 'startedAt'], ['finished_at', 'finishedAt']]) {
+                if (key in changes) values[column] = changes[key] ? new Date(changes[key]) : null;
+            }
+            if (changes.progress) {
+                values.progressTotal = changes.progress.total;
+                values.progressProcessed = changes.progress.processed;
+            }
+
+            const conditions = [eq(jobs.id, id)];
+            if (expectedStatus) conditions.push(inArray(jobs.status, [].concat(expectedStatus)));
+            if (expectedOwner) conditions.push(eq(jobs.leaseOwner, expectedOwner));
+            const [row] = await db.update(jobs).set(values).where(and(...conditions)).returning();
+            return row ? this._dbRowToJson(row) : null;
+        }
+
+        const job = this.memoryJobs.get(id);
+        if (!job || (expectedStatus && ![].concat(expectedStatus).includes(job.status))) return null;
+        if (expectedOwner && job.lease_owner !== expectedOwner) return null;
+        Object.assign(job, changes);
+        return job;
+    }
+
+    /**
+     * 认领一个可执行的任务（排队中且已到重试时间，或租约已过期的运行中任务）
+     * 以条件更新保证同一任务只被一个进程认领
+     * @private
+     */
+    async _claim(type, typeConcurrency) {
+        const now = new Date();
+        const leaseExpiresAt = new Date(now.getTime() + config.jobs.leaseSeconds * 1000);
+
+        if (this.storageMode === 'postgres') {
+            const db = getDb();
+            const [{ count }] = await db.select({ count: sql`count(*)::int` }).from(jobs)
+                .where(and(eq(jobs.type, type), eq(jobs.status, JOB_STATUS.RUNNING), sql`${jobs.leaseExpiresAt} >= now()`));
+            if (count >= typeConcurrency) return null;
+
+            const candidates = await db.select().from(jobs)
+                .where(and(
+                    eq(jobs.type, type),
+                    eq(jobs.cancelRequested, false),
+                    or(
+                        and(eq(jobs.status, JOB_STATUS.QUEUED), lte(jobs.runAfter, now)),
+                        and(eq(jobs.status, JOB_STATUS.RUNNING), lt(jobs.leaseExpiresAt, now)),
+                    ),
+                ))
+                .orderBy(jobs.runAfter, jobs.createdAt)
+                .limit(5);
+
+            for (const candidate of candidates) {
+                const [row] = await db.update(jobs)
+                    .set({
+                        status: JOB_STATUS.RUNNING,
+                        attempts: candidate.attempts + 1,
+                        leaseOwner: this.workerId,
+                        leaseExpiresAt,
+                        startedAt: candidate.startedAt || now,
+                        updatedAt: now,
+                    })
+                    // 条件与读取时一致：其它进程已认领时更新不到任何行
+                    .where(and(
+                        eq(jobs.id, candidate.id),
+                        eq(jobs.status, candidate.status),
+                        eq(jobs.attempts, candidate.attempts),
+                    ))
+                    .returning();
+                if (row) return this._dbRowToJson(row);
+            }
+            return null;
+        }
+
+        const runningOfType = [...this.running.values()].filter(r => r.job.type === type).length;
+        if (runningOfType >= typeConcurrency) return null;
+
+        const next = [...this.memoryJobs.values()]
+            .filter(j => j.type === type && j.status === JOB_STATUS.QUEUED && !j.cancel_requested
+                && new Date(j.run_after) <= now)
+            .sort((a, b) => new Date(a.run_after) - new Date(b.run_after) || new Date(a.created_at) - new Date(b.created_at))[0];
+        if (!next) return null;
+
+        Object.assign(next, {
+            status: JOB_STATUS.RUNNING,
+            attempts: next.attempts + 1,
+            lease_owner: this.workerId,
+            lease_expires_at: leaseExpiresAt.toISOString(),
+            started_at: next.started_at || now.toISOString(),
+        });
+        return next;
+    }
+
+    /**
+     * 清理超出保留数量的已结束任务（仅内存模式，最早结束的先删除）
+     * @private
+     */
+    _prune() {
+        if (this.storageMode === 'postgres') return;
+
+        const finished = [...this.memoryJobs.values()]
+            .filter(job => FINISHED_STATUSES.has(job.status))
+            .sort((a, b) => new Date(a.finished_at) - new Date(b.finished_at));
+
+        const overflow = finished.length - config.jobs.maxFinished;
+        for (const job of finished.slice(0, Math.max(0, overflow))) {
+            this.memoryJobs.delete(job.id);
+        }
+    }
+
+    // ============================================================
+    // 事件
+    // ============================================================
+
+    /**
+     * 向本进程内的订阅者推送事件
+     * @private
+     */
+    _emit(id, event, payload) {
+        this.emitters.get(id)?.emit(event, payload);
+    }
+
+    /**
+     * 订阅任务事件
+     * 任务在本进程执行时直接转发事件；在其它进程执行时按 pollInterval 轮询状态；
+     * 任务已结束时在下一个事件循环触发 onDone
+     * @param {string} id 任务ID
+     * @param {object} listeners { onStatus(job), onItem(item), onDone(job) }
+     * @param {object|null} actor 当前用户
+     * @returns {Promise<function|null>} 取消订阅函数；任务不存在或无权查看时返回 null
+     */
+    async subscribe(id, listeners = {}, actor = null) {
+        const job = await this._load(id);
+        if (!job || !this._canAccess(job, actor)) return null;
+
+        if (!this.emitters.has(id)) {
+            const emitter = new EventEmitter();
+            // SSE 订阅者可能很多，不限制监听器数量
+            emitter.setMaxListeners(0);
+            this.emitters.set(id, emitter);
+        }
+        const emitter = this.emitters.get(id);
+
+        let finished = false;
+        let lastSeen = JSON.stringify([job.status, job.progress]);
+        const onStatus = (current) => listeners.onStatus?.(current);
+        const onItem = (item) => listeners.onItem?.(item);
+        const onDone = (current) => {
+            if (finished) return;
+            finished = true;
+            unsubscribe();
+            listeners.onDone?.(current);
+        };
+
+        const poll = setInterval(async () => {
+            if (this.running.has(id)) return;
+            try {
+                const current = await this._load(id);
+                if (!current || finished) return;
+                if (FINISHED_STATUSES.has(current.status)) {
+                    onDone(this.toPublic(current));
+                    return;
+                }
+                const seen = JSON.stringify([current.status, current.progress]);
+                if (seen !== lastSeen) {
+                    lastSeen = seen;
+                    onStatus(this.toPublic(current));
+                }
+            } catch (error) {
+                logger.warn('[Job] 轮询任务状态失败', { id, error: error.message });
+            }
+        }, config.jobs.pollInterval);
+        poll.unref?.();
+
+        const unsubscribe = () => {
+            clearInterval(poll);
+            emitter.off('status', onStatus);
+            emitter.off('item', onItem);
+            emitter.off('done', onDone);
+            if (emitter.listenerCount('done') === 0) {
+                this.emitters.delete(id);
+            }
+        };
+
+        emitter.on('status', onStatus);
+        emitter.on('item', onItem);
+        emitter.on('done', onDone);
+
+        if (FINISHED_STATUSES.has(job.status)) {
+            setImmediate(() => onDone(this.toPublic(job)));
+        }
+
+        return unsubscribe;
+    }
+
+    /**
+     * 等待任务结束
+     * @param {string} id 任务ID
+     * @returns {Promise<object|null>} 结束后的任务
+     */
+    async waitFor(id) {
+        return new Promise((resolve, reject) => {
+            this.subscribe(id, { onDone: resolve })
+                .then((unsubscribe) => {
+                    if (!unsubscribe) resolve(null);
+                })
+                .catch(reject);
+        });
+    }
+
+    // ============================================================
+    // 任务管理
+    // ============================================================
+
+    /**
+     * 注册任务类型
+     * @param {string} type 任务类型，如 'mailbox.validate'
+     * @param {function(object, object): Promise<object>} handler 处理函数 (params, context)，context 为
+     *   { job, actor, signal, setTotal(n), reportItem(item) }，返回值保存为任务结果
+     * @param {object} options
+     * @param {number} options.concurrency 该类型同时执行的任务数，默认 1
+     * @param {number} options.maxAttempts 最大尝试次数（含首次），默认 1 即不重试
+     * @param {number} options.retryDelay 重试的基础延迟（毫秒），默认 JOB_RETRY_DELAY_MS
+     */
+    registerHandler(type, handler, options = {}) {
+        this.handlers.set(type, {
+            handler,
+            concurrency: Math.max(1, options.concurrency || 1),
+            maxAttempts: Math.max(1, options.maxAttempts || 1),
+            retryDelay: options.retryDelay || null,
+        });
+    }
+
+    /**
+     * 创建任务并排队执行
+     * @param {string} type 任务类型（必须已注册）
+     * @param {object} params 任务参数，需可序列化为 JSON
+     * @param {object|null} actor 创建任务的用户，执行时按其权限和可见范围处理
+     * @returns {Promise<object>} 任务
+     */
+    async enqueue(type, params = {}, actor = null) {
+        const registered = this.handlers.get(type);
+        if (!registered) {
+            throw new Error(`未知的任务类型: ${type}`);
+        }
+
+        const now = new Date().toISOString();
+        let job = {
+            id: uuidv4(),
+            type,
+            status: JOB_STATUS.QUEUED,
+            params,
+            progress: { total: 0, processed: 0 },
+            result: null,
+            error: null,
+            attempts: 0,
+            max_attempts: registered.maxAttempts,
+            cancel_requested: false,
+            created_by: actor?.id || null,
+            created_by_username: actor?.username || null,
+            lease_owner: null,
+            lease_expires_at: null,
+            run_after: now,
+            created_at: now,
+            started_at: null,
+            finished_at: null,
+        };
+
+        if (this.storageMode === 'postgres') {
+            const db = getDb();
+            const [row] = await db.insert(jobs).values({
+                id: job.id,
+                type,
+                params,
+                maxAttempts: registered.maxAttempts,
+                createdBy: job.created_by,
+                createdByUsername: job.created_by_username,
+                runAfter: new Date(now),
+                createdAt: new Date(now),
+            }).returning();
+            job = this._dbRowToJson(row);
+        } else {
+            this.memoryJobs.set(job.id, job);
+        }
+
+        logger.info('[Job] 任务已创建', { id: job.id, type, by: actor?.username });
+        this._scheduleTick();
+
+        return this.toPublic(job);
+    }
+
+    /**
+     * 获取任务
+     * @param {string} id 任务ID
+     * @param {object|null} actor 当前用户
+     * @returns {Promise<object|null>} 任务不存在或无权查看时返回 null
+     */
+    async getJob(id, actor = null) {
+        const job = await this._load(id);
+        if (!job || !this._canAccess(job, actor)) return null;
+        return this.toPublic(job);
+    }
+
+    /**
+     * 查询任务列表（按创建时间倒序）
+     * @param {object} filters { status, type, limit, offset }
+     * @param {object|null} actor 当前用户，只返回其可见的任务
+     * @returns {Promise<{ data: Array, total: number, limit: number, offset: number }>}
+     */
+    async listJobs(filters = {}, actor = null) {
+        const parsedLimit = parseInt(filters.limit, 10);
+        const parsedOffset = parseInt(filters.offset, 10);
+        const limit = Math.min(parsedLimit > 0 ? parsedLimit : DEFAULT_LIMIT, MAX_LIMIT);
+        const offset = parsedOffset > 0 ? parsedOffset : 0;
+        const statuses = filters.status ? String(filters.status).split(',').map(s => s.trim()).filter(Boolean) : [];
+        const limitToOwn = actor && !hasPermission(actor, PERMISSIONS.MAILBOX_READ_ALL);
+
+        let data;
+        let total;
+
+        if (this.storageMode === 'postgres') {
+            const db = getDb();
+            const conditions = [];
+            if (statuses.length > 0) conditions.push(inArray(jobs.status, statuses));
+            if (filters.type) conditions.push(eq(jobs.type, filters.type));
+            if (limitToOwn) conditions.push(eq(jobs.createdBy, actor.id));
+            const where = conditions.length > 0 ? and(...conditions) : undefined;
+
+            const [countRow] = await db.select({ count: sql`count(*)::int` }).from(jobs).where(where);
+            const rows = await db.select().from(jobs)
+                .where(where)
+                .orderBy(desc(jobs.createdAt))
+                .limit(limit)
+                .offset(offset);
+
+            total = countRow?.count || 0;
+            data = rows.map(row => this.running.get(row.id)?.job || this._dbRowToJson(row));
+        } else {
+            const matched = [...this.memoryJobs.values()]
+                .filter(job => statuses.length === 0 || statuses.includes(job.status))
+                .filter(job => !filters.type || job.type === filters.type)
+                .filter(job => !limitToOwn || job.created_by === actor.id)
+                .sort((a, b) => new Date(b.created_at) - new Date(a.created_at));
+
+            total = matched.length;
+            data = matched.slice(offset, offset + limit);
+        }
+
+        return {
+            data: data.map(job => this.toPublic(job)),
+            total,
+            limit,
+            offset,
+        };
+    }
+
+    /**
+     * 取消任务
+     * 排队中的任务直接取消；执行中的任务设置取消标记，处理函数在批次之间检查后结束
+     * @param {string} id 任务ID
+     * @param {object|null} actor 当前用户
+     * @returns {Promise<object>} 任务
+     */
+    async cancelJob(id, actor = null) {
+        const job = await this._load(id);
+        if (!job || !this._canAccess(job, actor)) {
+            throw new Error('任务不存在');
+        }
+        if (FINISHED_STATUSES.has(job.status)) {
+            return this.toPublic(job);
+        }
+
+        const cancelled = await this._update(id, {
+            status: JOB_STATUS.CANCELLED,
+            cancel_requested: true,
+            finished_at: new Date().toISOString(),
+        }, JOB_STATUS.QUEUED);
+
+        if (cancelled) {
+            logger.info('[Job] 排队中的任务已取消', { id, by: actor?.username });
+            this._emit(id, 'done', this.toPublic(cancelled));
+            this._prune();
+            return this.toPublic(cancelled);
+        }
+
+        await this._update(id, { cancel_requested: true }, JOB_STATUS.RUNNING);
+        const local = this.running.get(id);
+        if (local) {
+            local.job.cancel_requested = true;
+            local.controller.abort();
+        }
+        logger.info('[Job] 任务已请求取消', { id, by: actor?.username });
+
+        return this.toPublic(await this._load(id));
+    }
+
+    // ============================================================
+    // 执行
+    // ============================================================
+
+    /**
+     * 在下一个事件循环认领并执行任务
+     * @private
+     */
+    _scheduleTick(delay = 0) {
+        const timer = setTimeout(() => this._tick(), delay);
+        timer.unref?.();
+    }
+
+    /**
+     * 按并发上限认领任务并开始执行
+     * @private
+     * @returns {Promise<number>} 本次认领的任务数
+     */
+    async _tick() {
+        if (this.ticking) {
+            this.tickAgain = true;
+            return 0;
+        }
+        this.ticking = true;
+
+        let claimed = 0;
+        try {
+            await this._sweepCancelled();
+
+            for (const [type, registered] of this.handlers) {
+                while (this.running.size < config.jobs.concurrency) {
+                    const job = await this._claim(type, registered.concurrency);
+                    if (!job) break;
+                    claimed++;
+                    const execution = this._execute(job, registered);
+                    this.running.get(job.id).execution = execution;
+                }
+            }
+        } catch (error) {
+            logger.error('[Job] 认领任务失败', { error: error.message });
+        } finally {
+            this.ticking = false;
+            if (this.tickAgain) {
+                this.tickAgain = false;
+                this._scheduleTick();
+            }
+        }
+        return claimed;
+    }
+
+    /**
+     * 将请求取消且租约已过期（执行进程已退出）的任务标记为已取消
+     * @private
+     */
+    async _sweepCancelled() {
+        if (this.storageMode !== 'postgres') return;
+
+        const db = getDb();
+        await db.update(jobs)
+            .set({ status: JOB_STATUS.CANCELLED, finishedAt: new Date(), updatedAt: new Date() })
+            .where(and(
+                eq(jobs.status, JOB_STATUS.RUNNING),
+                eq(jobs.cancelRequested, true),
+                lt(jobs.leaseExpiresAt, new Date()),
+            ));
+    }
+
+    /**
+     * 解析任务创建者（按当前角色和状态执行，创建者被停用后任务失败）
+     * @private
+     */
+    async _resolveActor(job) {
+        if (!job.created_by) return null;
+
+        const user = await userService.getUserById(job.created_by);
+        if (!user || user.is_active === false) {
+            const error = new Error('任务创建者不存在或已停用');
+            error.retryable = false;
+            throw error;
+        }
+        return { id: user.id, username: user.username, role: user.role };
+    }
+
+    /**
+     * 执行已认领的任务：续租、同步进度、处理取消和重试
+     * @private
+     */
+    async _execute(job, registered) {
+        const controller = new AbortController();
+        this.running.set(job.id, { job, controller });
+        this._emit(job.id, 'status', this.toPublic(job));
+
+        const heartbeatMs = Math.max(1, Math.floor(config.jobs.leaseSeconds / 3)) * 1000;
+        const heartbeat = setInterval(() => this._heartbeat(job, controller), heartbeatMs);
+        heartbeat.unref?.();
+
+        const context = {
+            job: this.toPublic(job),
+            signal: controller.signal,
+            actor: null,
+            setTotal: (total) => {
+                job.progress = { ...job.progress, total };
+                this._emit(job.id, 'status', this.toPublic(job));
+            },
+            reportItem: (item) => {
+                job.progress = { ...job.progress, processed: job.progress.processed + 1 };
+                this._emit(job.id, 'item', { ...item, progress: this.toPublic(job).progress });
+            },
+        };
+
+        let changes;
+        try {
+            // 租约过期后被重新认领的任务同样计入尝试次数
+            if (job.attempts > job.max_attempts) {
+                const error = new Error('任务执行多次中断，已放弃');
+                error.retryable = false;
+                throw error;
+            }
+            context.actor = await this._resolveActor(job);
+            const result = await registered.handler(job.params, context);
+            changes = {
+                status: controller.signal.aborted ? JOB_STATUS.CANCELLED : JOB_STATUS.COMPLETED,
+                result: result ?? null,
+                error: null,
+            };
+        } catch (error) {
+            const retry = !controller.signal.aborted
+                && error.retryable !== false
+                && job.attempts < job.max_attempts;
+
+            logger.error('[Job] 任务执行失败', {
+                id: job.id,
+                type: job.type,
+                attempt: job.attempts,
+                retry,
+                error: error.message,
+            });
+
+            if (retry) {
+                const delay = (registered.retryDelay || config.jobs.retryDelay) * (2 ** (job.attempts - 1));
+                changes = {
+                    status: JOB_STATUS.QUEUED,
+                    error: error.message,
+                    run_after: new Date(Date.now() + delay).toISOString(),
+                    progress: { total: 0, processed: 0 },
+                };
+            } else {
+                changes = {
+                    status: controller.signal.aborted ? JOB_STATUS.CANCELLED : JOB_STATUS.FAILED,
+                    error: error.message,
+                };
+            }
+        } finally {
+            clearInterval(heartbeat);
+        }
+
+        const finished = FINISHED_STATUSES.has(changes.status);
+        let saved = null;
+        let leaseLost = this.running.get(job.id).leaseLost;
+        try {
+            // 只在租约仍归本进程时保存：本进程停滞期间任务可能已被其它进程重新认领
+            saved = await this._update(job.id, {
+                progress: job.progress,
+                ...changes,
+                lease_owner: null,
+                lease_expires_at: null,
+                ...(finished && { finished_at: new Date().toISOString() }),
+            }, JOB_STATUS.RUNNING, this.workerId);
+            leaseLost = !saved;
+        } catch (error) {
+            logger.error('[Job] 保存任务结果失败', { id: job.id, error: error.message });
+        }
+        this.running.delete(job.id);
+
+        if (leaseLost) {
+            logger.warn('[Job] 任务租约已被其它进程接管，丢弃本次结果', { id: job.id, type: job.type, status: changes.status });
+            this._scheduleTick();
+            return;
+        }
+
+        const current = saved || await this._load(job.id) || job;
+        if (finished) {
+            logger.info('[Job] 任务结束', { id: job.id, type: job.type, status: current.status, progress: current.progress });
+            this._emit(job.id, 'done', this.toPublic(current));
+            this._prune();
+        } else {
+            this._emit(job.id, 'status', this.toPublic(current));
+        }
+
+        // 重试的定时器在保存 run_after 之后再设置；setTimeout 可能提前约 1 毫秒触发，多等 1 毫秒以免认领时任务尚未到期
+        if (changes.status === JOB_STATUS.QUEUED) {
+            this._scheduleTick(Math.max(0, new Date(changes.run_after) - Date.now()) + 1);
+        }
+        this._scheduleTick();
+    }
+
+    /**
+     * 续租并同步进度；发现其它进程设置了取消标记时中止处理函数
+     * 租约已过期并被其它进程重新认领（或已被标记为取消）时同样中止，之后的结果不再保存
+     * @private
+     */
+    async _heartbeat(job, controller) {
+        try {
+            const leaseExpiresAt = new Date(Date.now() + config.jobs.leaseSeconds * 1000).toISOString();
+            const updated = await this._update(job.id, {
+                progress: job.progress,
+                lease_expires_at: leaseExpiresAt,
+            }, JOB_STATUS.RUNNING, this.workerId);
+
+            if (!updated) {
+                const local = this.running.get(job.id);
+                if (local && !local.leaseLost) {
+                    local.leaseLost = true;
+                    logger.warn('[Job] 任务租约已失效，中止执行', { id: job.id, type: job.type });
+                    controller.abort();
+                }
+                return;
+            }
+
+            if (updated.cancel_requested && !controller.signal.aborted) {
+                job.cancel_requested = true;
+                controller.abort();
+            }
+        } catch (error) {
+            logger.warn('[Job] 任务续租失败', { id: job.id, error: error.message });
+        }
+    }
+
+    /**
+     * 启动工作进程轮询（由 server/index.js 调用）
+     * 创建任务时会立即尝试执行，轮询用于处理重试、其它进程创建的任务和租约过期的任务
+     */
+    startWorker() {
+        if (this.timer) return;
+
+        this.timer = setInterval(() => this._tick(), config.jobs.pollInterval);
+        // 不阻止进程退出
+        this.timer.unref?.();
+        this._scheduleTick();
+
+        logger.info('[Job] 任务队列已启动', {
+            workerId: this.workerId,
+            storage: this.storageMode,
+            concurrency: config.jobs.concurrency,
+            types: [...this.handlers.keys()],
+        });
+    }
+
+    /**
+     * 立即认领并执行到期的任务，直到没有可执行的任务或超过等待时长
+     * 用于没有常驻进程的部署（如 Vercel）：定时调用 POST /api/jobs/run 代替 startWorker() 的轮询
+     * @param {object} options
+     * @param {number} options.budgetMs 最长等待时长（毫秒），到时仍在执行的任务继续在后台执行
+     * @returns {Promise<{ claimed: number, running: number }>} 本次认领的任务数，以及返回时仍在执行的任务数
+     */
+    async runPending({ budgetMs = config.jobs.runBudget } = {}) {
+        const deadline = Date.now() + budgetMs;
+        let claimed = 0;
+
+        while (Date.now() < deadline) {
+            // 等待进行中的认领结束，避免同时认领超出并发上限
+            while (this.ticking) {
+                await new Promise(resolve => setTimeout(resolve, 10));
+            }
+            claimed += await this._tick();
+
+            const executions = [...this.running.values()].map(r => r.execution?.catch(() => {}));
+            if (executions.length === 0) break;
+
+            // 任一任务结束后继续认领
+            let timer;
+            const timeout = new Promise((resolve) => {
+                timer = setTimeout(resolve, Math.max(0, deadline - Date.now()));
+            });
+            await Promise.race([...executions, timeout]);
+            clearTimeout(timer);
+        }
+
+        return { claimed, running: this.running.size };
+    }
+
+    /**
+     * 停止工作进程轮询（正在执行的任务不受影响）
+     */
+    stopWorker() {
+        if (this.timer) {
+            clearInterval(this.timer);
+            this.timer = null;
+        }
+    }
+}
+
+// 创建单例
+const jobService = new JobService();
+
+module.exports = jobService;
+module.exports.JOB_STATUS = JOB_STATUS;
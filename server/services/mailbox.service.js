@@ -5,17 +5,67 @@
  * 1. 如果 USE_LEGACY_STORAGE=true，使用旧存储（Blob/JSON）
  * 2. 如果 DATABASE_URL 已配置，使用 PostgreSQL
  * 3. 否则回退到 Blob/JSON
+ *
+ * 数据隔离：
+ * 公共方法的最后一个参数 actor 为当前用户 { id, role }；
+ * 无 mailbox:read_all 权限的用户只能访问 owner_id 为自己的邮箱，管理员及未传 actor 的内部调用不受限制
  */
 
 const fs = require('fs').promises;
 const path = require('path');
 const { v4: uuidv4 } = require('uuid');
-const { eq, and } = require('drizzle-orm');
+const { eq, and, inArray } = require('drizzle-orm');
 const config = require('../config');
 const { readJSONBlob, writeJSONBlob } = require('../utils/blob-store');
 const { getDb, isDatabaseAvailable, schema } = require('../db');
+const { PERMISSIONS, hasPermission } = require('../utils/permissions');
+const { encryptField, decryptField } = require('../utils/field-crypto');
+const auditService = require('./audit.service');
+const webhookService = require('./webhook.service');
+const userService = require('./user.service');
+const { isMailProvider } = require('../mail-providers');
+const { AUDIT_ACTIONS } = auditService;
+const { WEBHOOK_EVENTS } = webhookService;
 const { mailboxes } = schema;
 
+/**
+ * 邮箱健康状态（生命周期）
+ * active → suspect（连续失效未达阈值）→ quarantined（隔离中）→ dead（隔离期满，停用）
+ * 任意一次检测正常即恢复为 active
+ */
+const MAILBOX_STATUS = Object.freeze({
+    ACTIVE: 'active',
+    SUSPECT: 'suspect',
+    QUARANTINED: 'quarantined',
+    DEAD: 'dead',
+});
+
+const UUID_REGEX = /^[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}$/i;
+
+// 重新导入或手动恢复时重置的健康状态字段
+const LIFECYCLE_RESET = Object.freeze({
+    status: MAILBOX_STATUS.ACTIVE,
+    consecutive_failures: 0,
+    quarantined_at: null,
+});
+
+/**
+ * 旧数据没有 status 字段，视为 active
+ */
+function statusOf(mailbox) {
+    return mailbox.status || MAILBOX_STATUS.ACTIVE;
+}
+
+/**
+ * 凭证脱敏：保留首尾少量字符便于人工核对
+ */
+function maskSecret(value) {
+    if (!value) return value;
+    const str = String(value);
+    if (str.length <= 12) return '******';
+    return `${str.slice(0, 4)}******${str.slice(-4)}`;
+}
+
 class MailboxService {
     constructor() {
         this.dataDir = config.dataDir;
@@ -151,40 +201,120 @@ class MailboxService {
         }
     }
 
+    // ============================================================
+    // 数据隔离
+    // ============================================================
+
+    /**
+     * 调用方是否可访问所有邮箱（管理员或内部调用）
+     * @private
+     */
+    _canAccessAll(actor) {
+        return !actor || hasPermission(actor, PERMISSIONS.MAILBOX_READ_ALL);
+    }
+
+    /**
+     * 调用方是否可访问该邮箱
+     * @private
+     */
+    _isVisibleTo(mailbox, actor) {
+        return this._canAccessAll(actor) || mailbox.owner_id === actor.id;
+    }
+
+    /**
+     * PostgreSQL 归属过滤条件（无需过滤时返回 undefined，and() 会忽略）
+     * @private
+     */
+    _ownerFilter(actor) {
+        return this._canAccessAll(actor) ? undefined : eq(mailboxes.ownerId, actor.id);
+    }
+
     // ============================================================
     // 数据转换方法
     // ============================================================
 
     /**
-     * 数据库行转换为 JSON 格式
+     * 数据库行转换为 JSON 格式（解密凭证字段）
      * @private
      */
     _dbRowToJson(row) {
         return {
             id: row.id,
             email: row.email,
-            password: row.password,
+            password: decryptField(row.password),
             client_id: row.clientId,
-            refresh_token: row.refreshToken,
+            refresh_token: decryptField(row.refreshToken),
             is_active: row.isActive,
             source: row.source,
+            provider: row.provider || null,
+            owner_id: row.ownerId || null,
+            status: row.status || MAILBOX_STATUS.ACTIVE,
+            consecutive_failures: row.consecutiveFailures || 0,
+            quarantined_at: row.quarantinedAt?.toISOString() || null,
+            last_checked_at: row.lastCheckedAt?.toISOString() || null,
+            last_refreshed_at: row.lastRefreshedAt?.toISOString() || null,
             created_at: row.createdAt?.toISOString(),
             updated_at: row.updatedAt?.toISOString(),
         };
     }
 
     /**
-     * JSON 格式转换为数据库插入值
+     * 健康状态和令牌刷新时间字段（JSON 格式）转换为数据库更新值
+     * @private
+     */
+    _lifecycleToDb(changes) {
+        const toDate = (value) => (value ? new Date(value) : null);
+        const values = {};
+        if ('status' in changes) values.status = changes.status;
+        if ('consecutive_failures' in changes) values.consecutiveFailures = changes.consecutive_failures;
+        if ('quarantined_at' in changes) values.quarantinedAt = toDate(changes.quarantined_at);
+        if ('last_checked_at' in changes) values.lastCheckedAt = toDate(changes.last_checked_at);
+        if ('last_refreshed_at' in changes) values.lastRefreshedAt = toDate(changes.last_refreshed_at);
+        if ('is_active' in changes) values.isActive = changes.is_active;
+        return values;
+    }
+
+    /**
+     * 凭证字段脱敏（password / refresh_token），用于接口返回
+     * 明文凭证只能通过 revealCredentials() 获取
+     */
+    toPublic(mailbox) {
+        if (!mailbox) return mailbox;
+        return {
+            ...mailbox,
+            password: mailbox.password ? '******' : mailbox.password,
+            refresh_token: maskSecret(mailbox.refresh_token),
+        };
+    }
+
+    /**
+     * 提取凭证字段
+     * @private
+     */
+    _toCredentials(mailbox) {
+        return {
+            id: mailbox.id,
+            email: mailbox.email,
+            password: mailbox.password,
+            client_id: mailbox.client_id,
+            refresh_token: mailbox.refresh_token,
+        };
+    }
+
+    /**
+     * JSON 格式转换为数据库插入值（加密凭证字段）
      * @private
      */
     _jsonToDbValues(data) {
         return {
             email: data.email,
-            password: data.password,
+            password: encryptField(data.password),
             clientId: data.client_id,
-            refreshToken: data.refresh_token,
+            refreshToken: encryptField(data.refresh_token),
             isActive: data.is_active !== false,
             source: data.source || 'manual',
+            provider: data.provider || null,
+            ownerId: data.owner_id || null,
         };
     }
 
@@ -194,30 +324,53 @@ class MailboxService {
 
     /**
      * 获取所有活跃邮箱
+     * @param {object|null} actor 当前用户，非管理员仅返回自己的邮箱
      */
-    async getAllMailboxes() {
+    async getAllMailboxes(actor = null) {
         if (this.storageMode === 'postgres') {
             const db = getDb();
-            const rows = await db.select().from(mailboxes).where(eq(mailboxes.isActive, true));
+            const rows = await db.select().from(mailboxes)
+                .where(and(eq(mailboxes.isActive, true), this._ownerFilter(actor)));
             return rows.map(row => this._dbRowToJson(row));
         }
 
         const data = await this._readMailboxesLegacy();
-        return data.filter(m => m.is_active !== false);
+        return data.filter(m => m.is_active !== false && this._isVisibleTo(m, actor));
     }
 
     /**
      * 根据ID获取邮箱
      */
-    async getMailboxById(id) {
+    async getMailboxById(id, actor = null) {
         if (this.storageMode === 'postgres') {
             const db = getDb();
-            const rows = await db.select().from(mailboxes).where(eq(mailboxes.id, id));
+            const rows = await db.select().from(mailboxes)
+                .where(and(eq(mailboxes.id, id), this._ownerFilter(actor)));
             return rows.length > 0 ? this._dbRowToJson(rows[0]) : null;
         }
 
         const data = await this._readMailboxesLegacy();
-        return data.find(m => m.id === id) || null;
+        return data.find(m => m.id === id && this._isVisibleTo(m, actor)) || null;
+    }
+
+    /**
+     * 根据ID列表获取邮箱（含已停用的邮箱），不存在或不可见的ID被忽略
+     * @param {string[]} ids
+     * @param {object|null} actor 当前用户
+     */
+    async getMailboxesByIds(ids = [], actor = null) {
+        if (ids.length === 0) return [];
+
+        if (this.storageMode === 'postgres') {
+            const db = getDb();
+            const rows = await db.select().from(mailboxes)
+                .where(and(inArray(mailboxes.id, ids), this._ownerFilter(actor)));
+            return rows.map(row => this._dbRowToJson(row));
+        }
+
+        const wanted = new Set(ids);
+        const data = await this._readMailboxesLegacy();
+        return data.filter(m => wanted.has(m.id) && this._isVisibleTo(m, actor));
     }
 
     /**
@@ -236,11 +389,13 @@ class MailboxService {
     }
 
     /**
-     * 添加单个邮箱
+     * 添加单个邮箱（归属于 actor）
      */
-    async addMailbox(mailboxData) {
+    async addMailbox(mailboxData, actor = null) {
         const { email, password, client_id, refresh_token } = mailboxData;
         const source = mailboxData.source || 'manual';
+        const provider = mailboxData.provider || null;
+        const ownerId = actor?.id || null;
 
         // 验证必填字段
         if (!email || !password || !client_id || !refresh_token) {
@@ -258,6 +413,7 @@ class MailboxService {
         if (password.length > 1024) throw new Error('密码过长（最大 1024 字符）');
         if (client_id.length > 255) throw new Error('客户端 ID 过长（最大 255 字符）');
         if (refresh_token.length > 2048) throw new Error('刷新令牌过长（最大 2048 字符）');
+        if (provider && !isMailProvider(provider)) throw new Error('邮件服务提供方无效');
 
         if (this.storageMode === 'postgres') {
             const db = getDb();
@@ -273,33 +429,54 @@ class MailboxService {
                 // 重新激活已删除的邮箱
                 const [updated] = await db.update(mailboxes)
                     .set({
-                        password,
+                        password: encryptField(password),
                         clientId: client_id,
-                        refreshToken: refresh_token,
+                        refreshToken: encryptField(refresh_token),
                         isActive: true,
+                        provider,
+                        ownerId,
+                        ...this._lifecycleToDb(LIFECYCLE_RESET),
                         updatedAt: new Date(),
                     })
                     .where(eq(mailboxes.id, row.id))
                     .returning();
-                return this._dbRowToJson(updated);
+                const mailbox = this._dbRowToJson(updated);
+                await auditService.record({
+                    action: AUDIT_ACTIONS.MAILBOX_CREATE,
+                    actor,
+                    mailbox,
+                    details: { source: mailbox.source, reactivated: true },
+                });
+                await this._emitMailboxEvent(WEBHOOK_EVENTS.MAILBOX_CREATED, [mailbox]);
+                return mailbox;
             }
 
             // 创建新邮箱
             const [inserted] = await db.insert(mailboxes)
                 .values({
                     email,
-                    password,
+                    password: encryptField(password),
                     clientId: client_id,
-                    refreshToken: refresh_token,
+                    refreshToken: encryptField(refresh_token),
                     isActive: true,
                     source,
+                    provider,
+                    ownerId,
                 })
                 .returning();
-            return this._dbRowToJson(inserted);
+            const mailbox = this._dbRowToJson(inserted);
+            await auditService.record({
+                action: AUDIT_ACTIONS.MAILBOX_CREATE,
+                actor,
+                mailbox,
+                details: { source, reactivated: false },
+            });
+            await this._emitMailboxEvent(WEBHOOK_EVENTS.MAILBOX_CREATED, [mailbox]);
+            return mailbox;
         }
 
         // 旧存储模式
-        return this._acquireWriteLock(async () => {
+        const { mailbox, reactivated } = await this._acquireWriteLock(async () => {
             const allMailboxes = await this._readMailboxesLegacy();
             const existing = allMailboxes.find(m => m.email === email);
 
@@ -315,6 +492,9 @@ class MailboxService {
                 existing.client_id = client_id;
                 existing.refresh_token = refresh_token;
                 existing.is_active = true;
+                existing.provider = provider;
+                existing.owner_id = ownerId;
+                Object.assign(existing, LIFECYCLE_RESET);
                 existing.updated_at = now;
                 existing.source = existing.source || source;
                 mailbox = existing;
@@ -327,6 +507,9 @@ class MailboxService {
                     refresh_token,
                     is_active: true,
                     source,
+                    provider,
+                    owner_id: ownerId,
+                    ...LIFECYCLE_RESET,
                     created_at: now,
                     updated_at: now,
                 };
@@ -334,42 +517,64 @@ class MailboxService {
             }
 
             await this._writeMailboxesLegacy(allMailboxes);
-            return mailbox;
+            return { mailbox, reactivated: !!existing };
         });
+
+        await auditService.record({
+            action: AUDIT_ACTIONS.MAILBOX_CREATE,
+            actor,
+            mailbox,
+            details: { source: mailbox.source, reactivated },
+        });
+        await this._emitMailboxEvent(WEBHOOK_EVENTS.MAILBOX_CREATED, [mailbox]);
+        return mailbox;
     }
 
     /**
-     * 批量添加邮箱
+     * 校验一条批量导入的邮箱数据（完整性、字段长度、邮箱格式）
+     * @param {object} mailbox { email, password, client_id, refresh_token, provider? }
+     * @throws {Error} 数据无效时抛出，消息说明原因
      */
-    async addMailboxesBatch(mailboxesData) {
+    validateMailboxData(mailbox) {
+        if (!mailbox.email || !mailbox.password || !mailbox.client_id || !mailbox.refresh_token) {
+            throw new Error('邮箱配置信息不完整');
+        }
+        // 字段长度校验
+        if (mailbox.email.length > 255) {
+            throw new Error(`邮箱地址过长: ${mailbox.email.substring(0, 50)}...`);
+        }
+        if (mailbox.password.length > 1024) {
+            throw new Error('密码过长（超过1024字符）');
+        }
+        if (mailbox.client_id.length > 255) {
+            throw new Error('client_id 过长');
+        }
+        if (mailbox.refresh_token.length > 2048) {
+            throw new Error('refresh_token 过长');
+        }
+        // 邮箱格式校验
+        const emailRegex = /^[^\s@]+@[^\s@]+\.[^\s@]+$/;
+        if (!emailRegex.test(mailbox.email)) {
+            throw new Error(`邮箱格式无效: ${mailbox.email}`);
+        }
+        if (mailbox.provider && !isMailProvider(mailbox.provider)) {
+            throw new Error(`邮件服务提供方无效: ${mailbox.email}`);
+        }
+    }
+
+    /**
+     * 批量添加邮箱（归属于 actor）
+     * 任意一条数据无效时整批拒绝，见 validateMailboxData()
+     */
+    async addMailboxesBatch(mailboxesData, actor = null) {
+        const ownerId = actor?.id || null;
+
         if (!Array.isArray(mailboxesData) || mailboxesData.length === 0) {
             throw new Error('邮箱数据格式错误');
         }
 
         // 验证每个邮箱的数据完整性和字段长度
-        for (const mailbox of mailboxesData) {
-            if (!mailbox.email || !mailbox.password || !mailbox.client_id || !mailbox.refresh_token) {
-                throw new Error('邮箱配置信息不完整');
-            }
-            // 字段长度校验
-            if (mailbox.email.length > 255) {
-                throw new Error(`邮箱地址过长: ${mailbox.email.substring(0, 50)}...`);
-            }
-            if (mailbox.password.length > 1024) {
-                throw new Error('密码过长（超过1024字符）');
-            }
-            if (mailbox.client_id.length > 255) {
-                throw new Error('client_id 过长');
-            }
-            if (mailbox.refresh_token.length > 2048) {
-                throw new Error('refresh_token 过长');
-            }
-            // 邮箱格式校验
-            const emailRegex = /^[^\s@]+@[^\s@]+\.[^\s@]+$/;
-            if (!emailRegex.test(mailbox.email)) {
-                throw new Error(`邮箱格式无效: ${mailbox.email}`);
-            }
-        }
+        mailboxesData.forEach(mailbox => this.validateMailboxData(mailbox));
 
         if (this.storageMode === 'postgres') {
             const db = getDb();
@@ -386,11 +591,13 @@ class MailboxService {
                     const [inserted] = await db.insert(mailboxes)
                         .values({
                             email: data.email,
-                            password: data.password,
+                            password: encryptField(data.password),
                             clientId: data.client_id,
-                            refreshToken: data.refresh_token,
+                            refreshToken: encryptField(data.refresh_token),
                             isActive: true,
                             source,
+                            provider: data.provider || null,
+                            ownerId,
                         })
                         .returning();
                     added.push(this._dbRowToJson(inserted));
@@ -398,10 +605,13 @@ class MailboxService {
                     // 重新激活
                     const [updated] = await db.update(mailboxes)
                         .set({
-                            password: data.password,
+                            password: encryptField(data.password),
                             clientId: data.client_id,
-                            refreshToken: data.refresh_token,
+                            refreshToken: encryptField(data.refresh_token),
                             isActive: true,
+                            provider: data.provider || null,
+                            ownerId,
+                            ...this._lifecycleToDb(LIFECYCLE_RESET),
                             updatedAt: new Date(),
                         })
                         .where(eq(mailboxes.id, existing[0].id))
@@ -412,17 +622,20 @@ class MailboxService {
                 }
             }
 
-            return {
+            const result = {
                 data: [...added, ...reactivated],
                 added: added.length,
                 reactivated: reactivated.length,
                 skipped: skipped.length,
                 skippedEmails: skipped,
             };
+            await this._auditBatchCreate(result.data, actor);
+            await this._emitMailboxEvent(WEBHOOK_EVENTS.MAILBOX_CREATED, result.data);
+            return result;
         }
 
         // 旧存储模式
-        return this._acquireWriteLock(async () => {
+        const result = await this._acquireWriteLock(async () => {
             const existingMailboxes = await this._readMailboxesLegacy();
             const now = new Date().toISOString();
             const emailMap = new Map(existingMailboxes.map(m => [m.email, m]));
@@ -444,6 +657,9 @@ class MailboxService {
                         refresh_token: mailboxData.refresh_token,
                         is_active: true,
                         source,
+                        provider: mailboxData.provider || null,
+                        owner_id: ownerId,
+                        ...LIFECYCLE_RESET,
                         created_at: now,
                         updated_at: now,
                     };
@@ -455,6 +671,9 @@ class MailboxService {
                     current.client_id = mailboxData.client_id;
                     current.refresh_token = mailboxData.refresh_token;
                     current.is_active = true;
+                    current.provider = mailboxData.provider || null;
+                    current.owner_id = ownerId;
+                    Object.assign(current, LIFECYCLE_RESET);
                     current.updated_at = now;
                     current.source = current.source || source;
                     reactivated.push(current);
@@ -473,43 +692,110 @@ class MailboxService {
                 skippedEmails: skipped,
             };
         });
+
+        await this._auditBatchCreate(result.data, actor);
+        await this._emitMailboxEvent(WEBHOOK_EVENTS.MAILBOX_CREATED, result.data);
+        return result;
+    }
+
+    /**
+     * 发送邮箱相关的 Webhook 事件，一批邮箱一个事件，只包含非敏感字段
+     * @private
+     */
+    async _emitMailboxEvent(event, mailboxList, extra = {}) {
+        if (mailboxList.length === 0) return;
+
+        await webhookService.emit(event, {
+            ...extra,
+            count: mailboxList.length,
+            mailboxes: mailboxList.map(m => ({
+                id: m.id,
+                email: m.email,
+                source: m.source,
+                status: m.status,
+                owner_id: m.owner_id ?? null,
+            })),
+        });
+    }
+
+    /**
+     * 批量导入的审计记录：每个新增/重新激活的邮箱一条
+     * @private
+     */
+    async _auditBatchCreate(mailboxList, actor) {
+        await auditService.recordMany(mailboxList.map(mailbox => ({
+            action: AUDIT_ACTIONS.MAILBOX_BATCH_CREATE,
+            actor,
+            mailbox,
+            details: { source: mailbox.source },
+        })));
     }
 
     /**
      * 更新邮箱
+     * 管理员可通过 owner_id 转移邮箱归属；provider 为空字符串或 null 时恢复使用部署默认的邮件服务提供方
      */
-    async updateMailbox(id, updateData) {
-        const { email, password, client_id, refresh_token } = updateData;
+    async updateMailbox(id, updateData, actor = null) {
+        const { email, password, client_id, refresh_token, owner_id, provider } = updateData;
+
+        if (provider && !isMailProvider(provider)) {
+            throw new Error('邮件服务提供方无效');
+        }
 
         const data = {};
         if (email) data.email = email;
         if (password) data.password = password;
         if (client_id) data.clientId = client_id;
         if (refresh_token) data.refreshToken = refresh_token;
+        if (provider !== undefined) data.provider = provider || null;
+        if (owner_id !== undefined && this._canAccessAll(actor)) data.ownerId = owner_id || null;
 
         if (Object.keys(data).length === 0) {
             throw new Error('没有提供要更新的数据');
         }
 
+        // 转移到不存在的用户后，除管理员外没有人能看到该邮箱
+        if (data.ownerId) {
+            const owner = typeof data.ownerId === 'string' && UUID_REGEX.test(data.ownerId)
+                ? await userService.getUserById(data.ownerId)
+                : null;
+            if (!owner) {
+                throw new Error('归属用户不存在');
+            }
+        }
+
+        // 审计只记录修改了哪些字段，不记录凭证内容
+        const changedFields = Object.keys(updateData).filter(key =>
+            ['email', 'password', 'client_id', 'refresh_token', 'provider', 'owner_id'].includes(key) && updateData[key] !== undefined);
+
         if (this.storageMode === 'postgres') {
             const db = getDb();
             data.updatedAt = new Date();
+            if (data.password) data.password = encryptField(data.password);
+            if (data.refreshToken) data.refreshToken = encryptField(data.refreshToken);
 
             const [updated] = await db.update(mailboxes)
                 .set(data)
-                .where(eq(mailboxes.id, id))
+                .where(and(eq(mailboxes.id, id), this._ownerFilter(actor)))
                 .returning();
 
             if (!updated) {
                 throw new Error('邮箱不存在');
             }
-            return this._dbRowToJson(updated);
+            const mailbox = this._dbRowToJson(updated);
+            await auditService.record({
+                action: AUDIT_ACTIONS.MAILBOX_UPDATE,
+                actor,
+                mailbox,
+                details: { fields: changedFields },
+            });
+            return mailbox;
         }
 
         // 旧存储模式
-        return this._acquireWriteLock(async () => {
+        const mailbox = await this._acquireWriteLock(async () => {
             const allMailboxes = await this._readMailboxesLegacy();
-            const mailbox = allMailboxes.find(m => m.id === id);
+            const mailbox = allMailboxes.find(m => m.id === id && this._isVisibleTo(m, actor));
 
             if (!mailbox) {
                 throw new Error('邮箱不存在');
@@ -518,35 +804,71 @@ class MailboxService {
             // 转换字段名
             if (data.clientId) { data.client_id = data.clientId; delete data.clientId; }
             if (data.refreshToken) { data.refresh_token = data.refreshToken; delete data.refreshToken; }
+            if (data.ownerId !== undefined) { data.owner_id = data.ownerId; delete data.ownerId; }
 
             Object.assign(mailbox, data, { updated_at: new Date().toISOString() });
 
             await this._writeMailboxesLegacy(allMailboxes);
             return mailbox;
         });
+
+        await auditService.record({
+            action: AUDIT_ACTIONS.MAILBOX_UPDATE,
+            actor,
+            mailbox,
+            details: { fields: changedFields },
+        });
+        return mailbox;
+    }
+
+    /**
+     * 保存换取访问令牌后的刷新令牌
+     * 微软每次换取访问令牌都会签发新的刷新令牌，旧令牌随后失效；新令牌与已保存的不同时通过 updateMailbox() 保存（记录审计日志），
+     * 无论是否轮换都记录 last_refreshed_at
+     * @param {string} id 邮箱ID
+     * @param {string|null} refreshToken 新的刷新令牌，未返回时为空
+     * @param {object|null} actor 当前用户；为空表示内部调用
+     * @returns {Promise<boolean>} 刷新令牌是否已轮换
+     */
+    async saveRefreshedToken(id, refreshToken, actor = null) {
+        const mailbox = await this.getMailboxById(id, actor);
+        if (!mailbox) {
+            throw new Error('邮箱不存在');
+        }
+
+        const rotated = Boolean(refreshToken) && refreshToken !== mailbox.refresh_token;
+        if (rotated) {
+            await this.updateMailbox(id, { refresh_token: refreshToken }, actor);
+        }
+
+        const now = new Date().toISOString();
+        await this._updateLifecycle([id], actor, () => ({ last_refreshed_at: now }));
+
+        return rotated;
     }
 
     /**
      * 删除邮箱（软删除）
      */
-    async deleteMailbox(id) {
+    async deleteMailbox(id, actor = null) {
         if (this.storageMode === 'postgres') {
             const db = getDb();
             const [updated] = await db.update(mailboxes)
                 .set({ isActive: false, updatedAt: new Date() })
-                .where(eq(mailboxes.id, id))
+                .where(and(eq(mailboxes.id, id), this._ownerFilter(actor)))
                 .returning();
 
             if (!updated) {
                 throw new Error('邮箱不存在');
             }
+            await auditService.record({ action: AUDIT_ACTIONS.MAILBOX_DELETE, actor, mailbox: updated });
             return { message: '邮箱删除成功' };
         }
 
         // 旧存储模式
-        return this._acquireWriteLock(async () => {
+        const mailbox = await this._acquireWriteLock(async () => {
             const allMailboxes = await this._readMailboxesLegacy();
-            const mailbox = allMailboxes.find(m => m.id === id);
+            const mailbox = allMailboxes.find(m => m.id === id && this._isVisibleTo(m, actor));
 
             if (!mailbox) {
                 throw new Error('邮箱不存在');
@@ -556,51 +878,64 @@ class MailboxService {
             mailbox.updated_at = new Date().toISOString();
 
             await this._writeMailboxesLegacy(allMailboxes);
-            return { message: '邮箱删除成功' };
+            return mailbox;
         });
+
+        await auditService.record({ action: AUDIT_ACTIONS.MAILBOX_DELETE, actor, mailbox });
+        return { message: '邮箱删除成功' };
     }
 
     /**
      * 批量删除邮箱（软删除）
+     * 不属于 actor 的邮箱会被忽略，不计入 deleted
+     * @param {string[]} ids
+     * @param {object|null} actor 当前用户
+     * @param {object|null} auditDetails 写入审计日志的附加信息（如删除原因）
      */
-    async deleteMailboxesBatch(ids = []) {
+    async deleteMailboxesBatch(ids = [], actor = null, auditDetails = null) {
         if (!Array.isArray(ids) || ids.length === 0) {
             throw new Error('缺少要删除的邮箱ID列表');
         }
 
+        const deletedMailboxes = [];
+
         if (this.storageMode === 'postgres') {
             const db = getDb();
-            let deleted = 0;
 
             for (const id of ids) {
                 const result = await db.update(mailboxes)
                     .set({ isActive: false, updatedAt: new Date() })
-                    .where(and(eq(mailboxes.id, id), eq(mailboxes.isActive, true)))
+                    .where(and(eq(mailboxes.id, id), eq(mailboxes.isActive, true), this._ownerFilter(actor)))
                     .returning();
-                if (result.length > 0) deleted++;
+                if (result.length > 0) deletedMailboxes.push(result[0]);
             }
+        } else {
+            // 旧存储模式
+            await this._acquireWriteLock(async () => {
+                const allMailboxes = await this._readMailboxesLegacy();
+                const now = new Date().toISOString();
+
+                for (const id of ids) {
+                    const mailbox = allMailboxes.find(m => m.id === id);
+                    if (mailbox && mailbox.is_active !== false && this._isVisibleTo(mailbox, actor)) {
+                        mailbox.is_active = false;
+                        mailbox.updated_at = now;
+                        deletedMailboxes.push(mailbox);
+                    }
+                }
 
-            return { message: '批量删除完成', deleted, total: ids.length };
+                await this._writeMailboxesLegacy(allMailboxes);
+            });
         }
 
-        // 旧存储模式
-        return this._acquireWriteLock(async () => {
-            const allMailboxes = await this._readMailboxesLegacy();
-            let deleted = 0;
-            const now = new Date().toISOString();
+        await auditService.recordMany(deletedMailboxes.map(mailbox => ({
+            action: AUDIT_ACTIONS.MAILBOX_BATCH_DELETE,
+            actor,
+            mailbox,
+            details: auditDetails,
+        })));
 
-            for (const id of ids) {
-                const mailbox = allMailboxes.find(m => m.id === id);
-                if (mailbox && mailbox.is_active !== false) {
-                    mailbox.is_active = false;
-                    mailbox.updated_at = now;
-                    deleted++;
-                }
-            }
-
-            await this._writeMailboxesLegacy(allMailboxes);
-            return { message: '批量删除完成', deleted, total: ids.length };
-        });
+        return { message: '批量删除完成', deleted: deletedMailboxes.length, total: ids.length };
     }
 
     /**
@@ -633,10 +968,10 @@ class MailboxService {
     /**
      * 获取邮箱统计信息
      */
-    async getStatistics() {
+    async getStatistics(actor = null) {
         if (this.storageMode === 'postgres') {
             const db = getDb();
-            const all = await db.select().from(mailboxes);
+            const all = await db.select().from(mailboxes).where(this._ownerFilter(actor));
             const active = all.filter(m => m.isActive);
             return {
                 total: all.length,
@@ -645,7 +980,7 @@ class MailboxService {
             };
         }
 
-        const allMailboxes = await this._readMailboxesLegacy();
+        const allMailboxes = (await this._readMailboxesLegacy()).filter(m => this._isVisibleTo(m, actor));
         return {
             total: allMailboxes.length,
             active: allMailboxes.filter(m => m.is_active !== false).length,
@@ -653,77 +988,329 @@ class MailboxService {
         };
     }
 
+    // ============================================================
+    // 健康状态（隔离）
+    // ============================================================
+
+    /**
+     * 按条件更新调用方可见的活跃邮箱的健康状态字段
+     * @private
+     * @param {string[]|null} ids 只处理指定ID；为 null 时处理全部可见邮箱
+     * @param {object|null} actor 当前用户
+     * @param {(mailbox: object) => object|null} computeChanges 返回要修改的字段（JSON 格式），无需修改时返回 null
+     * @returns {Promise<Array<{ before: object, after: object }>>}
+     */
+    async _updateLifecycle(ids, actor, computeChanges) {
+        const changed = [];
+
+        if (this.storageMode === 'postgres') {
+            const db = getDb();
+            const rows = await db.select().from(mailboxes).where(and(
+                eq(mailboxes.isActive, true),
+                ids ? inArray(mailboxes.id, ids) : undefined,
+                this._ownerFilter(actor)
+            ));
+
+            for (const row of rows) {
+                const before = this._dbRowToJson(row);
+                const changes = computeChanges(before);
+                if (!changes) continue;
+
+                const values = this._lifecycleToDb(changes);
+                if (changes.status && changes.status !== before.status) values.updatedAt = new Date();
+
+                const [updated] = await db.update(mailboxes)
+                    .set(values)
+                    .where(eq(mailboxes.id, row.id))
+                    .returning();
+                changed.push({ before, after: this._dbRowToJson(updated) });
+            }
+            return changed;
+        }
+
+        return this._acquireWriteLock(async () => {
+            const allMailboxes = await this._readMailboxesLegacy();
+            const wanted = ids ? new Set(ids) : null;
+            const now = new Date().toISOString();
+
+            for (const mailbox of allMailboxes) {
+                if (mailbox.is_active === false || !this._isVisibleTo(mailbox, actor)) continue;
+                if (wanted && !wanted.has(mailbox.id)) continue;
+
+                const before = { ...mailbox, status: statusOf(mailbox) };
+                const changes = computeChanges(before);
+                if (!changes) continue;
+
+                Object.assign(mailbox, changes);
+                if (changes.status && changes.status !== before.status) mailbox.updated_at = now;
+                changed.push({ before, after: mailbox });
+            }
+
+            if (changed.length > 0) {
+                await this._writeMailboxesLegacy(allMailboxes);
+            }
+            return changed;
+        });
+    }
+
+    /**
+     * 根据健康检查结果更新邮箱状态
+     * - healthy：恢复为 active，连续失败次数清零
+     * - invalid（外部 API 返回 500）：连续失败次数 +1，未达阈值为 suspect，达到阈值进入 quarantined
+     * - error（超时等临时错误）：不改变状态
+     * @param {Array<{ mailbox_id: string, status: string }>} results 健康检查记录
+     * @param {object|null} actor 当前用户
+     * @returns {Promise<{ quarantined: Array, restored: Array }>} 本次新进入隔离 / 从隔离恢复的邮箱
+     */
+    async applyHealthResults(results = [], actor = null) {
+        const outcomes = new Map(results.map(r => [r.mailbox_id, r.status]));
+        if (outcomes.size === 0) return { quarantined: [], restored: [] };
+
+        const now = new Date().toISOString();
+        const { failureThreshold } = config.quarantine;
+
+        const changed = await this._updateLifecycle([...outcomes.keys()], actor, (mailbox) => {
+            const outcome = outcomes.get(mailbox.id);
+
+            if (outcome === 'healthy') {
+                return { ...LIFECYCLE_RESET, last_checked_at: now };
+            }
+
+            if (outcome === 'invalid') {
+                const failures = (mailbox.consecutive_failures || 0) + 1;
+                const quarantine = failures >= failureThreshold;
+                return {
+                    status: quarantine ? MAILBOX_STATUS.QUARANTINED : MAILBOX_STATUS.SUSPECT,
+                    consecutive_failures: failures,
+                    quarantined_at: quarantine ? (mailbox.quarantined_at || now) : null,
+                    last_checked_at: now,
+                };
+            }
+
+            return { last_checked_at: now };
+        });
+
+        const quarantined = changed
+            .filter(c => c.before.status !== MAILBOX_STATUS.QUARANTINED && c.after.status === MAILBOX_STATUS.QUARANTINED)
+            .map(c => c.after);
+        const restored = changed
+            .filter(c => c.before.status === MAILBOX_STATUS.QUARANTINED && c.after.status === MAILBOX_STATUS.ACTIVE)
+            .map(c => c.after);
+
+        await auditService.recordMany([
+            ...quarantined.map(mailbox => ({
+                action: AUDIT_ACTIONS.MAILBOX_QUARANTINE,
+                actor,
+                mailbox,
+                details: { consecutive_failures: mailbox.consecutive_failures },
+            })),
+            ...restored.map(mailbox => ({
+                action: AUDIT_ACTIONS.MAILBOX_RESTORE,
+                actor,
+                mailbox,
+                details: { reason: 'check_passed' },
+            })),
+        ]);
+        await this._emitMailboxEvent(WEBHOOK_EVENTS.MAILBOX_INVALIDATED, quarantined, { status: MAILBOX_STATUS.QUARANTINED });
+
+        return { quarantined, restored };
+    }
+
     /**
-     * 按来源校验邮箱，外部 API 返回 500 时视为失效并软删除
+     * 停用隔离期满仍未恢复的邮箱（状态改为 dead 并软删除）
+     * @param {object|null} actor 当前用户，只处理其可见的邮箱；为空表示定时任务
+     * @returns {Promise<Array>} 被停用的邮箱
+     */
+    async expireQuarantined(actor = null) {
+        const cutoff = Date.now() - config.quarantine.gracePeriodHours * 60 * 60 * 1000;
+
+        const changed = await this._updateLifecycle(null, actor, (mailbox) => {
+            if (mailbox.status !== MAILBOX_STATUS.QUARANTINED || !mailbox.quarantined_at) return null;
+            if (new Date(mailbox.quarantined_at).getTime() > cutoff) return null;
+            return { status: MAILBOX_STATUS.DEAD, is_active: false };
+        });
+
+        const expired = changed.map(c => c.after);
+        await auditService.recordMany(expired.map(mailbox => ({
+            action: AUDIT_ACTIONS.MAILBOX_BATCH_DELETE,
+            actor,
+            mailbox,
+            details: { reason: 'quarantine_expired', consecutive_failures: mailbox.consecutive_failures },
+        })));
+        await this._emitMailboxEvent(WEBHOOK_EVENTS.MAILBOX_INVALIDATED, expired, { status: MAILBOX_STATUS.DEAD });
+
+        return expired;
+    }
+
+    /**
+     * 获取隔离中（quarantined）和可疑（suspect）的邮箱
+     * @param {object|null} actor 当前用户
+     * @returns {Promise<Array>} 附带 expires_at（隔离期满、将被停用的时间）
+     */
+    async getQuarantinedMailboxes(actor = null) {
+        const graceMs = config.quarantine.gracePeriodHours * 60 * 60 * 1000;
+        const all = await this.getAllMailboxes(actor);
+
+        return all
+            .filter(m => [MAILBOX_STATUS.SUSPECT, MAILBOX_STATUS.QUARANTINED].includes(statusOf(m)))
+            .map(m => ({
+                ...m,
+                expires_at: m.quarantined_at
+                    ? new Date(new Date(m.quarantined_at).getTime() + graceMs).toISOString()
+                    : null,
+            }))
+            .sort((a, b) => (b.consecutive_failures || 0) - (a.consecutive_failures || 0));
+    }
+
+    /**
+     * 手动恢复隔离中 / 可疑的邮箱为 active
+     * @param {string[]} ids 邮箱ID列表
+     * @param {object|null} actor 当前用户
+     * @returns {Promise<{ restored: number, data: Array }>}
+     */
+    async restoreMailboxes(ids = [], actor = null) {
+        if (!Array.isArray(ids) || ids.length === 0) {
+            throw new Error('缺少要恢复的邮箱ID列表');
+        }
+
+        const changed = await this._updateLifecycle(ids, actor, (mailbox) => (
+            mailbox.status === MAILBOX_STATUS.ACTIVE ? null : { ...LIFECYCLE_RESET }
+        ));
+
+        await auditService.recordMany(changed.map(({ before, after }) => ({
+            action: AUDIT_ACTIONS.MAILBOX_RESTORE,
+            actor,
+            mailbox: after,
+            details: { reason: 'manual', previous_status: before.status },
+        })));
+
+        return { restored: changed.length, data: changed.map(c => c.after) };
+    }
+
+    /**
+     * 按来源检测邮箱有效性
+     * 检测结果写入健康检查历史并更新邮箱状态：连续失效达到阈值的邮箱进入隔离，
+     * 隔离期满仍未恢复的邮箱才会被停用（软删除）
      * @param {string[]} ids 可选，仅校验指定ID
      * @param {string|null} source 指定来源（如 'purchase'）；为 null 时校验所有来源
-     * @param {number} concurrency 并发数，默认 10
+     * @param {object} options
+     * @param {number} options.concurrency 并发数，默认 10
+     * @param {AbortSignal} options.signal 取消信号，在批次之间检查；取消后已检测的结果照常生效
+     * @param {function(object): void} options.onTotal 确定待检测数量后回调
+     * @param {function(object): void} options.onResult 每检测完一个邮箱回调 { mailbox_id, email, status, error }
+     * @param {object|null} actor 当前用户，仅校验其可见的邮箱
      */
-    async validateMailboxesBySource(ids = [], source = 'purchase', concurrency = 10) {
+    async validateMailboxesBySource(ids = [], source = 'purchase', options = {}, actor = null) {
+        const { concurrency = 10, signal = null, onTotal = null, onResult = null } = options;
+        // 延迟加载，避免与 health.service 循环依赖
+        const healthService = require('./health.service');
+
         // 获取目标邮箱
-        const allMailboxes = await this.getAllMailboxes();
+        const allMailboxes = await this.getAllMailboxes(actor);
         const target = allMailboxes.filter(m => {
             if (source && m.source !== source) return false;
             if (ids.length > 0 && !ids.includes(m.id)) return false;
             return true;
         });
 
-        let checked = 0;
-        let removed = 0;
-        const removedEmails = [];
-        const removedIds = [];
-        const errors = [];
-
-        // 并发检测函数
-        const checkMailbox = async (mailbox) => {
-            try {
-                await require('./proxy.service').getMailboxEmails(mailbox, 'inbox');
-                return { status: 'valid', mailbox };
-            } catch (err) {
-                const status = err.status || (err.message && err.message.includes('HTTP 500') ? 500 : null);
-                if (status === 500) {
-                    return { status: 'invalid', mailbox };
-                } else {
-                    return { status: 'error', mailbox, error: err.message };
-                }
-            }
-        };
+        onTotal?.(target.length);
 
-        // 分批并发处理
+        // 分批并发检测
+        const results = [];
+        let cancelled = false;
         for (let i = 0; i < target.length; i += concurrency) {
-            const batch = target.slice(i, i + concurrency);
-            const results = await Promise.all(batch.map(checkMailbox));
-
-            for (const result of results) {
-                if (result.status === 'valid') {
-                    checked++;
-                } else if (result.status === 'invalid') {
-                    removedIds.push(result.mailbox.id);
-                    removedEmails.push(result.mailbox.email);
-                    removed++;
-                } else if (result.status === 'error') {
-                    errors.push({ email: result.mailbox.email, error: result.error });
-                }
+            if (signal?.aborted) {
+                cancelled = true;
+                break;
             }
+            const batch = target.slice(i, i + concurrency);
+            results.push(...await Promise.all(batch.map(async (m) => {
+                const check = await healthService.checkMailbox(m, 'manual');
+                onResult?.({ mailbox_id: m.id, email: m.email, status: check.status, error: check.error });
+                return check;
+            })));
         }
 
-        // 批量软删除所有失效的邮箱
-        if (removedIds.length > 0) {
-            await this.deleteMailboxesBatch(removedIds);
-        }
+        await healthService.recordChecks(results);
+        const { quarantined } = await this.applyHealthResults(results, actor);
+        const expired = await this.expireQuarantined(actor);
+
+        const emailById = new Map(target.map(m => [m.id, m.email]));
+        const checked = results.filter(r => r.status === 'healthy').length;
+        const failed = results.filter(r => r.status === 'invalid').length;
+        const errors = results
+            .filter(r => r.status === 'error')
+            .map(r => ({ email: emailById.get(r.mailbox_id), error: r.error }));
+        const removedEmails = expired.map(m => m.email);
+        const quarantinedEmails = quarantined.map(m => m.email);
+
+        await auditService.record({
+            action: AUDIT_ACTIONS.MAILBOX_VALIDATE,
+            actor,
+            details: {
+                source,
+                total: target.length,
+                checked,
+                failed,
+                quarantined: quarantined.length,
+                removed: expired.length,
+                removedEmails,
+                errors: errors.length,
+                ...(cancelled && { cancelled: true }),
+            },
+        });
 
         // 返回剩余的活跃邮箱
-        const remaining = await this.getAllMailboxes();
+        const remaining = await this.getAllMailboxes(actor);
 
         return {
             checked,
-            removed,
+            failed,
+            quarantined: quarantined.length,
+            quarantinedEmails,
+            removed: expired.length,
             removedEmails,
             errors,
+            cancelled,
             data: remaining,
         };
     }
 
+    /**
+     * 获取邮箱的明文凭证（仅限调用方可见的活跃邮箱）
+     * 只查询和解密请求的邮箱；不存在、已停用或不可见的ID在 missing 中返回
+     * @param {string[]} ids 邮箱ID列表
+     * @param {object|null} actor 当前用户
+     * @returns {Promise<{ credentials: Array<{ id, email, password, client_id, refresh_token }>, missing: string[] }>}
+     */
+    async revealCredentials(ids = [], actor = null) {
+        if (!Array.isArray(ids) || ids.length === 0) {
+            throw new Error('缺少邮箱ID列表');
+        }
+        if (ids.some(id => typeof id !== 'string')) {
+            throw new Error('邮箱ID列表无效');
+        }
+
+        const wanted = [...new Set(ids)];
+        // PostgreSQL 的 id 为 uuid 列，非法 ID 直接视为不存在
+        const queryIds = this.storageMode === 'postgres' ? wanted.filter(id => UUID_REGEX.test(id)) : wanted;
+        const found = new Map((await this.getMailboxesByIds(queryIds, actor))
+            .filter(m => m.is_active !== false)
+            .map(m => [m.id, m]));
+        const revealed = wanted.filter(id => found.has(id)).map(id => found.get(id));
+
+        await auditService.recordMany(revealed.map(mailbox => ({
+            action: AUDIT_ACTIONS.MAILBOX_REVEAL,
+            actor,
+            mailbox,
+        })));
+
+        return {
+            credentials: revealed.map(m => this._toCredentials(m)),
+            missing: wanted.filter(id => !found.has(id)),
+        };
+    }
+
     // ============================================================
     // 兼容旧 API（用于测试和迁移）
     // ============================================================
@@ -758,3 +1345,4 @@ class MailboxService {
 const mailboxService = new MailboxService();
 
 module.exports = mailboxService;
+module.exports.MAILBOX_STATUS = MAILBOX_STATUS;
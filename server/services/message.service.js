@@ -0,0 +1,639 @@
+/**
+ * 邮件缓存服务层
+ *
+ * ProxyService 每次从外部邮件 API 拉取邮件后调用 saveFetched() 写入缓存，
+ * GET /api/mailboxes/:id/messages 直接读取缓存，外部 API 删除邮件或令牌失效后仍可查看。
+ * GET /api/messages/search 跨邮箱检索缓存邮件：PostgreSQL 使用全文检索，
+ * 旧存储模式使用进程内倒排索引。
+ *
+ * 存储后端与 MailboxService 一致：PostgreSQL 优先，否则回退到 Blob/JSON
+ */
+
+const crypto = require('crypto');
+const { v4: uuidv4 } = require('uuid');
+const { and, eq, gte, ilike, inArray, desc, sql } = require('drizzle-orm');
+const config = require('../config');
+const { getDb, schema } = require('../db');
+const { LegacyJsonStore, resolveStorageMode } = require('../utils/legacy-store');
+const logger = require('../utils/logger');
+const { htmlToText } = require('../utils/html-text');
+const { extractFromMessage } = require('../utils/otp-extractor');
+const mailboxService = require('./mailbox.service');
+const webhookService = require('./webhook.service');
+const { messages, messageSearchDocument } = schema;
+const { WEBHOOK_EVENTS } = webhookService;
+
+const DEFAULT_LIMIT = 50;
+const MAX_LIMIT = 500;
+const INSERT_CHUNK_SIZE = 100;
+const SNIPPET_LENGTH = 120;
+const DEFAULT_WAIT_TIMEOUT = 120;
+
+/**
+ * 从外部 API 响应中提取邮件数组（与前端 extractEmailsFromResponse 规则一致）
+ * @param {any} data
+ * @returns {Array<object>}
+ */
+function extractMessages(data) {
+    if (Array.isArray(data)) return data;
+    if (data && Array.isArray(data.data)) return data.data;
+    if (data && typeof data === 'object' && !data.error && !data.message) return [data];
+    return [];
+}
+
+/**
+ * 统一文件夹名称（前端使用 INBOX / Junk，接口参数使用 inbox / junk）
+ */
+function normalizeFolder(folder) {
+    return String(folder || 'inbox').toLowerCase();
+}
+
+/**
+ * 分词：按非字母数字字符切分并转小写（与 PostgreSQL 'simple' 配置的效果接近）
+ * @returns {string[]}
+ */
+function tokenize(text) {
+    return String(text || '').toLowerCase().split(/[^\p{L}\p{N}]+/u).filter(Boolean);
+}
+
+/**
+ * 转义 LIKE 通配符
+ */
+function escapeLike(value) {
+    return value.replace(/[\\%_]/g, ch => `\\${ch}`);
+}
+
+/**
+ * 邮件正文纯文本
+ */
+function bodyText(message) {
+    return message.text || htmlToText(message.html);
+}
+
+/**
+ * 截取命中关键词附近的正文作为摘要
+ */
+function buildSnippet(message, terms) {
+    const text = bodyText(message).replace(/\s+/g, ' ').trim();
+    if (!text) return '';
+
+    const lower = text.toLowerCase();
+    const hit = terms.map(t => lower.indexOf(t)).filter(i => i >= 0).sort((a, b) => a - b)[0] ?? 0;
+    const start = Math.max(0, hit - SNIPPET_LENGTH / 3);
+    const snippet = text.slice(start, start + SNIPPET_LENGTH);
+
+    return (start > 0 ? '…' : '') + snippet + (start + SNIPPET_LENGTH < text.length ? '…' : '');
+}
+
+/**
+ * 可中止的等待
+ */
+function sleep(ms, signal) {
+    return new Promise((resolve) => {
+        if (signal?.aborted) return resolve();
+        const onAbort = () => {
+            clearTimeout(timer);
+            resolve();
+        };
+        const timer = setTimeout(() => {
+            signal?.removeEventListener('abort', onAbort);
+            resolve();
+        }, ms);
+        signal?.addEventListener('abort', onAbort, { once: true });
+    });
+}
+
+class MessageService {
+    constructor() {
+        this.storageMode = resolveStorageMode();
+        this.legacyStore = new LegacyJsonStore({
+            blobKey: process.env.BLOB_MESSAGES_KEY || 'messages/messages.json',
+            fileName: 'messages.json',
+        });
+        // 旧存储模式的倒排索引，集合变化时重建
+        this.searchIndex = null;
+    }
+
+    // ============================================================
+    // 数据转换方法
+    // ============================================================
+
+    /**
+     * 外部 API 返回的单封邮件转换为缓存记录
+     * @private
+     */
+    _fromExternal(mailboxId, folder, raw) {
+        const from = raw.from || raw.send || null;
+        const subject = raw.subject || null;
+        const date = new Date(raw.date || raw.timestamp || NaN);
+        const receivedAt = Number.isNaN(date.getTime()) ? null : date.toISOString();
+
+        let messageId = raw.id || raw.message_id || raw.messageId || raw.internetMessageId;
+        if (!messageId) {
+            messageId = crypto.createHash('sha256')
+                .update(`${from}|${subject}|${receivedAt}`)
+                .digest('hex')
+                .slice(0, 40);
+        }
+
+        return {
+            id: uuidv4(),
+            mailbox_id: mailboxId,
+            folder,
+            message_id: String(messageId).slice(0, 255),
+            from: from ? String(from).slice(0, 512) : null,
+            subject,
+            date: receivedAt,
+            text: raw.text || null,
+            html: raw.html || null,
+            raw,
+            fetched_at: new Date().toISOString(),
+        };
+    }
+
+    /**
+     * 数据库行转换为 JSON 格式
+     * @private
+     */
+    _dbRowToJson(row) {
+        return {
+            id: row.id,
+            mailbox_id: row.mailboxId,
+            folder: row.folder,
+            message_id: row.messageId,
+            from: row.fromAddress,
+            subject: row.subject,
+            date: row.receivedAt?.toISOString() || null,
+            text: row.textBody,
+            html: row.htmlBody,
+            raw: row.raw ?? null,
+            fetched_at: row.fetchedAt?.toISOString(),
+        };
+    }
+
+    /**
+     * 检索结果格式：不含正文，附带邮箱地址和摘要
+     * @private
+     */
+    _toSearchResult(message, mailboxEmail, terms) {
+        return {
+            id: message.id,
+            mailbox_id: message.mailbox_id,
+            mailbox_email: mailboxEmail,
+            folder: message.folder,
+            message_id: message.message_id,
+            from: message.from,
+            subject: message.subject,
+            date: message.date,
+            snippet: buildSnippet(message, terms),
+        };
+    }
+
+    /**
+     * 接口返回格式；默认不含原始 JSON
+     */
+    toPublic(message, includeRaw = false) {
+        if (includeRaw) return message;
+        const { raw, ...rest } = message;
+        return rest;
+    }
+
+    // ============================================================
+    // 写入
+    // ============================================================
+
+    /**
+     * 新缓存的邮件发送 mail.received 事件（一次拉取一个事件，不含正文，附带提取到的验证码和链接）
+     * @private
+     */
+    async _emitReceived(mailbox, folder, fresh) {
+        if (fresh.length === 0) return;
+
+        await webhookService.emit(WEBHOOK_EVENTS.MAIL_RECEIVED, {
+            mailbox_id: mailbox.id,
+            email: mailbox.email || null,
+            folder,
+            count: fresh.length,
+            messages: fresh.map((m) => {
+                const { code, link } = extractFromMessage(m);
+                return { id: m.id, message_id: m.message_id, from: m.from, subject: m.subject, date: m.date, code, link };
+            }),
+        });
+    }
+
+    /**
+     * 缓存一次拉取到的邮件（已缓存的邮件保持不变），新缓存的邮件发送 mail.received Webhook 事件
+     * @param {{ id: string }} mailbox 已保存的邮箱
+     * @param {string} folder 文件夹
+     * @param {any} data 外部 API 原始响应
+     * @returns {Promise<number>} 新缓存的邮件数
+     */
+    async saveFetched(mailbox, folder, data) {
+        const items = extractMessages(data);
+        if (!mailbox?.id || items.length === 0) return 0;
+
+        const normalizedFolder = normalizeFolder(folder);
+        const records = items
+            .filter(raw => raw && typeof raw === 'object')
+            .map(raw => this._fromExternal(mailbox.id, normalizedFolder, raw));
+
+        if (this.storageMode === 'postgres') {
+            const db = getDb();
+            const fresh = [];
+
+            for (let i = 0; i < records.length; i += INSERT_CHUNK_SIZE) {
+                const chunk = records.slice(i, i + INSERT_CHUNK_SIZE);
+                const rows = await db.insert(messages)
+                    .values(chunk.map(m => ({
+                        id: m.id,
+                        mailboxId: m.mailbox_id,
+                        folder: m.folder,
+                        messageId: m.message_id,
+                        fromAddress: m.from,
+                        subject: m.subject,
+                        receivedAt: m.date ? new Date(m.date) : null,
+                        textBody: m.text,
+                        htmlBody: m.html,
+                        raw: m.raw,
+                    })))
+                    .onConflictDoNothing({
+                        target: [messages.mailboxId, messages.folder, messages.messageId],
+                    })
+                    .returning({ id: messages.id });
+                const insertedIds = new Set(rows.map(row => row.id));
+                fresh.push(...chunk.filter(m => insertedIds.has(m.id)));
+            }
+
+            await this._emitReceived(mailbox, normalizedFolder, fresh);
+            return fresh.length;
+        }
+
+        const inserted = await this.legacyStore.update(async (all) => {
+            const existing = new Set(all
+                .filter(m => m.mailbox_id === mailbox.id && m.folder === normalizedFolder)
+                .map(m => m.message_id));
+
+            const fresh = records.filter(m => {
+                if (existing.has(m.message_id)) return false;
+                existing.add(m.message_id);
+                return true;
+            });
+            all.push(...fresh);
+
+            // 每个邮箱每个文件夹只保留最新的 N 封
+            const cached = all
+                .filter(m => m.mailbox_id === mailbox.id && m.folder === normalizedFolder)
+                .sort((a, b) => new Date(b.date || 0) - new Date(a.date || 0));
+            const evicted = new Set(cached.slice(config.messages.legacyMaxPerFolder));
+            if (evicted.size > 0) {
+                const kept = all.filter(m => !evicted.has(m));
+                all.splice(0, all.length, ...kept);
+            }
+
+            return fresh;
+        });
+
+        await this._emitReceived(mailbox, normalizedFolder, inserted);
+        return inserted.length;
+    }
+
+    // ============================================================
+    // 查询
+    // ============================================================
+
+    /**
+     * 获取邮箱的缓存邮件（按邮件时间倒序）
+     * @param {string} mailboxId
+     * @param {object} options
+     * @param {string} options.folder 文件夹，为空时返回全部文件夹
+     * @param {number} options.limit 每页条数，默认 50，最大 500
+     * @param {number} options.offset 偏移量
+     * @param {object|null} actor 当前用户，只能读取自己可见的邮箱
+     * @returns {Promise<{ data: Array, total: number, limit: number, offset: number }>}
+     */
+    async listMessages(mailboxId, options = {}, actor = null) {
+        const mailbox = await mailboxService.getMailboxById(mailboxId, actor);
+        if (!mailbox) {
+            throw new Error('邮箱不存在');
+        }
+
+        const folder = options.folder ? normalizeFolder(options.folder) : null;
+        const parsedLimit = parseInt(options.limit, 10);
+        const parsedOffset = parseInt(options.offset, 10);
+        const limit = Math.min(parsedLimit > 0 ? parsedLimit : DEFAULT_LIMIT, MAX_LIMIT);
+        const offset = parsedOffset > 0 ? parsedOffset : 0;
+
+        if (this.storageMode === 'postgres') {
+            const db = getDb();
+            const where = and(
+                eq(messages.mailboxId, mailbox.id),
+                folder ? eq(messages.folder, folder) : undefined
+            );
+            const [countRow] = await db.select({ count: sql`count(*)::int` }).from(messages).where(where);
+            const rows = await db.select().from(messages)
+                .where(where)
+                .orderBy(desc(messages.receivedAt))
+                .limit(limit)
+                .offset(offset);
+
+            return {
+                data: rows.map(row => this._dbRowToJson(row)),
+                total: countRow?.count || 0,
+                limit,
+                offset,
+            };
+        }
+
+        const all = await this.legacyStore.read();
+        const matched = all
+            .filter(m => m.mailbox_id === mailbox.id && (!folder || m.folder === folder))
+            .sort((a, b) => new Date(b.date || 0) - new Date(a.date || 0));
+
+        return {
+            data: matched.slice(offset, offset + limit),
+            total: matched.length,
+            limit,
+            offset,
+        };
+    }
+
+    /**
+     * 获取单封缓存邮件
+     * @param {string} mailboxId
+     * @param {string} id 缓存记录ID
+     * @param {object|null} actor 当前用户
+     * @returns {Promise<object|null>}
+     */
+    async getMessage(mailboxId, id, actor = null) {
+        const mailbox = await mailboxService.getMailboxById(mailboxId, actor);
+        if (!mailbox) return null;
+
+        if (this.storageMode === 'postgres') {
+            const db = getDb();
+            const rows = await db.select().from(messages)
+                .where(and(eq(messages.id, id), eq(messages.mailboxId, mailbox.id)));
+            return rows.length > 0 ? this._dbRowToJson(rows[0]) : null;
+        }
+
+        const all = await this.legacyStore.read();
+        return all.find(m => m.id === id && m.mailbox_id === mailbox.id) || null;
+    }
+
+    /**
+     * 获取邮箱最新一封邮件中的验证码和验证链接
+     * 优先实时拉取最新邮件，外部 API 不可用时回退到最新的缓存邮件
+     * @param {string} mailboxId
+     * @param {object} options
+     * @param {string} options.folder 文件夹，默认 inbox
+     * @param {object|null} actor 当前用户
+     * @returns {Promise<object>} 邮箱、邮件摘要、code/codes/link/links 及来源（live / cache）
+     */
+    async getLatestCode(mailboxId, options = {}, actor = null) {
+        const mailbox = await mailboxService.getMailboxById(mailboxId, actor);
+        if (!mailbox) {
+            throw new Error('邮箱不存在');
+        }
+
+        const folder = normalizeFolder(options.folder);
+        let message = null;
+        let source = 'live';
+
+        try {
+            // 延迟加载，避免与 proxy.service 循环依赖
+            const proxyService = require('./proxy.service');
+            const data = await proxyService.getNewMail(mailbox, folder, 'json');
+            message = extractMessages(data)
+                .map(m => this._fromExternal(mailbox.id, folder, m))
+                .sort((a, b) => new Date(b.date || 0) - new Date(a.date || 0))[0] || null;
+        } catch (error) {
+            logger.warn('[Messages] 实时拉取最新邮件失败，使用缓存', { mailboxId, error: error.message });
+        }
+
+        if (!message) {
+            source = 'cache';
+            const { data } = await this.listMessages(mailbox.id, { folder, limit: 1 }, actor);
+            message = data[0] || null;
+        }
+
+        if (!message) {
+            throw new Error('邮件不存在');
+        }
+
+        return {
+            mailbox_id: mailbox.id,
+            email: mailbox.email,
+            message: {
+                subject: message.subject,
+                from: message.from,
+                date: message.date,
+            },
+            ...extractFromMessage(message),
+            source,
+        };
+    }
+
+    /**
+     * 等待符合条件的新邮件
+     * 服务端轮询外部邮件 API（首次立即拉取，之后间隔逐步加倍），
+     * 返回第一封晚于开始等待时间且匹配过滤条件的邮件
+     * @param {string} mailboxId
+     * @param {object} options
+     * @param {string} options.from 发件人包含（不区分大小写）
+     * @param {string} options.subject 主题包含（不区分大小写）
+     * @param {string} options.folder 文件夹，默认 inbox
+     * @param {number} options.timeout 最长等待秒数，默认 120
+     * @param {AbortSignal} options.signal 客户端断开时中止等待
+     * @param {object|null} actor 当前用户
+     * @returns {Promise<object|null>} 匹配的邮件；超时或中止时返回 null
+     */
+    async waitForMessage(mailboxId, options = {}, actor = null) {
+        const mailbox = await mailboxService.getMailboxById(mailboxId, actor);
+        if (!mailbox) {
+            throw new Error('邮箱不存在');
+        }
+
+        const { waitInitialInterval, waitMaxInterval, waitMaxTimeout } = config.messages;
+        const parsedTimeout = parseInt(options.timeout, 10);
+        const timeoutSec = Math.min(parsedTimeout > 0 ? parsedTimeout : DEFAULT_WAIT_TIMEOUT, waitMaxTimeout);
+        const folder = normalizeFolder(options.folder);
+        const fromLower = String(options.from || '').toLowerCase();
+        const subjectLower = String(options.subject || '').toLowerCase();
+        const signal = options.signal;
+
+        // 外部 API 的邮件时间通常只精确到秒，开始时间按秒取整
+        const startedAt = Math.floor(Date.now() / 1000) * 1000;
+        const deadline = Date.now() + timeoutSec * 1000;
+
+        const matches = (m) => {
+            if (!m.date || new Date(m.date).getTime() < startedAt) return false;
+            if (fromLower && !String(m.from || '').toLowerCase().includes(fromLower)) return false;
+            if (subjectLower && !String(m.subject || '').toLowerCase().includes(subjectLower)) return false;
+            return true;
+        };
+
+        // 延迟加载，避免与 proxy.service 循环依赖
+        const proxyService = require('./proxy.service');
+        let interval = waitInitialInterval;
+
+        while (!signal?.aborted) {
+            try {
+                const data = await proxyService.getNewMail(mailbox, folder, 'json');
+                const match = extractMessages(data)
+                    .filter(raw => raw && typeof raw === 'object')
+                    .map(raw => this._fromExternal(mailbox.id, folder, raw))
+                    .find(matches);
+                if (match) {
+                    // 记录 ID 为临时生成，不对应缓存中的记录
+                    const { id, fetched_at, ...message } = match;
+                    return message;
+                }
+            } catch (error) {
+                // 配置错误不会自行恢复，直接返回；其它错误（超时、令牌刷新失败等）继续重试
+                if (error.message.includes('未配置') || error.message.includes('缺少')) throw error;
+                logger.warn('[Messages] 等待邮件时拉取失败，稍后重试', { mailboxId, error: error.message });
+            }
+
+            const remaining = deadline - Date.now();
+            if (remaining <= 0) break;
+
+            await sleep(Math.min(interval, remaining), signal);
+            interval = Math.min(interval * 2, waitMaxInterval);
+        }
+
+        return null;
+    }
+
+    // ============================================================
+    // 检索
+    // ============================================================
+
+    /**
+     * 获取（必要时重建）旧存储模式的倒排索引
+     * 集合只会追加或淘汰，以「条数 + 最后一条ID」判断是否变化
+     * @private
+     */
+    _getSearchIndex(all) {
+        const signature = `${all.length}:${all[all.length - 1]?.id || ''}`;
+        if (this.searchIndex?.signature === signature) {
+            return this.searchIndex;
+        }
+
+        const postings = new Map();
+        for (const message of all) {
+            for (const token of new Set(tokenize(`${message.subject || ''} ${bodyText(message)}`))) {
+                if (!postings.has(token)) postings.set(token, new Set());
+                postings.get(token).add(message.id);
+            }
+        }
+
+        this.searchIndex = { signature, postings };
+        return this.searchIndex;
+    }
+
+    /**
+     * 跨邮箱检索缓存邮件（按邮件时间倒序）
+     * @param {object} filters
+     * @param {string} filters.q 全文关键词（主题 + 正文，多个词需同时命中）
+     * @param {string} filters.from 发件人包含
+     * @param {string} filters.subject 主题包含
+     * @param {string} filters.since 起始时间（含）
+     * @param {number} filters.limit 每页条数，默认 50，最大 500
+     * @param {number} filters.offset 偏移量
+     * @param {object|null} actor 当前用户，只检索自己可见的邮箱
+     * @returns {Promise<{ data: Array, total: number, limit: number, offset: number }>}
+     */
+    async searchMessages(filters = {}, actor = null) {
+        const q = String(filters.q || '').trim();
+        const from = String(filters.from || '').trim();
+        const subject = String(filters.subject || '').trim();
+        if (!q && !from && !subject) {
+            throw new Error('缺少搜索条件（q、from 或 subject）');
+        }
+
+        let since = null;
+        if (filters.since) {
+            since = new Date(filters.since);
+            if (Number.isNaN(since.getTime())) {
+                throw new Error(`日期格式无效: ${filters.since}`);
+            }
+        }
+
+        const parsedLimit = parseInt(filters.limit, 10);
+        const parsedOffset = parseInt(filters.offset, 10);
+        const limit = Math.min(parsedLimit > 0 ? parsedLimit : DEFAULT_LIMIT, MAX_LIMIT);
+        const offset = parsedOffset > 0 ? parsedOffset : 0;
+        const terms = tokenize(q);
+
+        const visible = await mailboxService.getAllMailboxes(actor);
+        const emailById = new Map(visible.map(m => [m.id, m.email]));
+        if (emailById.size === 0 || (q && terms.length === 0)) {
+            return { data: [], total: 0, limit, offset };
+        }
+
+        if (this.storageMode === 'postgres') {
+            const db = getDb();
+            const where = and(
+                inArray(messages.mailboxId, [...emailById.keys()]),
+                q ? sql`${messageSearchDocument(messages)} @@ plainto_tsquery('simple', ${q})` : undefined,
+                from ? ilike(messages.fromAddress, `%${escapeLike(from)}%`) : undefined,
+                subject ? ilike(messages.subject, `%${escapeLike(subject)}%`) : undefined,
+                since ? gte(messages.receivedAt, since) : undefined
+            );
+
+            const [countRow] = await db.select({ count: sql`count(*)::int` }).from(messages).where(where);
+            const rows = await db.select().from(messages)
+                .where(where)
+                .orderBy(desc(messages.receivedAt))
+                .limit(limit)
+                .offset(offset);
+
+            return {
+                data: rows.map(row => {
+                    const message = this._dbRowToJson(row);
+                    return this._toSearchResult(message, emailById.get(message.mailbox_id), terms);
+                }),
+                total: countRow?.count || 0,
+                limit,
+                offset,
+            };
+        }
+
+        const all = await this.legacyStore.read();
+        let candidates = null;
+        if (terms.length > 0) {
+            const { postings } = this._getSearchIndex(all);
+            for (const term of terms) {
+                const ids = postings.get(term) || new Set();
+                candidates = candidates ? new Set([...candidates].filter(id => ids.has(id))) : ids;
+            }
+        }
+
+        const fromLower = from.toLowerCase();
+        const subjectLower = subject.toLowerCase();
+        const matched = all
+            .filter(m => {
+                if (!emailById.has(m.mailbox_id)) return false;
+                if (candidates && !candidates.has(m.id)) return false;
+                if (from && !String(m.from || '').toLowerCase().includes(fromLower)) return false;
+                if (subject && !String(m.subject || '').toLowerCase().includes(subjectLower)) return false;
+                if (since && (!m.date || new Date(m.date) < since)) return false;
+                return true;
+            })
+            .sort((a, b) => new Date(b.date || 0) - new Date(a.date || 0));
+
+        return {
+            data: matched
+                .slice(offset, offset + limit)
+                .map(m => this._toSearchResult(m, emailById.get(m.mailbox_id), terms)),
+            total: matched.length,
+            limit,
+            offset,
+        };
+    }
+}
+
+// 创建单例
+const messageService = new MessageService();
+
+module.exports = messageService;
+module.exports.extractMessages = extractMessages;
@@ -0,0 +1,273 @@
+/**
+ * 站内通知服务层
+ *
+ * 通知可以发给单个用户（recipient_id），也可以发给所有拥有某项权限的用户（permission，为空表示所有用户）；
+ * 已读状态按用户记录在 read_by 中。前端标题栏的通知图标轮询未读数量。
+ *
+ * 存储后端与 MailboxService 一致：PostgreSQL 优先，否则回退到 Blob/JSON
+ */
+
+const { v4: uuidv4 } = require('uuid');
+const { and, or, eq, inArray, isNull, desc, sql } = require('drizzle-orm');
+const config = require('../config');
+const { getDb, schema } = require('../db');
+const { LegacyJsonStore, resolveStorageMode } = require('../utils/legacy-store');
+const { getRolePermissions } = require('../utils/permissions');
+const { notifications } = schema;
+
+const NOTIFICATION_LEVELS = ['info', 'warning', 'error'];
+
+const UUID_REGEX = /^[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}$/i;
+const DEFAULT_LIMIT = 20;
+const MAX_LIMIT = 100;
+
+class NotificationService {
+    constructor() {
+        this.storageMode = resolveStorageMode();
+        this.legacyStore = new LegacyJsonStore({
+            blobKey: process.env.BLOB_NOTIFICATIONS_KEY || 'notifications/notifications.json',
+            fileName: 'notifications.json',
+        });
+    }
+
+    // ============================================================
+    // 数据转换方法
+    // ============================================================
+
+    /**
+     * 数据库行转换为 JSON 格式
+     * @private
+     */
+    _dbRowToJson(row) {
+        return {
+            id: row.id,
+            type: row.type,
+            level: row.level,
+            title: row.title,
+            message: row.message,
+            data: row.data ?? null,
+            permission: row.permission,
+            recipient_id: row.recipientId,
+            read_by: row.readBy || [],
+            created_at: row.createdAt?.toISOString(),
+        };
+    }
+
+    /**
+     * 返回给用户的通知：以 read 代替已读用户列表
+     * @private
+     */
+    _toView(notification, actor) {
+        const { read_by, permission, recipient_id, ...view } = notification;
+        return { ...view, read: read_by.includes(actor.id) };
+    }
+
+    /**
+     * 用户能否看到该通知
+     * @private
+     */
+    _isVisible(notification, actor) {
+        if (notification.recipient_id) return notification.recipient_id === actor.id;
+        return !notification.permission || getRolePermissions(actor.role).includes(notification.permission);
+    }
+
+    /**
+     * 用户可见通知的查询条件
+     * @private
+     */
+    _visibleCondition(actor) {
+        const permissions = getRolePermissions(actor.role);
+        const byPermission = permissions.length > 0
+            ? or(isNull(notifications.permission), inArray(notifications.permission, permissions))
+            : isNull(notifications.permission);
+        return or(eq(notifications.recipientId, actor.id), and(isNull(notifications.recipientId), byPermission));
+    }
+
+    // ============================================================
+    // 写入
+    // ============================================================
+
+    /**
+     * 创建通知
+     * @param {object} notification
+     * @param {string} notification.type 类型，如 stock.low
+     * @param {string} notification.level info / warning / error
+     * @param {string} notification.title 标题
+     * @param {string} [notification.message] 正文
+     * @param {object} [notification.data] 附加数据
+     * @param {string} [notification.permission] 只发给拥有该权限的用户
+     * @param {string} [notification.recipientId] 只发给该用户
+     * @returns {Promise<object>} 通知
+     */
+    async create({ type, level = 'info', title, message = null, data = null, permission = null, recipientId = null }) {
+        const notification = {
+            id: uuidv4(),
+            type,
+            level: NOTIFICATION_LEVELS.includes(level) ? level : 'info',
+            title: String(title).slice(0, 200),
+            message,
+            data,
+            permission,
+            recipient_id: recipientId,
+            read_by: [],
+            created_at: new Date().toISOString(),
+        };
+
+        if (this.storageMode === 'postgres') {
+            const db = getDb();
+            await db.insert(notifications).values({
+                id: notification.id,
+                type: notification.type,
+                level: notification.level,
+                title: notification.title,
+                message: notification.message,
+                data: notification.data,
+                permission: notification.permission,
+                recipientId: notification.recipient_id,
+                readBy: notification.read_by,
+                createdAt: new Date(notification.created_at),
+            });
+            return notification;
+        }
+
+        await this.legacyStore.update(async (all) => {
+            all.push(notification);
+            const overflow = all.length - config.notifications.legacyMax;
+            if (overflow > 0) {
+                all.splice(0, overflow);
+            }
+        });
+        return notification;
+    }
+
+    // ============================================================
+    // 查询
+    // ============================================================
+
+    /**
+     * 当前用户可见的通知（按时间倒序）
+     * @param {object} filters
+     * @param {boolean|string} filters.unread 只返回未读通知
+     * @param {number} filters.limit 每页条数，默认 20，最大 100
+     * @param {number} filters.offset 偏移量
+     * @param {object} actor 当前用户
+     * @returns {Promise<{ data: Array, total: number, unread: number, limit: number, offset: number }>}
+     */
+    async listForUser(filters = {}, actor) {
+        const unreadOnly = filters.unread === true || filters.unread === 'true' || filters.unread === '1';
+        const parsedLimit = parseInt(filters.limit, 10);
+        const parsedOffset = parseInt(filters.offset, 10);
+        const limit = Math.min(parsedLimit > 0 ? parsedLimit : DEFAULT_LIMIT, MAX_LIMIT);
+        const offset = parsedOffset > 0 ? parsedOffset : 0;
+
+        if (this.storageMode === 'postgres') {
+            const db = getDb();
+            const visible = this._visibleCondition(actor);
+            const unreadCondition = sql`not (${notifications.readBy} @> ${JSON.stringify([actor.id])}::jsonb)`;
+            const where = unreadOnly ? and(visible, unreadCondition) : visible;
+
+            const [countRow] = await db.select({
+                total: sql`count(*)::int`,
+                unread: sql`count(*) filter (where ${unreadCondition})::int`,
+            }).from(notifications).where(where);
+            const rows = await db.select().from(notifications)
+                .where(where)
+                .orderBy(desc(notifications.createdAt))
+                .limit(limit)
+                .offset(offset);
+
+            return {
+                data: rows.map(row => this._toView(this._dbRowToJson(row), actor)),
+                total: countRow?.total || 0,
+                unread: countRow?.unread || 0,
+                limit,
+                offset,
+            };
+        }
+
+        const visible = (await this.legacyStore.read()).filter(n => this._isVisible(n, actor));
+        const unread = visible.filter(n => !n.read_by.includes(actor.id));
+        const matched = (unreadOnly ? unread : visible).reverse();
+
+        return {
+            data: matched.slice(offset, offset + limit).map(n => this._toView(n, actor)),
+            total: matched.length,
+            unread: unread.length,
+            limit,
+            offset,
+        };
+    }
+
+    // ============================================================
+    // 已读
+    // ============================================================
+
+    /**
+     * 标记单条通知为已读
+     * @param {string} id 通知ID
+     * @param {object} actor 当前用户
+     */
+    async markRead(id, actor) {
+        if (!UUID_REGEX.test(String(id))) {
+            throw new Error('通知不存在');
+        }
+
+        if (this.storageMode === 'postgres') {
+            const db = getDb();
+            const [row] = await db.select().from(notifications).where(eq(notifications.id, id));
+            const notification = row ? this._dbRowToJson(row) : null;
+            if (!notification || !this._isVisible(notification, actor)) {
+                throw new Error('通知不存在');
+            }
+            if (!notification.read_by.includes(actor.id)) {
+                await db.update(notifications)
+                    .set({ readBy: [...notification.read_by, actor.id] })
+                    .where(eq(notifications.id, id));
+            }
+            return;
+        }
+
+        await this.legacyStore.update(async (all) => {
+            const notification = all.find(n => n.id === id);
+            if (!notification || !this._isVisible(notification, actor)) {
+                throw new Error('通知不存在');
+            }
+            if (!notification.read_by.includes(actor.id)) {
+                notification.read_by.push(actor.id);
+            }
+        });
+    }
+
+    /**
+     * 将当前用户可见的全部通知标记为已读
+     * @param {object} actor 当前用户
+     * @returns {Promise<number>} 新标记的条数
+     */
+    async markAllRead(actor) {
+        if (this.storageMode === 'postgres') {
+            const db = getDb();
+            const marker = JSON.stringify([actor.id]);
+            const updated = await db.update(notifications)
+                .set({ readBy: sql`${notifications.readBy} || ${marker}::jsonb` })
+                .where(and(this._visibleCondition(actor), sql`not (${notifications.readBy} @> ${marker}::jsonb)`))
+                .returning({ id: notifications.id });
+            return updated.length;
+        }
+
+        return this.legacyStore.update(async (all) => {
+            let marked = 0;
+            for (const notification of all) {
+                if (!this._isVisible(notification, actor) || notification.read_by.includes(actor.id)) continue;
+                notification.read_by.push(actor.id);
+                marked++;
+            }
+            return marked;
+        });
+    }
+}
+
+// 创建单例
+const notificationService = new NotificationService();
+
+module.exports = notificationService;
+module.exports.NOTIFICATION_LEVELS = NOTIFICATION_LEVELS;
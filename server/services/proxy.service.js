@@ -6,25 +6,122 @@
 // const fetch = (...args) => import('node-fetch').then(({ default: fetch }) => fetch(...args));
 const config = require('../config');
 const logger = require('../utils/logger');
+const auditService = require('./audit.service');
+const { AUDIT_ACTIONS } = auditService;
+const messageService = require('./message.service');
+const mailboxService = require('./mailbox.service');
+const purchaseOrderService = require('./purchase-order.service');
+const purchaseGuardService = require('./purchase-guard.service');
+const webhookService = require('./webhook.service');
+const { WEBHOOK_EVENTS } = webhookService;
+const { createMailProviders, resolveProviderName } = require('../mail-providers');
+const { createSuppliers } = require('../suppliers');
 
 class ProxyService {
     constructor() {
-        this.libraries = config.purchaseLibraries;
-        this.mailApiBaseUrl = config.externalMailApi.baseUrl;
-        this.mailApiPassword = config.externalMailApi.password;
+        this.mailProviders = createMailProviders(this);
+        this.supplierCache = null;
+        // 商品目录的库存和价格缓存：供应商ID|商品ID -> { promise, expiresAt }
+        this.catalogCache = new Map();
     }
 
     /**
-     * 获取仓库URL
+     * 当前配置的供应商（SUPPLIERS 变化时重新创建）
+     * @private
+     * @returns {Map<string, object>}
+     */
+    _suppliers() {
+        if (!this.supplierCache || this.supplierCache.source !== config.suppliers) {
+            this.supplierCache = { source: config.suppliers, suppliers: createSuppliers(this, config.suppliers) };
+        }
+        return this.supplierCache.suppliers;
+    }
+
+    /**
+     * 获取供应商
+     * @param {string} [supplierId] 供应商ID（兼容旧的仓库编号 library），为空时使用第一个供应商
+     */
+    getSupplier(supplierId) {
+        const suppliers = this._suppliers();
+        const supplier = supplierId === undefined || supplierId === null || supplierId === ''
+            ? suppliers.values().next().value
+            : suppliers.get(String(supplierId));
+
+        if (!supplier) {
+            throw new Error('无效的供应商');
+        }
+
+        return supplier;
+    }
+
+    /**
+     * 列出全部供应商及其商品（不含凭证）
+     * @returns {Array<{ id, name, configured, products }>}
      */
-    getLibraryUrl(library = '1') {
-        const baseUrl = this.libraries[library];
+    listSuppliers() {
+        return [...this._suppliers().values()].map(supplier => ({
+            id: supplier.id,
+            name: supplier.name,
+            configured: supplier.isConfigured(),
+            products: supplier.products,
+        }));
+    }
 
-        if (!baseUrl) {
-            throw new Error('无效的库选择');
+    /**
+     * 商品库存和价格（CATALOG_TTL_SECONDS 内使用缓存，同一商品的并发请求共用一次查询）
+     * 查询失败不缓存
+     * @private
+     * @returns {Promise<{ stock, price, checked_at }>}
+     */
+    _cachedStock(supplier, product, refresh) {
+        const key = `${supplier.id}|${product.id}`;
+        const cached = this.catalogCache.get(key);
+        if (!refresh && cached && cached.expiresAt > Date.now()) {
+            return cached.promise;
         }
 
-        return baseUrl;
+        const promise = supplier.getStock(product.id).then(data => ({
+            stock: data.stock,
+            price: data.price ?? product.price ?? null,
+            checked_at: new Date().toISOString(),
+        }));
+        this.catalogCache.set(key, { promise, expiresAt: Date.now() + config.catalog.ttlSeconds * 1000 });
+        promise.catch(() => {
+            if (this.catalogCache.get(key)?.promise === promise) this.catalogCache.delete(key);
+        });
+        return promise;
+    }
+
+    /**
+     * 商品目录：全部供应商、商品及实时库存和价格
+     * 单个商品查询失败时 stock 为 null 并返回 error，不影响其它商品
+     * @param {object} options
+     * @param {boolean} options.refresh 忽略缓存重新查询
+     * @returns {Promise<{ ttl, suppliers: Array<{ id, name, configured, products: Array<{ id, name, stock, price, checked_at, error }> }> }>}
+     */
+    async getCatalog({ refresh = false } = {}) {
+        const entries = [];
+        for (const supplier of this._suppliers().values()) {
+            for (const product of supplier.products) {
+                entries.push({ supplier, product });
+            }
+        }
+
+        const { results } = await this._mapInBatches(entries, { concurrency: config.catalog.concurrency }, async ({ supplier, product }) => {
+            try {
+                return { ...await this._cachedStock(supplier, product, refresh), error: null };
+            } catch (error) {
+                logger.warn('[Catalog] 查询库存失败', { supplier: supplier.id, commodity_id: product.id, error: error.message });
+                return { stock: null, price: product.price ?? null, checked_at: null, error: error.message };
+            }
+        });
+
+        const suppliers = this.listSuppliers().map(supplier => ({ ...supplier, products: [] }));
+        entries.forEach(({ supplier, product }, i) => {
+            suppliers.find(s => s.id === supplier.id).products.push({ id: product.id, name: product.name, ...results[i] });
+        });
+
+        return { ttl: config.catalog.ttlSeconds, suppliers };
     }
 
     /**
@@ -57,6 +154,11 @@ class ProxyService {
                 throw err;
             }
 
+            // 无响应体（如 Graph 删除邮件）
+            if (response.status === 204) {
+                return null;
+            }
+
             // 检查 Content-Type，避免解析 HTML 为 JSON
             const contentType = response.headers.get('content-type');
             if (!contentType || !contentType.includes('application/json')) {
@@ -79,109 +181,172 @@ class ProxyService {
 
     /**
      * 查询账户余额
+     * @returns {Promise<{ username, id, balance }>}
      */
-    async checkBalance(appId, appKey, library = '1') {
-        if (!appId || !appKey) {
-            throw new Error('缺少必要参数');
-        }
-
-        const baseUrl = this.getLibraryUrl(library);
-        const params = new URLSearchParams({
-            app_id: appId,
-            app_key: appKey,
-        });
-
-        const url = `${baseUrl}/login.php`;
-        const data = await this.request(url, {
-            method: 'POST',
-            headers: {
-                'Content-Type': 'application/x-www-form-urlencoded',
-            },
-            body: params.toString(),
-        });
-
-        return data;
+    async checkBalance(supplierId) {
+        return this.getSupplier(supplierId).getBalance();
     }
 
     /**
      * 查询商品库存
+     * @returns {Promise<{ id, name, stock, price }>}
      */
-    async checkStock(commodityId, library = '1') {
-        if (!commodityId) {
+    async checkStock(productId, supplierId) {
+        if (!productId) {
             throw new Error('缺少商品ID');
         }
 
-        const baseUrl = this.getLibraryUrl(library);
-        const url = `${baseUrl}/getStock.php?commodity_id=${commodityId}`;
+        return this.getSupplier(supplierId).getStock(productId);
+    }
 
-        const data = await this.request(url, {
-            method: 'GET',
-            headers: {
-                'Accept': 'application/json',
-            },
-        });
+    /**
+     * 商品单价：目录缓存中的实时价格，没有时使用 SUPPLIERS 中配置的参考单价
+     * @private
+     * @returns {Promise<number|null>}
+     */
+    async _unitPrice(supplier, productId) {
+        const product = supplier.products.find(p => p.id === String(productId)) || { id: String(productId) };
+        let price;
+        try {
+            ({ price } = await this._cachedStock(supplier, product, false));
+        } catch {
+            price = product.price;
+        }
+        const value = Number(price);
+        return price === null || price === undefined || !Number.isFinite(value) ? null : value;
+    }
 
-        return data;
+    /**
+     * 下单前检查采购限额和二次确认，见 PurchaseGuardService.check()
+     * 异步购买在创建任务前调用，超出限额或需要确认时直接返回给用户
+     * @param {object} options
+     * @param {string} options.confirmToken 确认令牌
+     * @param {boolean} options.confirmed 调用方已校验过确认令牌（后台任务在创建前校验）
+     * @param {boolean} options.reserve 写入 pending 订单预留额度（实际下单前使用）
+     * @param {object|null} actor 当前用户
+     * @returns {Promise<{ estimated_cost, confirmed, order_id }>}
+     */
+    async checkPurchase(productId, num, supplierId, options = {}, actor = null) {
+        if (!productId || !num) {
+            throw new Error('缺少必要参数');
+        }
+
+        const supplier = this.getSupplier(supplierId);
+        const unitPrice = purchaseGuardService.needsPrice(supplier) ? await this._unitPrice(supplier, productId) : null;
+
+        return purchaseGuardService.check({
+            supplier,
+            commodityId: productId,
+            num,
+            unitPrice,
+            confirmToken: options.confirmToken || null,
+            confirmed: options.confirmed === true,
+            reserve: options.reserve === true,
+        }, actor);
     }
 
     /**
      * 购买邮箱
+     * 先检查采购限额并写入 pending 订单预留额度（见 checkPurchase()），无论购买成功与否都记录审计日志并更新采购订单（供应商可能已扣款）；
+     * 购买成功时发送 purchase.completed Webhook 事件（不含卡密）
+     * @param {object} options
+     * @param {string} options.confirmToken 大额订单的确认令牌
+     * @param {boolean} options.confirmed 调用方已校验过确认令牌（见 checkPurchase()）
+     * @param {object|null} actor 当前用户，用于审计日志和采购限额
+     * @returns {Promise<{ trade_no, total_price, cards, order_id }>} order_id 为采购订单ID，订单写入失败时为 null
      */
-    async purchaseEmails(appId, appKey, commodityId, num, library = '1') {
-        if (!appId || !appKey || !commodityId || !num) {
-            throw new Error('缺少必要参数');
+    async purchaseEmails(productId, num, supplierId, options = {}, actor = null) {
+        const { order_id: orderId } = await this.checkPurchase(productId, num, supplierId, { ...options, reserve: true }, actor);
+
+        const supplier = this.getSupplier(supplierId);
+        let result = null;
+        let error = null;
+
+        try {
+            result = await supplier.purchase(productId, num);
+            // 库存已变化，下次查询目录时重新获取
+            this.catalogCache.delete(`${supplier.id}|${productId}`);
+        } catch (err) {
+            error = err;
         }
 
-        const baseUrl = this.getLibraryUrl(library);
-        const params = new URLSearchParams({
-            app_id: appId,
-            app_key: appKey,
-            commodity_id: commodityId,
-            num: num.toString(),
+        const order = await purchaseOrderService.completeOrder(orderId, { result, error });
+        await auditService.record({
+            action: AUDIT_ACTIONS.PURCHASE,
+            actor,
+            details: {
+                library: supplier.id,
+                commodity_id: productId,
+                num: Number(num),
+                trade_no: result?.trade_no ?? null,
+                cards: result ? result.cards.length : 0,
+                order_id: order?.id ?? null,
+                error: error ? error.message : null,
+            },
         });
 
-        const url = `${baseUrl}/getEmail.php`;
-        const data = await this.request(url, {
-            method: 'POST',
-            headers: {
-                'Content-Type': 'application/x-www-form-urlencoded',
-            },
-            body: params.toString(),
+        if (error) throw error;
+
+        await webhookService.emit(WEBHOOK_EVENTS.PURCHASE_COMPLETED, {
+            order_id: order?.id ?? null,
+            trade_no: result.trade_no,
+            supplier_id: supplier.id,
+            supplier_name: supplier.name,
+            commodity_id: String(productId),
+            quantity_requested: Number(num),
+            quantity_delivered: result.cards.length,
+            total_price: result.total_price,
+            created_by_username: actor?.username || null,
         });
 
-        return data;
+        return {
+            trade_no: result.trade_no,
+            total_price: result.total_price,
+            cards: result.cards,
+            order_id: order?.id ?? null,
+        };
     }
 
     /**
-     * 构建邮件 API URL
-     * @private
+     * 按供应商的卡密格式解析卡密
+     * @param {string[]} cards
+     * @param {string} supplierId 供应商ID
+     * @returns {{ mailboxes: Array<object>, invalid: number }} 解析出的邮箱（来源 purchase）和格式错误的数量
      */
-    _buildMailApiUrl(endpoint, mailbox, extraParams = {}) {
-        if (!this.mailApiBaseUrl) {
-            throw new Error('未配置外部邮件 API 地址（EXTERNAL_MAIL_API_URL）');
-        }
+    parseCards(cards = [], supplierId) {
+        return this.getSupplier(supplierId).parseCards(cards);
+    }
 
-        // 验证必填字段
-        const required = ['refresh_token', 'client_id', 'email'];
-        for (const field of required) {
-            if (!mailbox[field]) {
-                throw new Error(`邮箱缺少必要字段: ${field}`);
-            }
+    /**
+     * 邮箱使用的邮件服务提供方，见 mail-providers/index.js
+     * @private
+     */
+    _providerFor(mailbox) {
+        const name = resolveProviderName(mailbox);
+        const provider = this.mailProviders[name];
+        if (!provider) {
+            throw new Error(`未配置的邮件服务提供方: ${name}`);
         }
+        return provider;
+    }
 
-        const params = new URLSearchParams({
-            refresh_token: mailbox.refresh_token,
-            client_id: mailbox.client_id,
-            email: mailbox.email,
-            ...extraParams
-        });
+    /**
+     * 将拉取到的邮件写入缓存（仅限已保存的邮箱）
+     * 缓存失败只记录日志，不影响本次请求
+     * @private
+     */
+    async _cacheMessages(mailbox, folder, data) {
+        if (!mailbox.id) return;
 
-        // 从后端配置添加密码（如果已配置）
-        if (this.mailApiPassword) {
-            params.append('password', this.mailApiPassword);
+        try {
+            await messageService.saveFetched(mailbox, folder, data);
+        } catch (error) {
+            logger.error('[Mail API] 缓存邮件失败', {
+                email: mailbox.email,
+                folder,
+                error: error.message,
+            });
         }
-
-        return `${this.mailApiBaseUrl}${endpoint}?${params.toString()}`;
     }
 
     /**
@@ -190,76 +355,268 @@ class ProxyService {
      * @param {string} folder - 文件夹名称（如 'inbox', 'junk'）
      */
     async getMailboxEmails(mailbox, folder = 'inbox') {
-        const url = this._buildMailApiUrl('/mail-all', mailbox, { mailbox: folder });
+        const provider = this._providerFor(mailbox);
 
         logger.info('[Mail API] 获取邮件列表', {
             email: mailbox.email,
             folder
         });
 
-        const data = await this.request(url, {
-            method: 'GET',
-            headers: {
-                'Accept': 'application/json',
-            },
-        });
+        const response = await provider.listMessages(mailbox, folder);
+        const data = await this._captureRotatedToken(mailbox, response);
 
         logger.info('[Mail API] 成功获取邮件', {
             email: mailbox.email,
             count: Array.isArray(data) ? data.length : (data.data?.length || 0)
         });
 
+        await this._cacheMessages(mailbox, folder, data);
+
         return data;
     }
 
     /**
      * 处理收件箱
      * @param {object} mailbox - 邮箱对象 { refresh_token, client_id, email }
+     * @param {object|null} actor - 当前用户，用于审计日志
      */
-    async processInbox(mailbox) {
-        const url = this._buildMailApiUrl('/process-inbox', mailbox);
+    async processInbox(mailbox, actor = null) {
+        const provider = this._providerFor(mailbox);
 
         logger.info('[Mail API] 处理收件箱', { email: mailbox.email });
 
-        const data = await this.request(url, {
-            method: 'GET',
-            headers: {
-                'Accept': 'application/json',
-            },
-        });
+        const response = await provider.clearFolder(mailbox, 'inbox');
+        const data = await this._captureRotatedToken(mailbox, response, actor);
 
         logger.info('[Mail API] 收件箱处理完成', {
             email: mailbox.email,
             result: data
         });
 
+        await auditService.record({ action: AUDIT_ACTIONS.PROCESS_INBOX, actor, mailbox });
+
         return data;
     }
 
     /**
      * 处理垃圾邮件箱
      * @param {object} mailbox - 邮箱对象 { refresh_token, client_id, email }
+     * @param {object|null} actor - 当前用户，用于审计日志
      */
-    async processJunk(mailbox) {
-        const url = this._buildMailApiUrl('/process-junk', mailbox);
+    async processJunk(mailbox, actor = null) {
+        const provider = this._providerFor(mailbox);
 
         logger.info('[Mail API] 处理垃圾邮件箱', { email: mailbox.email });
 
-        const data = await this.request(url, {
-            method: 'GET',
-            headers: {
-                'Accept': 'application/json',
-            },
-        });
+        const response = await provider.clearFolder(mailbox, 'junk');
+        const data = await this._captureRotatedToken(mailbox, response, actor);
 
         logger.info('[Mail API] 垃圾邮件箱处理完成', {
             email: mailbox.email,
             result: data
         });
 
+        await auditService.record({ action: AUDIT_ACTIONS.PROCESS_JUNK, actor, mailbox });
+
         return data;
     }
 
+    /**
+     * 按 concurrency 分批并发处理，在批次之间检查取消信号
+     * @private
+     * @returns {Promise<{ results: Array, cancelled: boolean }>}
+     */
+    async _mapInBatches(items, { concurrency, signal }, worker) {
+        const results = [];
+        const batchSize = Math.max(1, concurrency);
+        for (let i = 0; i < items.length; i += batchSize) {
+            if (signal?.aborted) {
+                return { results, cancelled: true };
+            }
+            results.push(...await Promise.all(items.slice(i, i + batchSize).map(worker)));
+        }
+        return { results, cancelled: false };
+    }
+
+    /**
+     * 批量清空多个邮箱的收件箱或垃圾箱
+     * 按 concurrency 分批并发处理，单个邮箱失败不影响其它邮箱
+     * @param {Array<object>} mailboxes - 含凭证的邮箱对象
+     * @param {string} folder - 'inbox' 或 'junk'
+     * @param {object} options
+     * @param {number} options.concurrency 并发数
+     * @param {AbortSignal} options.signal 取消信号，在批次之间检查
+     * @param {function(object): void} options.onResult 每处理完一个邮箱回调 { mailbox_id, email, success, error }
+     * @param {object|null} actor - 当前用户，用于审计日志
+     * @returns {Promise<{ folder, total, succeeded, failed, cancelled, results }>}
+     */
+    async processFolderBulk(mailboxes, folder, options = {}, actor = null) {
+        const { concurrency = config.bulk.processFolderConcurrency, signal = null, onResult = null } = options;
+        const method = { inbox: 'processInbox', junk: 'processJunk' }[folder];
+        if (!method) {
+            throw new Error('无效的文件夹');
+        }
+
+        const { results, cancelled } = await this._mapInBatches(mailboxes, { concurrency, signal }, async (mailbox) => {
+            let result;
+            try {
+                await this[method](mailbox, actor);
+                result = { mailbox_id: mailbox.id, email: mailbox.email, success: true, error: null };
+            } catch (error) {
+                result = { mailbox_id: mailbox.id, email: mailbox.email, success: false, error: error.message };
+            }
+            onResult?.(result);
+            return result;
+        });
+
+        const succeeded = results.filter(r => r.success).length;
+        logger.info('[Mail API] 批量清空文件夹完成', {
+            folder,
+            total: mailboxes.length,
+            succeeded,
+            failed: results.length - succeeded,
+            cancelled,
+        });
+
+        return {
+            folder,
+            total: mailboxes.length,
+            succeeded,
+            failed: results.length - succeeded,
+            cancelled,
+            results,
+        };
+    }
+
+    /**
+     * 用邮箱的刷新令牌向微软令牌接口换取访问令牌
+     * 新签发的刷新令牌会保存到已保存的邮箱，并更新传入的邮箱对象（旧令牌随后失效）
+     * @param {object} mailbox - 邮箱对象 { id, refresh_token, client_id, email }
+     * @param {object} options
+     * @param {string} options.scope 申请的权限范围，为空时沿用刷新令牌原有的权限范围
+     * @param {object|null} actor - 当前用户
+     * @returns {Promise<object>} 令牌接口的响应（access_token、expires_in 等），rotated 表示刷新令牌是否已轮换
+     */
+    async exchangeToken(mailbox, { scope = config.tokenRefresh.scope } = {}, actor = null) {
+        const { tokenUrl } = config.tokenRefresh;
+        const body = new URLSearchParams({
+            client_id: mailbox.client_id,
+            grant_type: 'refresh_token',
+            refresh_token: mailbox.refresh_token,
+        });
+        if (scope) {
+            body.append('scope', scope);
+        }
+
+        let data;
+        try {
+            data = await this.request(tokenUrl, {
+                method: 'POST',
+                headers: {
+                    'Accept': 'application/json',
+                    'Content-Type': 'application/x-www-form-urlencoded',
+                },
+                body,
+            });
+        } catch (error) {
+            // 刷新令牌已失效或被撤销，重试也不会成功
+            if (error.status === 400 && error.message.includes('invalid_grant')) {
+                error.invalidCredentials = true;
+            }
+            throw error;
+        }
+
+        const rotated = mailbox.id
+            ? await mailboxService.saveRefreshedToken(mailbox.id, data.refresh_token || null, actor)
+            : Boolean(data.refresh_token) && data.refresh_token !== mailbox.refresh_token;
+        if (data.refresh_token) {
+            mailbox.refresh_token = data.refresh_token;
+        }
+
+        return { ...data, rotated };
+    }
+
+    /**
+     * 刷新邮箱令牌并保存新签发的刷新令牌
+     * 访问令牌只用于确认刷新令牌仍然有效，不保存
+     * @param {object} mailbox - 已保存的邮箱对象 { id, refresh_token, client_id, email }
+     * @param {object|null} actor - 当前用户
+     * @returns {Promise<{ rotated: boolean }>}
+     */
+    async refreshToken(mailbox, actor = null) {
+        const { rotated } = await this.exchangeToken(mailbox, {}, actor);
+
+        logger.info('[Token] 刷新令牌完成', { email: mailbox.email, rotated });
+
+        return { rotated };
+    }
+
+    /**
+     * 批量刷新多个邮箱的令牌
+     * 按 concurrency 分批并发处理，单个邮箱失败不影响其它邮箱
+     * @param {Array<object>} mailboxes - 含凭证的邮箱对象
+     * @param {object} options
+     * @param {number} options.concurrency 并发数
+     * @param {AbortSignal} options.signal 取消信号，在批次之间检查
+     * @param {function(object): void} options.onResult 每处理完一个邮箱回调 { mailbox_id, email, success, rotated, error }
+     * @param {object|null} actor - 当前用户
+     * @returns {Promise<{ total, refreshed, rotated, failed, cancelled, results }>}
+     */
+    async refreshTokensBulk(mailboxes, options = {}, actor = null) {
+        const { concurrency = config.tokenRefresh.concurrency, signal = null, onResult = null } = options;
+
+        const { results, cancelled } = await this._mapInBatches(mailboxes, { concurrency, signal }, async (mailbox) => {
+            let result;
+            try {
+                const { rotated } = await this.refreshToken(mailbox, actor);
+                result = { mailbox_id: mailbox.id, email: mailbox.email, success: true, rotated, error: null };
+            } catch (error) {
+                result = { mailbox_id: mailbox.id, email: mailbox.email, success: false, rotated: false, error: error.message };
+            }
+            onResult?.(result);
+            return result;
+        });
+
+        const refreshed = results.filter(r => r.success).length;
+        const summary = {
+            total: mailboxes.length,
+            refreshed,
+            rotated: results.filter(r => r.rotated).length,
+            failed: results.length - refreshed,
+            cancelled,
+        };
+        logger.info('[Token] 批量刷新令牌完成', summary);
+
+        return { ...summary, results };
+    }
+
+    /**
+     * 外部 API 在响应中返回了轮换后的刷新令牌时保存到邮箱，并从响应中移除，避免发送给浏览器
+     * 仅处理已保存的邮箱；保存失败只记录日志，不影响本次请求
+     * @private
+     * @returns {Promise<*>} 移除 refresh_token 后的响应
+     */
+    async _captureRotatedToken(mailbox, data, actor = null) {
+        if (!data || typeof data !== 'object' || Array.isArray(data) || typeof data.refresh_token !== 'string') {
+            return data;
+        }
+
+        const { refresh_token: refreshToken, ...rest } = data;
+        // 旧令牌随后失效，同一个邮箱对象的后续请求（如长轮询）需使用新令牌
+        mailbox.refresh_token = refreshToken;
+        if (mailbox.id) {
+            try {
+                await mailboxService.saveRefreshedToken(mailbox.id, refreshToken, actor);
+            } catch (error) {
+                logger.error('[Token] 保存轮换的刷新令牌失败', {
+                    email: mailbox.email,
+                    error: error.message,
+                });
+            }
+        }
+        return rest;
+    }
+
     /**
      * 获取最新邮件
      * @param {object} mailbox - 邮箱对象 { refresh_token, client_id, email }
@@ -267,10 +624,7 @@ class ProxyService {
      * @param {string} responseType - 响应类型
      */
     async getNewMail(mailbox, folder = 'inbox', responseType = 'json') {
-        const url = this._buildMailApiUrl('/mail-new', mailbox, {
-            mailbox: folder,
-            response_type: responseType
-        });
+        const provider = this._providerFor(mailbox);
 
         logger.info('[Mail API] 获取最新邮件', {
             email: mailbox.email,
@@ -278,18 +632,18 @@ class ProxyService {
             responseType
         });
 
-        const data = await this.request(url, {
-            method: 'GET',
-            headers: {
-                'Accept': 'application/json',
-            },
-        });
+        const response = await provider.getLatestMessage(mailbox, folder, responseType);
+        const data = await this._captureRotatedToken(mailbox, response);
 
         logger.info('[Mail API] 成功获取最新邮件', {
             email: mailbox.email,
             result: data
         });
 
+        if (responseType === 'json') {
+            await this._cacheMessages(mailbox, folder, data);
+        }
+
         return data;
     }
 }
@@ -0,0 +1,233 @@
+/**
+ * 采购限额服务层
+ *
+ * 在 ProxyService.purchaseEmails() 向供应商下单前检查：
+ * - 单笔数量不超过 PURCHASE_MAX_PER_ORDER
+ * - 按用户和按供应商的每日 / 每月花费和数量上限（统计已记录的成功订单和进行中订单的预留，见 PurchaseOrderService.getUsage()）；
+ *   下单时先写入 pending 订单预留本次额度再检查，并发的购买不会同时通过同一额度；已配置花费上限而单价未知时拒绝下单
+ * - 数量或预计花费达到阈值的订单需要二次确认：第一次请求返回确认令牌，带上令牌重新提交后才会下单
+ *
+ * 确认令牌为签名令牌（见 utils/token.js），绑定用户、供应商、商品和数量，短时间内有效；
+ * 载荷不含 sub，不能当作访问令牌使用。令牌带有 jti，使用后记入已使用列表，同一令牌不能确认第二笔订单
+ * （PostgreSQL 为 used_confirm_tokens 表，旧存储模式为 used-confirm-tokens.json）
+ */
+
+const { v4: uuidv4 } = require('uuid');
+const { lt } = require('drizzle-orm');
+const config = require('../config');
+const logger = require('../utils/logger');
+const { signToken, verifyToken } = require('../utils/token');
+const { getDb, schema } = require('../db');
+const { LegacyJsonStore, resolveStorageMode } = require('../utils/legacy-store');
+const purchaseOrderService = require('./purchase-order.service');
+const { usedConfirmTokens } = schema;
+
+const CONFIRM_PURPOSE = 'purchase_confirm';
+
+const LIMIT_WINDOWS = [
+    { key: 'daily', label: '今日', since: () => { const d = new Date(); d.setHours(0, 0, 0, 0); return d; } },
+    { key: 'monthly', label: '本月', since: () => { const d = new Date(); d.setHours(0, 0, 0, 0); d.setDate(1); return d; } },
+];
+
+/**
+ * 金额保留两位小数，避免浮点误差出现在提示中
+ */
+function roundMoney(value) {
+    return Math.round(value * 100) / 100;
+}
+
+class PurchaseGuardService {
+    constructor() {
+        this.storageMode = resolveStorageMode();
+        this.legacyStore = new LegacyJsonStore({
+            blobKey: process.env.BLOB_USED_CONFIRM_TOKENS_KEY || 'purchases/used-confirm-tokens.json',
+            fileName: 'used-confirm-tokens.json',
+        });
+    }
+
+    /**
+     * 是否配置了任何花费上限或花费确认阈值（未配置时不需要查询单价）
+     * @param {object} supplier 供应商实例
+     */
+    needsPrice(supplier) {
+        const limits = config.purchaseLimits;
+        const supplierLimits = { ...limits.supplier, ...supplier.limits };
+        return Boolean(limits.confirmSpend || limits.user.dailySpend || limits.user.monthlySpend ||
+            supplierLimits.dailySpend || supplierLimits.monthlySpend);
+    }
+
+    /**
+     * 确认令牌绑定的订单内容
+     * @private
+     */
+    _confirmClaims({ supplier, commodityId, num }, actor) {
+        return {
+            purpose: CONFIRM_PURPOSE,
+            uid: actor?.id || null,
+            supplier: supplier.id,
+            commodity_id: String(commodityId),
+            num,
+        };
+    }
+
+    /**
+     * 校验确认令牌与本次订单一致
+     * @private
+     * @returns {object|null} 令牌载荷，无效、过期或与订单不一致时返回 null
+     */
+    _verifyConfirmation(token, claims) {
+        const payload = verifyToken(token);
+        if (!payload || typeof payload.jti !== 'string') return null;
+        return Object.entries(claims).every(([key, value]) => payload[key] === value) ? payload : null;
+    }
+
+    /**
+     * 将确认令牌记为已使用（原子操作），同时清理已过期的记录
+     * @private
+     * @param {object} payload 令牌载荷
+     * @returns {Promise<boolean>} 令牌此前未使用过时返回 true
+     */
+    async _consumeConfirmation(payload) {
+        const now = new Date();
+        const expiresAt = new Date(payload.exp * 1000);
+
+        if (this.storageMode === 'postgres') {
+            const db = getDb();
+            await db.delete(usedConfirmTokens).where(lt(usedConfirmTokens.expiresAt, now));
+            const rows = await db.insert(usedConfirmTokens)
+                .values({ jti: payload.jti, userId: payload.uid, expiresAt })
+                .onConflictDoNothing({ target: usedConfirmTokens.jti })
+                .returning({ jti: usedConfirmTokens.jti });
+            return rows.length > 0;
+        }
+
+        return this.legacyStore.update(async (all) => {
+            const live = all.filter(t => new Date(t.expires_at) >= now);
+            all.splice(0, all.length, ...live);
+            if (all.some(t => t.jti === payload.jti)) return false;
+            all.push({ jti: payload.jti, user_id: payload.uid, expires_at: expiresAt.toISOString() });
+            return true;
+        });
+    }
+
+    /**
+     * 检查本次订单是否超出上限
+     * @private
+     * @param {boolean} reserved 本次订单已写入 pending 订单（已计入 getUsage() 的结果）
+     */
+    async _checkCaps({ supplier, num, estimatedCost, reserved }, actor) {
+        const scopes = [
+            { label: `供应商「${supplier.name}」`, filter: { supplierId: supplier.id }, caps: { ...config.purchaseLimits.supplier, ...supplier.limits } },
+        ];
+        if (actor) {
+            scopes.unshift({ label: '用户', filter: { userId: actor.id }, caps: config.purchaseLimits.user });
+        }
+
+        for (const scope of scopes) {
+            for (const window of LIMIT_WINDOWS) {
+                const spendCap = Number(scope.caps[`${window.key}Spend`]) || 0;
+                const quantityCap = Number(scope.caps[`${window.key}Quantity`]) || 0;
+                if (!spendCap && !quantityCap) continue;
+
+                if (spendCap && estimatedCost === null) {
+                    throw new Error(`商品单价未知，无法检查${scope.label}${window.label}预算，已拒绝下单`);
+                }
+
+                // 含本次订单在内的额度
+                const usage = await purchaseOrderService.getUsage({ ...scope.filter, since: window.since() });
+                const total = reserved ? usage : { quantity: usage.quantity + num, spend: usage.spend + (estimatedCost || 0) };
+
+                if (quantityCap && total.quantity > quantityCap) {
+                    throw new Error(`超出${scope.label}${window.label}购买数量上限：已购买 ${total.quantity - num}，本次 ${num}，上限 ${quantityCap}`);
+                }
+                if (spendCap && roundMoney(total.spend) > spendCap) {
+                    throw new Error(`超出${scope.label}${window.label}预算：已花费 ${roundMoney(total.spend - estimatedCost)}，` +
+                        `本次预计 ${estimatedCost}，上限 ${spendCap}`);
+                }
+            }
+        }
+    }
+
+    /**
+     * 大额订单的二次确认
+     * @private
+     * @returns {Promise<boolean>} 是否为已确认的大额订单；需要确认而未确认时抛出错误
+     */
+    async _checkConfirmation({ supplier, commodityId, quantity, estimatedCost, confirmToken, confirmed }, actor) {
+        const limits = config.purchaseLimits;
+        // 单价未知时无法判断是否达到花费阈值，按需要确认处理
+        const needsConfirm = (limits.confirmQuantity > 0 && quantity >= limits.confirmQuantity) ||
+            (limits.confirmSpend > 0 && (estimatedCost === null || estimatedCost >= limits.confirmSpend));
+        if (!needsConfirm) return false;
+        if (confirmed) return true;
+
+        const claims = this._confirmClaims({ supplier, commodityId, num: quantity }, actor);
+        const payload = this._verifyConfirmation(confirmToken, claims);
+        if (payload && await this._consumeConfirmation(payload)) return true;
+
+        const error = new Error(`订单需要确认：购买 ${quantity} 个` + (estimatedCost === null ? '' : `，预计花费 ${estimatedCost}`));
+        error.confirmation = {
+            confirm_token: signToken({ ...claims, jti: uuidv4() }, limits.confirmTtlSeconds),
+            expires_at: new Date(Date.now() + limits.confirmTtlSeconds * 1000).toISOString(),
+            supplier: supplier.id,
+            commodity_id: String(commodityId),
+            num: quantity,
+            estimated_cost: estimatedCost,
+        };
+        throw error;
+    }
+
+    /**
+     * 下单前检查
+     * - 数量无效或超过单笔上限：抛出「购买数量无效」
+     * - 超出预算或数量上限：抛出「超出...」；已配置花费上限而单价未知：抛出「商品单价未知...」
+     * - 需要确认且未带有效的确认令牌（或令牌已使用过）：抛出「订单需要确认」，error.confirmation 为
+     *   { confirm_token, expires_at, supplier, commodity_id, num, estimated_cost }
+     * reserve 为 true 时先写入 pending 订单预留额度，检查未通过时删除；通过时由调用方在下单后
+     * 调用 PurchaseOrderService.completeOrder() 更新该订单
+     * @param {object} order
+     * @param {object} order.supplier 供应商实例
+     * @param {string} order.commodityId 商品ID
+     * @param {number} order.num 购买数量
+     * @param {number|null} order.unitPrice 单价，未知时为 null
+     * @param {string} [order.confirmToken] 确认令牌
+     * @param {boolean} [order.confirmed] 调用方已校验过确认令牌（后台任务在创建前校验，任务参数不保存令牌）
+     * @param {boolean} [order.reserve] 预留额度（实际下单前使用）
+     * @param {object|null} actor 当前用户；为空表示内部调用，不检查用户上限
+     * @returns {Promise<{ estimated_cost: number|null, confirmed: boolean, order_id: string|null }>} order_id 为预留的订单ID
+     */
+    async check({ supplier, commodityId, num, unitPrice = null, confirmToken = null, confirmed = false, reserve = false }, actor = null) {
+        const limits = config.purchaseLimits;
+        const quantity = Number(num);
+        if (!Number.isInteger(quantity) || quantity < 1 || quantity > limits.maxPerOrder) {
+            throw new Error(`购买数量无效：每单 1-${limits.maxPerOrder} 个`);
+        }
+
+        const estimatedCost = unitPrice === null ? null : roundMoney(unitPrice * quantity);
+        const order = reserve
+            ? await purchaseOrderService.reserveOrder({ supplier, commodityId, num: quantity, estimatedCost }, actor)
+            : null;
+
+        try {
+            try {
+                await this._checkCaps({ supplier, num: quantity, estimatedCost, reserved: Boolean(order) }, actor);
+            } catch (error) {
+                logger.warn('[Purchase] 超出采购限额', { error: error.message, supplier: supplier.id, user: actor?.username });
+                throw error;
+            }
+
+            const isConfirmed = await this._checkConfirmation({
+                supplier, commodityId, quantity, estimatedCost, confirmToken, confirmed,
+            }, actor);
+            return { estimated_cost: estimatedCost, confirmed: isConfirmed, order_id: order?.id ?? null };
+        } catch (error) {
+            if (order) await purchaseOrderService.releaseOrder(order.id);
+            throw error;
+        }
+    }
+}
+
+// 创建单例
+const purchaseGuardService = new PurchaseGuardService();
+
+module.exports = purchaseGuardService;
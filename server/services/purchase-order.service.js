@@ -0,0 +1,483 @@
+/**
+ * 采购订单服务层
+ *
+ * 每次购买（同步或后台任务）由 ProxyService.purchaseEmails() 写入一条订单，记录供应商、商品、
+ * 请求数量与实际交付数量、花费和供应商原始响应；后台任务导入邮箱后回填 mailbox_ids，
+ * 订单详情据此核对购买的邮箱当前是否仍然可用。
+ *
+ * 下单前先写入 pending 订单预留采购额度（见 PurchaseGuardService.check()），并发的购买都能看到彼此的预留；
+ * 下单后更新为 completed / failed。预留写入失败时不会下单；下单后的写入失败只记录错误日志，
+ * 不影响购买本身（供应商可能已扣款，卡密不能因此丢失）。
+ * 交付的完整卡密加密保存在订单中（不通过接口返回），导入邮箱失败时可通过 getDeliveredCards() 恢复。
+ * 存储后端与 MailboxService 一致：PostgreSQL 优先，否则回退到 Blob/JSON
+ */
+
+const { v4: uuidv4 } = require('uuid');
+const { and, or, eq, gte, desc, sql } = require('drizzle-orm');
+const logger = require('../utils/logger');
+const { encryptField, decryptField } = require('../utils/field-crypto');
+const { getDb, schema } = require('../db');
+const { LegacyJsonStore, resolveStorageMode } = require('../utils/legacy-store');
+const { PERMISSIONS, hasPermission } = require('../utils/permissions');
+const mailboxService = require('./mailbox.service');
+const { MAILBOX_STATUS } = mailboxService;
+const { purchaseOrders } = schema;
+
+const ORDER_STATUS = Object.freeze({
+    PENDING: 'pending',
+    COMPLETED: 'completed',
+    FAILED: 'failed',
+});
+
+// pending 订单超过该时长仍未完成（进程在下单过程中退出）时不再占用采购额度
+const RESERVATION_TTL_MS = 10 * 60 * 1000;
+
+// 订单中邮箱的核对结果：alive（正常）/ suspect / quarantined / dead（见邮箱健康状态）/ deleted（已删除）
+const ACCOUNT_STATES = ['alive', MAILBOX_STATUS.SUSPECT, MAILBOX_STATUS.QUARANTINED, MAILBOX_STATUS.DEAD, 'deleted'];
+
+const UUID_REGEX = /^[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}$/i;
+const DEFAULT_LIMIT = 50;
+const MAX_LIMIT = 200;
+
+class PurchaseOrderService {
+    constructor() {
+        this.storageMode = resolveStorageMode();
+        this.legacyStore = new LegacyJsonStore({
+            blobKey: process.env.BLOB_PURCHASE_ORDERS_KEY || 'purchases/orders.json',
+            fileName: 'purchase-orders.json',
+        });
+    }
+
+    // ============================================================
+    // 数据转换方法
+    // ============================================================
+
+    /**
+     * 数据库行转换为 JSON 格式
+     * @private
+     */
+    _dbRowToJson(row) {
+        return {
+            id: row.id,
+            supplier_id: row.supplierId,
+            supplier_type: row.supplierType,
+            supplier_name: row.supplierName,
+            commodity_id: row.commodityId,
+            quantity_requested: row.quantityRequested,
+            quantity_delivered: row.quantityDelivered,
+            cost: row.cost === null ? null : Number(row.cost),
+            trade_no: row.tradeNo,
+            status: row.status,
+            error: row.error,
+            raw_response: row.rawResponse ?? null,
+            mailbox_ids: row.mailboxIds || [],
+            created_by: row.createdBy,
+            created_by_username: row.createdByUsername,
+            created_at: row.createdAt?.toISOString(),
+            updated_at: row.updatedAt?.toISOString(),
+        };
+    }
+
+    /**
+     * 去掉加密保存的卡密（旧存储模式的记录中包含该字段）
+     * @private
+     */
+    _withoutCards(order) {
+        const { delivered_cards, ...rest } = order;
+        return rest;
+    }
+
+    /**
+     * 列表中不返回原始响应
+     * @private
+     */
+    _toSummary(order) {
+        const { raw_response, ...summary } = this._withoutCards(order);
+        return summary;
+    }
+
+    /**
+     * 花费转换为数字（供应商返回字符串金额），无法解析时为 null
+     * @private
+     */
+    _parseCost(value) {
+        if (value === null || value === undefined || value === '') return null;
+        const cost = Number(value);
+        return Number.isFinite(cost) ? cost : null;
+    }
+
+    // ============================================================
+    // 写入
+    // ============================================================
+
+    /**
+     * 下单前写入 pending 订单，预留本次的数量和预计花费（计入 getUsage()）
+     * @param {object} order
+     * @param {object} order.supplier 供应商实例（id / type / name）
+     * @param {string} order.commodityId 商品ID
+     * @param {number} order.num 请求数量
+     * @param {number|null} order.estimatedCost 预计花费，未知时为 null
+     * @param {object|null} actor 下单用户
+     * @returns {Promise<object>} 订单；写入失败时抛出错误，不应继续下单
+     */
+    async reserveOrder({ supplier, commodityId, num, estimatedCost = null }, actor = null) {
+        const now = new Date().toISOString();
+        const order = {
+            id: uuidv4(),
+            supplier_id: supplier.id,
+            supplier_type: supplier.type || null,
+            supplier_name: supplier.name || null,
+            commodity_id: String(commodityId),
+            quantity_requested: Number(num),
+            quantity_delivered: 0,
+            cost: estimatedCost,
+            trade_no: null,
+            status: ORDER_STATUS.PENDING,
+            error: null,
+            raw_response: null,
+            mailbox_ids: [],
+            delivered_cards: null,
+            created_by: actor?.id || null,
+            created_by_username: actor?.username || null,
+            created_at: now,
+            updated_at: now,
+        };
+
+        try {
+            if (this.storageMode === 'postgres') {
+                const db = getDb();
+                await db.insert(purchaseOrders).values({
+                    id: order.id,
+                    supplierId: order.supplier_id,
+                    supplierType: order.supplier_type,
+                    supplierName: order.supplier_name,
+                    commodityId: order.commodity_id,
+                    quantityRequested: order.quantity_requested,
+                    quantityDelivered: order.quantity_delivered,
+                    cost: order.cost === null ? null : String(order.cost),
+                    status: order.status,
+                    mailboxIds: order.mailbox_ids,
+                    createdBy: order.created_by,
+                    createdByUsername: order.created_by_username,
+                    createdAt: new Date(now),
+                    updatedAt: new Date(now),
+                });
+            } else {
+                await this.legacyStore.update(async (all) => {
+                    all.push(order);
+                });
+            }
+            return this._withoutCards(order);
+        } catch (err) {
+            logger.error('[Purchase] 写入采购订单失败', { error: err.message });
+            throw new Error('无法记录采购订单，已取消下单');
+        }
+    }
+
+    /**
+     * 未下单的 pending 订单（超出限额或需要确认）直接删除，释放预留的额度
+     * @param {string} id 订单ID
+     */
+    async releaseOrder(id) {
+        try {
+            if (this.storageMode === 'postgres') {
+                const db = getDb();
+                await db.delete(purchaseOrders)
+                    .where(and(eq(purchaseOrders.id, id), eq(purchaseOrders.status, ORDER_STATUS.PENDING)));
+                return;
+            }
+
+            await this.legacyStore.update(async (all) => {
+                const index = all.findIndex(o => o.id === id && o.status === ORDER_STATUS.PENDING);
+                if (index !== -1) all.splice(index, 1);
+            });
+        } catch (err) {
+            logger.error('[Purchase] 释放采购额度失败', { error: err.message, order_id: id });
+        }
+    }
+
+    /**
+     * 下单后用供应商的结果更新 pending 订单
+     * @param {string} id reserveOrder() 返回的订单ID
+     * @param {object} outcome
+     * @param {object|null} outcome.result 供应商返回的 { trade_no, total_price, cards, raw }，失败时为 null
+     * @param {Error|null} outcome.error 购买失败的错误
+     * @returns {Promise<object|null>} 订单，写入失败时返回 null
+     */
+    async completeOrder(id, { result = null, error = null }) {
+        const changes = {
+            quantity_delivered: result ? result.cards.length : 0,
+            cost: result ? this._parseCost(result.total_price) : null,
+            trade_no: result?.trade_no ?? null,
+            status: result ? ORDER_STATUS.COMPLETED : ORDER_STATUS.FAILED,
+            error: error ? error.message : null,
+            raw_response: result?.raw ?? null,
+            delivered_cards: result ? encryptField(JSON.stringify(result.cards)) : null,
+            updated_at: new Date().toISOString(),
+        };
+
+        try {
+            if (this.storageMode === 'postgres') {
+                const db = getDb();
+                const [row] = await db.update(purchaseOrders)
+                    .set({
+                        quantityDelivered: changes.quantity_delivered,
+                        cost: changes.cost === null ? null : String(changes.cost),
+                        tradeNo: changes.trade_no,
+                        status: changes.status,
+                        error: changes.error,
+                        rawResponse: changes.raw_response,
+                        deliveredCards: changes.delivered_cards,
+                        updatedAt: new Date(changes.updated_at),
+                    })
+                    .where(eq(purchaseOrders.id, id))
+                    .returning();
+                if (!row) throw new Error('订单不存在');
+                return this._dbRowToJson(row);
+            }
+
+            const order = await this.legacyStore.update(async (all) => {
+                const found = all.find(o => o.id === id);
+                if (!found) throw new Error('订单不存在');
+                Object.assign(found, changes);
+                return found;
+            });
+            return this._withoutCards(order);
+        } catch (err) {
+            logger.error('[Purchase] 写入采购订单失败', { error: err.message, order_id: id, trade_no: changes.trade_no });
+            return null;
+        }
+    }
+
+    /**
+     * 回填订单导入的邮箱ID（追加，去重）
+     * @param {string} id 订单ID
+     * @param {string[]} mailboxIds
+     */
+    async attachMailboxes(id, mailboxIds = []) {
+        if (!id || mailboxIds.length === 0) return;
+
+        try {
+            if (this.storageMode === 'postgres') {
+                const db = getDb();
+                const [row] = await db.select({ mailboxIds: purchaseOrders.mailboxIds })
+                    .from(purchaseOrders).where(eq(purchaseOrders.id, id));
+                if (!row) return;
+                await db.update(purchaseOrders)
+                    .set({ mailboxIds: [...new Set([...(row.mailboxIds || []), ...mailboxIds])], updatedAt: new Date() })
+                    .where(eq(purchaseOrders.id, id));
+                return;
+            }
+
+            await this.legacyStore.update(async (all) => {
+                const order = all.find(o => o.id === id);
+                if (!order) return;
+                order.mailbox_ids = [...new Set([...order.mailbox_ids, ...mailboxIds])];
+                order.updated_at = new Date().toISOString();
+            });
+        } catch (err) {
+            logger.error('[Purchase] 回填订单邮箱失败', { error: err.message, order_id: id });
+        }
+    }
+
+    // ============================================================
+    // 查询
+    // ============================================================
+
+    /**
+     * 查询采购订单（按时间倒序，不含原始响应）
+     * 没有 MAILBOX_READ_ALL 权限的用户只能看到自己的订单
+     * @param {object} filters
+     * @param {string} filters.supplier 供应商ID
+     * @param {string} filters.status pending / completed / failed
+     * @param {number} filters.limit 每页条数，默认 50，最大 200
+     * @param {number} filters.offset 偏移量
+     * @param {object|null} actor 当前用户
+     * @returns {Promise<{ data: Array, total: number, limit: number, offset: number }>}
+     */
+    async listOrders(filters = {}, actor = null) {
+        const statuses = Object.values(ORDER_STATUS);
+        if (filters.status && !statuses.includes(filters.status)) {
+            throw new Error(`订单状态无效，可选值: ${statuses.join(', ')}`);
+        }
+
+        const parsedLimit = parseInt(filters.limit, 10);
+        const parsedOffset = parseInt(filters.offset, 10);
+        const limit = Math.min(parsedLimit > 0 ? parsedLimit : DEFAULT_LIMIT, MAX_LIMIT);
+        const offset = parsedOffset > 0 ? parsedOffset : 0;
+        const ownOnly = actor && !hasPermission(actor, PERMISSIONS.MAILBOX_READ_ALL);
+
+        if (this.storageMode === 'postgres') {
+            const conditions = [];
+            if (ownOnly) conditions.push(eq(purchaseOrders.createdBy, actor.id));
+            if (filters.supplier) conditions.push(eq(purchaseOrders.supplierId, String(filters.supplier)));
+            if (filters.status) conditions.push(eq(purchaseOrders.status, filters.status));
+
+            const where = conditions.length > 0 ? and(...conditions) : undefined;
+            const db = getDb();
+            const [countRow] = await db.select({ count: sql`count(*)::int` }).from(purchaseOrders).where(where);
+            const rows = await db.select().from(purchaseOrders)
+                .where(where)
+                .orderBy(desc(purchaseOrders.createdAt))
+                .limit(limit)
+                .offset(offset);
+
+            return {
+                data: rows.map(row => this._toSummary(this._dbRowToJson(row))),
+                total: countRow?.count || 0,
+                limit,
+                offset,
+            };
+        }
+
+        const matched = (await this.legacyStore.read()).filter(o => {
+            if (ownOnly && o.created_by !== actor.id) return false;
+            if (filters.supplier && o.supplier_id !== String(filters.supplier)) return false;
+            if (filters.status && o.status !== filters.status) return false;
+            return true;
+        }).reverse();
+
+        return {
+            data: matched.slice(offset, offset + limit).map(o => this._toSummary(o)),
+            total: matched.length,
+            limit,
+            offset,
+        };
+    }
+
+    /**
+     * 统计一段时间内的采购额度（用于采购限额）
+     * 成功订单按实际花费和交付数量统计；pending 订单按预计花费和请求数量统计（超过 RESERVATION_TTL_MS 的除外）
+     * @param {object} filters
+     * @param {string} [filters.userId] 只统计该用户的订单
+     * @param {string} [filters.supplierId] 只统计该供应商的订单
+     * @param {Date} filters.since 起始时间（含）
+     * @returns {Promise<{ spend: number, quantity: number }>}
+     */
+    async getUsage({ userId = null, supplierId = null, since }) {
+        const reservedSince = new Date(Date.now() - RESERVATION_TTL_MS);
+
+        if (this.storageMode === 'postgres') {
+            const conditions = [
+                or(
+                    eq(purchaseOrders.status, ORDER_STATUS.COMPLETED),
+                    and(eq(purchaseOrders.status, ORDER_STATUS.PENDING), gte(purchaseOrders.createdAt, reservedSince)),
+                ),
+                gte(purchaseOrders.createdAt, since),
+            ];
+            if (userId) conditions.push(eq(purchaseOrders.createdBy, userId));
+            if (supplierId) conditions.push(eq(purchaseOrders.supplierId, supplierId));
+
+            const db = getDb();
+            const [row] = await db.select({
+                spend: sql`coalesce(sum(${purchaseOrders.cost}), 0)::float8`,
+                quantity: sql`coalesce(sum(case when ${purchaseOrders.status} = ${ORDER_STATUS.PENDING}
+                    then ${purchaseOrders.quantityRequested} else ${purchaseOrders.quantityDelivered} end), 0)::int`,
+            }).from(purchaseOrders).where(and(...conditions));
+
+            return { spend: Number(row?.spend) || 0, quantity: Number(row?.quantity) || 0 };
+        }
+
+        return (await this.legacyStore.read()).reduce((usage, o) => {
+            const createdAt = new Date(o.created_at);
+            const pending = o.status === ORDER_STATUS.PENDING && createdAt >= reservedSince;
+            if ((o.status !== ORDER_STATUS.COMPLETED && !pending) || createdAt < since) return usage;
+            if (userId && o.created_by !== userId) return usage;
+            if (supplierId && o.supplier_id !== supplierId) return usage;
+            return {
+                spend: usage.spend + (o.cost || 0),
+                quantity: usage.quantity + (pending ? o.quantity_requested : o.quantity_delivered),
+            };
+        }, { spend: 0, quantity: 0 });
+    }
+
+    /**
+     * 读取单个订单（不校验权限）
+     * @private
+     */
+    async _findOrder(id) {
+        if (!UUID_REGEX.test(String(id))) return null;
+
+        if (this.storageMode === 'postgres') {
+            const db = getDb();
+            const rows = await db.select().from(purchaseOrders).where(eq(purchaseOrders.id, id));
+            return rows.length > 0 ? this._dbRowToJson(rows[0]) : null;
+        }
+
+        const order = (await this.legacyStore.read()).find(o => o.id === id);
+        return order ? this._withoutCards(order) : null;
+    }
+
+    /**
+     * 读取订单交付的完整卡密，用于导入邮箱失败后恢复（不校验权限，不通过接口返回）
+     * @param {string} id 订单ID
+     * @returns {Promise<string[]|null>} 订单不存在或未交付卡密时返回 null
+     */
+    async getDeliveredCards(id) {
+        if (!UUID_REGEX.test(String(id))) return null;
+
+        let encrypted;
+        if (this.storageMode === 'postgres') {
+            const db = getDb();
+            const [row] = await db.select({ deliveredCards: purchaseOrders.deliveredCards })
+                .from(purchaseOrders).where(eq(purchaseOrders.id, id));
+            encrypted = row?.deliveredCards;
+        } else {
+            encrypted = (await this.legacyStore.read()).find(o => o.id === id)?.delivered_cards;
+        }
+
+        return encrypted ? JSON.parse(decryptField(encrypted)) : null;
+    }
+
+    /**
+     * 订单中邮箱的核对结果
+     * @private
+     */
+    _accountState(mailbox) {
+        if (!mailbox) return 'deleted';
+        if (mailbox.status === MAILBOX_STATUS.DEAD) return MAILBOX_STATUS.DEAD;
+        if (mailbox.is_active === false) return 'deleted';
+        if (mailbox.status === MAILBOX_STATUS.SUSPECT || mailbox.status === MAILBOX_STATUS.QUARANTINED) {
+            return mailbox.status;
+        }
+        return 'alive';
+    }
+
+    /**
+     * 订单详情：含原始响应，以及导入的每个邮箱当前是否仍然可用
+     * @param {string} id 订单ID
+     * @param {object|null} actor 当前用户，只能查看自己的订单（管理员除外）
+     * @returns {Promise<object>} 订单 + mailboxes: [{ id, email, state, status, last_checked_at }] + accounts: { alive, suspect, ... }
+     */
+    async getOrder(id, actor = null) {
+        const order = await this._findOrder(id);
+        const ownOnly = actor && !hasPermission(actor, PERMISSIONS.MAILBOX_READ_ALL);
+        if (!order || (ownOnly && order.created_by !== actor.id)) {
+            throw new Error('采购订单不存在');
+        }
+
+        const found = new Map((await mailboxService.getMailboxesByIds(order.mailbox_ids, actor)).map(m => [m.id, m]));
+        const accounts = Object.fromEntries(ACCOUNT_STATES.map(state => [state, 0]));
+
+        const mailboxes = order.mailbox_ids.map((mailboxId) => {
+            const mailbox = found.get(mailboxId) || null;
+            const state = this._accountState(mailbox);
+            accounts[state]++;
+            return {
+                id: mailboxId,
+                email: mailbox?.email ?? null,
+                state,
+                status: mailbox?.status ?? null,
+                last_checked_at: mailbox?.last_checked_at ?? null,
+            };
+        });
+
+        return { ...order, mailboxes, accounts };
+    }
+}
+
+// 创建单例
+const purchaseOrderService = new PurchaseOrderService();
+
+module.exports = purchaseOrderService;
+module.exports.ORDER_STATUS = ORDER_STATUS;
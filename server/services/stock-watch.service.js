@@ -0,0 +1,462 @@
+/**
+ * 库存和余额监控服务层
+ *
+ * 定时（或手动触发）查询 STOCK_WATCH_ITEMS 中每个商品的库存，以及各已配置凭证供应商的余额
+ * （STOCK_WATCH_MIN_BALANCE 大于 0 时），每次读数写入 supplier_readings。
+ * 读数低于等于阈值即为 low；只有与上一次读数相比越过阈值时才告警（见 AlertService）：
+ * - 变为 low：stock.low / balance.low
+ * - 从 low 恢复：stock.recovered / balance.recovered
+ * 查询失败的读数记录 error 并沿用上一次的 low，不触发告警。
+ *
+ * 定时任务由 server/index.js 在服务启动后调用 startScheduler() 开启（STOCK_WATCH_ENABLED=true），
+ * 无常驻进程的部署可定期调用 POST /api/alerts/check。
+ *
+ * 存储后端与 MailboxService 一致：PostgreSQL 优先，否则回退到 Blob/JSON
+ */
+
+const { v4: uuidv4 } = require('uuid');
+const { and, eq, desc, sql } = require('drizzle-orm');
+const config = require('../config');
+const logger = require('../utils/logger');
+const { getDb, schema } = require('../db');
+const { LegacyJsonStore, resolveStorageMode } = require('../utils/legacy-store');
+const proxyService = require('./proxy.service');
+const alertService = require('./alert.service');
+const { supplierReadings } = schema;
+
+const READING_KINDS = Object.freeze({
+    STOCK: 'stock',
+    BALANCE: 'balance',
+});
+
+const DEFAULT_LIMIT = 50;
+const MAX_LIMIT = 500;
+
+/**
+ * 读数对应的监控目标
+ */
+function targetKey({ supplier_id, kind, commodity_id }) {
+    return `${supplier_id}|${kind}|${commodity_id || ''}`;
+}
+
+class StockWatchService {
+    constructor() {
+        this.storageMode = resolveStorageMode();
+        this.legacyStore = new LegacyJsonStore({
+            blobKey: process.env.BLOB_SUPPLIER_READINGS_KEY || 'suppliers/readings.json',
+            fileName: 'supplier-readings.json',
+        });
+        this.timer = null;
+        // 当前正在进行的检查（定时和手动检查共用，避免重叠执行时重复告警）
+        this.running = null;
+        this.lastRun = null;
+    }
+
+    // ============================================================
+    // 数据转换方法
+    // ============================================================
+
+    /**
+     * 数据库行转换为 JSON 格式
+     * @private
+     */
+    _dbRowToJson(row) {
+        return {
+            id: row.id,
+            supplier_id: row.supplierId,
+            kind: row.kind,
+            commodity_id: row.commodityId ?? null,
+            value: row.value === null ? null : Number(row.value),
+            threshold: row.threshold === null ? null : Number(row.threshold),
+            low: row.low,
+            error: row.error ?? null,
+            checked_at: row.checkedAt?.toISOString(),
+        };
+    }
+
+    // ============================================================
+    // 监控目标
+    // ============================================================
+
+    /**
+     * 解析 STOCK_WATCH_ITEMS；格式错误的项跳过并记录日志
+     * @private
+     * @returns {Array<{ supplier: string, commodity_id: string, min_stock: number }>}
+     */
+    _watchItems() {
+        const raw = config.stockWatch.items;
+        if (!raw) return [];
+
+        let list;
+        try {
+            list = JSON.parse(raw);
+        } catch (error) {
+            logger.error('[StockWatch] STOCK_WATCH_ITEMS 不是有效的 JSON', { error: error.message });
+            return [];
+        }
+        if (!Array.isArray(list)) {
+            logger.error('[StockWatch] STOCK_WATCH_ITEMS 必须是数组');
+            return [];
+        }
+
+        return list.filter((item) => {
+            const valid = item && item.supplier !== undefined && item.commodity_id !== undefined &&
+                Number.isFinite(Number(item.min_stock));
+            if (!valid) {
+                logger.error('[StockWatch] 跳过无效的监控项', { item });
+            }
+            return valid;
+        }).map(item => ({
+            supplier: String(item.supplier),
+            commodity_id: String(item.commodity_id),
+            min_stock: Number(item.min_stock),
+        }));
+    }
+
+    /**
+     * 本次需要查询的目标：监控的商品库存 + 已配置凭证供应商的余额
+     * @private
+     * @returns {Array<{ supplier_id, kind, commodity_id, threshold, supplier_name, product_name }>}
+     */
+    _targets() {
+        const suppliers = proxyService.listSuppliers();
+        const byId = new Map(suppliers.map(s => [s.id, s]));
+
+        const targets = this._watchItems().map((item) => {
+            const supplier = byId.get(item.supplier);
+            const product = supplier?.products.find(p => p.id === item.commodity_id);
+            return {
+                supplier_id: item.supplier,
+                kind: READING_KINDS.STOCK,
+                commodity_id: item.commodity_id,
+                threshold: item.min_stock,
+                supplier_name: supplier?.name || item.supplier,
+                product_name: product?.name || item.commodity_id,
+            };
+        });
+
+        if (config.stockWatch.minBalance > 0) {
+            for (const supplier of suppliers.filter(s => s.configured)) {
+                targets.push({
+                    supplier_id: supplier.id,
+                    kind: READING_KINDS.BALANCE,
+                    commodity_id: null,
+                    threshold: config.stockWatch.minBalance,
+                    supplier_name: supplier.name,
+                    product_name: null,
+                });
+            }
+        }
+
+        return targets;
+    }
+
+    /**
+     * 查询一个目标的当前库存或余额
+     * @private
+     * @returns {Promise<{ value: number|null, error: string|null }>}
+     */
+    async _read(target) {
+        try {
+            const value = target.kind === READING_KINDS.STOCK
+                ? (await proxyService.checkStock(target.commodity_id, target.supplier_id)).stock
+                : (await proxyService.checkBalance(target.supplier_id)).balance;
+            const number = Number(value);
+            if (value === null || value === undefined || value === '' || !Number.isFinite(number)) {
+                return { value: null, error: `供应商返回的${target.kind === READING_KINDS.STOCK ? '库存' : '余额'}无效` };
+            }
+            return { value: number, error: null };
+        } catch (error) {
+            return { value: null, error: String(error.message || error).slice(0, 1000) };
+        }
+    }
+
+    /**
+     * 越过阈值时的告警内容
+     * @private
+     */
+    _buildAlert(target, reading) {
+        const isStock = target.kind === READING_KINDS.STOCK;
+        const subject = isStock ? `${target.supplier_name} ${target.product_name}` : target.supplier_name;
+        const label = isStock ? '库存' : '余额';
+
+        return {
+            type: `${target.kind}.${reading.low ? 'low' : 'recovered'}`,
+            level: reading.low ? 'warning' : 'info',
+            title: reading.low ? `${label}不足：${subject}` : `${label}已恢复：${subject}`,
+            message: `${subject} 当前${label} ${reading.value}，阈值 ${reading.threshold}`,
+            data: {
+                supplier_id: reading.supplier_id,
+                supplier_name: target.supplier_name,
+                kind: reading.kind,
+                commodity_id: reading.commodity_id,
+                product_name: target.product_name,
+                value: reading.value,
+                threshold: reading.threshold,
+                checked_at: reading.checked_at,
+            },
+        };
+    }
+
+    // ============================================================
+    // 检查
+    // ============================================================
+
+    /**
+     * 查询全部监控目标，保存读数并对越过阈值的目标发送告警
+     * 同一时间只执行一次检查：已有检查正在进行时返回该次检查的结果（两次检查读取相同的上一次读数会重复告警）
+     * @param {object} options
+     * @param {string} options.trigger 触发方式：scheduled / manual
+     * @returns {Promise<{ total, low, error, alerts, readings, started_at, finished_at }>}
+     */
+    runChecks({ trigger = 'manual' } = {}) {
+        if (this.running) return this.running;
+
+        this.running = this._runChecks({ trigger }).finally(() => {
+            this.running = null;
+        });
+        return this.running;
+    }
+
+    /**
+     * 执行一次检查，见 runChecks()
+     * @private
+     */
+    async _runChecks({ trigger }) {
+        const startedAt = new Date().toISOString();
+        const targets = this._targets();
+        const previous = await this.getLatestReadings();
+
+        const results = [];
+        const batchSize = Math.max(1, config.catalog.concurrency);
+        for (let i = 0; i < targets.length; i += batchSize) {
+            const batch = targets.slice(i, i + batchSize);
+            results.push(...await Promise.all(batch.map(async target => [target, await this._read(target)])));
+        }
+
+        const readings = [];
+        const alerts = [];
+        for (const [target, { value, error }] of results) {
+            const reading = {
+                id: uuidv4(),
+                supplier_id: target.supplier_id,
+                kind: target.kind,
+                commodity_id: target.commodity_id,
+                value,
+                threshold: target.threshold,
+                low: false,
+                error,
+                checked_at: new Date().toISOString(),
+            };
+            const wasLow = previous[targetKey(reading)]?.low ?? false;
+            reading.low = error ? wasLow : value <= target.threshold;
+            readings.push(reading);
+
+            if (!error && reading.low !== wasLow) {
+                alerts.push(this._buildAlert(target, reading));
+            }
+        }
+
+        await this.recordReadings(readings);
+        for (const alert of alerts) {
+            await alertService.dispatch(alert);
+        }
+
+        const summary = {
+            total: readings.length,
+            low: readings.filter(r => r.low).length,
+            error: readings.filter(r => r.error).length,
+            alerts: alerts.map(a => a.type),
+            readings,
+            started_at: startedAt,
+            finished_at: new Date().toISOString(),
+        };
+
+        logger.info('[StockWatch] 库存和余额检查完成', {
+            trigger,
+            total: summary.total,
+            low: summary.low,
+            error: summary.error,
+            alerts: alerts.length,
+        });
+
+        return summary;
+    }
+
+    /**
+     * 保存读数
+     * @param {Array<object>} readings
+     */
+    async recordReadings(readings = []) {
+        if (readings.length === 0) return;
+
+        if (this.storageMode === 'postgres') {
+            const db = getDb();
+            await db.insert(supplierReadings).values(readings.map(r => ({
+                id: r.id,
+                supplierId: r.supplier_id,
+                kind: r.kind,
+                commodityId: r.commodity_id,
+                value: r.value === null ? null : String(r.value),
+                threshold: r.threshold === null ? null : String(r.threshold),
+                low: r.low,
+                error: r.error,
+                checkedAt: new Date(r.checked_at),
+            })));
+            return;
+        }
+
+        await this.legacyStore.update(async (all) => {
+            all.push(...readings);
+            const overflow = all.length - config.stockWatch.legacyMaxReadings;
+            if (overflow > 0) {
+                all.splice(0, overflow);
+            }
+        });
+    }
+
+    // ============================================================
+    // 查询
+    // ============================================================
+
+    /**
+     * 查询读数（按时间倒序）
+     * @param {object} filters
+     * @param {string} filters.supplier 供应商ID
+     * @param {string} filters.kind stock / balance
+     * @param {string} filters.commodity_id 商品ID
+     * @param {number} filters.limit 每页条数，默认 50，最大 500
+     * @param {number} filters.offset 偏移量
+     * @returns {Promise<{ data: Array, total: number, limit: number, offset: number }>}
+     */
+    async getReadings(filters = {}) {
+        const kinds = Object.values(READING_KINDS);
+        if (filters.kind && !kinds.includes(filters.kind)) {
+            throw new Error(`读数类型无效，可选值: ${kinds.join(', ')}`);
+        }
+
+        const parsedLimit = parseInt(filters.limit, 10);
+        const parsedOffset = parseInt(filters.offset, 10);
+        const limit = Math.min(parsedLimit > 0 ? parsedLimit : DEFAULT_LIMIT, MAX_LIMIT);
+        const offset = parsedOffset > 0 ? parsedOffset : 0;
+
+        if (this.storageMode === 'postgres') {
+            const conditions = [];
+            if (filters.supplier) conditions.push(eq(supplierReadings.supplierId, String(filters.supplier)));
+            if (filters.kind) conditions.push(eq(supplierReadings.kind, filters.kind));
+            if (filters.commodity_id) conditions.push(eq(supplierReadings.commodityId, String(filters.commodity_id)));
+
+            const where = conditions.length > 0 ? and(...conditions) : undefined;
+            const db = getDb();
+            const [countRow] = await db.select({ count: sql`count(*)::int` }).from(supplierReadings).where(where);
+            const rows = await db.select().from(supplierReadings)
+                .where(where)
+                .orderBy(desc(supplierReadings.checkedAt))
+                .limit(limit)
+                .offset(offset);
+
+            return {
+                data: rows.map(row => this._dbRowToJson(row)),
+                total: countRow?.count || 0,
+                limit,
+                offset,
+            };
+        }
+
+        const matched = (await this.legacyStore.read()).filter(r => {
+            if (filters.supplier && r.supplier_id !== String(filters.supplier)) return false;
+            if (filters.kind && r.kind !== filters.kind) return false;
+            if (filters.commodity_id && r.commodity_id !== String(filters.commodity_id)) return false;
+            return true;
+        }).reverse();
+
+        return {
+            data: matched.slice(offset, offset + limit),
+            total: matched.length,
+            limit,
+            offset,
+        };
+    }
+
+    /**
+     * 每个监控目标的最新读数
+     * @returns {Promise<Object<string, object>>} 「供应商ID|类型|商品ID」→ 最新读数
+     */
+    async getLatestReadings() {
+        let latest;
+        if (this.storageMode === 'postgres') {
+            const db = getDb();
+            const rows = await db.selectDistinctOn([supplierReadings.supplierId, supplierReadings.kind, supplierReadings.commodityId])
+                .from(supplierReadings)
+                .orderBy(supplierReadings.supplierId, supplierReadings.kind, supplierReadings.commodityId, desc(supplierReadings.checkedAt));
+            latest = rows.map(row => this._dbRowToJson(row));
+        } else {
+            // 按写入顺序遍历，后写入的覆盖先写入的
+            latest = [...new Map((await this.legacyStore.read()).map(r => [targetKey(r), r])).values()];
+        }
+
+        return Object.fromEntries(latest.map(r => [targetKey(r), r]));
+    }
+
+    // ============================================================
+    // 定时任务
+    // ============================================================
+
+    /**
+     * 执行一次定时检查；上一次（或手动触发的）检查尚未结束时跳过
+     * @returns {Promise<object|null>} 检查汇总，跳过时返回 null
+     */
+    async runScheduled() {
+        if (this.running) {
+            logger.warn('[StockWatch] 上一次库存检查尚未结束，跳过本次');
+            return null;
+        }
+
+        return this.runChecks({ trigger: 'scheduled' })
+            .then((summary) => {
+                this.lastRun = summary;
+                return summary;
+            })
+            .catch((err) => {
+                logger.error('[StockWatch] 定时库存检查失败', { error: err.message });
+                return null;
+            });
+    }
+
+    /**
+     * 启动定时检查（STOCK_WATCH_ENABLED=true 时由 server/index.js 调用）
+     * @returns {boolean} 是否已启动
+     */
+    startScheduler() {
+        const { enabled, intervalMinutes } = config.stockWatch;
+        if (!enabled || this.timer) return Boolean(this.timer);
+
+        const intervalMs = Math.max(1, intervalMinutes) * 60 * 1000;
+        this.timer = setInterval(() => this.runScheduled(), intervalMs);
+        // 不阻止进程退出
+        this.timer.unref?.();
+
+        logger.info('[StockWatch] 定时库存检查已启动', {
+            intervalMinutes,
+            items: this._watchItems().length,
+            minBalance: config.stockWatch.minBalance,
+        });
+        return true;
+    }
+
+    /**
+     * 停止定时检查
+     */
+    stopScheduler() {
+        if (this.timer) {
+            clearInterval(this.timer);
+            this.timer = null;
+        }
+    }
+}
+
+// 创建单例
+const stockWatchService = new StockWatchService();
+
+module.exports = stockWatchService;
+module.exports.READING_KINDS = READING_KINDS;
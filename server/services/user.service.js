@@ -0,0 +1,352 @@
+/**
+ * 用户服务层 - 账号管理
+ *
+ * 存储后端与 MailboxService 一致：PostgreSQL 优先，否则回退到 Blob/JSON
+ */
+
+const { v4: uuidv4 } = require('uuid');
+const { and, eq, sql } = require('drizzle-orm');
+const config = require('../config');
+const logger = require('../utils/logger');
+const { getDb, schema } = require('../db');
+const { LegacyJsonStore, resolveStorageMode } = require('../utils/legacy-store');
+const { hashPassword } = require('../utils/password');
+const { ROLES } = require('../utils/permissions');
+const { users } = schema;
+
+const USERNAME_REGEX = /^[A-Za-z0-9_.@-]{3,64}$/;
+
+class UserService {
+    constructor() {
+        this.storageMode = resolveStorageMode();
+        this.legacyStore = new LegacyJsonStore({
+            blobKey: process.env.BLOB_USERS_KEY || 'users/users.json',
+            fileName: 'users.json',
+        });
+    }
+
+    /**
+     * 可用角色列表
+     */
+    get roles() {
+        return ROLES;
+    }
+
+    // ============================================================
+    // 数据转换方法
+    // ============================================================
+
+    /**
+     * 数据库行转换为 JSON 格式
+     * @private
+     */
+    _dbRowToJson(row) {
+        return {
+            id: row.id,
+            username: row.username,
+            password_hash: row.passwordHash,
+            role: row.role,
+            is_active: row.isActive,
+            token_version: row.tokenVersion,
+            last_login_at: row.lastLoginAt?.toISOString() || null,
+            created_at: row.createdAt?.toISOString(),
+            updated_at: row.updatedAt?.toISOString(),
+        };
+    }
+
+    /**
+     * 去除敏感字段，用于接口返回
+     */
+    toPublic(user) {
+        if (!user) return null;
+        const { password_hash, token_version, ...rest } = user;
+        return rest;
+    }
+
+    // ============================================================
+    // 校验
+    // ============================================================
+
+    /**
+     * @private
+     */
+    _validatePassword(password) {
+        if (!password || typeof password !== 'string') {
+            throw new Error('缺少密码');
+        }
+        if (password.length < 8) throw new Error('密码过短（至少 8 个字符）');
+        if (password.length > 256) throw new Error('密码过长（最大 256 字符）');
+    }
+
+    /**
+     * @private
+     */
+    _validateRole(role) {
+        if (!ROLES.includes(role)) {
+            throw new Error(`角色无效，可选值: ${ROLES.join(', ')}`);
+        }
+    }
+
+    /**
+     * 是否为启用的管理员
+     * @private
+     */
+    _isActiveAdmin(user) {
+        return user.role === 'admin' && user.is_active !== false;
+    }
+
+    // ============================================================
+    // 公共 API 方法
+    // ============================================================
+
+    /**
+     * 用户总数
+     */
+    async countUsers() {
+        if (this.storageMode === 'postgres') {
+            const db = getDb();
+            const [row] = await db.select({ count: sql`count(*)::int` }).from(users);
+            return row?.count || 0;
+        }
+
+        const data = await this.legacyStore.read();
+        return data.length;
+    }
+
+    /**
+     * 获取所有用户（不含密码哈希）
+     */
+    async listUsers() {
+        if (this.storageMode === 'postgres') {
+            const db = getDb();
+            const rows = await db.select().from(users);
+            return rows.map(row => this.toPublic(this._dbRowToJson(row)));
+        }
+
+        const data = await this.legacyStore.read();
+        return data.map(u => this.toPublic(u));
+    }
+
+    /**
+     * 根据ID获取用户（含内部字段）
+     */
+    async getUserById(id) {
+        if (this.storageMode === 'postgres') {
+            const db = getDb();
+            const rows = await db.select().from(users).where(eq(users.id, id));
+            return rows.length > 0 ? this._dbRowToJson(rows[0]) : null;
+        }
+
+        const data = await this.legacyStore.read();
+        return data.find(u => u.id === id) || null;
+    }
+
+    /**
+     * 根据用户名获取用户（含内部字段）
+     */
+    async getUserByUsername(username) {
+        if (!username) return null;
+
+        if (this.storageMode === 'postgres') {
+            const db = getDb();
+            const rows = await db.select().from(users).where(eq(users.username, username));
+            return rows.length > 0 ? this._dbRowToJson(rows[0]) : null;
+        }
+
+        const data = await this.legacyStore.read();
+        return data.find(u => u.username === username) || null;
+    }
+
+    /**
+     * 创建用户
+     */
+    async createUser({ username, password, role = 'operator' }) {
+        if (!username || !USERNAME_REGEX.test(username)) {
+            throw new Error('用户名格式无效（3-64 位字母、数字或 _.@-）');
+        }
+        this._validatePassword(password);
+        this._validateRole(role);
+
+        const passwordHash = await hashPassword(password);
+
+        if (this.storageMode === 'postgres') {
+            const db = getDb();
+            const existing = await db.select().from(users).where(eq(users.username, username));
+            if (existing.length > 0) {
+                throw new Error('用户名已存在');
+            }
+
+            const [inserted] = await db.insert(users)
+                .values({ username, passwordHash, role, isActive: true })
+                .returning();
+            return this.toPublic(this._dbRowToJson(inserted));
+        }
+
+        return this.legacyStore.update(async (allUsers) => {
+            if (allUsers.some(u => u.username === username)) {
+                throw new Error('用户名已存在');
+            }
+
+            const now = new Date().toISOString();
+            const user = {
+                id: uuidv4(),
+                username,
+                password_hash: passwordHash,
+                role,
+                is_active: true,
+                token_version: 0,
+                last_login_at: null,
+                created_at: now,
+                updated_at: now,
+            };
+            allUsers.push(user);
+            return this.toPublic(user);
+        });
+    }
+
+    /**
+     * 更新用户（角色、启用状态、密码）
+     * 修改密码或禁用账号时会使该用户已签发的令牌全部失效
+     */
+    async updateUser(id, updateData = {}) {
+        const { role, is_active, password } = updateData;
+        const changes = {};
+
+        if (role !== undefined) {
+            this._validateRole(role);
+            changes.role = role;
+        }
+        if (is_active !== undefined) {
+            changes.is_active = !!is_active;
+        }
+        if (password !== undefined) {
+            this._validatePassword(password);
+            changes.password_hash = await hashPassword(password);
+        }
+
+        if (Object.keys(changes).length === 0) {
+            throw new Error('没有提供要更新的数据');
+        }
+
+        const revokeTokens = changes.password_hash !== undefined || changes.is_active === false;
+        // 降级或停用可能让系统中不再有启用的管理员
+        const removesAdmin = (changes.role !== undefined && changes.role !== 'admin') || changes.is_active === false;
+
+        if (this.storageMode === 'postgres') {
+            const db = getDb();
+            const set = { updatedAt: new Date() };
+            if (changes.role !== undefined) set.role = changes.role;
+            if (changes.is_active !== undefined) set.isActive = changes.is_active;
+            if (changes.password_hash !== undefined) set.passwordHash = changes.password_hash;
+            if (revokeTokens) set.tokenVersion = sql`${users.tokenVersion} + 1`;
+
+            // 目标不是启用的管理员，或还有其他启用的管理员时才更新
+            // 按 id 顺序锁定全部启用的管理员，并发降级不同管理员时后者会看到前者的结果
+            const keepsAdmin = sql`(${users.role} <> 'admin' OR ${users.isActive} IS FALSE OR (
+                SELECT count(*) FROM (
+                    SELECT admins.id FROM ${users} AS admins
+                    WHERE admins.role = 'admin' AND admins.is_active IS NOT FALSE
+                    ORDER BY admins.id FOR UPDATE
+                ) AS active_admins WHERE active_admins.id <> ${id}
+            ) > 0)`;
+
+            const [updated] = await db.update(users)
+                .set(set)
+                .where(removesAdmin ? and(eq(users.id, id), keepsAdmin) : eq(users.id, id))
+                .returning();
+
+            if (!updated) {
+                if (removesAdmin && await this.getUserById(id)) {
+                    throw new Error('至少需要保留一个启用的管理员');
+                }
+                throw new Error('用户不存在');
+            }
+            return this.toPublic(this._dbRowToJson(updated));
+        }
+
+        return this.legacyStore.update(async (allUsers) => {
+            const user = allUsers.find(u => u.id === id);
+            if (!user) {
+                throw new Error('用户不存在');
+            }
+            if (removesAdmin && this._isActiveAdmin(user) &&
+                !allUsers.some(u => u.id !== id && this._isActiveAdmin(u))) {
+                throw new Error('至少需要保留一个启用的管理员');
+            }
+
+            Object.assign(user, changes, { updated_at: new Date().toISOString() });
+            if (revokeTokens) {
+                user.token_version = (user.token_version || 0) + 1;
+            }
+            return this.toPublic(user);
+        });
+    }
+
+    /**
+     * 递增令牌版本（登出所有会话）
+     */
+    async revokeTokens(id) {
+        if (this.storageMode === 'postgres') {
+            const db = getDb();
+            await db.update(users)
+                .set({ tokenVersion: sql`${users.tokenVersion} + 1`, updatedAt: new Date() })
+                .where(eq(users.id, id));
+            return;
+        }
+
+        await this.legacyStore.update(async (allUsers) => {
+            const user = allUsers.find(u => u.id === id);
+            if (user) {
+                user.token_version = (user.token_version || 0) + 1;
+                user.updated_at = new Date().toISOString();
+            }
+        });
+    }
+
+    /**
+     * 记录最近登录时间
+     */
+    async recordLogin(id) {
+        if (this.storageMode === 'postgres') {
+            const db = getDb();
+            await db.update(users)
+                .set({ lastLoginAt: new Date() })
+                .where(eq(users.id, id));
+            return;
+        }
+
+        await this.legacyStore.update(async (allUsers) => {
+            const user = allUsers.find(u => u.id === id);
+            if (user) {
+                user.last_login_at = new Date().toISOString();
+            }
+        });
+    }
+
+    /**
+     * 用户表为空时，根据 ADMIN_USERNAME / ADMIN_PASSWORD 创建初始管理员
+     * @returns {Promise<boolean>} 是否创建了管理员
+     */
+    async ensureBootstrapAdmin() {
+        const { adminUsername, adminPassword } = config.auth;
+        if (!adminUsername || !adminPassword) return false;
+
+        const count = await this.countUsers();
+        if (count > 0) return false;
+
+        try {
+            await this.createUser({ username: adminUsername, password: adminPassword, role: 'admin' });
+            logger.info('[UserService] 已创建初始管理员', { username: adminUsername });
+            return true;
+        } catch (err) {
+            // 并发请求可能已创建
+            if (err.message === '用户名已存在') return false;
+            throw err;
+        }
+    }
+}
+
+// 创建单例
+const userService = new UserService();
+
+module.exports = userService;
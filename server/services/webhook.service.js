@@ -0,0 +1,681 @@
+/**
+ * 出站 Webhook 服务层
+ *
+ * 下游系统注册接收地址和关心的事件类型，事件发生时向每个匹配的订阅 POST JSON：
+ *   { "id": "<投递ID>", "event": "mail.received", "created_at": "...", "data": { ... } }
+ * 请求头：
+ *   X-Webhook-Event / X-Webhook-Delivery / X-Webhook-Timestamp（秒级时间戳）
+ *   X-Webhook-Signature: sha256=<HMAC-SHA256(secret, "<timestamp>.<请求体>") 的十六进制>
+ *
+ * 每个事件对每个订阅写入一条投递记录，由后台任务（webhook.deliver）投递：
+ * 网络错误、超时、5xx、408 和 429 按 WEBHOOK_RETRY_DELAY_MS 指数退避重试，直到 WEBHOOK_MAX_ATTEMPTS 次；
+ * 其它 4xx 不重试。投递记录保存每次尝试后的状态、响应码和错误。
+ *
+ * emit() 不会抛出异常，事件来源（邮件缓存、邮箱生命周期、采购）不受 Webhook 故障影响。
+ * 存储后端与 MailboxService 一致：PostgreSQL 优先，否则回退到 Blob/JSON
+ */
+
+const crypto = require('crypto');
+const { v4: uuidv4 } = require('uuid');
+const { and, eq, desc, sql } = require('drizzle-orm');
+const config = require('../config');
+const logger = require('../utils/logger');
+const { getDb, schema } = require('../db');
+const { LegacyJsonStore, resolveStorageMode } = require('../utils/legacy-store');
+const auditService = require('./audit.service');
+const jobService = require('./job.service');
+const { AUDIT_ACTIONS } = auditService;
+const { webhooks, webhookDeliveries } = schema;
+
+const WEBHOOK_EVENTS = Object.freeze({
+    MAIL_RECEIVED: 'mail.received',
+    MAILBOX_INVALIDATED: 'mailbox.invalidated',
+    MAILBOX_CREATED: 'mailbox.created',
+    PURCHASE_COMPLETED: 'purchase.completed',
+});
+
+// 「发送测试事件」使用的事件类型，不需要订阅
+const TEST_EVENT = 'webhook.test';
+
+const DELIVERY_STATUS = Object.freeze({
+    PENDING: 'pending',
+    DELIVERED: 'delivered',
+    FAILED: 'failed',
+});
+
+const UUID_REGEX = /^[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}$/i;
+const DEFAULT_LIMIT = 50;
+const MAX_LIMIT = 200;
+
+/**
+ * 计算请求签名
+ * @param {string} secret 订阅密钥
+ * @param {number} timestamp 秒级时间戳
+ * @param {string} body 请求体
+ * @returns {string} sha256=<十六进制>
+ */
+function signPayload(secret, timestamp, body) {
+    return `sha256=${crypto.createHmac('sha256', secret).update(`${timestamp}.${body}`).digest('hex')}`;
+}
+
+class WebhookService {
+    constructor() {
+        this.storageMode = resolveStorageMode();
+        this.legacyStore = new LegacyJsonStore({
+            blobKey: process.env.BLOB_WEBHOOKS_KEY || 'webhooks/webhooks.json',
+            fileName: 'webhooks.json',
+        });
+        this.legacyDeliveryStore = new LegacyJsonStore({
+            blobKey: process.env.BLOB_WEBHOOK_DELIVERIES_KEY || 'webhooks/deliveries.json',
+            fileName: 'webhook-deliveries.json',
+        });
+    }
+
+    // ============================================================
+    // 数据转换方法
+    // ============================================================
+
+    /**
+     * 数据库行转换为 JSON 格式
+     * @private
+     */
+    _dbRowToJson(row) {
+        return {
+            id: row.id,
+            name: row.name,
+            url: row.url,
+            secret: row.secret,
+            events: row.events || [],
+            is_active: row.isActive,
+            created_by: row.createdBy,
+            created_by_username: row.createdByUsername,
+            created_at: row.createdAt?.toISOString(),
+            updated_at: row.updatedAt?.toISOString(),
+        };
+    }
+
+    /**
+     * 投递记录数据库行转换为 JSON 格式
+     * @private
+     */
+    _deliveryRowToJson(row) {
+        return {
+            id: row.id,
+            webhook_id: row.webhookId,
+            event: row.event,
+            payload: row.payload,
+            status: row.status,
+            attempts: row.attempts,
+            response_status: row.responseStatus ?? null,
+            error: row.error ?? null,
+            job_id: row.jobId ?? null,
+            created_at: row.createdAt?.toISOString(),
+            last_attempt_at: row.lastAttemptAt?.toISOString() ?? null,
+            delivered_at: row.deliveredAt?.toISOString() ?? null,
+        };
+    }
+
+    /**
+     * 接口返回格式：不含密钥（密钥只在创建和轮换时返回一次）
+     */
+    toPublic(webhook) {
+        const { secret, ...rest } = webhook;
+        return rest;
+    }
+
+    /**
+     * 可订阅的事件类型
+     */
+    get events() {
+        return Object.values(WEBHOOK_EVENTS);
+    }
+
+    // ============================================================
+    // 校验
+    // ============================================================
+
+    /**
+     * 校验并规范化订阅字段；partial 为 true 时只校验提供的字段
+     * @private
+     */
+    _validate(input, partial = false) {
+        const fields = {};
+
+        if (!partial || input.name !== undefined) {
+            const name = typeof input.name === 'string' ? input.name.trim() : '';
+            if (!name || name.length > 100) {
+                throw new Error('Webhook 名称无效（1-100 个字符）');
+            }
+            fields.name = name;
+        }
+
+        if (!partial || input.url !== undefined) {
+            let url;
+            try {
+                url = new URL(String(input.url));
+            } catch {
+                url = null;
+            }
+            if (!url || !['http:', 'https:'].includes(url.protocol)) {
+                throw new Error('Webhook URL 无效（需要 http 或 https 地址）');
+            }
+            fields.url = url.toString();
+        }
+
+        if (!partial || input.events !== undefined) {
+            const events = Array.isArray(input.events) ? [...new Set(input.events)] : [];
+            if (events.length === 0 || events.some(e => !this.events.includes(e))) {
+                throw new Error(`事件类型无效，可选值: ${this.events.join(', ')}`);
+            }
+            fields.events = events;
+        }
+
+        if (input.secret !== undefined && input.secret !== null) {
+            if (typeof input.secret !== 'string' || input.secret.length < 16 || input.secret.length > 128) {
+                throw new Error('Webhook 密钥无效（16-128 个字符）');
+            }
+            fields.secret = input.secret;
+        }
+
+        if (input.is_active !== undefined) {
+            fields.is_active = Boolean(input.is_active);
+        }
+
+        return fields;
+    }
+
+    // ============================================================
+    // 订阅管理
+    // ============================================================
+
+    /**
+     * 读取全部订阅（含密钥）
+     * @private
+     */
+    async _readAll() {
+        if (this.storageMode === 'postgres') {
+            const db = getDb();
+            const rows = await db.select().from(webhooks).orderBy(webhooks.createdAt);
+            return rows.map(row => this._dbRowToJson(row));
+        }
+        return this.legacyStore.read();
+    }
+
+    /**
+     * 读取单个订阅（含密钥），不存在时返回 null
+     * @private
+     */
+    async _find(id) {
+        if (!UUID_REGEX.test(String(id))) return null;
+
+        if (this.storageMode === 'postgres') {
+            const db = getDb();
+            const rows = await db.select().from(webhooks).where(eq(webhooks.id, id));
+            return rows.length > 0 ? this._dbRowToJson(rows[0]) : null;
+        }
+        return (await this.legacyStore.read()).find(w => w.id === id) || null;
+    }
+
+    /**
+     * 列出全部订阅（不含密钥）
+     * @returns {Promise<Array>}
+     */
+    async listWebhooks() {
+        return (await this._readAll()).map(w => this.toPublic(w));
+    }
+
+    /**
+     * 获取单个订阅（不含密钥）
+     * @param {string} id
+     */
+    async getWebhook(id) {
+        const webhook = await this._find(id);
+        if (!webhook) {
+            throw new Error('Webhook 不存在');
+        }
+        return this.toPublic(webhook);
+    }
+
+    /**
+     * 创建订阅；未指定密钥时随机生成
+     * @param {object} input { name, url, events, secret?, is_active? }
+     * @param {object|null} actor 当前用户
+     * @returns {Promise<object>} 订阅，含 secret（只返回这一次）
+     */
+    async createWebhook(input = {}, actor = null) {
+        const fields = this._validate(input);
+        const now = new Date().toISOString();
+        const webhook = {
+            id: uuidv4(),
+            name: fields.name,
+            url: fields.url,
+            secret: fields.secret || crypto.randomBytes(32).toString('hex'),
+            events: fields.events,
+            is_active: fields.is_active ?? true,
+            created_by: actor?.id || null,
+            created_by_username: actor?.username || null,
+            created_at: now,
+            updated_at: now,
+        };
+
+        if (this.storageMode === 'postgres') {
+            const db = getDb();
+            await db.insert(webhooks).values({
+                id: webhook.id,
+                name: webhook.name,
+                url: webhook.url,
+                secret: webhook.secret,
+                events: webhook.events,
+                isActive: webhook.is_active,
+                createdBy: webhook.created_by,
+                createdByUsername: webhook.created_by_username,
+                createdAt: new Date(now),
+                updatedAt: new Date(now),
+            });
+        } else {
+            await this.legacyStore.update(async (all) => {
+                all.push(webhook);
+            });
+        }
+
+        await auditService.record({
+            action: AUDIT_ACTIONS.WEBHOOK_CREATE,
+            actor,
+            details: { webhook_id: webhook.id, name: webhook.name, url: webhook.url, events: webhook.events },
+        });
+        logger.info('[Webhook] 已创建订阅', { id: webhook.id, url: webhook.url, events: webhook.events });
+
+        return webhook;
+    }
+
+    /**
+     * 修改订阅
+     * @param {string} id
+     * @param {object} input { name?, url?, events?, secret?, is_active?, rotate_secret? }
+     * @param {object|null} actor 当前用户
+     * @returns {Promise<object>} 订阅；更换了密钥（secret 或 rotate_secret）时含新的 secret
+     */
+    async updateWebhook(id, input = {}, actor = null) {
+        const fields = this._validate(input, true);
+        if (input.rotate_secret && !fields.secret) {
+            fields.secret = crypto.randomBytes(32).toString('hex');
+        }
+        if (Object.keys(fields).length === 0) {
+            throw new Error('没有需要修改的字段');
+        }
+
+        const current = await this._find(id);
+        if (!current) {
+            throw new Error('Webhook 不存在');
+        }
+
+        const webhook = { ...current, ...fields, updated_at: new Date().toISOString() };
+
+        if (this.storageMode === 'postgres') {
+            const db = getDb();
+            await db.update(webhooks)
+                .set({
+                    name: webhook.name,
+                    url: webhook.url,
+                    secret: webhook.secret,
+                    events: webhook.events,
+                    isActive: webhook.is_active,
+                    updatedAt: new Date(webhook.updated_at),
+                })
+                .where(eq(webhooks.id, id));
+        } else {
+            await this.legacyStore.update(async (all) => {
+                const index = all.findIndex(w => w.id === id);
+                if (index === -1) throw new Error('Webhook 不存在');
+                all[index] = webhook;
+            });
+        }
+
+        // 只记录修改了哪些字段，不记录密钥
+        await auditService.record({
+            action: AUDIT_ACTIONS.WEBHOOK_UPDATE,
+            actor,
+            details: { webhook_id: id, name: webhook.name, fields: Object.keys(fields) },
+        });
+
+        return fields.secret ? webhook : this.toPublic(webhook);
+    }
+
+    /**
+     * 删除订阅及其投递记录（排队中的投递任务执行时会因订阅不存在而放弃）
+     * @param {string} id
+     * @param {object|null} actor 当前用户
+     */
+    async deleteWebhook(id, actor = null) {
+        const webhook = await this._find(id);
+        if (!webhook) {
+            throw new Error('Webhook 不存在');
+        }
+
+        if (this.storageMode === 'postgres') {
+            const db = getDb();
+            await db.delete(webhookDeliveries).where(eq(webhookDeliveries.webhookId, id));
+            await db.delete(webhooks).where(eq(webhooks.id, id));
+        } else {
+            await this.legacyStore.update(async (all) => {
+                const index = all.findIndex(w => w.id === id);
+                if (index !== -1) all.splice(index, 1);
+            });
+            await this.legacyDeliveryStore.update(async (all) => {
+                const kept = all.filter(d => d.webhook_id !== id);
+                all.splice(0, all.length, ...kept);
+            });
+        }
+
+        await auditService.record({
+            action: AUDIT_ACTIONS.WEBHOOK_DELETE,
+            actor,
+            details: { webhook_id: id, name: webhook.name, url: webhook.url },
+        });
+    }
+
+    // ============================================================
+    // 事件
+    // ============================================================
+
+    /**
+     * 写入投递记录并创建投递任务
+     * @private
+     */
+    async _enqueueDelivery(webhook, event, data) {
+        const now = new Date().toISOString();
+        const delivery = {
+            id: uuidv4(),
+            webhook_id: webhook.id,
+            event,
+            payload: null,
+            status: DELIVERY_STATUS.PENDING,
+            attempts: 0,
+            response_status: null,
+            error: null,
+            job_id: null,
+            created_at: now,
+            last_attempt_at: null,
+            delivered_at: null,
+        };
+        delivery.payload = { id: delivery.id, event, created_at: now, data };
+
+        if (this.storageMode === 'postgres') {
+            const db = getDb();
+            await db.insert(webhookDeliveries).values({
+                id: delivery.id,
+                webhookId: delivery.webhook_id,
+                event,
+                payload: delivery.payload,
+                createdAt: new Date(now),
+            });
+        } else {
+            await this.legacyDeliveryStore.update(async (all) => {
+                all.push(delivery);
+                const overflow = all.length - config.webhooks.legacyMaxDeliveries;
+                if (overflow > 0) {
+                    all.splice(0, overflow);
+                }
+            });
+        }
+
+        // 延迟加载，避免与 jobs 循环依赖
+        const { JOB_TYPES } = require('../jobs');
+        const job = await jobService.enqueue(JOB_TYPES.WEBHOOK_DELIVER, { delivery_id: delivery.id });
+        return this._updateDelivery(delivery.id, { job_id: job.id });
+    }
+
+    /**
+     * 发送事件到所有订阅了该事件的启用中的订阅
+     * 失败只记录日志，不会抛出异常
+     * @param {string} event 事件类型（WEBHOOK_EVENTS）
+     * @param {object} data 事件数据，需可序列化为 JSON，不要放入明文凭证
+     */
+    async emit(event, data) {
+        try {
+            const targets = (await this._readAll()).filter(w => w.is_active && w.events.includes(event));
+            for (const webhook of targets) {
+                await this._enqueueDelivery(webhook, event, data);
+            }
+        } catch (error) {
+            logger.error('[Webhook] 事件分发失败', { event, error: error.message });
+        }
+    }
+
+    /**
+     * 向单个订阅发送测试事件（不要求订阅了该事件，停用的订阅也可测试）
+     * @param {string} id
+     * @param {object|null} actor 当前用户
+     * @returns {Promise<object>} 投递记录，投递结果通过 job_id 对应的任务或投递记录查询
+     */
+    async sendTest(id, actor = null) {
+        const webhook = await this._find(id);
+        if (!webhook) {
+            throw new Error('Webhook 不存在');
+        }
+
+        return this._enqueueDelivery(webhook, TEST_EVENT, {
+            webhook_id: webhook.id,
+            name: webhook.name,
+            triggered_by: actor?.username || null,
+        });
+    }
+
+    // ============================================================
+    // 投递
+    // ============================================================
+
+    /**
+     * 读取投递记录
+     * @private
+     */
+    async _findDelivery(id) {
+        if (this.storageMode === 'postgres') {
+            const db = getDb();
+            const rows = await db.select().from(webhookDeliveries).where(eq(webhookDeliveries.id, id));
+            return rows.length > 0 ? this._deliveryRowToJson(rows[0]) : null;
+        }
+        return (await this.legacyDeliveryStore.read()).find(d => d.id === id) || null;
+    }
+
+    /**
+     * 更新投递记录
+     * @private
+     * @returns {Promise<object|null>} 更新后的记录
+     */
+    async _updateDelivery(id, changes) {
+        if (this.storageMode === 'postgres') {
+            const columns = {
+                status: 'status',
+                attempts: 'attempts',
+                response_status: 'responseStatus',
+                error: 'error',
+                job_id: 'jobId',
+            };
+            const values = {};
+            for (const [key, column] of Object.entries(columns)) {
+                if (changes[key] !== undefined) values[column] = changes[key];
+            }
+            if (changes.last_attempt_at !== undefined) values.lastAttemptAt = new Date(changes.last_attempt_at);
+            if (changes.delivered_at !== undefined) values.deliveredAt = new Date(changes.delivered_at);
+
+            const db = getDb();
+            const [row] = await db.update(webhookDeliveries).set(values).where(eq(webhookDeliveries.id, id)).returning();
+            return row ? this._deliveryRowToJson(row) : null;
+        }
+
+        return this.legacyDeliveryStore.update(async (all) => {
+            const delivery = all.find(d => d.id === id);
+            if (!delivery) return null;
+            Object.assign(delivery, changes);
+            return { ...delivery };
+        });
+    }
+
+    /**
+     * 投递一次（由 webhook.deliver 任务调用）
+     * @param {string} deliveryId 投递记录ID
+     * @param {object} options
+     * @param {boolean} options.final 是否为最后一次尝试（失败后不再重试，记为 failed）
+     * @returns {Promise<{ delivery_id, status, response_status }>} 失败时抛出错误，err.retryable 表示是否值得重试
+     */
+    async deliver(deliveryId, { final = false } = {}) {
+        const fail = (message) => {
+            const error = new Error(message);
+            error.retryable = false;
+            return error;
+        };
+
+        const delivery = await this._findDelivery(deliveryId);
+        if (!delivery) {
+            throw fail('投递记录不存在');
+        }
+
+        const webhook = await this._find(delivery.webhook_id);
+        if (!webhook || (!webhook.is_active && delivery.event !== TEST_EVENT)) {
+            await this._updateDelivery(deliveryId, { status: DELIVERY_STATUS.FAILED, error: 'Webhook 不存在或已停用' });
+            throw fail('Webhook 不存在或已停用');
+        }
+
+        const body = JSON.stringify(delivery.payload);
+        const timestamp = Math.floor(Date.now() / 1000);
+        const controller = new AbortController();
+        const timeoutId = setTimeout(() => controller.abort(), config.webhooks.timeoutMs);
+
+        let responseStatus = null;
+        let error = null;
+        try {
+            const response = await fetch(webhook.url, {
+                method: 'POST',
+                headers: {
+                    'Content-Type': 'application/json',
+                    'User-Agent': 'easy-outlook-webhook',
+                    'X-Webhook-Event': delivery.event,
+                    'X-Webhook-Delivery': delivery.id,
+                    'X-Webhook-Timestamp': String(timestamp),
+                    'X-Webhook-Signature': signPayload(webhook.secret, timestamp, body),
+                },
+                body,
+                signal: controller.signal,
+                redirect: 'manual',
+            });
+            responseStatus = response.status;
+            // 不读取响应体，释放连接
+            await response.body?.cancel();
+            if (!response.ok) {
+                error = new Error(`HTTP ${response.status}`);
+                error.retryable = response.status >= 500 || response.status === 408 || response.status === 429;
+            }
+        } catch (err) {
+            error = new Error(err.name === 'AbortError' ? `请求超时（${config.webhooks.timeoutMs} 毫秒）` : `请求失败: ${err.message}`);
+        } finally {
+            clearTimeout(timeoutId);
+        }
+
+        const now = new Date().toISOString();
+        const attempt = {
+            attempts: delivery.attempts + 1,
+            response_status: responseStatus,
+            last_attempt_at: now,
+        };
+
+        if (!error) {
+            await this._updateDelivery(deliveryId, {
+                ...attempt,
+                status: DELIVERY_STATUS.DELIVERED,
+                error: null,
+                delivered_at: now,
+            });
+            return { delivery_id: deliveryId, status: DELIVERY_STATUS.DELIVERED, response_status: responseStatus };
+        }
+
+        const giveUp = final || error.retryable === false;
+        await this._updateDelivery(deliveryId, {
+            ...attempt,
+            status: giveUp ? DELIVERY_STATUS.FAILED : DELIVERY_STATUS.PENDING,
+            error: error.message,
+        });
+        logger.warn('[Webhook] 投递失败', {
+            delivery_id: deliveryId,
+            webhook_id: webhook.id,
+            event: delivery.event,
+            attempt: attempt.attempts,
+            error: error.message,
+        });
+        throw error;
+    }
+
+    // ============================================================
+    // 投递记录
+    // ============================================================
+
+    /**
+     * 查询订阅的投递记录（按时间倒序）
+     * @param {string} id 订阅ID
+     * @param {object} filters
+     * @param {string} filters.status pending / delivered / failed
+     * @param {string} filters.event 事件类型
+     * @param {number} filters.limit 每页条数，默认 50，最大 200
+     * @param {number} filters.offset 偏移量
+     * @returns {Promise<{ data: Array, total: number, limit: number, offset: number }>}
+     */
+    async listDeliveries(id, filters = {}) {
+        const statuses = Object.values(DELIVERY_STATUS);
+        if (filters.status && !statuses.includes(filters.status)) {
+            throw new Error(`投递状态无效，可选值: ${statuses.join(', ')}`);
+        }
+        if (!await this._find(id)) {
+            throw new Error('Webhook 不存在');
+        }
+
+        const parsedLimit = parseInt(filters.limit, 10);
+        const parsedOffset = parseInt(filters.offset, 10);
+        const limit = Math.min(parsedLimit > 0 ? parsedLimit : DEFAULT_LIMIT, MAX_LIMIT);
+        const offset = parsedOffset > 0 ? parsedOffset : 0;
+
+        if (this.storageMode === 'postgres') {
+            const conditions = [eq(webhookDeliveries.webhookId, id)];
+            if (filters.status) conditions.push(eq(webhookDeliveries.status, filters.status));
+            if (filters.event) conditions.push(eq(webhookDeliveries.event, String(filters.event)));
+
+            const where = and(...conditions);
+            const db = getDb();
+            const [countRow] = await db.select({ count: sql`count(*)::int` }).from(webhookDeliveries).where(where);
+            const rows = await db.select().from(webhookDeliveries)
+                .where(where)
+                .orderBy(desc(webhookDeliveries.createdAt))
+                .limit(limit)
+                .offset(offset);
+
+            return {
+                data: rows.map(row => this._deliveryRowToJson(row)),
+                total: countRow?.count || 0,
+                limit,
+                offset,
+            };
+        }
+
+        const matched = (await this.legacyDeliveryStore.read()).filter(d => {
+            if (d.webhook_id !== id) return false;
+            if (filters.status && d.status !== filters.status) return false;
+            if (filters.event && d.event !== String(filters.event)) return false;
+            return true;
+        }).reverse();
+
+        return {
+            data: matched.slice(offset, offset + limit),
+            total: matched.length,
+            limit,
+            offset,
+        };
+    }
+}
+
+// 创建单例
+const webhookService = new WebhookService();
+
+module.exports = webhookService;
+module.exports.WEBHOOK_EVENTS = WEBHOOK_EVENTS;
+module.exports.DELIVERY_STATUS = DELIVERY_STATUS;
+module.exports.TEST_EVENT = TEST_EVENT;
+module.exports.signPayload = signPayload;
@@ -0,0 +1,117 @@
+/**
+ * 采购供应商注册
+ *
+ * 每种供应商类型实现以下方法，返回统一的格式，接口响应和购买任务不依赖具体供应商：
+ *   isConfigured()              是否已配置凭证
+ *   getBalance()                查询余额 { username, id, balance }
+ *   getStock(productId)         查询库存 { id, name, stock, price }，供应商不返回价格时 price 为 null
+ *   purchase(productId, num)    购买 { trade_no, total_price, cards, raw }，失败时抛出错误；
+ *                               raw 为存入采购订单的原始响应，不得包含明文凭证
+ *   parseCards(cards)           解析卡密 { mailboxes, invalid }
+ * 实例属性 id / type / name / products（[{ id, name }]）用于商品列表和采购订单，
+ * limits 为该供应商的采购上限（覆盖 config.purchaseLimits.supplier）
+ *
+ * 供应商由 SUPPLIERS（JSON 数组）配置，每项：
+ *   { "id": "acme", "type": "outlook007", "name": "Acme", "baseUrl": "https://...",
+ *     "appId": "...", "appKey": "...", "products": [{ "id": "1", "name": "...", "price": 0.1 }], "cardSeparator": "----" }
+ * 商品的 price 为可选的参考单价，供应商未返回实时价格时使用；
+ * 可选的 limits（{ dailySpend, monthlySpend, dailyQuantity, monthlyQuantity }）单独设置该供应商的采购上限
+ * 未配置时使用 outlook007 的一号库和二号库（凭证为 PURCHASE_APP_ID / PURCHASE_APP_KEY）
+ */
+
+const config = require('../config');
+const logger = require('../utils/logger');
+const Outlook007Supplier = require('./outlook007.supplier');
+
+const SUPPLIER_TYPES = {
+    outlook007: Outlook007Supplier,
+};
+
+/**
+ * 默认供应商：outlook007 的两个仓库
+ */
+function defaultSupplierConfigs() {
+    return [
+        {
+            id: '1',
+            type: 'outlook007',
+            name: '一号库',
+            baseUrl: config.purchaseLibraries['1'],
+            products: [
+                { id: '1', name: '短效hotmail带令牌' },
+                { id: '2', name: '短效outlook带令牌' },
+                { id: '13', name: '日本短效outlook带令牌' },
+                { id: '14', name: '德国短效outlook带令牌' },
+                { id: '15', name: '意大利短效outlook带令牌' },
+            ],
+        },
+        {
+            id: '2',
+            type: 'outlook007',
+            name: '二号库',
+            baseUrl: config.purchaseLibraries['2'],
+            products: [
+                { id: '3', name: '短效hotmail带令牌' },
+                { id: '4', name: '短效outlook带令牌' },
+            ],
+        },
+    ];
+}
+
+/**
+ * 解析 SUPPLIERS 配置；格式错误或类型未知的项跳过并记录日志
+ * @param {string} raw
+ * @returns {Array<object>}
+ */
+function parseSupplierConfigs(raw) {
+    if (!raw) return defaultSupplierConfigs();
+
+    let list;
+    try {
+        list = JSON.parse(raw);
+    } catch (error) {
+        logger.error('[Suppliers] SUPPLIERS 不是有效的 JSON，使用默认供应商', { error: error.message });
+        return defaultSupplierConfigs();
+    }
+    if (!Array.isArray(list)) {
+        logger.error('[Suppliers] SUPPLIERS 必须是数组，使用默认供应商');
+        return defaultSupplierConfigs();
+    }
+
+    const seen = new Set();
+    return list.filter((item) => {
+        const valid = item && item.id && item.baseUrl && SUPPLIER_TYPES[item.type] && !seen.has(String(item.id));
+        if (!valid) {
+            logger.error('[Suppliers] 忽略无效的供应商配置', { id: item?.id, type: item?.type });
+            return false;
+        }
+        seen.add(String(item.id));
+        return true;
+    }).map(item => ({
+        ...item,
+        id: String(item.id),
+        products: (item.products || []).map(p => ({
+            id: String(p.id),
+            name: p.name || String(p.id),
+            ...(p.price !== undefined && { price: p.price }),
+        })),
+    }));
+}
+
+/**
+ * 按配置创建供应商实例
+ * @param {object} client 发送请求的客户端（ProxyService）
+ * @param {string} raw SUPPLIERS 配置
+ * @returns {Map<string, object>} 供应商ID -> 实例（保持配置顺序）
+ */
+function createSuppliers(client, raw) {
+    return new Map(parseSupplierConfigs(raw).map(options => [
+        options.id,
+        new SUPPLIER_TYPES[options.type](client, options),
+    ]));
+}
+
+module.exports = {
+    SUPPLIER_TYPES,
+    createSuppliers,
+};
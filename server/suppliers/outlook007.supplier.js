@@ -0,0 +1,143 @@
+/**
+ * outlook007 类型的采购供应商
+ * 接口：login.php（余额）、getStock.php（库存）、getEmail.php（购买），响应格式 { code, msg, data }
+ * 卡密格式：email----password----client_id----refresh_token（分隔符可配置）
+ */
+
+const config = require('../config');
+
+const EMAIL_REGEX = /^[^\s@]+@[^\s@]+\.[^\s@]+$/;
+
+class Outlook007Supplier {
+    /**
+     * @param {object} client 发送请求的客户端（ProxyService），提供 request()
+     * @param {object} options 供应商配置，见 suppliers/index.js
+     */
+    constructor(client, options) {
+        this.client = client;
+        this.id = options.id;
+        this.type = 'outlook007';
+        this.name = options.name || options.id;
+        this.baseUrl = options.baseUrl;
+        this.appId = options.appId || null;
+        this.appKey = options.appKey || null;
+        this.products = options.products || [];
+        this.cardSeparator = options.cardSeparator || '----';
+        this.limits = options.limits || {};
+    }
+
+    /**
+     * 未单独配置凭证时使用 PURCHASE_APP_ID / PURCHASE_APP_KEY
+     * @private
+     */
+    _credentials() {
+        return {
+            appId: this.appId || config.purchaseCredentials.appId,
+            appKey: this.appKey || config.purchaseCredentials.appKey,
+        };
+    }
+
+    isConfigured() {
+        const { appId, appKey } = this._credentials();
+        return Boolean(appId && appKey);
+    }
+
+    /**
+     * 发送表单请求（附带凭证）
+     * @private
+     */
+    async _post(path, params = {}) {
+        const { appId, appKey } = this._credentials();
+        if (!appId || !appKey) {
+            throw new Error('缺少供应商凭证');
+        }
+
+        return this.client.request(`${this.baseUrl}${path}`, {
+            method: 'POST',
+            headers: {
+                'Content-Type': 'application/x-www-form-urlencoded',
+            },
+            body: new URLSearchParams({ app_id: appId, app_key: appKey, ...params }).toString(),
+        });
+    }
+
+    /**
+     * 供应商返回 code 不为 200 时抛出错误
+     * @private
+     */
+    _ensureOk(data, fallback) {
+        if (data?.code !== 200) {
+            const error = new Error(`${fallback}: ${data?.msg || data?.message || '供应商返回错误'}`);
+            error.supplierCode = data?.code ?? null;
+            throw error;
+        }
+        return data.data || {};
+    }
+
+    async getBalance() {
+        const data = this._ensureOk(await this._post('/login.php'), '查询余额失败');
+        return {
+            username: data.username ?? null,
+            id: data.id ?? null,
+            balance: data.balance ?? null,
+        };
+    }
+
+    async getStock(productId) {
+        const data = await this.client.request(`${this.baseUrl}/getStock.php?commodity_id=${encodeURIComponent(productId)}`, {
+            method: 'GET',
+            headers: {
+                'Accept': 'application/json',
+            },
+        });
+
+        // 部分仓库直接返回 { name, num, price }
+        if (data && data.num !== undefined && data.code === undefined) {
+            return { id: String(productId), name: data.name ?? null, stock: Number(data.num) || 0, price: data.price ?? null };
+        }
+
+        const stock = this._ensureOk(data, '查询库存失败');
+        return { id: String(productId), name: stock.name ?? null, stock: Number(stock.stock) || 0, price: stock.price ?? null };
+    }
+
+    async purchase(productId, num) {
+        const response = await this._post('/getEmail.php', {
+            commodity_id: productId,
+            num: String(num),
+        });
+        const data = this._ensureOk(response, '购买失败');
+        const cards = Array.isArray(data.cards) ? data.cards : [];
+
+        return {
+            trade_no: data.trade_no ?? null,
+            total_price: data.total_price ?? null,
+            cards,
+            // 原始响应存入采购订单，卡密只保留邮箱地址
+            raw: { ...response, data: { ...data, cards: cards.map(card => String(card).split(this.cardSeparator)[0].trim()) } },
+        };
+    }
+
+    parseCards(cards = []) {
+        const mailboxes = [];
+        let invalid = 0;
+
+        for (const card of cards) {
+            const parts = String(card).split(this.cardSeparator).map(p => p.trim());
+            if (parts.length >= 4 && parts.slice(0, 4).every(Boolean) && EMAIL_REGEX.test(parts[0])) {
+                mailboxes.push({
+                    email: parts[0],
+                    password: parts[1],
+                    client_id: parts[2],
+                    refresh_token: parts[3],
+                    source: 'purchase',
+                });
+            } else {
+                invalid++;
+            }
+        }
+
+        return { mailboxes, invalid };
+    }
+}
+
+module.exports = Outlook007Supplier;
@@ -0,0 +1,185 @@
+/**
+ * 字段级加密工具（AES-256-GCM，支持密钥版本）
+ *
+ * 用于 PostgreSQL 模式下加密邮箱的 password / refresh_token 字段。
+ * 密文格式：enc:v<版本>:<iv base64>:<tag base64>:<data base64>
+ *
+ * 配置：
+ * - FIELD_ENCRYPTION_KEYS：逗号分隔的 "版本:密钥" 列表，如 "1:base64key,2:base64key"
+ * - FIELD_ENCRYPTION_ACTIVE_VERSION：加密新数据使用的版本，默认取最大版本
+ *
+ * 轮换密钥时保留旧版本密钥，新增一个版本并设为活动版本，
+ * 然后运行 `npm run db:rotate-keys` 将所有数据重新加密为新版本。
+ */
+
+const crypto = require('crypto');
+const config = require('../config');
+const logger = require('./logger');
+
+const ENC_ALGO = 'aes-256-gcm';
+const PREFIX = 'enc:v';
+
+let cachedRaw = null;
+let cachedKeys = null;
+let warnedMissingKey = false;
+
+/**
+ * 将任意格式的密钥字符串转换为 32 字节密钥（与 blob-store 规则一致）
+ * @private
+ */
+function normalizeKey(secret) {
+    const base64 = Buffer.from(secret, 'base64');
+    if (base64.length === 32) return base64;
+
+    if (/^[0-9a-fA-F]{64}$/.test(secret)) {
+        return Buffer.from(secret, 'hex');
+    }
+
+    return crypto.createHash('sha256').update(secret, 'utf8').digest();
+}
+
+/**
+ * 解析密钥环
+ * @returns {Map<number, Buffer>}
+ */
+function getKeyring() {
+    const raw = config.fieldEncryption.keys || '';
+    if (raw === cachedRaw && cachedKeys) return cachedKeys;
+
+    const keys = new Map();
+    for (const entry of raw.split(',').map(s => s.trim()).filter(Boolean)) {
+        const sep = entry.indexOf(':');
+        const version = parseInt(entry.slice(0, sep), 10);
+        const secret = entry.slice(sep + 1).trim();
+        if (sep <= 0 || !Number.isInteger(version) || version <= 0 || !secret) {
+            throw new Error('FIELD_ENCRYPTION_KEYS 格式无效，应为 "版本:密钥" 列表');
+        }
+        keys.set(version, normalizeKey(secret));
+    }
+
+    cachedRaw = raw;
+    cachedKeys = keys;
+    return keys;
+}
+
+/**
+ * 当前用于加密的密钥版本；未配置密钥时返回 null
+ */
+function getActiveKeyVersion() {
+    const keys = getKeyring();
+    if (keys.size === 0) return null;
+
+    const configured = config.fieldEncryption.activeVersion;
+    if (configured) {
+        if (!keys.has(configured)) {
+            throw new Error(`FIELD_ENCRYPTION_ACTIVE_VERSION=${configured} 对应的密钥不存在`);
+        }
+        return configured;
+    }
+    return Math.max(...keys.keys());
+}
+
+/**
+ * 是否启用了字段加密
+ */
+function isFieldEncryptionEnabled() {
+    return getActiveKeyVersion() !== null;
+}
+
+/**
+ * 判断值是否为本模块生成的密文
+ */
+function isEncrypted(value) {
+    return typeof value === 'string' && value.startsWith(PREFIX);
+}
+
+/**
+ * 获取密文的密钥版本；明文返回 null
+ */
+function getKeyVersion(value) {
+    if (!isEncrypted(value)) return null;
+    const version = parseInt(value.slice(PREFIX.length, value.indexOf(':', PREFIX.length)), 10);
+    return Number.isInteger(version) ? version : null;
+}
+
+/**
+ * 加密字段
+ * 未配置密钥时原样返回（兼容未启用加密的部署）
+ * @param {string|null} plaintext
+ * @returns {string|null}
+ */
+function encryptField(plaintext) {
+    if (plaintext === null || plaintext === undefined || isEncrypted(plaintext)) {
+        return plaintext;
+    }
+
+    const version = getActiveKeyVersion();
+    if (version === null) {
+        if (config.isProduction && !warnedMissingKey) {
+            warnedMissingKey = true;
+            logger.warn('[FieldCrypto] ⚠️ 未配置 FIELD_ENCRYPTION_KEYS，邮箱凭证将以明文存储');
+        }
+        return plaintext;
+    }
+
+    const key = getKeyring().get(version);
+    const iv = crypto.randomBytes(12);
+    const cipher = crypto.createCipheriv(ENC_ALGO, key, iv);
+    const ciphertext = Buffer.concat([cipher.update(String(plaintext), 'utf8'), cipher.final()]);
+    const tag = cipher.getAuthTag();
+
+    return `${PREFIX}${version}:${iv.toString('base64')}:${tag.toString('base64')}:${ciphertext.toString('base64')}`;
+}
+
+/**
+ * 解密字段
+ * 明文（历史数据）原样返回
+ * @param {string|null} value
+ * @returns {string|null}
+ */
+function decryptField(value) {
+    if (!isEncrypted(value)) return value;
+
+    const parts = value.slice(PREFIX.length).split(':');
+    if (parts.length !== 4) {
+        throw new Error('字段密文格式无效');
+    }
+
+    const [versionStr, ivB64, tagB64, dataB64] = parts;
+    const version = parseInt(versionStr, 10);
+    const key = getKeyring().get(version);
+    if (!key) {
+        throw new Error(`缺少字段加密密钥 v${version}`);
+    }
+
+    try {
+        const decipher = crypto.createDecipheriv(ENC_ALGO, key, Buffer.from(ivB64, 'base64'));
+        decipher.setAuthTag(Buffer.from(tagB64, 'base64'));
+        return Buffer.concat([
+            decipher.update(Buffer.from(dataB64, 'base64')),
+            decipher.final(),
+        ]).toString('utf8');
+    } catch {
+        throw new Error(`字段解密失败（密钥 v${version} 不匹配或数据已损坏）`);
+    }
+}
+
+/**
+ * 是否需要重新加密：明文且已启用加密，或密钥版本不是当前活动版本
+ */
+function needsReEncryption(value) {
+    if (value === null || value === undefined) return false;
+    const active = getActiveKeyVersion();
+    if (active === null) return false;
+    return getKeyVersion(value) !== active;
+}
+
+module.exports = {
+    encryptField,
+    decryptField,
+    isEncrypted,
+    getKeyVersion,
+    getActiveKeyVersion,
+    isFieldEncryptionEnabled,
+    needsReEncryption,
+};
@@ -0,0 +1,48 @@
+/**
+ * HTML 转纯文本工具
+ * 用于邮件检索、摘要和验证码提取，不追求排版还原
+ */
+
+const NAMED_ENTITIES = {
+    amp: '&',
+    lt: '<',
+    gt: '>',
+    quot: '"',
+    apos: "'",
+    nbsp: ' ',
+};
+
+/**
+ * 解码常见 HTML 实体
+ * @param {string} text
+ * @returns {string}
+ */
+function decodeEntities(text) {
+    return String(text || '').replace(/&(#x[0-9a-f]+|#\d+|[a-z]+);/gi, (match, entity) => {
+        if (entity[0] === '#') {
+            const code = entity[1].toLowerCase() === 'x'
+                ? parseInt(entity.slice(2), 16)
+                : parseInt(entity.slice(1), 10);
+            return Number.isFinite(code) ? String.fromCodePoint(code) : match;
+        }
+        return NAMED_ENTITIES[entity.toLowerCase()] ?? match;
+    });
+}
+
+/**
+ * 去除 HTML 标签（含 style / script 内容）并合并空白
+ * @param {string} html
+ * @returns {string}
+ */
+function htmlToText(html) {
+    const stripped = String(html || '')
+        .replace(/<(style|script)[\s\S]*?<\/\1>/gi, ' ')
+        .replace(/<[^>]+>/g, ' ');
+
+    return decodeEntities(stripped).replace(/\s+/g, ' ').trim();
+}
+
+module.exports = {
+    decodeEntities,
+    htmlToText,
+};
@@ -0,0 +1,112 @@
+/**
+ * 旧存储模式（Blob/JSON 文件）通用集合存储
+ *
+ * 与 MailboxService 使用相同的存储模式判定规则，供新增的数据集合
+ * （用户、审计日志等）在未配置 PostgreSQL 时复用：
+ * - blob 模式：整个集合以 JSON 数组写入一个 Blob 对象
+ * - file 模式：整个集合写入 DATA_DIR 下的 JSON 文件
+ */
+
+const fs = require('fs').promises;
+const path = require('path');
+const config = require('../config');
+const { readJSONBlob, writeJSONBlob } = require('./blob-store');
+const { isDatabaseAvailable } = require('../db');
+
+/**
+ * 判定当前应使用的存储模式
+ * @returns {'postgres'|'blob'|'file'}
+ */
+function resolveStorageMode() {
+    if (config.useLegacyStorage) {
+        return config.blobToken ? 'blob' : 'file';
+    }
+    if (config.databaseUrl && isDatabaseAvailable()) {
+        return 'postgres';
+    }
+    return config.blobToken ? 'blob' : 'file';
+}
+
+class LegacyJsonStore {
+    /**
+     * @param {object} options
+     * @param {string} options.blobKey Blob 对象键，如 'users/users.json'
+     * @param {string} options.fileName 本地文件名（位于 DATA_DIR），如 'users.json'
+     */
+    constructor({ blobKey, fileName }) {
+        this.blobKey = blobKey;
+        this.filePath = path.join(config.dataDir, fileName);
+        this.storageMode = config.blobToken ? 'blob' : 'file';
+        this.writeLock = Promise.resolve();
+    }
+
+    /**
+     * 读取整个集合
+     * @returns {Promise<Array>}
+     */
+    async read() {
+        if (this.storageMode === 'blob') {
+            const data = await readJSONBlob(this.blobKey);
+            return Array.isArray(data) ? data : [];
+        }
+
+        try {
+            const content = await fs.readFile(this.filePath, 'utf8');
+            const parsed = JSON.parse(content);
+            return Array.isArray(parsed) ? parsed : [];
+        } catch (err) {
+            if (err.code !== 'ENOENT') {
+                console.warn(`读取数据文件失败 (${this.filePath}):`, err.message);
+            }
+            return [];
+        }
+    }
+
+    /**
+     * 覆盖写入整个集合
+     * @param {Array} items
+     */
+    async write(items) {
+        if (this.storageMode === 'blob') {
+            await writeJSONBlob(this.blobKey, items);
+            return;
+        }
+
+        try {
+            await fs.mkdir(path.dirname(this.filePath), { recursive: true });
+            await fs.writeFile(this.filePath, JSON.stringify(items, null, 2));
+        } catch (err) {
+            console.error(`写入数据文件失败 (${this.filePath}):`, err.message);
+            throw new Error('无法保存数据');
+        }
+    }
+
+    /**
+     * 串行执行「读取 -> 修改 -> 写回」
+     * mutator 可直接修改传入的数组，其返回值作为 update() 的结果；
+     * mutator 抛出异常时不会写回
+     * @param {(items: Array) => any} mutator
+     */
+    async update(mutator) {
+        const previousLock = this.writeLock;
+        let releaseLock;
+        this.writeLock = new Promise(resolve => {
+            releaseLock = resolve;
+        });
+
+        try {
+            await previousLock;
+            const items = await this.read();
+            const result = await mutator(items);
+            await this.write(items);
+            return result;
+        } finally {
+            releaseLock();
+        }
+    }
+}
+
+module.exports = {
+    LegacyJsonStore,
+    resolveStorageMode,
+};
@@ -0,0 +1,491 @@
+/**
+ * OpenAPI 共用的数据结构（components.schemas）和参数定义
+ *
+ * 字段与各服务层返回给控制器的对象保持一致（见 services/*.service.js 的 _dbRowToJson / toPublic），
+ * 新增或删除字段时需同步修改，__tests__/openapi.test.js 会用真实响应校验
+ */
+
+const { PERMISSIONS, ROLES } = require('./permissions');
+
+/**
+ * 引用 components.schemas 中的结构
+ * @param {string} name
+ */
+function ref(name) {
+    return { $ref: `#/components/schemas/${name}` };
+}
+
+/**
+ * 数组
+ * @param {object} items
+ */
+function arrayOf(items) {
+    return { type: 'array', items };
+}
+
+const string = { type: 'string' };
+const integer = { type: 'integer' };
+const boolean = { type: 'boolean' };
+const dateTime = { type: 'string', format: 'date-time' };
+const nullable = (schema) => ({ ...schema, nullable: true });
+const idList = (description) => ({ ...arrayOf(string), description });
+
+// 分页字段
+const PAGE_FIELDS = {
+    total: integer,
+    limit: integer,
+    offset: integer,
+};
+
+// 分页查询参数
+const PAGE_QUERY = {
+    limit: { type: 'integer', minimum: 1, description: '每页条数' },
+    offset: { type: 'integer', minimum: 0, description: '偏移量' },
+};
+
+// 后台任务接口的附加字段（202）
+const JOB_FIELDS = {
+    job_id: { type: 'string', format: 'uuid' },
+};
+
+const PURCHASE_ORDER = {
+    type: 'object',
+    required: ['id', 'supplier_id', 'commodity_id', 'status'],
+    properties: {
+        id: string,
+        supplier_id: string,
+        supplier_type: nullable(string),
+        supplier_name: nullable(string),
+        commodity_id: string,
+        quantity_requested: integer,
+        quantity_delivered: integer,
+        cost: nullable({ type: 'number' }),
+        trade_no: nullable(string),
+        status: { type: 'string', enum: ['pending', 'completed', 'failed'] },
+        error: nullable(string),
+        mailbox_ids: arrayOf(string),
+        created_by: nullable(string),
+        created_by_username: nullable(string),
+        created_at: dateTime,
+        updated_at: dateTime,
+    },
+};
+
+const SCHEMAS = {
+    User: {
+        type: 'object',
+        required: ['id', 'username', 'role', 'is_active'],
+        properties: {
+            id: string,
+            username: string,
+            role: { type: 'string', enum: ROLES },
+            is_active: boolean,
+            last_login_at: nullable(dateTime),
+            created_at: dateTime,
+            updated_at: dateTime,
+        },
+    },
+    CurrentUser: {
+        type: 'object',
+        required: ['id', 'username', 'role', 'permissions'],
+        properties: {
+            id: string,
+            username: string,
+            role: { type: 'string', enum: ROLES },
+            is_active: boolean,
+            last_login_at: nullable(dateTime),
+            created_at: dateTime,
+            updated_at: dateTime,
+            permissions: arrayOf({ type: 'string', enum: Object.values(PERMISSIONS) }),
+            scopes: { ...arrayOf(string), description: '使用 API 密钥时为密钥的权限范围' },
+        },
+    },
+    ApiKey: {
+        type: 'object',
+        required: ['id', 'name', 'key_prefix', 'scopes', 'rate_limit', 'user_id', 'username'],
+        properties: {
+            id: string,
+            name: string,
+            key_prefix: { type: 'string', description: '公开前缀，用于识别密钥' },
+            scopes: arrayOf({ type: 'string', enum: Object.values(PERMISSIONS) }),
+            rate_limit: { type: 'integer', description: '每分钟最多请求数' },
+            user_id: string,
+            username: string,
+            expires_at: nullable(dateTime),
+            revoked_at: nullable(dateTime),
+            last_used_at: nullable(dateTime),
+            created_at: dateTime,
+            key: { type: 'string', description: '明文密钥，只在创建时返回一次' },
+        },
+    },
+    Mailbox: {
+        type: 'object',
+        required: ['id', 'email', 'client_id', 'is_active'],
+        properties: {
+            id: string,
+            email: string,
+            password: { type: 'string', description: '已脱敏（******）' },
+            client_id: string,
+            refresh_token: { type: 'string', description: '已脱敏' },
+            is_active: boolean,
+            source: { type: 'string', example: 'manual' },
+            provider: nullable({ type: 'string', enum: ['external', 'graph'] }),
+            owner_id: nullable(string),
+            status: { type: 'string', enum: ['active', 'suspect', 'quarantined', 'dead'] },
+            consecutive_failures: integer,
+            quarantined_at: nullable(dateTime),
+            last_checked_at: nullable(dateTime),
+            last_refreshed_at: nullable(dateTime),
+            created_at: dateTime,
+            updated_at: dateTime,
+            expires_at: { ...nullable(dateTime), description: '隔离期满、将被停用的时间（仅隔离列表）' },
+        },
+    },
+    MailboxInput: {
+        type: 'object',
+        required: ['email', 'password', 'client_id', 'refresh_token'],
+        properties: {
+            email: { type: 'string', maxLength: 255 },
+            password: { type: 'string', maxLength: 1024 },
+            client_id: { type: 'string', maxLength: 255 },
+            refresh_token: { type: 'string', maxLength: 2048 },
+            source: { type: 'string', description: '来源，默认 manual' },
+            provider: nullable({ type: 'string', enum: ['external', 'graph'], description: '邮件服务提供方，为空时使用部署默认值' }),
+        },
+    },
+    MailboxCredentials: {
+        type: 'object',
+        required: ['id', 'email', 'password', 'client_id', 'refresh_token'],
+        properties: {
+            id: string,
+            email: string,
+            password: string,
+            client_id: string,
+            refresh_token: string,
+        },
+    },
+    MailboxStatistics: {
+        type: 'object',
+        required: ['total', 'active', 'inactive'],
+        properties: {
+            total: integer,
+            active: integer,
+            inactive: integer,
+        },
+    },
+    HealthCheck: {
+        type: 'object',
+        required: ['id', 'mailbox_id', 'status', 'checked_at'],
+        properties: {
+            id: string,
+            mailbox_id: string,
+            status: { type: 'string', enum: ['healthy', 'invalid', 'error'] },
+            http_status: nullable(integer),
+            latency_ms: nullable(integer),
+            error: nullable(string),
+            trigger: { type: 'string', enum: ['scheduled', 'manual'] },
+            checked_at: dateTime,
+        },
+    },
+    HealthSummary: {
+        type: 'object',
+        required: ['total', 'healthy', 'invalid', 'error', 'quarantined', 'restored', 'removed'],
+        properties: {
+            total: integer,
+            healthy: integer,
+            invalid: integer,
+            error: integer,
+            quarantined: integer,
+            restored: integer,
+            removed: integer,
+            started_at: dateTime,
+            finished_at: dateTime,
+        },
+    },
+    Otp: {
+        type: 'object',
+        required: ['code', 'link'],
+        properties: {
+            code: nullable(string),
+            link: nullable(string),
+        },
+    },
+    Message: {
+        type: 'object',
+        required: ['id', 'mailbox_id', 'folder', 'message_id'],
+        properties: {
+            id: string,
+            mailbox_id: string,
+            folder: string,
+            message_id: string,
+            from: nullable(string),
+            subject: nullable(string),
+            date: nullable(dateTime),
+            text: nullable(string),
+            html: nullable(string),
+            raw: { nullable: true, description: '外部 API 返回的原始邮件（include_raw=true 时）' },
+            fetched_at: dateTime,
+            otp: ref('Otp'),
+        },
+    },
+    MessageSearchResult: {
+        type: 'object',
+        required: ['id', 'mailbox_id', 'mailbox_email', 'message_id'],
+        properties: {
+            id: string,
+            mailbox_id: string,
+            mailbox_email: string,
+            folder: string,
+            message_id: string,
+            from: nullable(string),
+            subject: nullable(string),
+            date: nullable(dateTime),
+            snippet: nullable(string),
+        },
+    },
+    LatestCode: {
+        type: 'object',
+        required: ['mailbox_id', 'email', 'code', 'link', 'source'],
+        properties: {
+            mailbox_id: string,
+            email: string,
+            message: nullable({
+                type: 'object',
+                properties: {
+                    subject: nullable(string),
+                    from: nullable(string),
+                    date: nullable(dateTime),
+                },
+            }),
+            code: { ...nullable(string), description: '第一个候选验证码' },
+            codes: arrayOf({
+                type: 'object',
+                required: ['value', 'type', 'source'],
+                properties: {
+                    value: string,
+                    type: { type: 'string', description: 'numeric / alphanumeric，或发件人规则中配置的类型' },
+                    source: { type: 'string', enum: ['rule', 'keyword', 'subject'], description: '匹配方式' },
+                },
+            }),
+            link: nullable(string),
+            links: arrayOf(string),
+            source: { type: 'string', enum: ['live', 'cache'], description: '实时拉取或缓存' },
+        },
+    },
+    Job: {
+        type: 'object',
+        required: ['id', 'type', 'status', 'progress'],
+        properties: {
+            id: string,
+            type: { type: 'string', example: 'mailbox.validate' },
+            status: { type: 'string', enum: ['queued', 'running', 'completed', 'failed', 'cancelled'] },
+            params: { type: 'object', additionalProperties: true },
+            progress: {
+                type: 'object',
+                required: ['total', 'processed', 'percent'],
+                properties: {
+                    total: integer,
+                    processed: integer,
+                    percent: integer,
+                },
+            },
+            result: { nullable: true, description: '任务结果，结构由任务类型决定' },
+            error: nullable(string),
+            attempts: integer,
+            max_attempts: integer,
+            cancel_requested: boolean,
+            created_by: nullable(string),
+            created_by_username: nullable(string),
+            run_after: dateTime,
+            created_at: dateTime,
+            started_at: nullable(dateTime),
+            finished_at: nullable(dateTime),
+        },
+    },
+    Supplier: {
+        type: 'object',
+        required: ['id', 'name', 'configured', 'products'],
+        properties: {
+            id: string,
+            name: string,
+            configured: boolean,
+            products: arrayOf({
+                type: 'object',
+                required: ['id', 'name'],
+                properties: {
+                    id: string,
+                    name: string,
+                    price: { type: 'number' },
+                },
+            }),
+        },
+    },
+    Catalog: {
+        type: 'object',
+        required: ['ttl', 'suppliers'],
+        properties: {
+            ttl: { type: 'integer', description: '库存缓存秒数' },
+            suppliers: arrayOf({
+                type: 'object',
+                required: ['id', 'name', 'configured', 'products'],
+                properties: {
+                    id: string,
+                    name: string,
+                    configured: boolean,
+                    products: arrayOf({
+                        type: 'object',
+                        required: ['id', 'name', 'stock'],
+                        properties: {
+                            id: string,
+                            name: string,
+                            stock: nullable({ type: 'number' }),
+                            price: nullable({ type: 'number' }),
+                            checked_at: nullable(dateTime),
+                            error: nullable(string),
+                        },
+                    }),
+                },
+            }),
+        },
+    },
+    PurchaseOrder: PURCHASE_ORDER,
+    PurchaseOrderDetail: {
+        type: 'object',
+        required: [...PURCHASE_ORDER.required, 'mailboxes', 'accounts'],
+        properties: {
+            ...PURCHASE_ORDER.properties,
+            raw_response: { nullable: true, description: '供应商的原始响应' },
+            mailboxes: arrayOf({
+                type: 'object',
+                required: ['id', 'state'],
+                properties: {
+                    id: string,
+                    email: nullable(string),
+                    state: { type: 'string', enum: ['alive', 'suspect', 'quarantined', 'dead', 'deleted'] },
+                    status: nullable(string),
+                    last_checked_at: nullable(dateTime),
+                },
+            }),
+            accounts: {
+                type: 'object',
+                description: '各状态的账号数量',
+                additionalProperties: integer,
+            },
+        },
+    },
+    StockReading: {
+        type: 'object',
+        required: ['id', 'supplier_id', 'kind', 'value', 'low'],
+        properties: {
+            id: string,
+            supplier_id: string,
+            kind: { type: 'string', enum: ['stock', 'balance'] },
+            commodity_id: nullable(string),
+            value: nullable({ type: 'number' }),
+            threshold: nullable({ type: 'number' }),
+            low: boolean,
+            error: nullable(string),
+            checked_at: dateTime,
+        },
+    },
+    StockCheckSummary: {
+        type: 'object',
+        required: ['total', 'low', 'error', 'alerts', 'readings'],
+        properties: {
+            total: integer,
+            low: integer,
+            error: integer,
+            alerts: { ...arrayOf(string), description: '本次发送的告警类型，如 stock.low' },
+            readings: arrayOf(ref('StockReading')),
+            started_at: dateTime,
+            finished_at: dateTime,
+        },
+    },
+    Notification: {
+        type: 'object',
+        required: ['id', 'type', 'level', 'title', 'read'],
+        properties: {
+            id: string,
+            type: string,
+            level: { type: 'string', enum: ['info', 'warning', 'error'] },
+            title: string,
+            message: nullable(string),
+            data: { type: 'object', nullable: true, additionalProperties: true },
+            read: boolean,
+            created_at: dateTime,
+        },
+    },
+    AuditEvent: {
+        type: 'object',
+        required: ['id', 'action', 'created_at'],
+        properties: {
+            id: string,
+            action: { type: 'string', example: 'mailbox.create' },
+            actor_id: nullable(string),
+            actor_username: nullable(string),
+            mailbox_id: nullable(string),
+            mailbox_email: nullable(string),
+            details: { type: 'object', nullable: true, additionalProperties: true },
+            created_at: dateTime,
+        },
+    },
+    Webhook: {
+        type: 'object',
+        required: ['id', 'name', 'url', 'events', 'is_active'],
+        properties: {
+            id: string,
+            name: string,
+            url: string,
+            events: arrayOf(string),
+            is_active: boolean,
+            created_by: nullable(string),
+            created_by_username: nullable(string),
+            created_at: dateTime,
+            updated_at: dateTime,
+            secret: { type: 'string', description: '签名密钥，只在创建和更换时返回' },
+        },
+    },
+    WebhookInput: {
+        type: 'object',
+        properties: {
+            name: string,
+            url: { type: 'string', description: 'http(s) 地址' },
+            events: arrayOf({ type: 'string', enum: ['mail.received', 'mailbox.invalidated', 'mailbox.created', 'purchase.completed'] }),
+            secret: { type: 'string', description: '签名密钥，不填时自动生成' },
+            is_active: boolean,
+        },
+    },
+    WebhookDelivery: {
+        type: 'object',
+        required: ['id', 'webhook_id', 'event', 'status', 'attempts'],
+        properties: {
+            id: string,
+            webhook_id: string,
+            event: string,
+            payload: { type: 'object', additionalProperties: true },
+            status: { type: 'string', enum: ['pending', 'delivered', 'failed'] },
+            attempts: integer,
+            response_status: nullable(integer),
+            error: nullable(string),
+            job_id: nullable(string),
+            created_at: dateTime,
+            last_attempt_at: nullable(dateTime),
+            delivered_at: nullable(dateTime),
+        },
+    },
+    UpstreamResponse: {
+        nullable: true,
+        description: '外部邮件 API 的原始响应（数组、{ data: [] } 或单封邮件），每封邮件附加 otp 字段',
+    },
+};
+
+module.exports = {
+    SCHEMAS,
+    PAGE_FIELDS,
+    PAGE_QUERY,
+    JOB_FIELDS,
+    ref,
+    arrayOf,
+    nullable,
+    idList,
+};
@@ -0,0 +1,279 @@
+/**
+ * 根据路由定义生成 OpenAPI 3 文档
+ *
+ * 路由文件用 apiDoc() 为每个路由标注说明、所需权限、参数和响应结构，生成时遍历 Express Router 的路由表：
+ *   router.get('/:id', apiDoc({ summary: '获取单个邮箱', scope: PERMISSIONS.MAILBOX_READ, data: ref('Mailbox') }), handler)
+ * 路由级 requirePermission() 同样作为所需权限；路径参数（:id）转换为 {id} 并生成参数定义
+ *
+ * 同一份路由定义生成两种格式的文档：
+ * - /api：控制器原样返回的 { success, data, ...fields } 或外部 API 的原始响应
+ * - /api/v1：经 apiEnvelope 转换后的 { success, data, meta? }（见 middlewares/api-v1.js）
+ */
+
+const { SCHEMAS } = require('./openapi-schemas');
+
+// 成功响应的 success 字段
+const SUCCESS = { type: 'boolean', enum: [true] };
+
+// /api 的失败响应
+const API_SCHEMAS = {
+    Error: {
+        type: 'object',
+        required: ['success', 'error'],
+        additionalProperties: true,
+        properties: {
+            success: { type: 'boolean', enum: [false] },
+            error: { type: 'string' },
+            details: { description: '错误详情' },
+        },
+    },
+};
+
+// /api/v1 的失败响应
+const ENVELOPE_SCHEMAS = {
+    ErrorEnvelope: {
+        type: 'object',
+        required: ['success', 'error'],
+        properties: {
+            success: { type: 'boolean', enum: [false] },
+            error: {
+                type: 'object',
+                required: ['code', 'message'],
+                properties: {
+                    code: { type: 'string', example: 'AUTHORIZATION_ERROR' },
+                    message: { type: 'string' },
+                    details: { type: 'object', additionalProperties: true },
+                },
+            },
+        },
+    },
+};
+
+/**
+ * 路由说明（不处理请求，只携带文档信息）
+ * @param {object} meta
+ * @param {string} meta.summary 说明
+ * @param {string} [meta.scope] 所需权限（见 utils/permissions.js）
+ * @param {number} [meta.status] 成功时的状态码，默认 200
+ * @param {string} [meta.contentType] 成功响应的类型，默认 application/json
+ * @param {string} [meta.description] 详细说明
+ * @param {boolean} [meta.public] 无需认证
+ * @param {object} [meta.query] 查询参数 { 名称: schema }，schema 中的 description / required 作为参数属性
+ * @param {object} [meta.body] 请求体 schema（JSON）
+ * @param {object} [meta.data] 响应中 data 字段的 schema
+ * @param {object} [meta.fields] 响应中 success / data 之外的字段 { 名称: schema }
+ * @param {object} [meta.raw] 原样返回的响应体 schema（外部 API 的原始响应等），与 data / fields 互斥
+ * @param {object} [meta.responses] 其他成功状态码的响应 { 状态码: { description, data, fields } }
+ * @param {object} [meta.errors] 需要单独说明的失败状态码 { 状态码: 说明 }
+ * @param {boolean} [meta.envelope] 为 false 时 /api/v1 下同样原样返回（不经过 apiEnvelope）
+ * @returns {function} 中间件
+ */
+function apiDoc(meta) {
+    const middleware = (req, res, next) => next();
+    middleware.openapi = meta;
+    return middleware;
+}
+
+/**
+ * 列出 Router 中定义的路由（按定义顺序）
+ * @param {object} router express.Router()
+ * @returns {Array<object>} { method, path, scope, status, contentType, ...apiDoc 的其他字段 }；未标注 apiDoc 的路由 summary 为 null
+ */
+function listRoutes(router) {
+    const routes = [];
+    let routerScope = null;
+
+    for (const layer of router.stack) {
+        if (!layer.route) {
+            // router.use(requirePermission(...)) 对其后定义的路由生效
+            if (layer.handle.permission) routerScope = layer.handle.permission;
+            continue;
+        }
+
+        const doc = layer.route.stack.map(l => l.handle.openapi).find(Boolean) || {};
+        for (const method of Object.keys(layer.route.methods)) {
+            routes.push({
+                ...doc,
+                method,
+                path: layer.route.path,
+                summary: doc.summary || null,
+                scope: doc.scope || routerScope,
+                status: doc.status || 200,
+                contentType: doc.contentType || 'application/json',
+                description: doc.description || null,
+            });
+        }
+    }
+
+    return routes;
+}
+
+/**
+ * Express 路径转换为 OpenAPI 路径
+ * @private
+ */
+function toOpenApiPath(mountPath, routePath) {
+    const path = `${mountPath}${routePath === '/' ? '' : routePath}`;
+    return path.replace(/:([A-Za-z0-9_]+)/g, '{$1}') || '/';
+}
+
+/**
+ * 生成 operationId，如 GET /mailboxes/{id}/messages → get_mailboxes_id_messages
+ * @private
+ */
+function toOperationId(method, path) {
+    const segments = path.split('/').filter(Boolean).map(s => s.replace(/[{}]/g, '').replace(/-/g, '_'));
+    return [method, ...segments].join('_');
+}
+
+/**
+ * 成功响应体的 schema
+ * @private
+ * @param {object} doc { data, fields, raw }
+ * @param {boolean} envelope 是否为 /api/v1 格式
+ */
+function toResponseSchema({ data, fields = {}, raw }, envelope) {
+    if (raw) {
+        return envelope
+            ? { type: 'object', required: ['success', 'data'], properties: { success: SUCCESS, data: raw } }
+            : raw;
+    }
+
+    if (!envelope) {
+        return {
+            type: 'object',
+            required: ['success', ...(data ? ['data'] : []), ...Object.keys(fields)],
+            properties: { success: SUCCESS, ...(data && { data }), ...fields },
+        };
+    }
+
+    // 与 toEnvelope 一致：code 字段丢弃，其余附加字段放入 meta；没有 data 时附加字段作为 data
+    const { code, ...rest } = fields;
+    const restSchema = { type: 'object', required: Object.keys(rest), properties: rest };
+    const hasRest = Object.keys(rest).length > 0;
+    if (!data) {
+        return {
+            type: 'object',
+            required: ['success', 'data'],
+            properties: { success: SUCCESS, data: hasRest ? restSchema : { nullable: true, enum: [null] } },
+        };
+    }
+    return {
+        type: 'object',
+        required: ['success', 'data', ...(hasRest ? ['meta'] : [])],
+        properties: { success: SUCCESS, data, ...(hasRest && { meta: restSchema }) },
+    };
+}
+
+/**
+ * 查询参数定义
+ * @private
+ */
+function toQueryParameters(query = {}) {
+    return Object.entries(query).map(([name, { description, required, ...schema }]) => ({
+        name,
+        in: 'query',
+        required: Boolean(required),
+        ...(description && { description }),
+        schema,
+    }));
+}
+
+/**
+ * 生成 OpenAPI 文档
+ * @param {object} options
+ * @param {object} options.info { title, version, description }
+ * @param {string} options.serverUrl 接口前缀，如 /api/v1
+ * @param {Array<{ path: string, router: object, tag: string }>} options.mounts 挂载的路由
+ * @param {boolean} [options.envelope] 是否为 /api/v1 的统一响应格式
+ * @returns {object} OpenAPI 3.0 文档
+ */
+function buildOpenApi({ info, serverUrl, mounts, envelope = false }) {
+    const paths = {};
+    const errorRef = { $ref: '#/components/responses/Error' };
+    const errorSchema = { $ref: `#/components/schemas/${envelope ? 'ErrorEnvelope' : 'Error'}` };
+
+    for (const mount of mounts) {
+        for (const route of listRoutes(mount.router)) {
+            const path = toOpenApiPath(mount.path, route.path);
+            const parameters = [...path.matchAll(/\{([^}]+)\}/g)].map(([, name]) => ({
+                name,
+                in: 'path',
+                required: true,
+                schema: { type: 'string' },
+            })).concat(toQueryParameters(route.query));
+
+            const wrap = envelope && route.envelope !== false;
+            const success = route.contentType === 'application/json'
+                ? { description: '成功', content: { 'application/json': { schema: toResponseSchema(route, wrap) } } }
+                : { description: '成功', content: { [route.contentType]: { schema: { type: 'string' } } } };
+
+            const responses = { [route.status]: success };
+            for (const [status, alt] of Object.entries(route.responses || {})) {
+                responses[status] = {
+                    description: alt.description || '成功',
+                    content: { 'application/json': { schema: toResponseSchema(alt, wrap) } },
+                };
+            }
+            for (const [status, description] of Object.entries(route.errors || {})) {
+                responses[status] = { description, content: { 'application/json': { schema: errorSchema } } };
+            }
+            responses.default = errorRef;
+
+            const operation = {
+                tags: [mount.tag],
+                summary: route.summary || `${route.method.toUpperCase()} ${path}`,
+                operationId: toOperationId(route.method, path),
+                security: route.public ? [] : [{ bearerAuth: [] }],
+                responses,
+            };
+            if (route.description) operation.description = route.description;
+            if (route.scope) {
+                operation.description = [operation.description, `需要权限 \`${route.scope}\``].filter(Boolean).join('\n\n');
+                operation['x-required-scope'] = route.scope;
+            }
+            if (parameters.length > 0) operation.parameters = parameters;
+            if (route.body) {
+                operation.requestBody = {
+                    required: Boolean(route.body.required?.length),
+                    content: { 'application/json': { schema: route.body } },
+                };
+            }
+
+            paths[path] = { ...paths[path], [route.method]: operation };
+        }
+    }
+
+    return {
+        openapi: '3.0.3',
+        info,
+        servers: [{ url: serverUrl }],
+        tags: mounts.map(m => ({ name: m.tag })),
+        paths,
+        components: {
+            securitySchemes: {
+                bearerAuth: {
+                    type: 'http',
+                    scheme: 'bearer',
+                    description: envelope ? 'API 密钥（eok_ 开头）或登录令牌' : '登录令牌（POST /auth/login 获取）',
+                },
+            },
+            schemas: {
+                ...SCHEMAS,
+                ...(envelope ? ENVELOPE_SCHEMAS : API_SCHEMAS),
+            },
+            responses: {
+                Error: {
+                    description: '失败（400 参数错误、401 未认证、403 无权限、404 不存在、429 超出速率限制等）',
+                    content: { 'application/json': { schema: errorSchema } },
+                },
+            },
+        },
+    };
+}
+
+module.exports = {
+    apiDoc,
+    listRoutes,
+    buildOpenApi,
+};
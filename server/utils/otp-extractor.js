@@ -0,0 +1,218 @@
+/**
+ * 验证码 / 验证链接提取
+ *
+ * 从邮件的主题、纯文本和 HTML 中提取：
+ * - 数字验证码（4-8 位）
+ * - 字母数字混合验证码（5-10 位大写字母 + 数字）
+ * - 验证 / 确认 / 登录链接
+ *
+ * 提取顺序：按发件人配置的正则规则（OTP_RULES） > 关键词附近的候选 > 主题中的独立数字。
+ *
+ * OTP_RULES 为 JSON 数组，例如：
+ *   [{ "sender": "github.com", "pattern": "code:\\s*(\\d{6})" },
+ *    { "sender": "noreply@x.com", "pattern": "([A-Z]{3}-\\d{3})", "type": "alphanumeric" }]
+ * sender 匹配发件人（不区分大小写的包含匹配），pattern 取第一个捕获组（没有捕获组时取整个匹配）。
+ */
+
+const config = require('../config');
+const logger = require('./logger');
+const { decodeEntities, htmlToText } = require('./html-text');
+
+const KEYWORDS = [
+    'verification code', 'security code', 'confirmation code', 'login code', 'one-time',
+    'otp', 'passcode', 'pin', 'code',
+    '验证码', '校验码', '动态码', '确认码', '驗證碼', '代码', '代碼',
+];
+
+const NUMERIC_CODE = /\b\d{4,8}\b/g;
+const ALNUM_CODE = /\b(?=[A-Z0-9]*\d)(?=[A-Z0-9]*[A-Z])[A-Z0-9]{5,10}\b/g;
+const URL_PATTERN = /https?:\/\/[^\s"'<>]+/gi;
+const HREF_PATTERN = /href\s*=\s*["']([^"']+)["']/gi;
+const LINK_HINT = /verif|confirm|activat|validat|magic|login|signin|sign-in|auth|reset|unlock|approve|token|code=/i;
+const LINK_EXCLUDE = /unsubscribe|privacy|preferences|tracking|\.(png|jpe?g|gif|svg)(\?|$)/i;
+
+// 关键词前后查找候选验证码的窗口长度
+const WINDOW_AFTER = 60;
+const WINDOW_BEFORE = 40;
+
+let cachedRaw = null;
+let cachedRules = [];
+
+/**
+ * 解析并编译发件人规则
+ * 无效的规则会被跳过并记录警告
+ * @param {string|Array} raw JSON 字符串或规则数组
+ * @returns {Array<{ sender: string, regex: RegExp, type: string|null }>}
+ */
+function compileRules(raw) {
+    let list = raw;
+    if (typeof raw === 'string') {
+        if (!raw.trim()) return [];
+        try {
+            list = JSON.parse(raw);
+        } catch (err) {
+            logger.warn('[OTP] OTP_RULES 不是有效的 JSON，已忽略', { error: err.message });
+            return [];
+        }
+    }
+    if (!Array.isArray(list)) return [];
+
+    const rules = [];
+    for (const rule of list) {
+        if (!rule || typeof rule.pattern !== 'string') {
+            logger.warn('[OTP] 忽略缺少 pattern 的规则', { rule });
+            continue;
+        }
+        try {
+            rules.push({
+                sender: String(rule.sender || '').toLowerCase(),
+                regex: new RegExp(rule.pattern, rule.flags ?? 'i'),
+                type: rule.type || null,
+            });
+        } catch (err) {
+            logger.warn('[OTP] 忽略无效的正则规则', { pattern: rule.pattern, error: err.message });
+        }
+    }
+    return rules;
+}
+
+/**
+ * 当前配置的发件人规则（按配置内容缓存）
+ */
+function getConfiguredRules() {
+    const raw = config.otp.rules || '';
+    if (raw !== cachedRaw) {
+        cachedRaw = raw;
+        cachedRules = compileRules(raw);
+    }
+    return cachedRules;
+}
+
+function codeType(value) {
+    return /^\d+$/.test(value) ? 'numeric' : 'alphanumeric';
+}
+
+/**
+ * 4 位数字中排除年份
+ */
+function isPlausibleNumeric(value) {
+    return !(value.length === 4 && /^(19|20)\d{2}$/.test(value));
+}
+
+/**
+ * 在一段文本中查找候选验证码（数字优先）
+ */
+function findCandidates(text) {
+    const numeric = (text.match(NUMERIC_CODE) || []).filter(isPlausibleNumeric);
+    const alnum = text.match(ALNUM_CODE) || [];
+    return [...numeric, ...alnum];
+}
+
+/**
+ * 查找关键词附近的验证码：先找关键词之后，再找关键词之前
+ */
+function findNearKeywords(text) {
+    const lower = text.toLowerCase();
+    const after = [];
+    const before = [];
+
+    for (const keyword of KEYWORDS) {
+        let idx = lower.indexOf(keyword);
+        while (idx !== -1) {
+            const end = idx + keyword.length;
+            after.push(...findCandidates(text.slice(end, end + WINDOW_AFTER)));
+            before.push(...findCandidates(text.slice(Math.max(0, idx - WINDOW_BEFORE), idx)));
+            idx = lower.indexOf(keyword, end);
+        }
+    }
+
+    return [...after, ...before];
+}
+
+/**
+ * 提取验证链接
+ */
+function findLinks(html, text) {
+    const urls = [];
+    for (const match of String(html || '').matchAll(HREF_PATTERN)) {
+        urls.push(decodeEntities(match[1]));
+    }
+    urls.push(...(String(text || '').match(URL_PATTERN) || []));
+
+    return [...new Set(urls)]
+        .map(url => url.replace(/[).,;]+$/, ''))
+        .filter(url => /^https?:\/\//i.test(url) && LINK_HINT.test(url) && !LINK_EXCLUDE.test(url));
+}
+
+/**
+ * 从单封邮件中提取验证码和验证链接
+ * @param {{ from?: string, send?: string, subject?: string, text?: string, html?: string }} message
+ * @param {Array} rules 发件人规则，默认使用 OTP_RULES 配置
+ * @returns {{ code: string|null, codes: Array<{ value, type, source }>, link: string|null, links: string[] }}
+ */
+function extractFromMessage(message, rules = getConfiguredRules()) {
+    const from = String(message?.from || message?.send || '').toLowerCase();
+    const subject = String(message?.subject || '');
+    const body = message?.text || htmlToText(message?.html);
+    const fullText = `${subject}\n${body}`;
+
+    const codes = [];
+    const seen = new Set();
+    const push = (value, source, type = null) => {
+        if (!value || seen.has(value)) return;
+        seen.add(value);
+        codes.push({ value, type: type || codeType(value), source });
+    };
+
+    for (const rule of rules) {
+        if (rule.sender && !from.includes(rule.sender)) continue;
+        const match = fullText.match(rule.regex);
+        if (match) {
+            push((match[1] ?? match[0]).trim(), 'rule', rule.type);
+        }
+    }
+
+    for (const value of findNearKeywords(fullText)) {
+        push(value, 'keyword');
+    }
+
+    for (const value of (subject.match(NUMERIC_CODE) || []).filter(isPlausibleNumeric)) {
+        push(value, 'subject');
+    }
+
+    const links = findLinks(message?.html, message?.text || body);
+
+    return {
+        code: codes[0]?.value || null,
+        codes,
+        link: links[0] || null,
+        links,
+    };
+}
+
+/**
+ * 为邮件附加 otp 字段 { code, link }（返回新对象，不修改原邮件）
+ */
+function withOtp(message) {
+    if (!message || typeof message !== 'object') return message;
+    const { code, link } = extractFromMessage(message);
+    return { ...message, otp: { code, link } };
+}
+
+/**
+ * 为外部邮件 API 的响应附加 otp 字段，保持原有结构（数组 / { data: [] } / 单封邮件）
+ */
+function annotateResponse(data) {
+    if (Array.isArray(data)) return data.map(withOtp);
+    if (data && Array.isArray(data.data)) return { ...data, data: data.data.map(withOtp) };
+    if (data && typeof data === 'object' && !data.error && !data.message) return withOtp(data);
+    return data;
+}
+
+module.exports = {
+    compileRules,
+    getConfiguredRules,
+    extractFromMessage,
+    withOtp,
+    annotateResponse,
+};
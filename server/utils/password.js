@@ -0,0 +1,62 @@
+/**
+ * 密码哈希工具
+ * 使用 Node.js 内置 scrypt，存储格式：scrypt$N$r$p$<salt base64>$<hash base64>
+ */
+
+const crypto = require('crypto');
+
+const KEY_LENGTH = 64;
+const DEFAULT_PARAMS = { N: 16384, r: 8, p: 1 };
+
+function scryptAsync(password, salt, params) {
+    return new Promise((resolve, reject) => {
+        crypto.scrypt(password, salt, KEY_LENGTH, params, (err, derived) => {
+            if (err) reject(err);
+            else resolve(derived);
+        });
+    });
+}
+
+/**
+ * 生成密码哈希
+ * @param {string} password 明文密码
+ * @returns {Promise<string>}
+ */
+async function hashPassword(password) {
+    const salt = crypto.randomBytes(16);
+    const derived = await scryptAsync(password, salt, DEFAULT_PARAMS);
+    const { N, r, p } = DEFAULT_PARAMS;
+    return `scrypt$${N}$${r}$${p}$${salt.toString('base64')}$${derived.toString('base64')}`;
+}
+
+/**
+ * 校验密码（恒定时间比较）
+ * @param {string} password 明文密码
+ * @param {string} stored hashPassword() 生成的哈希
+ * @returns {Promise<boolean>}
+ */
+async function verifyPassword(password, stored) {
+    if (typeof password !== 'string' || typeof stored !== 'string') return false;
+
+    const parts = stored.split('$');
+    if (parts.length !== 6 || parts[0] !== 'scrypt') return false;
+
+    const [, N, r, p, saltB64, hashB64] = parts;
+    const expected = Buffer.from(hashB64, 'base64');
+
+    try {
+        const derived = await scryptAsync(password, Buffer.from(saltB64, 'base64'), {
+            N: parseInt(N, 10),
+            r: parseInt(r, 10),
+            p: parseInt(p, 10),
+        });
+        return derived.length === expected.length && crypto.timingSafeEqual(derived, expected);
+    } catch {
+        return false;
+    }
+}
+
+module.exports = {
+    hashPassword,
+    verifyPassword,
+};
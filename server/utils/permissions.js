@@ -0,0 +1,95 @@
+/**
+ * 角色权限矩阵
+ *
+ * - admin: 全部权限，可查看所有用户的邮箱、管理用户和 Webhook
+ * - operator: 日常操作（添加/删除邮箱、购买、清空文件夹、检测有效性），可查看自己的操作记录
+ * - viewer: 只读，可查看邮箱和邮件，不能查看明文凭证、购买或执行任何删除操作
+ */
+
+const PERMISSIONS = Object.freeze({
+    MAILBOX_READ: 'mailbox:read',
+    MAILBOX_READ_ALL: 'mailbox:read_all',
+    MAILBOX_WRITE: 'mailbox:write',
+    MAILBOX_REVEAL: 'mailbox:reveal',
+    MAILBOX_DELETE: 'mailbox:delete',
+    MAILBOX_BULK_DELETE: 'mailbox:bulk_delete',
+    MAILBOX_VALIDATE: 'mailbox:validate',
+    MAIL_READ: 'mail:read',
+    MAIL_CLEAR: 'mail:clear',
+    PURCHASE_VIEW: 'purchase:view',
+    PURCHASE_BUY: 'purchase:buy',
+    AUDIT_VIEW: 'audit:view',
+    USER_MANAGE: 'user:manage',
+    WEBHOOK_MANAGE: 'webhook:manage',
+});
+
+const ROLE_PERMISSIONS = Object.freeze({
+    admin: Object.values(PERMISSIONS),
+    operator: [
+        PERMISSIONS.MAILBOX_READ,
+        PERMISSIONS.MAILBOX_WRITE,
+        PERMISSIONS.MAILBOX_REVEAL,
+        PERMISSIONS.MAILBOX_DELETE,
+        PERMISSIONS.MAILBOX_BULK_DELETE,
+        PERMISSIONS.MAILBOX_VALIDATE,
+        PERMISSIONS.MAIL_READ,
+        PERMISSIONS.MAIL_CLEAR,
+        PERMISSIONS.PURCHASE_VIEW,
+        PERMISSIONS.PURCHASE_BUY,
+        PERMISSIONS.AUDIT_VIEW,
+    ],
+    viewer: [
+        PERMISSIONS.MAILBOX_READ,
+        PERMISSIONS.MAIL_READ,
+        PERMISSIONS.PURCHASE_VIEW,
+    ],
+});
+
+const ROLES = Object.keys(ROLE_PERMISSIONS);
+
+/**
+ * 获取角色拥有的权限列表
+ * @param {string} role
+ * @returns {string[]}
+ */
+function getRolePermissions(role) {
+    return ROLE_PERMISSIONS[role] || [];
+}
+
+/**
+ * 判断用户是否拥有某项权限
+ * 使用 API 密钥认证时 user.scopes 为密钥的权限范围，需同时满足角色权限和 scopes
+ * @param {{ role: string, scopes?: string[] }|null} user
+ * @param {string} permission
+ */
+function hasPermission(user, permission) {
+    if (!user) return false;
+    if (Array.isArray(user.scopes) && !user.scopes.includes(permission)) return false;
+    return getRolePermissions(user.role).includes(permission);
+}
+
+/**
+ * 控制器内的权限检查
+ * 无权限时直接返回 403 响应
+ * @returns {boolean} 是否允许继续处理
+ */
+function ensurePermission(req, res, permission) {
+    if (hasPermission(req.user, permission)) {
+        return true;
+    }
+
+    res.status(403).json({
+        success: false,
+        error: '无权限执行此操作',
+        permission,
+    });
+    return false;
+}
+
+module.exports = {
+    PERMISSIONS,
+    ROLES,
+    getRolePermissions,
+    hasPermission,
+    ensurePermission,
+};
@@ -0,0 +1,107 @@
+/**
+ * 最小 SMTP 客户端
+ * 只用于向本地邮件中继（如 Postfix、smtp relay 容器）投递告警邮件：明文连接，不支持认证和 STARTTLS，
+ * 仅依赖 Node.js 内置 net，不引入额外依赖
+ */
+
+const net = require('net');
+const os = require('os');
+const crypto = require('crypto');
+
+/**
+ * 编码邮件头中的非 ASCII 文本（RFC 2047）
+ */
+function encodeHeader(value) {
+    return /^[\x20-\x7e]*$/.test(value) ? value : `=?UTF-8?B?${Buffer.from(value, 'utf8').toString('base64')}?=`;
+}
+
+/**
+ * 构造纯文本邮件（正文 base64 编码，每行 76 字符）
+ * @private
+ */
+function buildMessage({ from, to, subject, text }) {
+    const body = Buffer.from(text, 'utf8').toString('base64').replace(/.{1,76}/g, '$&\r\n');
+    return [
+        `From: ${from}`,
+        `To: ${to.join(', ')}`,
+        `Subject: ${encodeHeader(subject)}`,
+        `Date: ${new Date().toUTCString()}`,
+        `Message-ID: <${crypto.randomUUID()}@${os.hostname()}>`,
+        'MIME-Version: 1.0',
+        'Content-Type: text/plain; charset=utf-8',
+        'Content-Transfer-Encoding: base64',
+        '',
+        body,
+    ].join('\r\n');
+}
+
+/**
+ * 发送邮件
+ * @param {object} options
+ * @param {string} options.host SMTP 服务器
+ * @param {number} options.port 端口
+ * @param {string} options.from 发件人
+ * @param {string[]} options.to 收件人
+ * @param {string} options.subject 主题
+ * @param {string} options.text 正文
+ * @param {number} [options.timeoutMs] 超时（毫秒）
+ * @returns {Promise<void>} 服务器拒绝或超时时抛出错误
+ */
+function sendMail({ host, port, from, to, subject, text, timeoutMs = 10000 }) {
+    const message = buildMessage({ from, to, subject, text });
+    // 命令及期望的响应码
+    const steps = [
+        [null, 220],
+        [`EHLO ${os.hostname()}`, 250],
+        [`MAIL FROM:<${from}>`, 250],
+        ...to.map(address => [`RCPT TO:<${address}>`, 250]),
+        ['DATA', 354],
+        // 以单独一行的 . 结束正文，正文中以 . 开头的行需要转义
+        [`${message.replace(/^\./gm, '..')}\r\n.`, 250],
+        ['QUIT', 221],
+    ];
+
+    return new Promise((resolve, reject) => {
+        const socket = net.createConnection({ host, port });
+        let buffer = '';
+        let step = 0;
+        let settled = false;
+
+        const finish = (error) => {
+            if (settled) return;
+            settled = true;
+            socket.destroy();
+            if (error) reject(error);
+            else resolve();
+        };
+
+        socket.setEncoding('utf8');
+        socket.setTimeout(timeoutMs, () => finish(new Error('SMTP 连接超时')));
+        socket.on('error', err => finish(new Error(`SMTP 连接失败: ${err.message}`)));
+        socket.on('close', () => finish(step >= steps.length ? null : new Error('SMTP 连接意外关闭')));
+
+        socket.on('data', (chunk) => {
+            buffer += chunk;
+            // 多行响应以「code-」开头，最后一行为「code 」
+            let lineEnd;
+            while ((lineEnd = buffer.indexOf('\r\n')) !== -1) {
+                const line = buffer.slice(0, lineEnd);
+                buffer = buffer.slice(lineEnd + 2);
+                if (/^\d{3}-/.test(line)) continue;
+
+                const code = parseInt(line.slice(0, 3), 10);
+                if (code !== steps[step][1]) {
+                    return finish(new Error(`SMTP 服务器拒绝: ${line}`));
+                }
+
+                step++;
+                if (step >= steps.length) return finish(null);
+                socket.write(`${steps[step][0]}\r\n`);
+            }
+        });
+    });
+}
+
+module.exports = {
+    sendMail,
+};
@@ -0,0 +1,79 @@
+/**
+ * 签名令牌工具（JWT，HS256）
+ * 仅依赖 Node.js 内置 crypto，不引入额外依赖
+ */
+
+const crypto = require('crypto');
+const config = require('../config');
+const logger = require('./logger');
+
+let ephemeralSecret = null;
+
+/**
+ * 获取签名密钥
+ * 未配置 AUTH_JWT_SECRET 时使用进程级随机密钥（重启后令牌失效）
+ */
+function getSecret() {
+    if (config.auth.jwtSecret) return config.auth.jwtSecret;
+
+    if (!ephemeralSecret) {
+        ephemeralSecret = crypto.randomBytes(32).toString('hex');
+        logger.warn('[Auth] 未配置 AUTH_JWT_SECRET，使用临时密钥（重启后需重新登录）');
+    }
+    return ephemeralSecret;
+}
+
+function base64url(input) {
+    return Buffer.from(input).toString('base64url');
+}
+
+function sign(data) {
+    return crypto.createHmac('sha256', getSecret()).update(data).digest('base64url');
+}
+
+/**
+ * 签发令牌
+ * @param {object} payload 载荷（会自动补充 iat / exp）
+ * @param {number} [ttlSeconds] 有效期（秒）
+ * @returns {string}
+ */
+function signToken(payload, ttlSeconds = config.auth.tokenTtl) {
+    const now = Math.floor(Date.now() / 1000);
+    const header = base64url(JSON.stringify({ alg: 'HS256', typ: 'JWT' }));
+    const body = base64url(JSON.stringify({ ...payload, iat: now, exp: now + ttlSeconds }));
+    return `${header}.${body}.${sign(`${header}.${body}`)}`;
+}
+
+/**
+ * 校验令牌并返回载荷
+ * @param {string} token
+ * @returns {object|null} 无效或过期时返回 null
+ */
+function verifyToken(token) {
+    if (typeof token !== 'string') return null;
+
+    const parts = token.split('.');
+    if (parts.length !== 3) return null;
+
+    const [header, body, signature] = parts;
+    const expected = Buffer.from(sign(`${header}.${body}`));
+    const actual = Buffer.from(signature);
+    if (expected.length !== actual.length || !crypto.timingSafeEqual(expected, actual)) {
+        return null;
+    }
+
+    try {
+        const payload = JSON.parse(Buffer.from(body, 'base64url').toString('utf8'));
+        if (!payload.exp || payload.exp < Math.floor(Date.now() / 1000)) {
+            return null;
+        }
+        return payload;
+    } catch {
+        return null;
+    }
+}
+
+module.exports = {
+    signToken,
+    verifyToken,
+};